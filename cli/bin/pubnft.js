@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * pubnft: deploy, mint, show, transfer, burn and estimate PublicationNFTs on
+ * Ethereum or Sui. See lib/pubnft.js for the options.
+ */
+
+const { run } = require("../lib/pubnft");
+
+run(process.argv.slice(2)).then((code) => process.exit(code));
@@ -0,0 +1,95 @@
+/**
+ * Chain backends for the pubnft command
+ *
+ * A backend adapts one chain to the interface the commands use, so each
+ * command (and each publication record) works the same on every chain:
+ *
+ *   chain, network, symbol       e.g. "ethereum", "sepolia", "ETH"
+ *   requiredFields               publication fields a mint needs
+ *   isValidAddress(address)      true for a recipient address of the chain
+ *   validatePublication(record)  validation errors (empty when valid)
+ *   getAccount()                 address of the signer
+ *   deploy()                     { id: contract address or package ID,
+ *                                  transaction, fee, registry: record file }
+ *   mint(recipient, record, { soulbound })
+ *                                { id: token ID or object ID, transaction, fee };
+ *                                soulbound tokens can never be transferred
+ *   show(id)                     { id, owner, soulbound, publication }
+ *   transfer(id, recipient)      { id, recipient, transaction, fee }
+ *   burn(id)                     { id, transaction, fee }
+ *   estimate(record)             { symbol, price, priceSource,
+ *                                  deployment: { amount, usd, measured },
+ *                                  mint: { amount, usd, measured } or null;
+ *                                  measured when the node couldn't estimate
+ *                                  and a measured amount was priced instead }
+ *
+ * Chains whose publications can be corrected after minting also have:
+ *
+ *   history(id)                  { id, frozen, versions: [{ version,
+ *                                  tokenUri, publication }], oldest first }
+ *   update(id, record)           { id, version, transaction, fee }
+ *   freeze(id)                   { id, transaction, fee }
+ *
+ * and chains with per-account permissions:
+ *
+ *   roles()                      { roles: [{ role, id, holders: [{ account,
+ *                                  grantedBy }] }] }
+ *   grantRole(role, account)     { role, account, transaction, fee }
+ *   revokeRole(role, account)    { role, account, transaction, fee }
+ *
+ * and chains with EIP-2981 sale royalties, in basis points of the sale price
+ * (id undefined for the collection-wide default):
+ *
+ *   royalty(id)                  { collection, token }, each { receiver,
+ *                                  basisPoints } or null
+ *   setRoyalty(id, receiver, basisPoints)
+ *                                { id, receiver, basisPoints, transaction, fee }
+ *   resetRoyalty(id)             { id, transaction, fee }
+ *
+ * and chains with an editorial status (active, corrected,
+ * expression-of-concern or retracted):
+ *
+ *   status(id)                   { id, status, reason }
+ *   setStatus(id, status, reason)
+ *                                { id, status, reason, transaction, fee }
+ *   listStatus(status)           { status, publications: [{ id, title, doi,
+ *                                  reason, burned }] }
+ *
+ * and chains with citations between publications, given as token IDs or
+ * DOIs:
+ *
+ *   citations(id)                { id, cites, citedBy }
+ *   cite(id, references)         { id, cited, transaction, fee }
+ *
+ * Fees and amounts are decimal strings in the chain's currency and
+ * publication dates are unix seconds on every chain. Backends may add
+ * chain-specific fields to their results.
+ */
+
+// Loaded on first use, so each chain only needs its own dependencies
+const BACKENDS = {
+  ethereum: () => require("../../ethereum/lib/backend").createEthereumBackend,
+  sui: () => require("../../sui/scripts/lib/backend").createSuiBackend,
+};
+
+const CHAINS = Object.keys(BACKENDS);
+
+/**
+ * Create the backend of a chain
+ * @param {string} chain - "ethereum" or "sui"
+ * @param {Object} options - { network, contract, fees, log }, see the backend
+ * @returns {Object} Backend
+ */
+function createBackend(chain, options = {}) {
+  if (!BACKENDS[chain]) {
+    throw new Error(
+      `Unknown chain "${chain}" (expected ${CHAINS.join(" or ")})`
+    );
+  }
+  return BACKENDS[chain]()(options);
+}
+
+module.exports = {
+  CHAINS,
+  createBackend,
+};
@@ -0,0 +1,881 @@
+/**
+ * pubnft subcommands
+ *
+ * Every command talks to the chain only through its backend (see
+ * backends.js), so the same flags and publication records work on Ethereum
+ * and Sui. Each command gets a context:
+ *   { backend, args, options: result of parseRunOptions, reporter }
+ * logs progress through the reporter and returns its result, which pubnft.js
+ * prints with --json.
+ */
+
+const readline = require("readline");
+const { parseValueFlags, toJson } = require("../../ethereum/lib/cli");
+const { readManifest } = require("../../ethereum/lib/manifest");
+const {
+  toUnixSeconds,
+  diffPublication,
+} = require("../../ethereum/lib/publication");
+const {
+  toIsoDate,
+  toBibtex,
+  toRis,
+  toCslJson,
+} = require("../../ethereum/lib/citation-export");
+const {
+  parseBasisPoints,
+  formatRoyalty,
+} = require("../../ethereum/lib/royalty");
+const { resolveStatus, statusLabel } = require("../../ethereum/lib/status");
+const { formatAuthors, promptAuthors } = require("../../ethereum/lib/authors");
+
+// Publication record fields, in prompt and review order
+const PUBLICATION_FIELDS = [
+  ["uri", "Token URI (https:// or ipfs://)"],
+  ["title", "Title"],
+  ["authors", "Authors"],
+  ["publicationDate", "Publication Date (YYYY-MM-DD or Unix seconds)"],
+  ["doi", "DOI"],
+  ["url", "Metadata URL (default: the token URI)"],
+  ["imageUrl", "Image URL"],
+  ["description", "Description"],
+  ["license", "License"],
+  ["field", "Field of Study"],
+  ["version", "Version"],
+  ["externalUrl", "External URL"],
+];
+
+const PUBLICATION_FLAGS = PUBLICATION_FIELDS.map(
+  ([name]) => `--${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`
+);
+
+function fieldLabel(label) {
+  return label.replace(/ \(.*\)$/, "");
+}
+
+function askQuestion(question) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Ask for confirmation, accepted without asking when non-interactive
+ */
+async function confirm(context, question) {
+  if (context.options.nonInteractive) {
+    return true;
+  }
+  const answer = await askQuestion(`${question} (y/N): `);
+  return ["y", "yes"].includes(answer.toLowerCase());
+}
+
+function rejectUnknown(args) {
+  if (args.length > 0) {
+    throw new Error(`Unknown arguments: ${args.join(" ")}`);
+  }
+}
+
+/**
+ * Read a publication record from --file and the field flags
+ * @param {Object} values - Flag values from parseValueFlags
+ * @returns {Object} Publication record
+ */
+function readPublicationInput(values) {
+  let publication = {};
+  if (values.file) {
+    const rows = readManifest(values.file);
+    const row = Number(values.row || 1);
+    if (!Number.isInteger(row) || row < 1 || row > rows.length) {
+      throw new Error(
+        `--row must be between 1 and ${rows.length} for ${values.file}`
+      );
+    }
+    publication = { ...rows[row - 1] };
+  }
+  for (const [name] of PUBLICATION_FIELDS) {
+    if (values[name] !== undefined) {
+      publication[name] = values[name];
+    }
+  }
+  return publication;
+}
+
+function checkPublication(backend, publication) {
+  const errors = backend.validatePublication(publication);
+  if (errors.length > 0) {
+    throw new Error(`Invalid publication: ${errors.join("; ")}`);
+  }
+  return publication;
+}
+
+/**
+ * Prompt for required fields the record is missing, then validate it
+ * @param {Object} context - Command context
+ * @param {Object} publication - Publication record from readPublicationInput
+ * @returns {Promise<Object>} Valid publication record
+ */
+async function completePublication(context, publication) {
+  const { backend, reporter } = context;
+  const missing = (record) =>
+    backend
+      .validatePublication(record)
+      .map((error) => (error.match(/^(\w+) is required$/) || [])[1])
+      .filter(Boolean);
+
+  if (!context.options.nonInteractive) {
+    for (const name of missing(publication)) {
+      const [, label] = PUBLICATION_FIELDS.find(([field]) => field === name);
+      for (;;) {
+        // Authors are asked one at a time
+        publication[name] =
+          name === "authors"
+            ? await promptAuthors(askQuestion, {
+                isValidWallet: backend.isValidAddress,
+              })
+            : await askQuestion(`Enter ${label}: `);
+        const [error] = backend
+          .validatePublication(publication)
+          .filter((message) => message.startsWith(`${name} `));
+        if (!error) {
+          break;
+        }
+        reporter.warn(`Error: ${error}`);
+      }
+    }
+  }
+
+  return checkPublication(backend, publication);
+}
+
+function checkAddress(backend, address, label) {
+  if (!address || !backend.isValidAddress(address)) {
+    throw new Error(`Invalid ${label} for ${backend.chain}: ${address}`);
+  }
+}
+
+async function deploy(context) {
+  const { backend, reporter } = context;
+  rejectUnknown(context.args);
+
+  reporter.log(
+    `🚀 Deploying PublicationNFT to ${backend.chain} ${backend.network}`
+  );
+  reporter.log("Deployer:", await backend.getAccount());
+  if (!(await confirm(context, "Proceed with the deployment?"))) {
+    reporter.log("Deployment cancelled.");
+    return null;
+  }
+
+  const result = await backend.deploy();
+  reporter.log("✅ Deployed:", result.id);
+  reporter.log("Transaction:", result.transaction);
+  reporter.log(`Fee: ${result.fee} ${backend.symbol}`);
+  if (result.registry) {
+    reporter.log("📝 Recorded in", result.registry);
+  }
+  return result;
+}
+
+async function mint(context) {
+  const { backend, reporter } = context;
+  const { values, args } = parseValueFlags(context.args, [
+    ...PUBLICATION_FLAGS,
+    "--recipient",
+    "--file",
+    "--row",
+    "--royalty-receiver",
+    "--royalty-bps",
+    "--references",
+  ]);
+  const soulbound = args.includes("--soulbound");
+  rejectUnknown(args.filter((arg) => arg !== "--soulbound"));
+
+  const input = readPublicationInput(values);
+  // A token's own royalty, overriding the collection default
+  for (const name of ["royaltyReceiver", "royaltyBps"]) {
+    if (values[name] !== undefined) {
+      input[name] = values[name];
+    }
+  }
+  // The token IDs and DOIs it cites
+  if (values.references !== undefined) {
+    input.references = values.references;
+  }
+  const publication = await completePublication(context, input);
+  const recipient = values.recipient || (await backend.getAccount());
+  checkAddress(backend, recipient, "recipient address");
+
+  reporter.log(`\n=== Mint on ${backend.chain} ${backend.network} ===`);
+  reporter.log("Recipient:", recipient);
+  for (const [name, label] of PUBLICATION_FIELDS) {
+    if (publication[name]) {
+      reporter.log(
+        `${fieldLabel(label)}:`,
+        formatValue(name, publication[name])
+      );
+    }
+  }
+  if (soulbound) {
+    reporter.log("Soulbound: yes (the recipient can never transfer it)");
+  }
+  if (publication.royaltyReceiver) {
+    reporter.log(
+      "Royalty:",
+      formatRoyalty({
+        receiver: publication.royaltyReceiver,
+        basisPoints: parseBasisPoints(publication.royaltyBps),
+      })
+    );
+  }
+  if (publication.references) {
+    reporter.log("References:", [].concat(publication.references).join("; "));
+  }
+  if (!(await confirm(context, "\nProceed with minting?"))) {
+    reporter.log("Minting cancelled.");
+    return null;
+  }
+
+  const result = await backend.mint(recipient, publication, { soulbound });
+  reporter.log("✅ Minted:", result.id);
+  reporter.log("Transaction:", result.transaction);
+  reporter.log(`Fee: ${result.fee} ${backend.symbol}`);
+  return {
+    ...result,
+    recipient,
+    soulbound,
+    publicationDate: toUnixSeconds(publication.publicationDate),
+  };
+}
+
+// Output formats of `show`
+const SHOW_FORMATS = {
+  table: formatTable,
+  json: (record) => toJson(record),
+  bibtex: (record, citation) => toBibtex(record.publication, citation).trim(),
+  ris: (record, citation) => toRis(record.publication, citation).trim(),
+  "csl-json": (record, citation) =>
+    toJson([toCslJson(record.publication, citation)]),
+};
+
+/**
+ * "Retracted (reason)" for a flagged publication, undefined while active
+ */
+function formatStatus({ status, statusReason }) {
+  if (!status || status === "active") {
+    return undefined;
+  }
+  return statusReason
+    ? `${statusLabel(status)} (${statusReason})`
+    : statusLabel(status);
+}
+
+/**
+ * Format a shown publication as aligned "Label: value" lines
+ */
+function formatTable(record) {
+  const rows = [
+    ["ID", record.id],
+    ["Chain", `${record.chain} ${record.network}`],
+    ["Owner", record.owner],
+    ["Soulbound", record.soulbound ? "yes" : undefined],
+    ["Royalty", record.royalty ? formatRoyalty(record.royalty) : undefined],
+    ["Status", formatStatus(record.publication)],
+    ["Token URI", record.tokenUri],
+    ...PUBLICATION_FIELDS.filter(([name]) => name !== "uri").map(
+      ([name, label]) => [
+        fieldLabel(label),
+        name === "authors"
+          ? formatAuthors(record.publication.authors)
+          : record.publication[name],
+      ]
+    ),
+  ].filter(([, value]) => value !== undefined && value !== "");
+  const width = Math.max(...rows.map(([label]) => label.length)) + 1;
+  return rows
+    .map(([label, value]) => `${`${label}:`.padEnd(width)} ${value}`)
+    .join("\n");
+}
+
+async function show(context) {
+  const { backend, reporter } = context;
+  const { values, args } = parseValueFlags(context.args, ["--format"]);
+  const [id, ...rest] = args;
+  rejectUnknown(rest);
+  if (!id) {
+    throw new Error("Usage: pubnft show <id> [--format <format>]");
+  }
+  const format = values.format || "table";
+  if (!SHOW_FORMATS[format]) {
+    throw new Error(
+      `Unknown format "${format}" (expected ${Object.keys(SHOW_FORMATS).join(
+        ", "
+      )})`
+    );
+  }
+
+  const shown = await backend.show(id);
+  const record = {
+    chain: backend.chain,
+    network: backend.network,
+    ...shown,
+    publication: {
+      ...shown.publication,
+      publicationDate: toIsoDate(shown.publication.publicationDate),
+    },
+  };
+  const citation = {
+    note: `PublicationNFT ${record.id} on ${record.chain} ${record.network}`,
+  };
+  const output = SHOW_FORMATS[format](record, citation);
+
+  reporter.log(output);
+  return format === "table" || format === "json"
+    ? record
+    : { ...record, citation: output };
+}
+
+function requireVersions(backend) {
+  if (!backend.history || !backend.update) {
+    throw new Error(`${backend.chain} publications can't be updated`);
+  }
+}
+
+function labelOf(name) {
+  const [, label] = PUBLICATION_FIELDS.find(([field]) => field === name);
+  return fieldLabel(label);
+}
+
+function formatValue(name, value) {
+  const text = name === "authors" ? formatAuthors(value) : value;
+  if (text === "" || text === undefined) {
+    return "(empty)";
+  }
+  return name === "publicationDate" ? toIsoDate(text) : text;
+}
+
+/**
+ * The fields of a version as a publication record, token URI included
+ */
+function versionRecord(version) {
+  return { uri: version.tokenUri, ...version.publication };
+}
+
+async function update(context) {
+  const { backend, reporter } = context;
+  const { values, args } = parseValueFlags(context.args, [
+    ...PUBLICATION_FLAGS,
+    "--file",
+    "--row",
+  ]);
+  const [id, ...rest] = args;
+  rejectUnknown(rest);
+  if (!id) {
+    throw new Error(
+      "Usage: pubnft update <id> [--file <manifest> [--row <n>]] [--<field> <value>...]"
+    );
+  }
+  requireVersions(backend);
+  const input = readPublicationInput(values);
+  if (Object.keys(input).length === 0) {
+    throw new Error(
+      "Nothing to update: give the corrected fields as --<field> flags or with --file"
+    );
+  }
+
+  const { frozen, versions } = await backend.history(id);
+  if (frozen) {
+    throw new Error(`Publication ${id} is frozen and can't be updated`);
+  }
+  const latest = versions[versions.length - 1];
+  const current = versionRecord(latest);
+  const publication = checkPublication(backend, { ...current, ...input });
+  const changes = diffPublication(current, publication);
+  if (changes.length === 0) {
+    throw new Error(`Publication ${id} already has these values`);
+  }
+
+  reporter.log(
+    `\n=== Update ${id} on ${backend.chain} ${backend.network} (version ${
+      latest.version
+    } -> ${latest.version + 1}) ===`
+  );
+  for (const { field, before, after } of changes) {
+    reporter.log(`${labelOf(field)}:`);
+    reporter.log(`  - ${formatValue(field, before)}`);
+    reporter.log(`  + ${formatValue(field, after)}`);
+  }
+  if (!(await confirm(context, "\nProceed with the update?"))) {
+    reporter.log("Update cancelled.");
+    return null;
+  }
+
+  const result = await backend.update(id, publication);
+  reporter.log(`✅ Updated ${result.id} to version ${result.version}`);
+  reporter.log("Transaction:", result.transaction);
+  reporter.log(`Fee: ${result.fee} ${backend.symbol}`);
+  return { ...result, changes };
+}
+
+async function history(context) {
+  const { backend, reporter } = context;
+  const [id, ...rest] = context.args;
+  rejectUnknown(rest);
+  if (!id) {
+    throw new Error("Usage: pubnft history <id>");
+  }
+  requireVersions(backend);
+
+  const result = await backend.history(id);
+  // The minted version in full, then what each update changed
+  let previous = {};
+  for (const version of result.versions) {
+    const record = versionRecord(version);
+    const minted = version.version === 0;
+    reporter.log(
+      minted ? "\nVersion 0 (minted)" : `\nVersion ${version.version}`
+    );
+    for (const [name] of PUBLICATION_FIELDS) {
+      const value = formatValue(name, record[name]);
+      if (
+        value !== formatValue(name, previous[name]) &&
+        (!minted || record[name])
+      ) {
+        reporter.log(`  ${labelOf(name)}: ${value}`);
+      }
+    }
+    previous = record;
+  }
+  if (result.frozen) {
+    reporter.log("\n🧊 Frozen: no further updates");
+  }
+  return result;
+}
+
+async function freeze(context) {
+  const { backend, reporter } = context;
+  const [id, ...rest] = context.args;
+  rejectUnknown(rest);
+  if (!id) {
+    throw new Error("Usage: pubnft freeze <id>");
+  }
+  if (!backend.freeze) {
+    throw new Error(`${backend.chain} publications can't be frozen`);
+  }
+
+  reporter.log(
+    `Freezing ${id} on ${backend.network}. Its publication can never be updated again.`
+  );
+  if (!(await confirm(context, "Proceed with freezing?"))) {
+    reporter.log("Freeze cancelled.");
+    return null;
+  }
+
+  const result = await backend.freeze(id);
+  reporter.log("🧊 Frozen. Transaction:", result.transaction);
+  reporter.log(`Fee: ${result.fee} ${backend.symbol}`);
+  return result;
+}
+
+async function roles(context) {
+  const { backend, reporter } = context;
+  const [action = "list", role, account, ...rest] = context.args;
+  rejectUnknown(rest);
+  if (!backend.roles) {
+    throw new Error(`${backend.chain} publications have no roles`);
+  }
+
+  if (action === "list") {
+    rejectUnknown([role, account].filter(Boolean));
+    const result = await backend.roles();
+    for (const { role: name, holders } of result.roles) {
+      reporter.log(`\n${name}:`);
+      if (holders.length === 0) {
+        reporter.log("  (none)");
+      }
+      for (const holder of holders) {
+        reporter.log(`  ${holder.account} (granted by ${holder.grantedBy})`);
+      }
+    }
+    return result;
+  }
+  if (action !== "grant" && action !== "revoke") {
+    throw new Error(
+      `Unknown roles action "${action}" (expected list, grant or revoke)`
+    );
+  }
+  if (!role) {
+    throw new Error(`Usage: pubnft roles ${action} <role> <address>`);
+  }
+  checkAddress(backend, account, "account address");
+
+  const granting = action === "grant";
+  reporter.log(
+    granting
+      ? `Granting ${role} to ${account} on ${backend.network}`
+      : `Revoking ${role} from ${account} on ${backend.network}`
+  );
+  if (!(await confirm(context, `Proceed with the ${action}?`))) {
+    reporter.log(`${granting ? "Grant" : "Revoke"} cancelled.`);
+    return null;
+  }
+
+  const result = granting
+    ? await backend.grantRole(role, account)
+    : await backend.revokeRole(role, account);
+  reporter.log(
+    `✅ ${granting ? "Granted" : "Revoked"}. Transaction:`,
+    result.transaction
+  );
+  reporter.log(`Fee: ${result.fee} ${backend.symbol}`);
+  return result;
+}
+
+async function status(context) {
+  const { backend, reporter } = context;
+  const { values, args } = parseValueFlags(context.args, ["--reason"]);
+  const [id, name, ...rest] = args;
+  rejectUnknown(rest);
+  if (!id) {
+    throw new Error(
+      "Usage: pubnft status <id> [<status> --reason <text|uri>] | pubnft status list [<status>]"
+    );
+  }
+  if (!backend.setStatus) {
+    throw new Error(`${backend.chain} publications have no status`);
+  }
+
+  if (id === "list") {
+    const result = await backend.listStatus(name || "retracted");
+    const label = statusLabel(result.status);
+    if (result.publications.length === 0) {
+      reporter.log(`No ${label.toLowerCase()} publications`);
+    }
+    for (const publication of result.publications) {
+      const title = publication.burned
+        ? "(burned)"
+        : `"${publication.title}"${
+            publication.doi ? ` doi:${publication.doi}` : ""
+          }`;
+      reporter.log(`${publication.id}: ${title}`);
+      if (publication.reason) {
+        reporter.log(`  ${label}: ${publication.reason}`);
+      }
+    }
+    return result;
+  }
+
+  if (!name) {
+    if (values.reason !== undefined) {
+      throw new Error(
+        "--reason needs a status: pubnft status <id> <status> --reason <text|uri>"
+      );
+    }
+    const result = await backend.status(id);
+    const shown = formatStatus({
+      status: result.status,
+      statusReason: result.reason,
+    });
+    reporter.log(`${id}: ${shown || "Active"}`);
+    return result;
+  }
+
+  const { name: target } = resolveStatus(name);
+  const reason = values.reason || "";
+  if (target !== "active" && !reason.trim()) {
+    throw new Error(
+      `Give the reason for the ${statusLabel(
+        target
+      ).toLowerCase()} status with --reason <text|uri>`
+    );
+  }
+  reporter.log(
+    `Marking ${id} as ${statusLabel(target).toLowerCase()} on ${
+      backend.network
+    }${reason ? `: ${reason}` : ""}`
+  );
+  if (!(await confirm(context, "Proceed with the status change?"))) {
+    reporter.log("Status change cancelled.");
+    return null;
+  }
+
+  const result = await backend.setStatus(id, target, reason);
+  reporter.log("✅ Status changed. Transaction:", result.transaction);
+  reporter.log(`Fee: ${result.fee} ${backend.symbol}`);
+  return result;
+}
+
+async function cite(context) {
+  const { backend, reporter } = context;
+  const [id, ...references] = context.args;
+  if (!id) {
+    throw new Error("Usage: pubnft cite <id> [<token-id|doi>...]");
+  }
+  if (!backend.cite) {
+    throw new Error(`${backend.chain} publications have no citations`);
+  }
+
+  if (references.length === 0) {
+    const result = await backend.citations(id);
+    reporter.log(
+      `${id} cites: ${
+        result.cites.length ? result.cites.join(", ") : "nothing"
+      }`
+    );
+    reporter.log(
+      `${id} is cited by: ${
+        result.citedBy.length ? result.citedBy.join(", ") : "nothing"
+      }`
+    );
+    return result;
+  }
+
+  reporter.log(
+    `Adding ${references.length} reference(s) to ${id} on ${
+      backend.network
+    }: ${references.join(", ")}`
+  );
+  if (!(await confirm(context, "Proceed with the citations?"))) {
+    reporter.log("Citations cancelled.");
+    return null;
+  }
+
+  const result = await backend.cite(id, references);
+  reporter.log("✅ Cited. Transaction:", result.transaction);
+  reporter.log(`Fee: ${result.fee} ${backend.symbol}`);
+  return result;
+}
+
+async function royalty(context) {
+  const { backend, reporter } = context;
+  const { values, args } = parseValueFlags(context.args, ["--token"]);
+  const [action = "show", receiver, basisPoints, ...rest] = args;
+  rejectUnknown(rest);
+  if (!backend.royalty) {
+    throw new Error(`${backend.chain} publications have no royalties`);
+  }
+  const id = values.token;
+  const target = id === undefined ? "the collection default" : `token ${id}`;
+
+  if (action === "show") {
+    rejectUnknown([receiver, basisPoints].filter(Boolean));
+    const result = await backend.royalty(id);
+    reporter.log("Collection default:", formatRoyalty(result.collection));
+    if (id !== undefined) {
+      reporter.log(`Token ${id}:`, formatRoyalty(result.token));
+    }
+    return result;
+  }
+  if (action !== "set" && action !== "reset") {
+    throw new Error(
+      `Unknown royalty action "${action}" (expected show, set or reset)`
+    );
+  }
+
+  const setting = action === "set";
+  let points;
+  if (setting) {
+    if (basisPoints === undefined) {
+      throw new Error(
+        "Usage: pubnft royalty set <receiver> <basis points|percent%> [--token <id>]"
+      );
+    }
+    checkAddress(backend, receiver, "royalty receiver");
+    points = parseBasisPoints(basisPoints);
+    reporter.log(
+      `Setting the royalty of ${target} to ${formatRoyalty({
+        receiver,
+        basisPoints: points,
+      })} on ${backend.network}`
+    );
+  } else {
+    rejectUnknown([receiver, basisPoints].filter(Boolean));
+    reporter.log(
+      id === undefined
+        ? `Removing the collection default royalty on ${backend.network}`
+        : `Resetting token ${id} to the collection default royalty on ${backend.network}`
+    );
+  }
+  if (!(await confirm(context, `Proceed with the royalty ${action}?`))) {
+    reporter.log(`Royalty ${action} cancelled.`);
+    return null;
+  }
+
+  const result = setting
+    ? await backend.setRoyalty(id, receiver, points)
+    : await backend.resetRoyalty(id);
+  reporter.log(
+    `✅ Royalty ${setting ? "set" : "reset"}. Transaction:`,
+    result.transaction
+  );
+  reporter.log(`Fee: ${result.fee} ${backend.symbol}`);
+  return result;
+}
+
+async function transfer(context) {
+  const { backend, reporter } = context;
+  const [id, recipient, ...rest] = context.args;
+  rejectUnknown(rest);
+  if (!id) {
+    throw new Error("Usage: pubnft transfer <id> <recipient>");
+  }
+  checkAddress(backend, recipient, "recipient address");
+
+  reporter.log(`Transferring ${id} to ${recipient} on ${backend.network}`);
+  if (!(await confirm(context, "Proceed with the transfer?"))) {
+    reporter.log("Transfer cancelled.");
+    return null;
+  }
+
+  const result = await backend.transfer(id, recipient);
+  reporter.log("✅ Transferred. Transaction:", result.transaction);
+  reporter.log(`Fee: ${result.fee} ${backend.symbol}`);
+  return result;
+}
+
+async function burn(context) {
+  const { backend, reporter } = context;
+  const [id, ...rest] = context.args;
+  rejectUnknown(rest);
+  if (!id) {
+    throw new Error("Usage: pubnft burn <id>");
+  }
+
+  reporter.log(`Burning ${id} on ${backend.network}. This can't be undone.`);
+  if (!(await confirm(context, "Proceed with burning?"))) {
+    reporter.log("Burn cancelled.");
+    return null;
+  }
+
+  const result = await backend.burn(id);
+  reporter.log("🔥 Burned. Transaction:", result.transaction);
+  reporter.log(`Fee: ${result.fee} ${backend.symbol}`);
+  return result;
+}
+
+async function estimate(context) {
+  const { backend, reporter } = context;
+  const { values, args } = parseValueFlags(context.args, [
+    ...PUBLICATION_FLAGS,
+    "--file",
+    "--row",
+  ]);
+  rejectUnknown(args);
+
+  // Without a publication the backend prices its sample record
+  const input = readPublicationInput(values);
+  const publication =
+    Object.keys(input).length > 0
+      ? checkPublication(backend, input)
+      : undefined;
+
+  reporter.log(`💰 Estimating costs on ${backend.chain} ${backend.network}...`);
+  const result = await backend.estimate(publication);
+  // Measured amounts stand in for nodes that can't estimate gas
+  const format = (cost) =>
+    `${cost.amount} ${result.symbol} ($${cost.usd.toFixed(2)})${
+      cost.measured ? " from gas measured on Hardhat, not estimated" : ""
+    }`;
+
+  reporter.log(
+    `\n💵 ${result.symbol} Price: $${result.price.toFixed(2)} (${
+      result.priceSource
+    })`
+  );
+  reporter.log("Deployment:", format(result.deployment));
+  reporter.log(
+    "Mint:",
+    result.mint ? format(result.mint) : "not estimated (nothing deployed)"
+  );
+  return result;
+}
+
+const COMMANDS = {
+  deploy: {
+    run: deploy,
+    usage: "deploy",
+    description: "Deploy the contract or publish the package",
+  },
+  mint: {
+    run: mint,
+    usage:
+      "mint [--file <manifest> [--row <n>]] [--<field> <value>...] [--recipient <address>] [--soulbound] [--royalty-receiver <address> --royalty-bps <n>] [--references <ids and DOIs>]",
+    description: "Mint a publication (prompts for missing required fields)",
+  },
+  show: {
+    run: show,
+    usage: "show <id> [--format table|json|bibtex|ris|csl-json]",
+    description: "Show a minted publication",
+  },
+  update: {
+    run: update,
+    usage: "update <id> [--file <manifest> [--row <n>]] [--<field> <value>...]",
+    description:
+      "Correct a publication, showing the changed fields before sending",
+  },
+  history: {
+    run: history,
+    usage: "history <id>",
+    description: "Show every version of a publication",
+  },
+  freeze: {
+    run: freeze,
+    usage: "freeze <id>",
+    description: "Freeze a publication so it can't be updated any more",
+  },
+  roles: {
+    run: roles,
+    usage: "roles [list | grant <role> <address> | revoke <role> <address>]",
+    description:
+      "List role holders, or grant or revoke admin, minter or metadata-editor",
+  },
+  status: {
+    run: status,
+    usage:
+      "status <id> [<status> --reason <text|uri>] | status list [<status>]",
+    description:
+      "Show or set a publication's status (active, corrected, expression-of-concern, retracted), or list the publications with one",
+  },
+  cite: {
+    run: cite,
+    usage: "cite <id> [<token-id|doi>...]",
+    description:
+      "Show what a publication cites and what cites it, or add references to it",
+  },
+  royalty: {
+    run: royalty,
+    usage:
+      "royalty [show | set <receiver> <basis points|percent%> | reset] [--token <id>]",
+    description:
+      "Show or change the EIP-2981 royalty of the collection or of one token",
+  },
+  transfer: {
+    run: transfer,
+    usage: "transfer <id> <recipient>",
+    description: "Transfer a publication NFT owned by the signer",
+  },
+  burn: {
+    run: burn,
+    usage: "burn <id>",
+    description:
+      "Burn a publication NFT owned by the signer, freeing its DOI on Ethereum",
+  },
+  estimate: {
+    run: estimate,
+    usage: "estimate [--file <manifest> [--row <n>]] [--<field> <value>...]",
+    description: "Estimate deployment and mint costs",
+  },
+};
+
+module.exports = {
+  PUBLICATION_FIELDS,
+  PUBLICATION_FLAGS,
+  COMMANDS,
+};
@@ -0,0 +1,122 @@
+/**
+ * The pubnft command: one interface for PublicationNFT on every chain
+ *
+ * Usage:
+ * pubnft <command> [--chain ethereum|sui] [--network <name>]
+ *   [--contract <address|package-id>] [--yes] [--json]
+ *   [--max-fee <gwei>] [--priority-fee <gwei>] [arguments]
+ *
+ * The chain defaults to PUBNFT_CHAIN, else ethereum. The network defaults to
+ * PUBNFT_NETWORK, else HARDHAT_NETWORK or hardhat on Ethereum and the Sui
+ * CLI's active environment on Sui. The contract (or package) is resolved from
+ * the chain's deployment registry unless --contract is given. --max-fee and
+ * --priority-fee only apply to Ethereum.
+ */
+
+const {
+  parseRunOptions,
+  parseValueFlags,
+  createReporter,
+} = require("../../ethereum/lib/cli");
+const { CHAINS, createBackend } = require("./backends");
+const { COMMANDS } = require("./commands");
+
+function usage() {
+  const lines = Object.values(COMMANDS).map(
+    (command) => `  pubnft ${command.usage}\n      ${command.description}`
+  );
+  return [
+    "Usage: pubnft <command> [--chain ethereum|sui] [--network <name>] [--contract <address>] [--yes] [--json]",
+    "",
+    "Commands:",
+    ...lines,
+  ].join("\n");
+}
+
+/**
+ * Choose the backend options from the global flags and the environment
+ * @param {Object} values - Values of --chain, --network and --contract
+ * @param {Object} env - Environment variables
+ * @returns {Object} { chain, network, contract }
+ */
+function resolveTarget(values, env) {
+  const chain = values.chain || env.PUBNFT_CHAIN || "ethereum";
+  if (!CHAINS.includes(chain)) {
+    throw new Error(
+      `Unknown chain "${chain}" (expected ${CHAINS.join(" or ")})`
+    );
+  }
+
+  let network = values.network || env.PUBNFT_NETWORK;
+  if (!network && chain === "ethereum") {
+    network = env.HARDHAT_NETWORK || "hardhat";
+  }
+  return { chain, network, contract: values.contract };
+}
+
+/**
+ * Run a pubnft command
+ * @param {string[]} argv - Arguments after `pubnft`
+ * @param {Object} io - { env, createBackend } (overridable for tests)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = {}) {
+  const { env = process.env, createBackend: makeBackend = createBackend } = io;
+  let options = { json: argv.includes("--json") };
+  let reporter = createReporter(options);
+
+  try {
+    options = parseRunOptions(argv, env);
+    reporter = createReporter(options);
+    const { values, args } = parseValueFlags(options.args, [
+      "--chain",
+      "--network",
+      "--contract",
+    ]);
+    const [name, ...commandArgs] = args;
+
+    if (!name || name === "help" || name === "--help" || name === "-h") {
+      console.log(usage());
+      return name ? 0 : 1;
+    }
+    const command = COMMANDS[name];
+    if (!command) {
+      throw new Error(`Unknown command "${name}"\n${usage()}`);
+    }
+
+    const { chain, network, contract } = resolveTarget(values, env);
+    const backend = makeBackend(chain, {
+      network,
+      contract,
+      fees: options.fees,
+      log: reporter.log,
+    });
+
+    const result = await command.run({
+      backend,
+      args: commandArgs,
+      options,
+      reporter,
+    });
+    if (result) {
+      reporter.result({
+        chain: backend.chain,
+        network: backend.network,
+        ...result,
+      });
+    }
+    return 0;
+  } catch (error) {
+    if (options.json) {
+      reporter.fail(error);
+    } else {
+      console.error(`❌ ${error.message}`);
+    }
+    return 1;
+  }
+}
+
+module.exports = {
+  resolveTarget,
+  run,
+};
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/// Editorial status of a publication, as in journals' correction notices
+enum PublicationStatus {
+    Active,
+    Corrected,
+    ExpressionOfConcern,
+    Retracted
+}
+
+/// An author of a publication
+struct Author {
+    string name;
+    // ORCID iD, e.g. "0000-0002-1825-0097" (empty without one)
+    string orcid;
+    // The author's own account (zero without one)
+    address wallet;
+}
+
+struct PublicationMetadata {
+    uint32 publicationDate;
+    PublicationStatus status;
+    bytes32 field;
+    bytes32 version;
+    string title;
+    // In author order
+    Author[] authors;
+    string doi;
+    string url;
+    string imageUrl;
+    string description;
+    string license;
+    string externalUrl;
+    // Notice or explanation of the status, e.g. the retraction notice URI
+    string statusReason;
+}
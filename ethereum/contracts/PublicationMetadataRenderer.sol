@@ -0,0 +1,204 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./PublicationMetadata.sol";
+
+/**
+ * @title PublicationMetadataRenderer
+ * @dev Renders PublicationNFT's on-chain token metadata
+ * PublicationNFT deploys it from its constructor and calls it from tokenURI,
+ * which keeps the JSON code out of PublicationNFT's own bytecode (capped at
+ * 24576 bytes by EIP-170).
+ */
+contract PublicationMetadataRenderer {
+    /**
+     * @dev Convert bytes32 to string
+     */
+    function bytes32ToString(bytes32 _bytes32) internal pure returns (string memory) {
+        uint8 i = 0;
+        while (i < 32 && _bytes32[i] != 0) {
+            i++;
+        }
+        bytes memory bytesArray = new bytes(i);
+        for (i = 0; i < 32 && _bytes32[i] != 0; i++) {
+            bytesArray[i] = _bytes32[i];
+        }
+        return string(bytesArray);
+    }
+
+    /**
+     * @dev Escape a string for use inside a JSON string literal
+     * Quotes, backslashes and control characters are escaped; UTF-8 sequences
+     * are valid JSON as-is and are copied unchanged.
+     */
+    function escapeJson(string memory value) internal pure returns (string memory) {
+        bytes memory input = bytes(value);
+        uint256 extra = 0;
+        for (uint256 i = 0; i < input.length; i++) {
+            if (input[i] == '"' || input[i] == "\\") {
+                extra += 1;
+            } else if (uint8(input[i]) < 0x20) {
+                extra += 5;
+            }
+        }
+        if (extra == 0) {
+            return value;
+        }
+
+        bytes16 hexDigits = "0123456789abcdef";
+        bytes memory output = new bytes(input.length + extra);
+        uint256 j = 0;
+        for (uint256 i = 0; i < input.length; i++) {
+            bytes1 char = input[i];
+            if (char == '"' || char == "\\") {
+                output[j++] = "\\";
+                output[j++] = char;
+            } else if (uint8(char) < 0x20) {
+                output[j++] = "\\";
+                output[j++] = "u";
+                output[j++] = "0";
+                output[j++] = "0";
+                output[j++] = hexDigits[uint8(char) >> 4];
+                output[j++] = hexDigits[uint8(char) & 0x0f];
+            } else {
+                output[j++] = char;
+            }
+        }
+        return string(output);
+    }
+
+    /**
+     * @dev Append a string attribute to a JSON attribute list, skipping empty values
+     */
+    function appendAttribute(
+        string memory attributes,
+        string memory traitType,
+        string memory value
+    ) internal pure returns (string memory) {
+        if (bytes(value).length == 0) {
+            return attributes;
+        }
+        return string.concat(
+            attributes,
+            '{"trait_type":"',
+            traitType,
+            '","value":"',
+            escapeJson(value),
+            '"},'
+        );
+    }
+
+    /**
+     * @dev Display name of a publication status
+     */
+    function statusLabel(PublicationStatus status) internal pure returns (string memory) {
+        if (status == PublicationStatus.Corrected) {
+            return "Corrected";
+        }
+        if (status == PublicationStatus.ExpressionOfConcern) {
+            return "Expression of Concern";
+        }
+        if (status == PublicationStatus.Retracted) {
+            return "Retracted";
+        }
+        return "Active";
+    }
+
+    /**
+     * @dev Render the authors as a display list of names ("Jane Doe, John
+     * Smith") and as JSON objects with their ORCID iD and wallet when they
+     * have one
+     */
+    function renderAuthors(Author[] memory authors)
+        internal
+        pure
+        returns (string memory names, string memory objects)
+    {
+        for (uint256 i = 0; i < authors.length; i++) {
+            string memory separator = i == 0 ? "" : ",";
+            names = string.concat(names, i == 0 ? "" : ", ", authors[i].name);
+            objects = string.concat(objects, separator, '{"name":"', escapeJson(authors[i].name), '"');
+            if (bytes(authors[i].orcid).length > 0) {
+                objects = string.concat(objects, ',"orcid":"', escapeJson(authors[i].orcid), '"');
+            }
+            if (authors[i].wallet != address(0)) {
+                objects = string.concat(
+                    objects,
+                    ',"wallet":"',
+                    Strings.toChecksumHexString(authors[i].wallet),
+                    '"'
+                );
+            }
+            objects = string.concat(objects, "}");
+        }
+    }
+
+    /**
+     * @dev Render a token's metadata JSON as a base64 data URI
+     * Mirrors the off-chain generator: name, description, image, external_url,
+     * authors and attributes, with the publication date as a date attribute.
+     * @param publication The token's publication
+     * @param royaltyReceiver The token's royalty receiver (zero without one)
+     * @param royaltyBasisPoints The token's royalty in basis points
+     */
+    function render(
+        PublicationMetadata memory publication,
+        address royaltyReceiver,
+        uint256 royaltyBasisPoints
+    ) external pure returns (string memory) {
+
+        (string memory names, string memory authors) = renderAuthors(publication.authors);
+        string memory attributes = appendAttribute("", "Authors", names);
+        attributes = appendAttribute(attributes, "DOI", publication.doi);
+        attributes = appendAttribute(attributes, "License", publication.license);
+        attributes = appendAttribute(attributes, "Field", bytes32ToString(publication.field));
+        attributes = appendAttribute(attributes, "Version", bytes32ToString(publication.version));
+        if (publication.status != PublicationStatus.Active) {
+            attributes = appendAttribute(attributes, "Status", statusLabel(publication.status));
+            attributes = appendAttribute(attributes, "Status Reason", publication.statusReason);
+        }
+        attributes = string.concat(
+            attributes,
+            '{"display_type":"date","trait_type":"Publication Date","value":',
+            Strings.toString(publication.publicationDate),
+            "}"
+        );
+
+        string memory externalUrl = publication.externalUrl;
+        if (bytes(externalUrl).length == 0 && bytes(publication.doi).length > 0) {
+            externalUrl = string.concat("https://doi.org/", publication.doi);
+        }
+
+        string memory json = string.concat(
+            '{"name":"',
+            escapeJson(publication.title),
+            '","description":"',
+            escapeJson(publication.description),
+            '","image":"',
+            escapeJson(publication.imageUrl),
+            '","external_url":"',
+            escapeJson(externalUrl),
+            '","authors":[',
+            authors,
+            '],"attributes":[',
+            attributes,
+            "]"
+        );
+
+        if (royaltyReceiver != address(0)) {
+            json = string.concat(
+                json,
+                ',"seller_fee_basis_points":',
+                Strings.toString(royaltyBasisPoints),
+                ',"fee_recipient":"',
+                Strings.toChecksumHexString(royaltyReceiver),
+                '"'
+            );
+        }
+        json = string.concat(json, "}");
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+}
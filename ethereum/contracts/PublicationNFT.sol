@@ -3,76 +3,365 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "./PublicationMetadata.sol";
+import "./PublicationMetadataRenderer.sol";
 
 /**
  * @title PublicationNFT
  * @dev ERC-721 NFT contract for published works with metadata storage
+ * Minting and metadata changes are granted per account with AccessControl
+ * roles; DEFAULT_ADMIN_ROLE grants and revokes them. Minters can also sign
+ * EIP-712 vouchers off-chain that anyone redeems later with redeemVoucher.
+ * Tokens minted with mintSoulboundPublication are locked to their owner
+ * (ERC-5192) and can never be transferred.
+ * Sale royalties follow EIP-2981: a collection-wide default that the admin
+ * sets, overridden per token at mint time or later. Metadata editors flag
+ * corrected, concerning and retracted publications with a status, and holders
+ * can burn their tokens. Publications cite other tokens or external DOIs, at
+ * mint time or appended later by a minter.
  */
-contract PublicationNFT is ERC721, ERC721URIStorage, Ownable {
+contract PublicationNFT is ERC721, ERC721URIStorage, ERC2981, AccessControl, EIP712 {
+    // May mint publications
+    bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
+
+    // May update and freeze publications and switch on-chain metadata
+    bytes32 public constant METADATA_EDITOR_ROLE = keccak256("METADATA_EDITOR_ROLE");
+
     uint256 private _nextTokenId;
 
+    // When true, tokenURI renders every token's metadata on-chain
+    bool public onChainMetadata;
+
+    // Renders on-chain metadata, deployed with this contract
+    PublicationMetadataRenderer public immutable renderer;
+
     // Mapping from token ID to publication metadata
     mapping(uint256 => PublicationMetadata) public publications;
 
-    struct PublicationMetadata {
-        uint32 publicationDate;
-        bytes32 field;
-        bytes32 version;
+    // Hash of the normalized DOI => token ID + 1 (0 when the DOI isn't minted)
+    mapping(bytes32 => uint256) private _doiTokenIds;
+
+    // Versions replaced by updatePublication, oldest first, and their token URIs
+    mapping(uint256 => PublicationMetadata[]) private _previousPublications;
+    mapping(uint256 => string[]) private _previousTokenURIs;
+
+    // Frozen tokens can no longer be updated
+    mapping(uint256 => bool) public frozen;
+
+    // Soulbound tokens (ERC-5192), locked from the mint on
+    mapping(uint256 => bool) private _locked;
+
+    // Voucher signer => nonce => redeemed
+    mapping(address => mapping(uint256 => bool)) private _redeemedVouchers;
+
+    // Citing token => cited tokens and cited external DOIs, in citation order
+    mapping(uint256 => uint256[]) private _citedTokens;
+    mapping(uint256 => string[]) private _citedDois;
+
+    // Cited token => tokens citing it, in citation order
+    mapping(uint256 => uint256[]) private _citingTokens;
+
+    // Citing token => citation key (see _cite) => already cited
+    mapping(uint256 => mapping(bytes32 => bool)) private _cites;
+
+    /// citedTokenId of Cited events for external DOIs
+    uint256 public constant EXTERNAL_CITATION = type(uint256).max;
+
+    bytes32 private constant MINT_VOUCHER_TYPEHASH =
+        keccak256(
+            "MintVoucher(address to,string uri,string title,Author[] authors,uint32 publicationDate,string doi,string url,string imageUrl,string description,string license,string field,string version,string externalUrl,uint256 nonce,uint256 expiry)Author(string name,string orcid,address wallet)"
+        );
+
+    bytes32 private constant AUTHOR_TYPEHASH =
+        keccak256("Author(string name,string orcid,address wallet)");
+
+    /// A minter's approval for anyone to mint a publication to `to`, signed
+    /// with EIP-712. The publication fields are the mintPublication arguments.
+    struct MintVoucher {
+        address to;
+        string uri;
         string title;
-        string authors;
+        Author[] authors;
+        uint32 publicationDate;
         string doi;
         string url;
         string imageUrl;
         string description;
         string license;
+        string field;
+        string version;
         string externalUrl;
+        // Any number the signer hasn't used in another voucher
+        uint256 nonce;
+        // Last valid timestamp (unix seconds)
+        uint256 expiry;
     }
 
     event PublicationMinted(
         uint256 indexed tokenId,
         address indexed owner,
         string title,
-        string authors
+        Author[] authors
+    );
+
+    /// One per author, in author order, when a publication is minted or
+    /// updated. Indexers filter by ORCID iD (its keccak256 topic) or wallet.
+    event AuthorCredited(
+        uint256 indexed tokenId,
+        string indexed orcid,
+        address indexed wallet,
+        uint256 position,
+        string name
     );
 
-    constructor(address initialOwner)
+    event OnChainMetadataSet(bool enabled);
+
+    event PublicationUpdated(uint256 indexed tokenId, uint256 version);
+
+    event PublicationFrozen(uint256 indexed tokenId);
+
+    event PublicationStatusChanged(
+        uint256 indexed tokenId,
+        PublicationStatus indexed status,
+        string reason
+    );
+
+    /// A publication cites a token, or an external DOI when citedTokenId is
+    /// EXTERNAL_CITATION
+    event Cited(uint256 indexed tokenId, uint256 indexed citedTokenId, string citedDoi);
+
+    /// ERC-5192: the token can no longer be transferred
+    event Locked(uint256 tokenId);
+
+    /// The collection-wide royalty changed (a zero receiver removes it)
+    event DefaultRoyaltySet(address receiver, uint96 basisPoints);
+
+    /// A token's own royalty changed (a zero receiver falls back to the default)
+    event TokenRoyaltySet(uint256 indexed tokenId, address receiver, uint96 basisPoints);
+
+    event VoucherRedeemed(
+        address indexed signer,
+        uint256 indexed nonce,
+        uint256 indexed tokenId
+    );
+
+    /// A token with the same normalized DOI already exists
+    error DuplicateDoi(string doi, uint256 tokenId);
+
+    /// No token has been minted with the DOI
+    error DoiNotFound(string doi);
+
+    /// The token's publication was frozen and can't be updated
+    error PublicationIsFrozen(uint256 tokenId);
+
+    /// The token has no such version
+    error VersionNotFound(uint256 tokenId, uint256 version);
+
+    /// The token is soulbound and can't be transferred
+    error TokenIsLocked(uint256 tokenId);
+
+    /// The voucher's expiry has passed
+    error VoucherExpired(uint256 expiry);
+
+    /// The voucher wasn't signed by an account with MINTER_ROLE
+    error InvalidVoucherSigner(address signer);
+
+    /// The signer's voucher with this nonce was already redeemed
+    error VoucherAlreadyRedeemed(address signer, uint256 nonce);
+
+    /// A publication can't cite itself or an empty DOI
+    error InvalidCitation(uint256 tokenId, uint256 citedTokenId, string citedDoi);
+
+    /// The publication already cites the token or DOI
+    error DuplicateCitation(uint256 tokenId, uint256 citedTokenId, string citedDoi);
+
+    /**
+     * @param initialAdmin Account given the admin, minter and metadata editor
+     *                     roles
+     */
+    constructor(address initialAdmin)
         ERC721("PublicationNFT", "PNFT")
-        Ownable(initialOwner)
-    {}
+        EIP712("PublicationNFT", "1")
+    {
+        _grantRole(DEFAULT_ADMIN_ROLE, initialAdmin);
+        _grantRole(MINTER_ROLE, initialAdmin);
+        _grantRole(METADATA_EDITOR_ROLE, initialAdmin);
+        renderer = new PublicationMetadataRenderer();
+    }
 
     /**
      * @dev Convert string to bytes32 (reverts if string is longer than 32 bytes)
      */
     function stringToBytes32(string memory source) internal pure returns (bytes32 result) {
-        assembly {
+        assembly ("memory-safe") {
             let len := mload(source)
             if gt(len, 32) { revert(0, 0) }
             result := mload(add(source, 32))
         }
     }
 
+    function isDoiSpace(bytes1 char) internal pure returns (bool) {
+        return char == " " || (char >= 0x09 && char <= 0x0d);
+    }
+
+    /**
+     * @dev Whether input[start:] begins with prefix, ignoring ASCII case
+     * prefix must be lower-case.
+     */
+    function startsWithIgnoreCase(
+        bytes memory input,
+        uint256 start,
+        uint256 end,
+        bytes memory prefix
+    ) internal pure returns (bool) {
+        if (end - start < prefix.length) {
+            return false;
+        }
+        for (uint256 i = 0; i < prefix.length; i++) {
+            bytes1 char = input[start + i];
+            if (char >= "A" && char <= "Z") {
+                char = bytes1(uint8(char) + 32);
+            }
+            if (char != prefix[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @dev Normalize a DOI to its bare, lower-case form
+     * Same rules as normalizeDoi in lib/publication.js: surrounding ASCII
+     * whitespace, one https://doi.org/ (http, dx.) prefix and then a doi:
+     * prefix are dropped, and A-Z are lower-cased.
+     * @param doi DOI, DOI URL or doi: URI
+     */
+    function normalizeDoi(string memory doi) public pure returns (string memory) {
+        bytes memory input = bytes(doi);
+        uint256 start = 0;
+        uint256 end = input.length;
+        while (start < end && isDoiSpace(input[start])) {
+            start++;
+        }
+        while (end > start && isDoiSpace(input[end - 1])) {
+            end--;
+        }
+
+        if (startsWithIgnoreCase(input, start, end, "https://doi.org/")) {
+            start += 16;
+        } else if (startsWithIgnoreCase(input, start, end, "http://doi.org/")) {
+            start += 15;
+        } else if (startsWithIgnoreCase(input, start, end, "https://dx.doi.org/")) {
+            start += 19;
+        } else if (startsWithIgnoreCase(input, start, end, "http://dx.doi.org/")) {
+            start += 18;
+        }
+        if (startsWithIgnoreCase(input, start, end, "doi:")) {
+            start += 4;
+            while (start < end && isDoiSpace(input[start])) {
+                start++;
+            }
+        }
+
+        bytes memory output = new bytes(end - start);
+        for (uint256 i = 0; i < output.length; i++) {
+            bytes1 char = input[start + i];
+            output[i] = char >= "A" && char <= "Z" ? bytes1(uint8(char) + 32) : char;
+        }
+        return string(output);
+    }
+
+    /**
+     * @dev Key of a DOI in the DOI index (zero for an empty DOI)
+     */
+    function doiKey(string memory doi) internal pure returns (bytes32) {
+        string memory normalized = normalizeDoi(doi);
+        if (bytes(normalized).length == 0) {
+            return bytes32(0);
+        }
+        return keccak256(bytes(normalized));
+    }
+
     /**
-     * @dev Convert bytes32 to string
+     * @dev Point a DOI at a token in the DOI index
+     * @param doi The DOI to index (nothing happens when it is empty)
+     * @param previousDoi The token's DOI until now, removed from the index
      */
-    function bytes32ToString(bytes32 _bytes32) internal pure returns (string memory) {
-        uint8 i = 0;
-        while (i < 32 && _bytes32[i] != 0) {
-            i++;
+    function indexDoi(uint256 tokenId, string memory doi, string memory previousDoi) internal {
+        bytes32 key = doiKey(doi);
+        bytes32 previousKey = doiKey(previousDoi);
+        if (key == previousKey) {
+            return;
         }
-        bytes memory bytesArray = new bytes(i);
-        for (i = 0; i < 32 && _bytes32[i] != 0; i++) {
-            bytesArray[i] = _bytes32[i];
+        if (key != bytes32(0)) {
+            uint256 existing = _doiTokenIds[key];
+            if (existing != 0) {
+                revert DuplicateDoi(doi, existing - 1);
+            }
+            _doiTokenIds[key] = tokenId + 1;
+        }
+        if (previousKey != bytes32(0)) {
+            delete _doiTokenIds[previousKey];
         }
-        return string(bytesArray);
+    }
+
+    /**
+     * @dev Build the stored form of a publication
+     */
+    function buildPublication(
+        string memory title,
+        Author[] memory authors,
+        uint32 publicationDate,
+        string memory doi,
+        string memory url,
+        string memory imageUrl,
+        string memory description,
+        string memory license,
+        string memory field,
+        string memory version,
+        string memory externalUrl
+    ) internal pure returns (PublicationMetadata memory) {
+        return PublicationMetadata({
+            title: title,
+            authors: authors,
+            publicationDate: publicationDate,
+            status: PublicationStatus.Active,
+            doi: doi,
+            url: url,
+            imageUrl: imageUrl,
+            description: description,
+            license: license,
+            field: stringToBytes32(field),
+            version: stringToBytes32(version),
+            externalUrl: externalUrl,
+            statusReason: ""
+        });
+    }
+
+    /**
+     * @dev Switch every token between its stored URI and on-chain metadata
+     * Tokens minted with an empty URI are always rendered on-chain.
+     * @param enabled True to render on-chain
+     */
+    function setOnChainMetadata(bool enabled) external onlyRole(METADATA_EDITOR_ROLE) {
+        onChainMetadata = enabled;
+        emit OnChainMetadataSet(enabled);
+        emit BatchMetadataUpdate(0, type(uint256).max);
     }
 
     /**
      * @dev Mint a new publication NFT
+     * Reverts with DuplicateDoi when a token already has the same normalized
+     * DOI. Publications without a DOI are not checked.
      * @param to The address that will own the minted token
-     * @param uri The metadata URI (IPFS or HTTP)
+     * @param uri The metadata URI (IPFS or HTTP), or empty to render on-chain
      * @param title The title of the publication
-     * @param authors The authors of the publication
+     * @param authors The authors, in order: name, optional ORCID iD and wallet
+     *                (ORCID checksums are checked off-chain, see lib/authors.js)
      * @param publicationDate The publication date (unix timestamp in seconds, fits in uint32)
      * @param doi The DOI of the publication
      * @param url The URL for the publication metadata
@@ -87,7 +376,7 @@ contract PublicationNFT is ERC721, ERC721URIStorage, Ownable {
         address to,
         string memory uri,
         string memory title,
-        string memory authors,
+        Author[] memory authors,
         uint32 publicationDate,
         string memory doi,
         string memory url,
@@ -97,30 +386,541 @@ contract PublicationNFT is ERC721, ERC721URIStorage, Ownable {
         string memory field,
         string memory version,
         string memory externalUrl
-    ) external onlyOwner returns (uint256) {
+    ) external onlyRole(MINTER_ROLE) returns (uint256) {
+        return _mintPublication(
+            to,
+            uri,
+            buildPublication(
+                title,
+                authors,
+                publicationDate,
+                doi,
+                url,
+                imageUrl,
+                description,
+                license,
+                field,
+                version,
+                externalUrl
+            ),
+            false,
+            new uint256[](0),
+            new string[](0)
+        );
+    }
+
+    /**
+     * @dev Mint a publication NFT with its own sale royalty
+     * Same as mintPublicationWithCitations; the royalty overrides the
+     * collection default for this token. Reverts with
+     * ERC2981InvalidTokenRoyalty above 10000 basis points and
+     * ERC2981InvalidTokenRoyaltyReceiver for a zero receiver.
+     * @param royaltyReceiver The address paid the royalty
+     * @param royaltyBasisPoints The royalty in basis points of the sale price
+     * @param citedTokenIds Tokens the publication cites
+     * @param citedDois DOIs the publication cites
+     */
+    function mintPublicationWithRoyalty(
+        address to,
+        string memory uri,
+        string memory title,
+        Author[] memory authors,
+        uint32 publicationDate,
+        string memory doi,
+        string memory url,
+        string memory imageUrl,
+        string memory description,
+        string memory license,
+        string memory field,
+        string memory version,
+        string memory externalUrl,
+        address royaltyReceiver,
+        uint96 royaltyBasisPoints,
+        uint256[] memory citedTokenIds,
+        string[] memory citedDois
+    ) external onlyRole(MINTER_ROLE) returns (uint256) {
+        uint256 tokenId = _mintPublication(
+            to,
+            uri,
+            buildPublication(
+                title,
+                authors,
+                publicationDate,
+                doi,
+                url,
+                imageUrl,
+                description,
+                license,
+                field,
+                version,
+                externalUrl
+            ),
+            false,
+            citedTokenIds,
+            citedDois
+        );
+        _setTokenRoyalty(tokenId, royaltyReceiver, royaltyBasisPoints);
+        emit TokenRoyaltySet(tokenId, royaltyReceiver, royaltyBasisPoints);
+        return tokenId;
+    }
+
+    /**
+     * @dev Mint a publication NFT with its references
+     * Same as mintPublication, then cites like addCitations.
+     * @param citedTokenIds Tokens the publication cites
+     * @param citedDois DOIs the publication cites
+     */
+    function mintPublicationWithCitations(
+        address to,
+        string memory uri,
+        string memory title,
+        Author[] memory authors,
+        uint32 publicationDate,
+        string memory doi,
+        string memory url,
+        string memory imageUrl,
+        string memory description,
+        string memory license,
+        string memory field,
+        string memory version,
+        string memory externalUrl,
+        uint256[] memory citedTokenIds,
+        string[] memory citedDois
+    ) external onlyRole(MINTER_ROLE) returns (uint256) {
+        return _mintPublication(
+            to,
+            uri,
+            buildPublication(
+                title,
+                authors,
+                publicationDate,
+                doi,
+                url,
+                imageUrl,
+                description,
+                license,
+                field,
+                version,
+                externalUrl
+            ),
+            false,
+            citedTokenIds,
+            citedDois
+        );
+    }
+
+    /**
+     * @dev Mint a soulbound publication NFT
+     * Same as mintPublicationWithCitations, but the token is locked to `to`
+     * for good (ERC-5192): every transfer reverts with TokenIsLocked.
+     * @param citedTokenIds Tokens the publication cites
+     * @param citedDois DOIs the publication cites
+     */
+    function mintSoulboundPublication(
+        address to,
+        string memory uri,
+        string memory title,
+        Author[] memory authors,
+        uint32 publicationDate,
+        string memory doi,
+        string memory url,
+        string memory imageUrl,
+        string memory description,
+        string memory license,
+        string memory field,
+        string memory version,
+        string memory externalUrl,
+        uint256[] memory citedTokenIds,
+        string[] memory citedDois
+    ) external onlyRole(MINTER_ROLE) returns (uint256) {
+        return _mintPublication(
+            to,
+            uri,
+            buildPublication(
+                title,
+                authors,
+                publicationDate,
+                doi,
+                url,
+                imageUrl,
+                description,
+                license,
+                field,
+                version,
+                externalUrl
+            ),
+            true,
+            citedTokenIds,
+            citedDois
+        );
+    }
+
+    /**
+     * @dev Mint a publication approved off-chain by a minter
+     * Anyone may send the voucher, usually its recipient, who pays the gas.
+     * Reverts with VoucherExpired after the expiry, InvalidVoucherSigner when
+     * the signer doesn't have MINTER_ROLE (any more), VoucherAlreadyRedeemed
+     * when the signer's nonce was used, and DuplicateDoi like mintPublication.
+     * @param voucher The signed voucher
+     * @param signature The signer's EIP-712 signature of the voucher
+     * @return The minted token ID
+     */
+    function redeemVoucher(MintVoucher memory voucher, bytes memory signature)
+        external
+        returns (uint256)
+    {
+        if (block.timestamp > voucher.expiry) {
+            revert VoucherExpired(voucher.expiry);
+        }
+        address signer = ECDSA.recover(hashVoucher(voucher), signature);
+        if (!hasRole(MINTER_ROLE, signer)) {
+            revert InvalidVoucherSigner(signer);
+        }
+        if (_redeemedVouchers[signer][voucher.nonce]) {
+            revert VoucherAlreadyRedeemed(signer, voucher.nonce);
+        }
+        // Marked before minting, which calls into the recipient
+        _redeemedVouchers[signer][voucher.nonce] = true;
+
+        uint256 tokenId = _mintPublication(
+            voucher.to,
+            voucher.uri,
+            buildPublication(
+                voucher.title,
+                voucher.authors,
+                voucher.publicationDate,
+                voucher.doi,
+                voucher.url,
+                voucher.imageUrl,
+                voucher.description,
+                voucher.license,
+                voucher.field,
+                voucher.version,
+                voucher.externalUrl
+            ),
+            false,
+            new uint256[](0),
+            new string[](0)
+        );
+        emit VoucherRedeemed(signer, voucher.nonce, tokenId);
+        return tokenId;
+    }
+
+    /**
+     * @dev EIP-712 digest a voucher signer signs
+     * @param voucher The voucher
+     */
+    function hashVoucher(MintVoucher memory voucher) public view returns (bytes32) {
+        // Two abi.encode calls keep the stack shallow; every member is one
+        // word, so their concatenation is the EIP-712 struct encoding
+        bytes memory publication = abi.encode(
+            MINT_VOUCHER_TYPEHASH,
+            voucher.to,
+            keccak256(bytes(voucher.uri)),
+            keccak256(bytes(voucher.title)),
+            hashAuthors(voucher.authors),
+            voucher.publicationDate,
+            keccak256(bytes(voucher.doi)),
+            keccak256(bytes(voucher.url))
+        );
+        bytes memory rest = abi.encode(
+            keccak256(bytes(voucher.imageUrl)),
+            keccak256(bytes(voucher.description)),
+            keccak256(bytes(voucher.license)),
+            keccak256(bytes(voucher.field)),
+            keccak256(bytes(voucher.version)),
+            keccak256(bytes(voucher.externalUrl)),
+            voucher.nonce,
+            voucher.expiry
+        );
+        return _hashTypedDataV4(keccak256(bytes.concat(publication, rest)));
+    }
+
+    /**
+     * @dev EIP-712 encoding of a voucher's Author[]: the hash of its members'
+     * struct hashes
+     */
+    function hashAuthors(Author[] memory authors) internal pure returns (bytes32) {
+        bytes32[] memory hashes = new bytes32[](authors.length);
+        for (uint256 i = 0; i < authors.length; i++) {
+            hashes[i] = keccak256(
+                abi.encode(
+                    AUTHOR_TYPEHASH,
+                    keccak256(bytes(authors[i].name)),
+                    keccak256(bytes(authors[i].orcid)),
+                    authors[i].wallet
+                )
+            );
+        }
+        return keccak256(abi.encodePacked(hashes));
+    }
+
+    /**
+     * @dev Whether a signer's voucher nonce has been redeemed
+     * @param signer The voucher signer
+     * @param nonce The voucher nonce
+     */
+    function isVoucherRedeemed(address signer, uint256 nonce) external view returns (bool) {
+        return _redeemedVouchers[signer][nonce];
+    }
+
+    /**
+     * @dev Mint a token with its publication, then cite its references
+     * @param soulbound Lock the token to `to` (ERC-5192)
+     * @param citedTokenIds Tokens the publication cites (see _addCitations)
+     * @param citedDois DOIs the publication cites
+     */
+    function _mintPublication(
+        address to,
+        string memory uri,
+        PublicationMetadata memory publication,
+        bool soulbound,
+        uint256[] memory citedTokenIds,
+        string[] memory citedDois
+    ) internal returns (uint256) {
         uint256 tokenId = _nextTokenId++;
+        indexDoi(tokenId, publication.doi, "");
+
+        // Locked before _safeMint calls into the recipient
+        _locked[tokenId] = soulbound;
         _safeMint(to, tokenId);
         _setTokenURI(tokenId, uri);
+        publications[tokenId] = publication;
+        if (soulbound) {
+            emit Locked(tokenId);
+        }
 
-        publications[tokenId] = PublicationMetadata({
-            title: title,
-            authors: authors,
-            publicationDate: publicationDate,
-            doi: doi,
-            url: url,
-            imageUrl: imageUrl,
-            description: description,
-            license: license,
-            field: stringToBytes32(field),
-            version: stringToBytes32(version),
-            externalUrl: externalUrl
-        });
-
-        emit PublicationMinted(tokenId, to, title, authors);
+        emit PublicationMinted(tokenId, to, publication.title, publication.authors);
+        emitAuthors(tokenId, publication.authors);
+        _addCitations(tokenId, citedTokenIds, citedDois);
 
         return tokenId;
     }
 
+    /**
+     * @dev Emit AuthorCredited for each author
+     */
+    function emitAuthors(uint256 tokenId, Author[] memory authors) internal {
+        for (uint256 i = 0; i < authors.length; i++) {
+            emit AuthorCredited(tokenId, authors[i].orcid, authors[i].wallet, i, authors[i].name);
+        }
+    }
+
+    /**
+     * @dev Correct a publication and its token URI
+     * The replaced version stays readable with getPublicationVersion. Takes
+     * the same publication arguments as mintPublication and emits ERC-4906
+     * MetadataUpdate. Reverts with PublicationIsFrozen after freeze, and with
+     * DuplicateDoi when the new DOI belongs to another token.
+     * @param tokenId The token to update
+     * @return version The number of the new version (the minted one is 0)
+     */
+    function updatePublication(
+        uint256 tokenId,
+        string memory uri,
+        string memory title,
+        Author[] memory authors,
+        uint32 publicationDate,
+        string memory doi,
+        string memory url,
+        string memory imageUrl,
+        string memory description,
+        string memory license,
+        string memory field,
+        string memory version,
+        string memory externalUrl
+    ) external onlyRole(METADATA_EDITOR_ROLE) returns (uint256) {
+        _requireOwned(tokenId);
+        if (frozen[tokenId]) {
+            revert PublicationIsFrozen(tokenId);
+        }
+        indexDoi(tokenId, doi, publications[tokenId].doi);
+
+        _previousPublications[tokenId].push(publications[tokenId]);
+        _previousTokenURIs[tokenId].push(super.tokenURI(tokenId));
+
+        // A correction keeps the publication's status
+        PublicationMetadata memory updated = buildPublication(
+            title,
+            authors,
+            publicationDate,
+            doi,
+            url,
+            imageUrl,
+            description,
+            license,
+            field,
+            version,
+            externalUrl
+        );
+        updated.status = publications[tokenId].status;
+        updated.statusReason = publications[tokenId].statusReason;
+        publications[tokenId] = updated;
+        _setTokenURI(tokenId, uri);
+        emitAuthors(tokenId, authors);
+
+        uint256 newVersion = _previousPublications[tokenId].length;
+        emit PublicationUpdated(tokenId, newVersion);
+        return newVersion;
+    }
+
+    /**
+     * @dev Freeze a publication so it can never be updated again
+     * @param tokenId The token to freeze
+     */
+    function freeze(uint256 tokenId) external onlyRole(METADATA_EDITOR_ROLE) {
+        _requireOwned(tokenId);
+        if (frozen[tokenId]) {
+            revert PublicationIsFrozen(tokenId);
+        }
+        frozen[tokenId] = true;
+        emit PublicationFrozen(tokenId);
+    }
+
+    /**
+     * @dev Flag a publication as corrected, under an expression of concern or
+     * retracted, or make it active again
+     * Works on frozen publications too: the record stays, its status changes.
+     * Emits ERC-4906 MetadataUpdate, as the metadata shows the status.
+     * @param tokenId The token to flag
+     * @param status The new status
+     * @param reason The notice or explanation, as text or a URI
+     */
+    function setPublicationStatus(
+        uint256 tokenId,
+        PublicationStatus status,
+        string memory reason
+    ) external onlyRole(METADATA_EDITOR_ROLE) {
+        _requireOwned(tokenId);
+        publications[tokenId].status = status;
+        publications[tokenId].statusReason = reason;
+        emit PublicationStatusChanged(tokenId, status, reason);
+        emit MetadataUpdate(tokenId);
+    }
+
+    /**
+     * @dev Append references to a publication
+     * A DOI that is minted is cited as its token. Reverts with
+     * InvalidCitation for the publication itself or an empty DOI,
+     * DuplicateCitation when it already cites the token or DOI and
+     * ERC721NonexistentToken for a cited token that doesn't exist.
+     * Emits Cited for every reference.
+     * @param tokenId The citing token
+     * @param citedTokenIds Tokens it cites
+     * @param citedDois DOIs it cites
+     */
+    function addCitations(
+        uint256 tokenId,
+        uint256[] memory citedTokenIds,
+        string[] memory citedDois
+    ) external onlyRole(MINTER_ROLE) {
+        _requireOwned(tokenId);
+        _addCitations(tokenId, citedTokenIds, citedDois);
+    }
+
+    /**
+     * @dev Cite tokens, then DOIs
+     */
+    function _addCitations(
+        uint256 tokenId,
+        uint256[] memory citedTokenIds,
+        string[] memory citedDois
+    ) internal {
+        for (uint256 i = 0; i < citedTokenIds.length; i++) {
+            _requireOwned(citedTokenIds[i]);
+            _cite(tokenId, citedTokenIds[i], "");
+        }
+        for (uint256 i = 0; i < citedDois.length; i++) {
+            bytes32 key = doiKey(citedDois[i]);
+            uint256 stored = key == bytes32(0) ? 0 : _doiTokenIds[key];
+            if (stored != 0) {
+                _cite(tokenId, stored - 1, "");
+            } else {
+                _cite(tokenId, EXTERNAL_CITATION, citedDois[i]);
+            }
+        }
+    }
+
+    /**
+     * @dev Record one reference; citedTokenId is EXTERNAL_CITATION for a DOI
+     */
+    function _cite(uint256 tokenId, uint256 citedTokenId, string memory citedDoi) internal {
+        bytes32 key = citedTokenId == EXTERNAL_CITATION
+            ? doiKey(citedDoi)
+            : keccak256(abi.encode(citedTokenId));
+        if (citedTokenId == tokenId || key == bytes32(0)) {
+            revert InvalidCitation(tokenId, citedTokenId, citedDoi);
+        }
+        if (_cites[tokenId][key]) {
+            revert DuplicateCitation(tokenId, citedTokenId, citedDoi);
+        }
+        _cites[tokenId][key] = true;
+        if (citedTokenId == EXTERNAL_CITATION) {
+            _citedDois[tokenId].push(citedDoi);
+        } else {
+            _citedTokens[tokenId].push(citedTokenId);
+            _citingTokens[citedTokenId].push(tokenId);
+        }
+        emit Cited(tokenId, citedTokenId, citedDoi);
+    }
+
+    /**
+     * @dev Burn a token
+     * Only its owner or an approved operator may; soulbound tokens can be
+     * burned too. Frees the DOI for a new mint and drops the publication, its
+     * previous versions, the frozen flag, the token's own royalty and its
+     * citations; getCitedBy no longer lists it.
+     * @param tokenId The token to burn
+     */
+    function burn(uint256 tokenId) external {
+        // Reverts with ERC721InsufficientApproval for anyone else
+        _update(address(0), tokenId, _msgSender());
+        indexDoi(tokenId, "", publications[tokenId].doi);
+        delete publications[tokenId];
+        delete _previousPublications[tokenId];
+        delete _previousTokenURIs[tokenId];
+        delete frozen[tokenId];
+        delete _locked[tokenId];
+        _resetTokenRoyalty(tokenId);
+        delete _citedTokens[tokenId];
+        delete _citedDois[tokenId];
+        delete _citingTokens[tokenId];
+    }
+
+    /**
+     * @dev Number of versions of a publication, the current one included
+     * @param tokenId The token ID
+     */
+    function publicationVersionCount(uint256 tokenId) external view returns (uint256) {
+        _requireOwned(tokenId);
+        return _previousPublications[tokenId].length + 1;
+    }
+
+    /**
+     * @dev Get a version of a publication with the token URI it had
+     * @param tokenId The token ID
+     * @param version 0 for the minted version up to publicationVersionCount - 1
+     *                for the current one
+     */
+    function getPublicationVersion(uint256 tokenId, uint256 version)
+        external
+        view
+        returns (PublicationMetadata memory publication, string memory uri)
+    {
+        _requireOwned(tokenId);
+        uint256 previous = _previousPublications[tokenId].length;
+        if (version < previous) {
+            return (
+                _previousPublications[tokenId][version],
+                _previousTokenURIs[tokenId][version]
+            );
+        }
+        if (version == previous) {
+            return (publications[tokenId], super.tokenURI(tokenId));
+        }
+        revert VersionNotFound(tokenId, version);
+    }
+
     /**
      * @dev Get publication metadata
      * @param tokenId The token ID
@@ -130,10 +930,151 @@ contract PublicationNFT is ERC721, ERC721URIStorage, Ownable {
         view
         returns (PublicationMetadata memory)
     {
-        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        _requireOwned(tokenId);
         return publications[tokenId];
     }
 
+    /**
+     * @dev References of a publication, in citation order
+     * @param tokenId The citing token
+     * @return tokenIds Tokens it cites
+     * @return dois External DOIs it cites, as given
+     */
+    function getCitations(uint256 tokenId)
+        external
+        view
+        returns (uint256[] memory tokenIds, string[] memory dois)
+    {
+        _requireOwned(tokenId);
+        return (_citedTokens[tokenId], _citedDois[tokenId]);
+    }
+
+    /**
+     * @dev Tokens citing a publication, in citation order
+     * Only citations by token ID (or by the DOI once it was minted) count.
+     * Burned citing tokens are left out.
+     * @param tokenId The cited token
+     */
+    function getCitedBy(uint256 tokenId) external view returns (uint256[] memory citedBy) {
+        _requireOwned(tokenId);
+        uint256[] storage citing = _citingTokens[tokenId];
+        uint256 count = 0;
+        for (uint256 i = 0; i < citing.length; i++) {
+            if (_ownerOf(citing[i]) != address(0)) {
+                count++;
+            }
+        }
+        citedBy = new uint256[](count);
+        count = 0;
+        for (uint256 i = 0; i < citing.length; i++) {
+            if (_ownerOf(citing[i]) != address(0)) {
+                citedBy[count++] = citing[i];
+            }
+        }
+    }
+
+    /**
+     * @dev ERC-5192: whether a token is soulbound
+     * @param tokenId The token ID
+     */
+    function locked(uint256 tokenId) external view returns (bool) {
+        _requireOwned(tokenId);
+        return _locked[tokenId];
+    }
+
+    /**
+     * @dev Set the royalty of every token without its own
+     * Reverts with ERC2981InvalidDefaultRoyalty above 10000 basis points and
+     * ERC2981InvalidDefaultRoyaltyReceiver for a zero receiver.
+     * @param receiver The address paid the royalty
+     * @param basisPoints The royalty in basis points of the sale price
+     */
+    function setDefaultRoyalty(address receiver, uint96 basisPoints)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        _setDefaultRoyalty(receiver, basisPoints);
+        emit DefaultRoyaltySet(receiver, basisPoints);
+        emit BatchMetadataUpdate(0, type(uint256).max);
+    }
+
+    /**
+     * @dev Remove the collection-wide royalty
+     */
+    function deleteDefaultRoyalty() external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _deleteDefaultRoyalty();
+        emit DefaultRoyaltySet(address(0), 0);
+        emit BatchMetadataUpdate(0, type(uint256).max);
+    }
+
+    /**
+     * @dev Give a token its own royalty, overriding the default
+     * Reverts like setDefaultRoyalty, with the token royalty errors.
+     * @param tokenId The token ID
+     * @param receiver The address paid the royalty
+     * @param basisPoints The royalty in basis points of the sale price
+     */
+    function setTokenRoyalty(uint256 tokenId, address receiver, uint96 basisPoints)
+        external
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        _requireOwned(tokenId);
+        _setTokenRoyalty(tokenId, receiver, basisPoints);
+        emit TokenRoyaltySet(tokenId, receiver, basisPoints);
+        emit MetadataUpdate(tokenId);
+    }
+
+    /**
+     * @dev Drop a token's own royalty so the default applies again
+     * @param tokenId The token ID
+     */
+    function resetTokenRoyalty(uint256 tokenId) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        _requireOwned(tokenId);
+        _resetTokenRoyalty(tokenId);
+        emit TokenRoyaltySet(tokenId, address(0), 0);
+        emit MetadataUpdate(tokenId);
+    }
+
+    /**
+     * @dev The collection-wide royalty
+     * Token IDs count up from 0 and token royalties are only set on existing
+     * tokens, so the last ID never has a royalty of its own.
+     * @return receiver The address paid the royalty (zero when there is none)
+     * @return basisPoints The royalty in basis points of the sale price
+     */
+    function defaultRoyalty() external view returns (address receiver, uint256 basisPoints) {
+        return royaltyInfo(type(uint256).max, _feeDenominator());
+    }
+
+    /**
+     * @dev Find the token minted with a DOI
+     * Reverts with DoiNotFound when no token has it.
+     * @param doi DOI in any form normalizeDoi accepts
+     */
+    function tokenIdByDoi(string memory doi) external view returns (uint256) {
+        bytes32 key = doiKey(doi);
+        uint256 stored = key == bytes32(0) ? 0 : _doiTokenIds[key];
+        if (stored == 0) {
+            revert DoiNotFound(doi);
+        }
+        return stored - 1;
+    }
+
+    /**
+     * @dev Reject transfers of soulbound tokens; mints and burns still pass
+     */
+    function _update(address to, uint256 tokenId, address auth)
+        internal
+        override
+        returns (address)
+    {
+        address from = _ownerOf(tokenId);
+        if (_locked[tokenId] && from != address(0) && to != address(0)) {
+            revert TokenIsLocked(tokenId);
+        }
+        return super._update(to, tokenId, auth);
+    }
+
     // The following functions are overrides required by Solidity.
 
     function tokenURI(uint256 tokenId)
@@ -142,15 +1083,22 @@ contract PublicationNFT is ERC721, ERC721URIStorage, Ownable {
         override(ERC721, ERC721URIStorage)
         returns (string memory)
     {
-        return super.tokenURI(tokenId);
+        string memory uri = super.tokenURI(tokenId);
+        if (onChainMetadata || bytes(uri).length == 0) {
+            // Royalty in basis points: royaltyInfo of a 10000 wei sale
+            (address receiver, uint256 basisPoints) = royaltyInfo(tokenId, _feeDenominator());
+            return renderer.render(publications[tokenId], receiver, basisPoints);
+        }
+        return uri;
     }
 
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721, ERC721URIStorage)
+        override(ERC721, ERC721URIStorage, ERC2981, AccessControl)
         returns (bool)
     {
-        return super.supportsInterface(interfaceId);
+        // ERC-5192 (locked(uint256))
+        return interfaceId == 0xb45a3c0e || super.supportsInterface(interfaceId);
     }
 }
@@ -1,5 +1,5 @@
 require("@nomicfoundation/hardhat-toolbox");
-require("dotenv").config();
+require("dotenv").config({ quiet: true });
 
 const bip39 = require("bip39");
 const { hdkey } = require("@ethereumjs/wallet");
@@ -36,9 +36,10 @@ function derivePrivateKeyFromSeed(seedPhrase, accountIndex = 0) {
  * @returns {string[]} Array of private keys
  */
 function getAccounts(networkName) {
+  // Diagnostics go to stderr so scripts' --json output on stdout stays parseable
   // First try to get private key directly from env
   if (process.env.PRIVATE_KEY && process.env.PRIVATE_KEY.length === 64) {
-    console.log(`🔑 Using direct private key for ${networkName}`);
+    console.error(`🔑 Using direct private key for ${networkName}`);
     return [process.env.PRIVATE_KEY];
   }
 
@@ -49,7 +50,7 @@ function getAccounts(networkName) {
       const derived = hdKey.derivePath("m/44'/60'/0'/0/0");
       const wallet = derived.getWallet();
       const privateKey = wallet.getPrivateKeyString();
-      console.log(`🔑 Derived private key from seed phrase for ${networkName}`);
+      console.error(`🔑 Derived private key from seed phrase for ${networkName}`);
       return [privateKey.slice(2)]; // Remove 0x prefix
     } catch (error) {
       console.error(
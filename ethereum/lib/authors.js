@@ -0,0 +1,350 @@
+/**
+ * Structured author lists with ORCID iDs
+ *
+ * A publication's authors are an ordered list of
+ * { name, orcid: ORCID iD or "", wallet: address or "" }, stored on-chain in
+ * that order. Publication records and manifest rows may also give them as a
+ * string: authors separated by semicolons (or by commas when there is no
+ * semicolon), each followed by its ORCID iD and wallet in parentheses, e.g.
+ * "Jane Doe (0000-0002-1825-0097); John Smith (0x7099...79C8)".
+ * ORCID iDs may be given as https://orcid.org/ URLs and are checked against
+ * their ISO 7064 MOD 11-2 check digit; the contract doesn't check them.
+ *
+ * Usage:
+ * const { parseAuthors, formatAuthors } = require("./lib/authors");
+ * const authors = parseAuthors("Jane Doe (0000-0002-1825-0097), John Smith");
+ * formatAuthors(authors); // back to the string form
+ */
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const ORCID_URL = "https://orcid.org/";
+const ORCID_PATTERN = /^\d{4}-\d{4}-\d{4}-\d{3}[\dX]$/;
+
+// Identifiers recognised in an author's parentheses
+const ORCID_LIKE =
+  /^(https?:\/\/(www\.)?orcid\.org\/)?(\d{4}-?){3}\d{3}[\dXx]$/;
+const WALLET_LIKE = /^0x[0-9a-fA-F]+$/;
+
+function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    (typeof value === "string" && value.trim() === "") ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+/**
+ * Normalize an ORCID iD to its hyphenated form
+ * @param {string} orcid - ORCID iD or orcid.org URL, with or without hyphens
+ * @returns {string} e.g. "0000-0002-1825-0097" (trimmed input when it isn't
+ *   16 characters)
+ */
+function normalizeOrcid(orcid) {
+  const text = String(orcid || "").trim();
+  const compact = text
+    .replace(/^https?:\/\/(www\.)?orcid\.org\//i, "")
+    .replace(/-/g, "")
+    .toUpperCase();
+  if (!/^\d{15}[\dX]$/.test(compact)) {
+    return text;
+  }
+  return compact.match(/.{4}/g).join("-");
+}
+
+/**
+ * ISO 7064 MOD 11-2 check digit of an ORCID iD
+ * @param {string} digits - The first 15 digits
+ * @returns {string} "0"-"9" or "X"
+ */
+function orcidCheckDigit(digits) {
+  let total = 0;
+  for (const digit of digits) {
+    total = (total + Number(digit)) * 2;
+  }
+  const result = (12 - (total % 11)) % 11;
+  return result === 10 ? "X" : String(result);
+}
+
+/**
+ * Describe what is wrong with an ORCID iD
+ * @param {string} orcid - Normalized ORCID iD (see normalizeOrcid)
+ * @returns {string|null} Error, or null when the iD is valid
+ */
+function orcidError(orcid) {
+  if (!ORCID_PATTERN.test(orcid)) {
+    return `"${orcid}" is not an ORCID iD (expected 0000-0000-0000-000X)`;
+  }
+  const digits = orcid.replace(/-/g, "");
+  const expected = orcidCheckDigit(digits.slice(0, 15));
+  if (digits[15] !== expected) {
+    return `ORCID iD ${orcid} has the wrong check digit (expected ${expected})`;
+  }
+  return null;
+}
+
+/**
+ * Whether a value is a valid ORCID iD, checksum included
+ * @param {string} orcid - ORCID iD or orcid.org URL
+ */
+function isValidOrcid(orcid) {
+  return orcidError(normalizeOrcid(orcid)) === null;
+}
+
+// Split on separators outside parentheses
+function splitOutsideParentheses(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+  for (const char of text) {
+    if (char === "(") {
+      depth++;
+    } else if (char === ")" && depth > 0) {
+      depth--;
+    }
+    if (char === separator && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+  return parts.map((part) => part.trim()).filter(Boolean);
+}
+
+/**
+ * Read "Name (orcid, wallet)"; parentheses holding anything but an ORCID iD
+ * or an address belong to the name
+ */
+function parseAuthorText(text) {
+  const match = /^(.*?)\s*\(([^()]*)\)$/.exec(text);
+  const identifiers = match ? match[2].split(/[\s,]+/).filter(Boolean) : [];
+  if (
+    identifiers.length === 0 ||
+    !identifiers.every((id) => ORCID_LIKE.test(id) || WALLET_LIKE.test(id))
+  ) {
+    return { name: text, orcid: "", wallet: "" };
+  }
+  return {
+    name: match[1],
+    orcid: identifiers.filter((id) => ORCID_LIKE.test(id)).join(" "),
+    wallet: identifiers.filter((id) => !ORCID_LIKE.test(id)).join(" "),
+  };
+}
+
+/**
+ * Read an author list without checking it
+ * @param {string|Array} value - Authors, see parseAuthors
+ * @returns {Object[]} Trimmed { name, orcid, wallet } entries as given
+ */
+function readAuthors(value) {
+  if (isBlank(value)) {
+    return [];
+  }
+  let entries;
+  if (Array.isArray(value)) {
+    entries = value.map((item) =>
+      typeof item === "string" ? parseAuthorText(item.trim()) : item || {}
+    );
+  } else {
+    const text = String(value);
+    const separator = splitOutsideParentheses(text, ";").length > 1 ? ";" : ",";
+    entries = splitOutsideParentheses(text, separator).map(parseAuthorText);
+  }
+  return entries.map((entry) => {
+    const wallet = String(entry.wallet || "").trim();
+    return {
+      name: String(entry.name || "").trim(),
+      orcid: normalizeOrcid(entry.orcid),
+      // The zero address counts as none
+      wallet: /^0x0+$/.test(wallet) ? "" : wallet,
+    };
+  });
+}
+
+/**
+ * Parse and check an author list
+ * @param {string|Array} value - Authors, see the module comment; array items
+ *   are { name, orcid, wallet } objects or strings
+ * @param {Object} options - { isValidWallet: address check of the chain
+ *   (default: any 0x-prefixed hex) }
+ * @returns {Object[]} { name, orcid, wallet } in author order, trimmed, with
+ *   ORCID iDs normalized and "" for missing identifiers
+ */
+function parseAuthors(value, options = {}) {
+  const { isValidWallet = (wallet) => WALLET_LIKE.test(wallet) } = options;
+  const orcids = new Set();
+  return readAuthors(value).map((author, index) => {
+    const { name, orcid, wallet } = author;
+    const label = name ? `Author "${name}"` : `Author ${index + 1}`;
+    if (!name) {
+      throw new Error(`${label} has no name`);
+    }
+    if (orcid) {
+      const error = orcidError(orcid);
+      if (error) {
+        throw new Error(`${label}: ${error}`);
+      }
+      if (orcids.has(orcid)) {
+        throw new Error(`${label}: ORCID iD ${orcid} is given twice`);
+      }
+      orcids.add(orcid);
+    }
+    if (wallet && !isValidWallet(wallet)) {
+      throw new Error(`${label}: wallet must be an address, got ${wallet}`);
+    }
+    return author;
+  });
+}
+
+/**
+ * Validate the authors of a publication record
+ * @param {Object} record - Publication record or manifest row
+ * @param {Object} options - { isValidWallet }, see parseAuthors
+ * @returns {string[]} Errors (empty when valid or without authors)
+ */
+function validateAuthors(record, options = {}) {
+  try {
+    parseAuthors(record && record.authors, options);
+    return [];
+  } catch (error) {
+    return [`authors: ${error.message}`];
+  }
+}
+
+/**
+ * Display names of an author list
+ * Like formatAuthors, it reads lists without checking them.
+ * @param {string|Array} authors - Authors, see parseAuthors
+ * @returns {string} e.g. "Jane Doe, John Smith"
+ */
+function authorNames(authors) {
+  return readAuthors(authors)
+    .map((author) => author.name)
+    .join(", ");
+}
+
+/**
+ * Format an author list as the string parseAuthors reads
+ * Authors are separated by semicolons when a name has a comma.
+ * @param {string|Array} authors - Authors, see parseAuthors
+ * @returns {string} e.g. "Jane Doe (0000-0002-1825-0097), John Smith"
+ */
+function formatAuthors(authors) {
+  const parsed = readAuthors(authors);
+  const separator = parsed.some((author) => /[,;]/.test(author.name))
+    ? "; "
+    : ", ";
+  return parsed
+    .map(({ name, orcid, wallet }) => {
+      const identifiers = [orcid, wallet].filter(Boolean);
+      return identifiers.length > 0
+        ? `${name} (${identifiers.join(", ")})`
+        : name;
+    })
+    .join(separator);
+}
+
+/**
+ * Convert an author list to the contract's Author[] argument
+ * @param {string|Array} authors - Authors, see parseAuthors
+ * @returns {Object[]} { name, orcid, wallet } with the zero address for
+ *   authors without a wallet
+ */
+function toAuthorArgs(authors) {
+  return parseAuthors(authors).map(({ name, orcid, wallet }) => ({
+    name,
+    orcid,
+    wallet: wallet || ZERO_ADDRESS,
+  }));
+}
+
+/**
+ * Convert Author structs read from a contract or an event
+ * @param {Array} raw - Author[] with name, orcid and wallet members
+ * @returns {Object[]} { name, orcid, wallet: "" for the zero address }
+ */
+function decodeAuthors(raw) {
+  return Array.from(raw || [], ({ name, orcid, wallet }) => ({
+    name,
+    orcid,
+    wallet: /^0x0*$/.test(wallet) ? "" : wallet,
+  }));
+}
+
+/**
+ * Ask for the authors one at a time, in order
+ * Each author's ORCID iD and wallet are optional and asked again until they
+ * are valid; an empty name ends the list once it has an author.
+ * @param {Function} ask - (question) => Promise of the answer
+ * @param {Object} options - { isValidWallet, see parseAuthors; log: shows a
+ *   rejected answer (default: console.log) }
+ * @returns {Promise<Object[]>} Authors as parseAuthors returns them
+ */
+async function promptAuthors(ask, options = {}) {
+  const { log = console.log } = options;
+  const authors = [];
+  // Check an answer against the authors given so far
+  const check = (author) => {
+    try {
+      return parseAuthors([...authors, author], options).pop();
+    } catch (error) {
+      log(`Error: ${error.message}`);
+      return null;
+    }
+  };
+
+  for (;;) {
+    const position = authors.length + 1;
+    const name = (
+      await ask(
+        authors.length === 0
+          ? `Author ${position} name: `
+          : `Author ${position} name (empty to finish): `
+      )
+    ).trim();
+    if (!name) {
+      if (authors.length > 0) {
+        return authors;
+      }
+      log("Error: at least one author is required");
+      continue;
+    }
+
+    let author = { name, orcid: "", wallet: "" };
+    for (;;) {
+      const orcid = await ask("  ORCID iD (optional): ");
+      const checked = check({ ...author, orcid });
+      if (checked) {
+        author = checked;
+        break;
+      }
+    }
+    for (;;) {
+      const wallet = await ask("  Wallet address (optional): ");
+      const checked = check({ ...author, wallet });
+      if (checked) {
+        author = checked;
+        break;
+      }
+    }
+    authors.push(author);
+  }
+}
+
+module.exports = {
+  ORCID_URL,
+  normalizeOrcid,
+  orcidCheckDigit,
+  isValidOrcid,
+  readAuthors,
+  parseAuthors,
+  validateAuthors,
+  authorNames,
+  formatAuthors,
+  toAuthorArgs,
+  decodeAuthors,
+  promptAuthors,
+};
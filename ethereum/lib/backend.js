@@ -0,0 +1,516 @@
+/**
+ * Ethereum backend for the pubnft command
+ *
+ * Implements the chain-agnostic backend interface (see cli/lib/backends.js)
+ * on top of Hardhat and the PublicationNFT contract. Publication records are
+ * the same ones the Sui backend takes; dates stay in unix seconds here.
+ *
+ * Hardhat picks its network when it is first required, so the backend loads
+ * it lazily with HARDHAT_NETWORK set to the requested network.
+ */
+
+const path = require("path");
+const {
+  REQUIRED_FIELDS,
+  isValidAddress,
+  validatePublication,
+  toMintArgs,
+} = require("./publication");
+const {
+  getDeployedPublicationContract,
+  mintPublication,
+  updatePublication,
+  getPublicationVersions,
+  getPublication,
+  revertErrorName,
+} = require("./publication-client");
+const { readDeployment, recordDeployment } = require("./deployments");
+const { resolveRole, listRoleHolders } = require("./roles");
+const { validateRoyalty, parseBasisPoints, getRoyalty } = require("./royalty");
+const {
+  validateReferences,
+  addCitations,
+  getCitations,
+} = require("./references");
+const {
+  resolveStatus,
+  setPublicationStatus,
+  listByStatus,
+} = require("./status");
+const { buildFeeOverrides, describeFees } = require("./fees");
+const { createOracleFromEnv } = require("./oracle");
+const {
+  SAMPLE_PUBLICATION,
+  MEASURED_GAS,
+  estimateGasOrMeasured,
+  estimateCost,
+} = require("./cost");
+
+/**
+ * Load the Hardhat runtime for a network
+ * @param {string} network - Network name from hardhat.config.js
+ * @returns {Object} Hardhat runtime environment
+ */
+function loadHardhat(network) {
+  process.env.HARDHAT_NETWORK = network;
+  if (!process.env.HARDHAT_CONFIG) {
+    process.env.HARDHAT_CONFIG = path.join(
+      __dirname,
+      "..",
+      "hardhat.config.js"
+    );
+  }
+  const hre = require("hardhat");
+  if (hre.network.name !== network) {
+    throw new Error(
+      `Hardhat is already loaded for ${hre.network.name}, not ${network}`
+    );
+  }
+  return hre;
+}
+
+/**
+ * Create the Ethereum backend
+ * @param {Object} options - { network, contract: address overriding the
+ *   registry (default: CONTRACT_ADDRESS), fees: --max-fee/--priority-fee caps
+ *   in wei, log: progress output, hre: an already loaded runtime }
+ * @returns {Object} Backend
+ */
+function createEthereumBackend(options = {}) {
+  const { fees = {}, log = () => {} } = options;
+  let { contract: address = process.env.CONTRACT_ADDRESS } = options;
+  const hre = options.hre || loadHardhat(options.network);
+  const network = hre.network.name;
+
+  async function getSigner() {
+    const [signer] = await hre.ethers.getSigners();
+    if (!signer) {
+      throw new Error(
+        `No signer for ${network}. Set PRIVATE_KEY or SEED_PHRASE.`
+      );
+    }
+    return signer;
+  }
+
+  async function feeOverrides() {
+    const chosen = await buildFeeOverrides(hre.ethers.provider, fees);
+    log(describeFees(chosen));
+    return chosen.overrides;
+  }
+
+  async function resolveContract(runner) {
+    const resolved = await getDeployedPublicationContract(network, runner, {
+      address,
+    });
+    resolved.warnings.forEach((warning) => log(`⚠️  ${warning}`));
+    return resolved;
+  }
+
+  async function getContract(runner) {
+    return (await resolveContract(runner)).contract;
+  }
+
+  async function changeRole(grant, role, account) {
+    const { name, id } = resolveRole(role);
+    const contract = await getContract(await getSigner());
+    const hasRole = await contract.hasRole(id, account);
+    if (grant === hasRole) {
+      throw new Error(
+        `${account} ${grant ? "already has" : "doesn't have"} the ${name} role`
+      );
+    }
+    const send = grant ? contract.grantRole : contract.revokeRole;
+    const tx = await send(id, account, await feeOverrides());
+    const receipt = await tx.wait();
+    return {
+      role: name,
+      account,
+      transaction: tx.hash,
+      gasUsed: receipt.gasUsed,
+      fee: hre.ethers.formatEther(receipt.fee),
+    };
+  }
+
+  return {
+    chain: "ethereum",
+    network,
+    symbol: "ETH",
+    requiredFields: REQUIRED_FIELDS,
+
+    isValidAddress,
+
+    validatePublication(publication) {
+      return [
+        ...validatePublication(publication),
+        ...validateRoyalty(publication),
+        ...validateReferences(publication),
+      ];
+    },
+
+    async getAccount() {
+      return (await getSigner()).address;
+    },
+
+    async deploy() {
+      const signer = await getSigner();
+      const factory = await hre.ethers.getContractFactory(
+        "PublicationNFT",
+        signer
+      );
+      const contract = await factory.deploy(
+        signer.address,
+        await feeOverrides()
+      );
+      const deployTx = contract.deploymentTransaction();
+      log("Deployment transaction hash:", deployTx.hash);
+      const receipt = await deployTx.wait();
+
+      address = await contract.getAddress();
+      const recorded = await recordDeployment(hre, contract, receipt);
+      return {
+        id: address,
+        transaction: receipt.hash,
+        gasUsed: receipt.gasUsed,
+        fee: hre.ethers.formatEther(receipt.fee),
+        registry: recorded ? recorded.path : null,
+      };
+    },
+
+    async mint(recipient, publication, mintOptions = {}) {
+      const contract = await getContract(await getSigner());
+      const { tokenId, hash, receipt } = await mintPublication(
+        contract,
+        recipient,
+        publication,
+        await feeOverrides(),
+        { soulbound: mintOptions.soulbound }
+      );
+      return {
+        id: tokenId.toString(),
+        transaction: hash,
+        gasUsed: receipt.gasUsed,
+        fee: hre.ethers.formatEther(receipt.fee),
+      };
+    },
+
+    async show(id) {
+      const contract = await getContract(hre.ethers.provider);
+      const { tokenId, ...publication } = await getPublication(contract, id);
+      return {
+        id: tokenId.toString(),
+        owner: await contract.ownerOf(tokenId),
+        tokenUri: await contract.tokenURI(tokenId),
+        soulbound: await contract.locked(tokenId),
+        royalty: (await getRoyalty(contract, tokenId)).token,
+        publication,
+      };
+    },
+
+    async update(id, publication) {
+      const contract = await getContract(await getSigner());
+      const { version, hash, receipt } = await updatePublication(
+        contract,
+        id,
+        publication,
+        await feeOverrides()
+      );
+      return {
+        id: String(id),
+        version: Number(version),
+        transaction: hash,
+        gasUsed: receipt.gasUsed,
+        fee: hre.ethers.formatEther(receipt.fee),
+      };
+    },
+
+    async history(id) {
+      const contract = await getContract(hre.ethers.provider);
+      const versions = await getPublicationVersions(contract, id);
+      return {
+        id: String(id),
+        frozen: await contract.frozen(id),
+        versions: versions.map(({ version, uri, publication }) => ({
+          version,
+          tokenUri: uri,
+          publication,
+        })),
+      };
+    },
+
+    async freeze(id) {
+      const contract = await getContract(await getSigner());
+      if (await contract.frozen(id)) {
+        throw new Error(`Token ${id} is already frozen`);
+      }
+      const tx = await contract.freeze(id, await feeOverrides());
+      const receipt = await tx.wait();
+      return {
+        id: String(id),
+        transaction: tx.hash,
+        gasUsed: receipt.gasUsed,
+        fee: hre.ethers.formatEther(receipt.fee),
+      };
+    },
+
+    async roles() {
+      const { contract, deployment } = await resolveContract(
+        hre.ethers.provider
+      );
+      // Without a registry record the logs are read from the genesis block
+      return {
+        roles: await listRoleHolders(contract, {
+          fromBlock: (deployment && deployment.blockNumber) || 0,
+        }),
+      };
+    },
+
+    grantRole(role, account) {
+      return changeRole(true, role, account);
+    },
+
+    revokeRole(role, account) {
+      return changeRole(false, role, account);
+    },
+
+    async status(id) {
+      const contract = await getContract(hre.ethers.provider);
+      const { status, statusReason } = await getPublication(contract, id);
+      return { id: String(id), status, reason: statusReason };
+    },
+
+    async setStatus(id, status, reason) {
+      const contract = await getContract(await getSigner());
+      const {
+        status: name,
+        hash,
+        receipt,
+      } = await setPublicationStatus(
+        contract,
+        id,
+        status,
+        reason,
+        await feeOverrides()
+      );
+      return {
+        id: String(id),
+        status: name,
+        reason,
+        transaction: hash,
+        gasUsed: receipt.gasUsed,
+        fee: hre.ethers.formatEther(receipt.fee),
+      };
+    },
+
+    async listStatus(status) {
+      const { contract, deployment } = await resolveContract(
+        hre.ethers.provider
+      );
+      // Without a registry record the logs are read from the genesis block
+      const changes = await listByStatus(contract, status, {
+        fromBlock: (deployment && deployment.blockNumber) || 0,
+      });
+      const publications = [];
+      for (const change of changes) {
+        let owner = null;
+        try {
+          owner = await contract.ownerOf(change.tokenId);
+        } catch (error) {
+          if (revertErrorName(contract, error) !== "ERC721NonexistentToken") {
+            throw error;
+          }
+        }
+        const { title, doi } = owner
+          ? await getPublication(contract, change.tokenId)
+          : {};
+        publications.push({
+          id: change.tokenId.toString(),
+          title: title || null,
+          doi: doi || null,
+          reason: change.reason,
+          burned: !owner,
+          blockNumber: change.blockNumber,
+          transaction: change.transactionHash,
+        });
+      }
+      return { status: resolveStatus(status).name, publications };
+    },
+
+    async citations(id) {
+      const contract = await getContract(hre.ethers.provider);
+      const { tokenIds, dois, citedBy } = await getCitations(contract, id);
+      return {
+        id: String(id),
+        cites: [...tokenIds.map(String), ...dois],
+        citedBy: citedBy.map(String),
+      };
+    },
+
+    async cite(id, references) {
+      const contract = await getContract(await getSigner());
+      const { citations, hash, receipt } = await addCitations(
+        contract,
+        id,
+        references,
+        await feeOverrides()
+      );
+      return {
+        id: String(id),
+        cited: citations.map((citation) =>
+          citation.citedTokenId === null
+            ? citation.citedDoi
+            : String(citation.citedTokenId)
+        ),
+        transaction: hash,
+        gasUsed: receipt.gasUsed,
+        fee: hre.ethers.formatEther(receipt.fee),
+      };
+    },
+
+    async royalty(id) {
+      const contract = await getContract(hre.ethers.provider);
+      return getRoyalty(contract, id);
+    },
+
+    async setRoyalty(id, receiver, basisPoints) {
+      const contract = await getContract(await getSigner());
+      const points = parseBasisPoints(basisPoints);
+      const tx =
+        id === undefined
+          ? await contract.setDefaultRoyalty(
+              receiver,
+              points,
+              await feeOverrides()
+            )
+          : await contract.setTokenRoyalty(
+              id,
+              receiver,
+              points,
+              await feeOverrides()
+            );
+      const receipt = await tx.wait();
+      return {
+        id: id === undefined ? null : String(id),
+        receiver,
+        basisPoints: points,
+        transaction: tx.hash,
+        gasUsed: receipt.gasUsed,
+        fee: hre.ethers.formatEther(receipt.fee),
+      };
+    },
+
+    async resetRoyalty(id) {
+      const contract = await getContract(await getSigner());
+      const tx =
+        id === undefined
+          ? await contract.deleteDefaultRoyalty(await feeOverrides())
+          : await contract.resetTokenRoyalty(id, await feeOverrides());
+      const receipt = await tx.wait();
+      return {
+        id: id === undefined ? null : String(id),
+        transaction: tx.hash,
+        gasUsed: receipt.gasUsed,
+        fee: hre.ethers.formatEther(receipt.fee),
+      };
+    },
+
+    async transfer(id, recipient) {
+      const signer = await getSigner();
+      const contract = await getContract(signer);
+      // The contract checks that the signer owns or may move the token
+      const owner = await contract.ownerOf(id);
+      if (await contract.locked(id)) {
+        throw new Error(`Token ${id} is soulbound and can't be transferred`);
+      }
+      const tx = await contract.transferFrom(
+        owner,
+        recipient,
+        id,
+        await feeOverrides()
+      );
+      const receipt = await tx.wait();
+      return {
+        id: String(id),
+        recipient,
+        transaction: tx.hash,
+        gasUsed: receipt.gasUsed,
+        fee: hre.ethers.formatEther(receipt.fee),
+      };
+    },
+
+    async burn(id) {
+      const contract = await getContract(await getSigner());
+      const tx = await contract.burn(id, await feeOverrides());
+      const receipt = await tx.wait();
+      return {
+        id: String(id),
+        transaction: tx.hash,
+        gasUsed: receipt.gasUsed,
+        fee: hre.ethers.formatEther(receipt.fee),
+      };
+    },
+
+    async estimate(publication = SAMPLE_PUBLICATION) {
+      const signer = await getSigner();
+      const factory = await hre.ethers.getContractFactory(
+        "PublicationNFT",
+        signer
+      );
+      const deployGas = await estimateGasOrMeasured(
+        async () =>
+          hre.ethers.provider.estimateGas(
+            await factory.getDeployTransaction(signer.address)
+          ),
+        MEASURED_GAS.deployment
+      );
+      // Mints can only be estimated against a deployed contract
+      let mintGas = null;
+      if (address || readDeployment(network)) {
+        const contract = await getContract(signer);
+        mintGas = await estimateGasOrMeasured(
+          () =>
+            contract.mintPublication.estimateGas(
+              ...toMintArgs(signer.address, publication)
+            ),
+          MEASURED_GAS.mint
+        );
+      } else {
+        log(`⚠️  Mint not estimated: nothing is deployed on ${network}`);
+      }
+
+      const { chainId } = await hre.ethers.provider.getNetwork();
+      const oracle = createOracleFromEnv({
+        rpc: network === "hardhat" ? undefined : hre.ethers.provider,
+        chainId: network === "hardhat" ? 1 : Number(chainId),
+      });
+      // Quote the standard tier, with the worst case under the fee caps
+      const summarize = (estimate, { measured }) => {
+        const { eth, usd, maxEth, maxUsd } = estimate.costs.proposed;
+        return {
+          units: estimate.gas,
+          measured,
+          amount: String(eth),
+          usd,
+          maxAmount: String(maxEth),
+          maxUsd,
+        };
+      };
+      const deployment = await estimateCost(deployGas.gas, oracle, fees);
+      const mint = mintGas && (await estimateCost(mintGas.gas, oracle, fees));
+
+      return {
+        symbol: "ETH",
+        price: deployment.ethPrice.usd,
+        priceSource: deployment.ethPrice.fallback
+          ? "offline fallback"
+          : deployment.ethPrice.source,
+        deployment: summarize(deployment, deployGas),
+        mint: mint && summarize(mint, mintGas),
+      };
+    },
+  };
+}
+
+module.exports = {
+  loadHardhat,
+  createEthereumBackend,
+};
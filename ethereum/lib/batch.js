@@ -0,0 +1,184 @@
+/**
+ * Resumable batch minting
+ *
+ * Progress is written to a JSON checkpoint file after every step:
+ * {
+ *   "contract": "0x...",
+ *   "rows": {
+ *     "<row key>": { "row": 1, "status": "pending" | "minted", "txHash": "0x...", ... }
+ *   }
+ * }
+ * A row is marked "pending" as soon as its transaction is sent, so a crash
+ * between sending and confirmation never leads to a second mint of the same row.
+ */
+
+const fs = require("fs");
+const { rowKey, validateManifest } = require("./manifest");
+const { normalizeDoi } = require("./publication");
+const {
+  findTokenByDoi,
+  sendMintPublication,
+  parseMintedTokenId,
+} = require("./publication-client");
+
+/**
+ * Load a checkpoint file, or start a new one
+ * @param {string} checkpointPath - Path to the checkpoint file
+ * @param {string} contractAddress - Contract the batch mints on
+ * @returns {Object} Checkpoint state
+ */
+function loadCheckpoint(checkpointPath, contractAddress) {
+  if (!fs.existsSync(checkpointPath)) {
+    return { contract: contractAddress, rows: {} };
+  }
+
+  const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, "utf8"));
+  if (checkpoint.contract.toLowerCase() !== contractAddress.toLowerCase()) {
+    throw new Error(
+      `Checkpoint ${checkpointPath} belongs to contract ${checkpoint.contract}, not ${contractAddress}`
+    );
+  }
+  return checkpoint;
+}
+
+/**
+ * Write a checkpoint file atomically
+ * @param {string} checkpointPath - Path to the checkpoint file
+ * @param {Object} checkpoint - Checkpoint state
+ */
+function saveCheckpoint(checkpointPath, checkpoint) {
+  const tmpPath = `${checkpointPath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(checkpoint, null, 2) + "\n");
+  fs.renameSync(tmpPath, checkpointPath);
+}
+
+/**
+ * Settle a row left "pending" by an interrupted run
+ * @returns {Object|null} Receipt of the mined transaction, or null if it failed
+ */
+async function resolvePending(provider, entry) {
+  const receipt = await provider.getTransactionReceipt(entry.txHash);
+  if (receipt === null) {
+    throw new Error(
+      `Row ${entry.row}: transaction ${entry.txHash} from a previous run is not mined yet. ` +
+        "Wait for it to confirm (or drop it from the checkpoint once it is replaced) and re-run."
+    );
+  }
+  return receipt.status === 1 ? receipt : null;
+}
+
+/**
+ * Mint every row of a manifest, skipping rows already in the checkpoint
+ * @param {ethers.Contract} contract - PublicationNFT contract connected to a signer
+ * @param {Object[]} rows - Manifest rows
+ * @param {Object} options - { checkpointPath, defaultRecipient, log,
+ *   overrides: ethers transaction overrides, or a function returning them
+ *   that is called before each transaction (so fees follow the chain),
+ *   soulbound: mint every row as a soulbound token }
+ * @returns {Object} Summary { minted, skipped, gasUsed, fee, results,
+ *   existing: { row, tokenId } of rows whose DOI was already on-chain }
+ */
+async function mintBatch(contract, rows, options) {
+  const {
+    checkpointPath,
+    defaultRecipient,
+    overrides = {},
+    soulbound = false,
+    log = () => {},
+  } = options;
+
+  const errors = validateManifest(rows, defaultRecipient);
+  if (errors.length > 0) {
+    throw new Error(`Invalid manifest:\n  ${errors.join("\n  ")}`);
+  }
+
+  const contractAddress = await contract.getAddress();
+  const checkpoint = loadCheckpoint(checkpointPath, contractAddress);
+  const provider = contract.runner.provider;
+
+  const summary = {
+    minted: 0,
+    skipped: 0,
+    gasUsed: 0n,
+    fee: 0n,
+    results: [],
+    existing: [],
+  };
+
+  const record = (key, entry, receipt) => {
+    checkpoint.rows[key] = {
+      ...entry,
+      status: "minted",
+      tokenId: parseMintedTokenId(contract, receipt).toString(),
+      blockNumber: receipt.blockNumber,
+      gasUsed: receipt.gasUsed.toString(),
+      fee: receipt.fee.toString(),
+    };
+    saveCheckpoint(checkpointPath, checkpoint);
+    summary.minted++;
+    summary.gasUsed += receipt.gasUsed;
+    summary.fee += receipt.fee;
+    summary.results.push(checkpoint.rows[key]);
+  };
+
+  for (let index = 0; index < rows.length; index++) {
+    const row = rows[index];
+    const key = rowKey(row);
+    const existing = checkpoint.rows[key];
+    const label = `Row ${index + 1}/${rows.length}`;
+
+    if (existing && existing.status === "minted") {
+      log(`⏭️  ${label}: already minted as token ${existing.tokenId}`);
+      summary.skipped++;
+      continue;
+    }
+
+    if (existing && existing.status === "pending") {
+      const receipt = await resolvePending(provider, existing);
+      if (receipt) {
+        log(`✅ ${label}: recovered token from ${existing.txHash}`);
+        record(key, existing, receipt);
+        continue;
+      }
+      log(`🔁 ${label}: previous transaction ${existing.txHash} reverted, retrying`);
+    }
+
+    // A DOI minted outside this checkpoint (e.g. by a run whose checkpoint
+    // was lost) is reported with its token instead of being sent again
+    const minted = await findTokenByDoi(contract, row.doi);
+    if (minted !== null) {
+      const doi = normalizeDoi(row.doi);
+      log(`⏭️  ${label}: DOI ${doi} is already minted as token ${minted}`);
+      summary.skipped++;
+      summary.existing.push({ row: index + 1, tokenId: minted.toString() });
+      continue;
+    }
+
+    log(`🚀 ${label}: minting "${row.title}"`);
+    const tx = await sendMintPublication(
+      contract,
+      row.to || defaultRecipient,
+      row,
+      typeof overrides === "function" ? await overrides() : overrides,
+      { soulbound }
+    );
+
+    const entry = { row: index + 1, status: "pending", txHash: tx.hash };
+    checkpoint.rows[key] = entry;
+    saveCheckpoint(checkpointPath, checkpoint);
+
+    const receipt = await tx.wait();
+    record(key, entry, receipt);
+    log(
+      `✅ ${label}: token ${checkpoint.rows[key].tokenId} (gas used: ${receipt.gasUsed})`
+    );
+  }
+
+  return summary;
+}
+
+module.exports = {
+  loadCheckpoint,
+  saveCheckpoint,
+  mintBatch,
+};
@@ -0,0 +1,300 @@
+/**
+ * BibTeX reader
+ * Handles @string macros, # concatenation, nested braces and the LaTeX
+ * accents and escapes that reference managers such as Zotero export.
+ */
+
+// Combining characters for LaTeX accent commands
+const LATEX_ACCENTS = {
+  "'": "\u0301",
+  "`": "\u0300",
+  "^": "\u0302",
+  '"': "\u0308",
+  "~": "\u0303",
+  "=": "\u0304",
+  ".": "\u0307",
+  u: "\u0306",
+  v: "\u030c",
+  H: "\u030b",
+  c: "\u0327",
+  k: "\u0328",
+};
+
+const LATEX_SYMBOLS = {
+  ss: "ß",
+  ae: "æ",
+  AE: "Æ",
+  oe: "œ",
+  OE: "Œ",
+  o: "ø",
+  O: "Ø",
+  l: "ł",
+  L: "Ł",
+  aa: "å",
+  AA: "Å",
+  i: "ı",
+};
+
+const MONTHS = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+/**
+ * Convert LaTeX markup in a field value to plain Unicode text
+ * @param {string} value - Raw BibTeX value (outer delimiters removed)
+ * @returns {string} Plain text
+ */
+function latexToUnicode(value) {
+  return (
+    value
+      // Accents: \'e, \'{e}, {\'e}, \'{\i}
+      .replace(/\\([`'^"~=.])\s*\{?\\?([A-Za-z])\}?/g, (match, accent, letter) =>
+        (letter + LATEX_ACCENTS[accent]).normalize("NFC")
+      )
+      // Letter accents need a brace or space so \url is left alone: \c{c}, \v s
+      .replace(/\\([uvHck])(?:\s+|\{)\\?([A-Za-z])\}?/g, (match, accent, letter) =>
+        (letter + LATEX_ACCENTS[accent]).normalize("NFC")
+      )
+      .replace(/\\(ss|ae|AE|oe|OE|aa|AA|o|O|l|L|i)\b\s*/g, (match, symbol) =>
+        LATEX_SYMBOLS[symbol]
+      )
+      .replace(/\\([&%$#_{}])/g, "$1")
+      .replace(/---/g, "—")
+      .replace(/--/g, "–")
+      .replace(/~/g, " ")
+      // Formatting commands such as \emph{...} keep their argument
+      .replace(/\\[A-Za-z]+\s*/g, "")
+      .replace(/[{}]/g, "")
+      .replace(/\s+/g, " ")
+      .trim()
+  );
+}
+
+/**
+ * Split a BibTeX name list into "Given Family" names
+ * @param {string} value - e.g. "Doe, John and Jane Smith"
+ * @returns {string[]} Names in display order
+ */
+function parseNames(value) {
+  return value
+    .split(/\s+and\s+/i)
+    .map((name) => name.trim())
+    .filter(Boolean)
+    .map((name) => {
+      const parts = name.split(",").map((p) => p.trim());
+      // "Family, Jr, Given" or "Family, Given"
+      if (parts.length === 3) {
+        return `${parts[2]} ${parts[0]} ${parts[1]}`;
+      }
+      if (parts.length === 2) {
+        return `${parts[1]} ${parts[0]}`;
+      }
+      return name;
+    })
+    .map(latexToUnicode);
+}
+
+class Parser {
+  constructor(text) {
+    this.text = text;
+    this.pos = 0;
+    // Month abbreviations are predefined macros
+    this.strings = Object.fromEntries(Object.keys(MONTHS).map((m) => [m, m]));
+  }
+
+  error(message) {
+    const line = this.text.slice(0, this.pos).split("\n").length;
+    return new Error(`BibTeX parse error on line ${line}: ${message}`);
+  }
+
+  skipWhitespace() {
+    while (this.pos < this.text.length && /\s/.test(this.text[this.pos])) {
+      this.pos++;
+    }
+  }
+
+  expect(char) {
+    this.skipWhitespace();
+    if (this.text[this.pos] !== char) {
+      throw this.error(`expected "${char}"`);
+    }
+    this.pos++;
+  }
+
+  readIdentifier() {
+    this.skipWhitespace();
+    const match = /^[^\s"#%'(),={}]+/.exec(this.text.slice(this.pos));
+    if (!match) {
+      throw this.error("expected an identifier");
+    }
+    this.pos += match[0].length;
+    return match[0];
+  }
+
+  readBraced() {
+    // Assumes the opening brace is at this.pos
+    let depth = 0;
+    const start = this.pos + 1;
+    for (; this.pos < this.text.length; this.pos++) {
+      const char = this.text[this.pos];
+      if (char === "\\") {
+        this.pos++;
+      } else if (char === "{") {
+        depth++;
+      } else if (char === "}") {
+        depth--;
+        if (depth === 0) {
+          this.pos++;
+          return this.text.slice(start, this.pos - 1);
+        }
+      }
+    }
+    throw this.error("unbalanced braces");
+  }
+
+  readQuoted() {
+    let depth = 0;
+    const start = ++this.pos;
+    for (; this.pos < this.text.length; this.pos++) {
+      const char = this.text[this.pos];
+      if (char === "\\") {
+        this.pos++;
+      } else if (char === "{") {
+        depth++;
+      } else if (char === "}") {
+        depth--;
+      } else if (char === '"' && depth === 0) {
+        this.pos++;
+        return this.text.slice(start, this.pos - 1);
+      }
+    }
+    throw this.error("unterminated quoted value");
+  }
+
+  readValue() {
+    const pieces = [];
+    for (;;) {
+      this.skipWhitespace();
+      const char = this.text[this.pos];
+      if (char === "{") {
+        pieces.push(this.readBraced());
+      } else if (char === '"') {
+        pieces.push(this.readQuoted());
+      } else {
+        const word = this.readIdentifier();
+        const macro = this.strings[word.toLowerCase()];
+        pieces.push(/^\d+$/.test(word) || macro === undefined ? word : macro);
+      }
+      this.skipWhitespace();
+      if (this.text[this.pos] !== "#") {
+        return pieces.join("");
+      }
+      this.pos++;
+    }
+  }
+
+  parse() {
+    const entries = [];
+
+    for (;;) {
+      const at = this.text.indexOf("@", this.pos);
+      if (at === -1) {
+        return entries;
+      }
+      this.pos = at + 1;
+
+      const type = this.readIdentifier().toLowerCase();
+      this.skipWhitespace();
+      const open = this.text[this.pos];
+      if (open !== "{" && open !== "(") {
+        throw this.error(`expected "{" after @${type}`);
+      }
+      const close = open === "{" ? "}" : ")";
+
+      if (type === "comment") {
+        if (open === "{") {
+          this.readBraced();
+        }
+        continue;
+      }
+
+      this.pos++;
+
+      if (type === "preamble") {
+        this.readValue();
+        this.expect(close);
+        continue;
+      }
+
+      if (type === "string") {
+        const name = this.readIdentifier().toLowerCase();
+        this.expect("=");
+        this.strings[name] = this.readValue();
+        this.expect(close);
+        continue;
+      }
+
+      const key = this.readIdentifier();
+      const fields = {};
+      for (;;) {
+        this.skipWhitespace();
+        if (this.text[this.pos] === ",") {
+          this.pos++;
+          this.skipWhitespace();
+        }
+        if (this.text[this.pos] === close) {
+          this.pos++;
+          break;
+        }
+        const name = this.readIdentifier().toLowerCase();
+        this.expect("=");
+        fields[name] = this.readValue();
+      }
+
+      entries.push({ type, key, fields });
+    }
+  }
+}
+
+/**
+ * Parse BibTeX text
+ * @param {string} text - Contents of a .bib file
+ * @returns {Object[]} Entries { type, key, fields } with raw (LaTeX) field values
+ */
+function parseBibtex(text) {
+  return new Parser(text).parse();
+}
+
+/**
+ * Convert a BibTeX month value ("mar", "3", "March") to a number
+ * @returns {number|undefined} Month 1-12
+ */
+function parseMonth(value) {
+  if (!value) {
+    return undefined;
+  }
+  const trimmed = value.trim().toLowerCase();
+  if (/^\d{1,2}$/.test(trimmed)) {
+    return parseInt(trimmed, 10);
+  }
+  return MONTHS[trimmed.slice(0, 3)];
+}
+
+module.exports = {
+  MONTHS,
+  latexToUnicode,
+  parseNames,
+  parseMonth,
+  parseBibtex,
+};
@@ -0,0 +1,229 @@
+/**
+ * Export publication records as citations
+ *
+ * The reverse of citation-import.js: BibTeX, RIS and CSL-JSON citations of a
+ * minted publication, so a work can be cited straight from the chain.
+ *
+ * Mapping:
+ *   title            -> title / TI
+ *   authors          -> author / AU (names split as "Given Family")
+ *   publicationDate  -> date, year, month / DA, PY / issued
+ *   doi              -> doi / DO / DOI
+ *   externalUrl, url -> url / UR / URL (the external URL preferred)
+ *   description      -> abstract / AB / abstract
+ *   field            -> keywords / KW / keyword
+ *   version          -> version / ET / version
+ *   license          -> copyright / C5
+ *
+ * The output reads back with citation-import.js, except that only one URL is
+ * kept.
+ */
+
+const { toUnixSeconds } = require("./publication");
+const { readAuthors } = require("./authors");
+
+const BIBTEX_MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+/**
+ * Split the authors of a publication into names
+ * @param {string|Array} authors - Authors, see authors.js
+ * @returns {Object[]} { given, family } per author ({ literal } for single
+ *   words such as organizations)
+ */
+function splitAuthors(authors) {
+  return readAuthors(authors)
+    .map((author) => author.name)
+    .filter(Boolean)
+    .map((name) => {
+      const match = name.match(/^(.*\S)\s+(\S+)$/);
+      return match ? { given: match[1], family: match[2] } : { literal: name };
+    });
+}
+
+/**
+ * Date parts of a publication date
+ * @param {number|string|Date} value - Unix seconds, a Date or an ISO date string
+ * @returns {number[]} [year, month, day] in UTC (empty when not parseable)
+ */
+function dateParts(value) {
+  const seconds = toUnixSeconds(value);
+  if (!Number.isFinite(seconds)) {
+    return [];
+  }
+  const date = new Date(seconds * 1000);
+  return [date.getUTCFullYear(), date.getUTCMonth() + 1, date.getUTCDate()];
+}
+
+/**
+ * ISO 8601 form of a publication date
+ * @param {number|string|Date} value - Unix seconds, a Date or an ISO date string
+ * @returns {string} e.g. "2024-01-15T00:00:00.000Z" ("" when not parseable)
+ */
+function toIsoDate(value) {
+  const seconds = toUnixSeconds(value);
+  return Number.isFinite(seconds) ? new Date(seconds * 1000).toISOString() : "";
+}
+
+function pad(number) {
+  return String(number).padStart(2, "0");
+}
+
+/**
+ * Citation key for a publication: first author's family name and the year
+ * @param {Object} publication - Publication record
+ * @returns {string} e.g. "doe2024"
+ */
+function citationKey(publication) {
+  const [first] = splitAuthors(publication.authors);
+  const name = first ? first.family || first.literal : "publication";
+  const [year = ""] = dateParts(publication.publicationDate);
+  const ascii = name
+    .normalize("NFD")
+    .replace(/[^A-Za-z0-9]/g, "")
+    .toLowerCase();
+  return `${ascii || "publication"}${year}`;
+}
+
+function publicationUrl(publication) {
+  return publication.externalUrl || publication.url || "";
+}
+
+// Escape the characters BibTeX treats specially
+function escapeBibtex(value) {
+  return String(value)
+    .replace(/\\/g, "\\textbackslash{}")
+    .replace(/([{}%&$#_])/g, "\\$1")
+    .replace(/~/g, "\\textasciitilde{}")
+    .replace(/\^/g, "\\textasciicircum{}");
+}
+
+/**
+ * Format a publication as a BibTeX entry
+ * @param {Object} publication - Publication record
+ * @param {Object} options - { key: citation key, note: e.g. where it was minted }
+ * @returns {string} @misc entry
+ */
+function toBibtex(publication, options = {}) {
+  const { key = citationKey(publication), note } = options;
+  const [year, month, day] = dateParts(publication.publicationDate);
+  const authors = splitAuthors(publication.authors).map((author) =>
+    author.literal ? `{${author.literal}}` : `${author.family}, ${author.given}`
+  );
+
+  const text = (value) => (value ? escapeBibtex(value) : "");
+
+  // doi and url are verbatim; month is a macro, so it isn't braced
+  const fields = [
+    ["title", text(publication.title)],
+    ["author", authors.join(" and ")],
+    ["date", year ? `${year}-${pad(month)}-${pad(day)}` : ""],
+    ["year", year ? String(year) : ""],
+    ["month", month ? BIBTEX_MONTHS[month - 1] : ""],
+    ["doi", publication.doi],
+    ["url", publicationUrl(publication)],
+    ["abstract", text(publication.description)],
+    ["keywords", text(publication.field)],
+    ["version", text(publication.version)],
+    ["copyright", text(publication.license)],
+    ["note", text(note)],
+  ].filter(([, value]) => value);
+
+  const lines = fields.map(([name, value]) =>
+    name === "month" ? `  ${name} = ${value}` : `  ${name} = {${value}}`
+  );
+  return `@misc{${key},\n${lines.join(",\n")}\n}\n`;
+}
+
+/**
+ * Format a publication as an RIS record
+ * @param {Object} publication - Publication record
+ * @param {Object} options - { key: record ID, note }
+ * @returns {string} RIS record ending with "ER  - "
+ */
+function toRis(publication, options = {}) {
+  const { key = citationKey(publication), note } = options;
+  const [year, month, day] = dateParts(publication.publicationDate);
+  const lines = [
+    ["TY", "GEN"],
+    ["ID", key],
+    ["TI", publication.title],
+  ];
+
+  for (const author of splitAuthors(publication.authors)) {
+    lines.push(["AU", author.literal || `${author.family}, ${author.given}`]);
+  }
+  if (year) {
+    lines.push(["PY", String(year)]);
+    lines.push(["DA", `${year}/${pad(month)}/${pad(day)}/`]);
+  }
+  lines.push(
+    ["DO", publication.doi],
+    ["UR", publicationUrl(publication)],
+    ["AB", publication.description],
+    ["KW", publication.field],
+    ["ET", publication.version],
+    ["C5", publication.license],
+    ["N1", note]
+  );
+
+  return (
+    lines
+      .filter(([, value]) => value)
+      .map(([tag, value]) => `${tag}  - ${value}`)
+      .join("\n") + "\nER  - \n"
+  );
+}
+
+/**
+ * Convert a publication to a CSL-JSON item
+ * @param {Object} publication - Publication record
+ * @param {Object} options - { key: item ID, note }
+ * @returns {Object} CSL-JSON item
+ */
+function toCslJson(publication, options = {}) {
+  const { key = citationKey(publication), note } = options;
+  const parts = dateParts(publication.publicationDate);
+  const item = {
+    id: key,
+    type: "article",
+    title: publication.title,
+    author: splitAuthors(publication.authors),
+    issued: parts.length > 0 ? { "date-parts": [parts] } : undefined,
+    DOI: publication.doi,
+    URL: publicationUrl(publication),
+    abstract: publication.description,
+    keyword: publication.field,
+    version: publication.version,
+    note,
+  };
+  for (const name of Object.keys(item)) {
+    if (item[name] === undefined || item[name] === "") {
+      delete item[name];
+    }
+  }
+  return item;
+}
+
+module.exports = {
+  splitAuthors,
+  dateParts,
+  toIsoDate,
+  citationKey,
+  escapeBibtex,
+  toBibtex,
+  toRis,
+  toCslJson,
+};
@@ -0,0 +1,200 @@
+/**
+ * Rebuild the citation graph of the collection from contract logs
+ *
+ * Every reference a publication records is a Cited log (see references.js).
+ * The graph is read from the Cited, PublicationMinted and Transfer logs,
+ * paged in block ranges like the collection export (see collection.js), and
+ * exported as GraphViz DOT or as JSON for visualisation:
+ * {
+ *   "nodes": [{ "id": "token:0", "type": "token", "tokenId": "0",
+ *               "title": "...", "authors": [{ "name": "...", "orcid": "",
+ *               "wallet": "" }], "doi": "10.1000/...",
+ *               "burned": false },
+ *             { "id": "doi:10.1000/...", "type": "doi", "doi": "10.1000/..." }],
+ *   "edges": [{ "source": "token:1", "target": "token:0", "blockNumber": 12,
+ *               "transactionHash": "0x..." }]
+ * }
+ * Every minted token is a node. A DOI cited before its token was minted
+ * points at that token, as the contract records such citations as external.
+ * Citations from or to burned tokens have no edge, as getCitedBy leaves them
+ * out.
+ */
+
+const { getPublication } = require("./publication-client");
+const { normalizeDoi } = require("./publication");
+const { toCitation } = require("./references");
+const { decodeAuthors } = require("./authors");
+
+const DEFAULT_BATCH_SIZE = 5000;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+/**
+ * Scan the logs and build the citation graph
+ * @param {ethers.Contract} contract - PublicationNFT contract instance
+ * @param {Object} options - { fromBlock: deployment block (default 0),
+ *   toBlock (default: latest), batchSize: blocks per query }
+ * @returns {Promise<Object>} { nodes, edges }, see the module comment
+ */
+async function buildCitationGraph(contract, options = {}) {
+  const { fromBlock = 0, batchSize = DEFAULT_BATCH_SIZE } = options;
+  const provider = contract.runner.provider || contract.runner;
+  const toBlock =
+    options.toBlock !== undefined
+      ? options.toBlock
+      : await provider.getBlockNumber();
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Batch size must be a positive integer, got ${batchSize}`);
+  }
+
+  const tokens = new Map();
+  const citations = [];
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    const [mints, transfers, cited] = await Promise.all([
+      contract.queryFilter(contract.filters.PublicationMinted(), from, to),
+      contract.queryFilter(contract.filters.Transfer(), from, to),
+      contract.queryFilter(contract.filters.Cited(), from, to),
+    ]);
+    const logs = [...mints, ...transfers, ...cited].sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+    );
+    for (const log of logs) {
+      const tokenId = log.args.tokenId.toString();
+      if (log.fragment.name === "PublicationMinted") {
+        tokens.set(tokenId, {
+          id: `token:${tokenId}`,
+          type: "token",
+          tokenId,
+          title: log.args.title,
+          authors: decodeAuthors(log.args.authors),
+          doi: "",
+          burned: false,
+        });
+      } else if (log.fragment.name === "Transfer") {
+        if (log.args.to === ZERO_ADDRESS && tokens.has(tokenId)) {
+          tokens.get(tokenId).burned = true;
+        }
+      } else {
+        citations.push({
+          ...toCitation(log.args),
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+        });
+      }
+    }
+  }
+
+  // Current titles and DOIs; burned tokens keep those of their mint
+  const tokensByDoi = new Map();
+  for (const token of tokens.values()) {
+    if (!token.burned) {
+      const { title, authors, doi } = await getPublication(
+        contract,
+        token.tokenId
+      );
+      Object.assign(token, { title, authors, doi });
+    }
+    if (token.doi) {
+      tokensByDoi.set(normalizeDoi(token.doi), token);
+    }
+  }
+
+  const isBurned = (tokenId) => {
+    const token = tokens.get(String(tokenId));
+    return Boolean(token && token.burned);
+  };
+  const dois = new Map();
+  const edges = citations
+    .filter(
+      (citation) =>
+        !isBurned(citation.tokenId) &&
+        (citation.citedTokenId === null || !isBurned(citation.citedTokenId))
+    )
+    .map((citation) => {
+      let target;
+      if (citation.citedTokenId !== null) {
+        target = `token:${citation.citedTokenId}`;
+      } else {
+        const doi = normalizeDoi(citation.citedDoi);
+        const token = tokensByDoi.get(doi);
+        target = token ? token.id : `doi:${doi}`;
+        if (!token && !dois.has(doi)) {
+          dois.set(doi, { id: target, type: "doi", doi });
+        }
+      }
+      return {
+        source: `token:${citation.tokenId}`,
+        target,
+        blockNumber: citation.blockNumber,
+        transactionHash: citation.transactionHash,
+      };
+    });
+
+  const nodes = [
+    ...[...tokens.values()].sort((a, b) =>
+      Number(BigInt(a.tokenId) - BigInt(b.tokenId))
+    ),
+    ...[...dois.values()].sort((a, b) => (a.doi < b.doi ? -1 : 1)),
+  ];
+  return { nodes, edges };
+}
+
+function quoteDot(value) {
+  return `"${String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\r?\n/g, "\\n")}"`;
+}
+
+/**
+ * Format a citation graph as GraphViz DOT
+ * Edges point from the citing to the cited publication; external DOIs are
+ * dashed boxes and burned tokens are greyed out.
+ * @param {Object} graph - { nodes, edges } from buildCitationGraph
+ * @returns {string} DOT source
+ */
+function toDot(graph) {
+  const lines = ["digraph citations {", "  rankdir=LR;", "  node [shape=box];"];
+  for (const node of graph.nodes) {
+    const attributes =
+      node.type === "doi"
+        ? [`label=${quoteDot(node.doi)}`, "style=dashed"]
+        : [
+            `label=${quoteDot(`#${node.tokenId} ${node.title}`)}`,
+            ...(node.doi ? [`tooltip=${quoteDot(node.doi)}`] : []),
+            ...(node.burned ? ["color=gray", "fontcolor=gray"] : []),
+          ];
+    lines.push(`  ${quoteDot(node.id)} [${attributes.join(", ")}];`);
+  }
+  for (const edge of graph.edges) {
+    lines.push(`  ${quoteDot(edge.source)} -> ${quoteDot(edge.target)};`);
+  }
+  lines.push("}");
+  return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Format a citation graph for export
+ * @param {Object} graph - { nodes, edges } from buildCitationGraph
+ * @param {string} format - "dot" or "json"
+ * @returns {string} File contents
+ */
+function formatCitationGraph(graph, format) {
+  switch (format) {
+    case "dot":
+      return toDot(graph);
+    case "json":
+      return JSON.stringify(graph, null, 2) + "\n";
+    default:
+      throw new Error(
+        `Unknown graph format "${format}" (expected dot or json)`
+      );
+  }
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  buildCitationGraph,
+  toDot,
+  formatCitationGraph,
+};
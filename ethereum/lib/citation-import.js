@@ -0,0 +1,210 @@
+/**
+ * Import publication records from BibTeX (.bib) and RIS (.ris) files
+ *
+ * Mapping:
+ *   title                  -> title
+ *   author / AU, A1        -> authors ("Given Family, Given Family")
+ *   date, year+month+day   -> publicationDate (unix seconds, UTC)
+ *   doi / DO               -> doi
+ *   url / UR               -> url, externalUrl (doi.org link preferred)
+ *   abstract / AB, N2      -> description
+ *   keywords / KW          -> field (first keyword)
+ *   version, edition / ET  -> version
+ *   copyright, rights      -> license
+ *
+ * The token URI is not part of a citation record; it is supplied at mint time.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const {
+  latexToUnicode,
+  parseBibtex,
+  parseMonth,
+  parseNames,
+} = require("./bibtex");
+const { parseRis, parseRisDate } = require("./ris");
+const { normalizeDoi, validatePublication } = require("./publication");
+
+// Fields a citation record must provide; uri comes from the minting tool
+const IMPORT_REQUIRED_FIELDS = ["title", "authors", "publicationDate"];
+
+function dateFromParts([year, month = 1, day = 1]) {
+  return Date.UTC(year, month - 1, day) / 1000;
+}
+
+function splitKeywords(value) {
+  return (value || "")
+    .split(/[,;]/)
+    .map((k) => k.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Finish a mapped record: drop empty values and collect mapping errors
+ * @returns {Object} { key, publication, errors }
+ */
+function finish(key, publication, errors) {
+  if (publication.doi && !publication.externalUrl) {
+    publication.externalUrl = `https://doi.org/${publication.doi}`;
+  }
+  for (const name of Object.keys(publication)) {
+    if (publication[name] === undefined || publication[name] === "") {
+      delete publication[name];
+    }
+  }
+  return {
+    key,
+    publication,
+    errors: [
+      ...errors,
+      ...validatePublication(publication, {
+        required: IMPORT_REQUIRED_FIELDS,
+      }).filter(
+        // Don't report a date twice when it couldn't be parsed
+        (e) => !(e === "publicationDate is required" && errors.length > 0)
+      ),
+    ],
+  };
+}
+
+/**
+ * Map a parsed BibTeX entry onto a publication record
+ * @param {Object} entry - { type, key, fields } from parseBibtex
+ * @returns {Object} { key, publication, errors }
+ */
+function mapBibtexEntry(entry) {
+  const fields = Object.fromEntries(
+    Object.entries(entry.fields).map(([name, value]) => [
+      name,
+      name === "url" || name === "doi" ? value.trim() : latexToUnicode(value),
+    ])
+  );
+  const errors = [];
+
+  let publicationDate;
+  if (fields.date) {
+    const match = fields.date.match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/);
+    if (match) {
+      publicationDate = dateFromParts(
+        match.slice(1).filter(Boolean).map(Number)
+      );
+    } else {
+      errors.push(`could not parse date "${fields.date}"`);
+    }
+  } else if (fields.year) {
+    if (/^\d{4}$/.test(fields.year)) {
+      const month = parseMonth(entry.fields.month);
+      const day = /^\d{1,2}$/.test(fields.day || "")
+        ? parseInt(fields.day, 10)
+        : undefined;
+      publicationDate = dateFromParts(
+        [parseInt(fields.year, 10), month, day].filter((p) => p !== undefined)
+      );
+    } else {
+      errors.push(`could not parse year "${fields.year}"`);
+    }
+  }
+
+  return finish(
+    entry.key,
+    {
+      title: fields.title,
+      authors: fields.author ? parseNames(entry.fields.author).join(", ") : "",
+      publicationDate,
+      doi: fields.doi ? normalizeDoi(fields.doi) : "",
+      url: fields.url,
+      externalUrl: fields.doi ? "" : fields.url,
+      description: fields.abstract,
+      license: fields.copyright || fields.rights || fields.license,
+      field: splitKeywords(fields.keywords)[0],
+      version: fields.version || fields.edition,
+    },
+    errors
+  );
+}
+
+/**
+ * Map a parsed RIS record onto a publication record
+ * @param {Object} record - { type, fields } from parseRis
+ * @param {number} index - Position of the record in the file
+ * @returns {Object} { key, publication, errors }
+ */
+function mapRisRecord(record, index) {
+  const first = (...tags) => {
+    for (const tag of tags) {
+      if (record.fields[tag] && record.fields[tag][0]) {
+        return record.fields[tag][0];
+      }
+    }
+    return "";
+  };
+  const all = (...tags) => tags.flatMap((tag) => record.fields[tag] || []);
+  const errors = [];
+
+  let publicationDate;
+  const rawDate = first("DA", "PY", "Y1");
+  if (rawDate) {
+    const parts = parseRisDate(rawDate);
+    if (parts.length > 0) {
+      publicationDate = dateFromParts(parts);
+    } else {
+      errors.push(`could not parse date "${rawDate}"`);
+    }
+  }
+
+  const doi = first("DO");
+  const url = first("UR");
+
+  return finish(
+    first("ID") || `record-${index + 1}`,
+    {
+      title: first("TI", "T1", "CT"),
+      authors: all("AU", "A1")
+        .map((name) => parseNames(name)[0])
+        .join(", "),
+      publicationDate,
+      doi: doi ? normalizeDoi(doi) : "",
+      url,
+      externalUrl: doi ? "" : url,
+      description: first("AB", "N2"),
+      license: first("C5"),
+      field: all("KW").flatMap(splitKeywords)[0],
+      version: first("ET"),
+    },
+    errors
+  );
+}
+
+/**
+ * Parse citation text into publication records
+ * @param {string} text - File contents
+ * @param {string} format - "bib" or "ris"
+ * @returns {Object[]} { key, publication, errors } per entry
+ */
+function importCitations(text, format) {
+  if (format === "bib" || format === "bibtex") {
+    return parseBibtex(text).map(mapBibtexEntry);
+  }
+  if (format === "ris") {
+    return parseRis(text).map(mapRisRecord);
+  }
+  throw new Error(`Unsupported citation format: ${format}`);
+}
+
+/**
+ * Read a .bib or .ris file
+ * @param {string} filePath - Path to the file
+ * @returns {Object[]} { key, publication, errors } per entry
+ */
+function readCitationFile(filePath) {
+  const format = path.extname(filePath).slice(1).toLowerCase();
+  return importCitations(fs.readFileSync(filePath, "utf8"), format);
+}
+
+module.exports = {
+  mapBibtexEntry,
+  mapRisRecord,
+  importCitations,
+  readCitationFile,
+};
@@ -0,0 +1,170 @@
+/**
+ * Shared command-line handling for the deploy and mint scripts
+ *
+ * Flags (or environment variables, since `npx hardhat run` doesn't forward
+ * script arguments):
+ *   --yes, -y, --non-interactive   PUBNFT_YES=true   never prompt: confirmations
+ *                                                    are accepted and missing
+ *                                                    input is an error
+ *   --json                         PUBNFT_JSON=true  print one JSON result object
+ *                                                    on stdout instead of progress
+ *                                                    logs (implies --yes)
+ *   --max-fee <gwei>               MAX_FEE_GWEI      cap maxFeePerGas of sent
+ *                                                    transactions
+ *   --priority-fee <gwei>          PRIORITY_FEE_GWEI cap maxPriorityFeePerGas
+ */
+
+const { parseGwei } = require("./fees");
+
+const YES_FLAGS = ["--yes", "-y", "--non-interactive"];
+const JSON_FLAGS = ["--json"];
+const FEE_FLAGS = {
+  "--max-fee": { key: "maxFeePerGas", env: "MAX_FEE_GWEI" },
+  "--priority-fee": { key: "maxPriorityFeePerGas", env: "PRIORITY_FEE_GWEI" },
+};
+
+function isTrue(value) {
+  return value === "1" || value === "true";
+}
+
+/**
+ * Split --max-fee / --priority-fee (as "--flag value" or "--flag=value")
+ * out of the arguments
+ * @returns {Object} { fees: { maxFeePerGas, maxPriorityFeePerGas } in wei, rest }
+ */
+function parseFeeFlags(argv, env) {
+  const values = {};
+  const rest = [];
+
+  for (let index = 0; index < argv.length; index++) {
+    const [flag, inline] = argv[index].split(/=(.*)/s);
+    if (!FEE_FLAGS[flag]) {
+      rest.push(argv[index]);
+      continue;
+    }
+    const value = inline !== undefined ? inline : argv[++index];
+    if (value === undefined) {
+      throw new Error(`${flag} needs a value in gwei`);
+    }
+    values[flag] = value;
+  }
+
+  const fees = {};
+  for (const [flag, { key, env: name }] of Object.entries(FEE_FLAGS)) {
+    const value = values[flag] !== undefined ? values[flag] : env[name];
+    if (value !== undefined && value !== "") {
+      fees[key] = parseGwei(value, values[flag] !== undefined ? flag : name);
+    }
+  }
+  return { fees, rest };
+}
+
+/**
+ * Parse the flags shared by the scripts
+ * @param {string[]} argv - Script arguments (default: process.argv.slice(2))
+ * @param {Object} env - Environment variables
+ * @returns {Object} { nonInteractive, json, fees: { maxFeePerGas,
+ *   maxPriorityFeePerGas } caps in wei, args: remaining positional arguments }
+ */
+function parseRunOptions(argv = process.argv.slice(2), env = process.env) {
+  const { fees, rest } = parseFeeFlags(argv, env);
+  const json = rest.some((arg) => JSON_FLAGS.includes(arg)) || isTrue(env.PUBNFT_JSON);
+  const nonInteractive =
+    json ||
+    rest.some((arg) => YES_FLAGS.includes(arg)) ||
+    isTrue(env.PUBNFT_YES) ||
+    isTrue(env.PUBNFT_NON_INTERACTIVE);
+
+  return {
+    nonInteractive,
+    json,
+    fees,
+    args: rest.filter(
+      (arg) => !YES_FLAGS.includes(arg) && !JSON_FLAGS.includes(arg)
+    ),
+  };
+}
+
+/**
+ * Split named value flags ("--name value" or "--name=value") out of the
+ * arguments
+ * @param {string[]} argv - Arguments, e.g. the args of parseRunOptions
+ * @param {string[]} names - Flags that take a value, e.g. ["--image-url"]
+ * @returns {Object} { values: flag values keyed by camel-cased name
+ *   (--image-url becomes imageUrl), args: remaining arguments }
+ */
+function parseValueFlags(argv, names) {
+  const values = {};
+  const args = [];
+
+  for (let index = 0; index < argv.length; index++) {
+    const [flag, inline] = argv[index].split(/=(.*)/s);
+    if (!names.includes(flag)) {
+      args.push(argv[index]);
+      continue;
+    }
+    const value = inline !== undefined ? inline : argv[++index];
+    if (value === undefined) {
+      throw new Error(`${flag} needs a value`);
+    }
+    const key = flag
+      .replace(/^--/, "")
+      .replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+    values[key] = value;
+  }
+  return { values, args };
+}
+
+/**
+ * Serialize a result for --json output (bigints become decimal strings)
+ * @param {Object} value - Result object
+ * @returns {string} JSON text
+ */
+function toJson(value) {
+  return JSON.stringify(
+    value,
+    (key, item) => (typeof item === "bigint" ? item.toString() : item),
+    2
+  );
+}
+
+/**
+ * Create the output functions for a script run
+ * In JSON mode progress logs are dropped, warnings go to stderr and the
+ * result (or error) is the only thing written to stdout.
+ * @param {Object} options - Result of parseRunOptions
+ * @returns {Object} { log, warn, result, fail }
+ */
+function createReporter(options) {
+  const { json } = options;
+
+  return {
+    log: (...args) => {
+      if (!json) {
+        console.log(...args);
+      }
+    },
+    warn: (message) => {
+      console.error(`⚠️  ${message}`);
+    },
+    result: (value) => {
+      if (json) {
+        process.stdout.write(toJson(value) + "\n");
+      }
+    },
+    fail: (error) => {
+      if (json) {
+        process.stdout.write(toJson({ error: error.message }) + "\n");
+      } else {
+        console.error(error);
+      }
+    },
+  };
+}
+
+module.exports = {
+  parseRunOptions,
+  parseValueFlags,
+  toJson,
+  createReporter,
+};
@@ -0,0 +1,307 @@
+/**
+ * Rebuild the minted collection from contract logs
+ *
+ * The contract has no enumeration and no totalSupply, so the collection is
+ * read from its PublicationMinted and Transfer logs, paged in block ranges,
+ * and joined with getPublication. Tokens named by a later PublicationUpdated
+ * or ERC-4906 MetadataUpdate are read again, as are the known tokens in the
+ * range of a BatchMetadataUpdate. Progress is kept in a JSON state file, so a
+ * later run only scans the blocks added since:
+ * {
+ *   "contract": "0x...",
+ *   "chainId": 11155111,
+ *   "lastBlock": 5123456,
+ *   "tokens": {
+ *     "<tokenId>": { "tokenId": "0", "owner": "0x...", "mintedBlock": 1,
+ *                    "mintTransaction": "0x...", "burned": false,
+ *                    "publication": { ... } }
+ *   }
+ * }
+ */
+
+const fs = require("fs");
+const { getPublication, revertErrorName } = require("./publication-client");
+const { formatCsv } = require("./csv");
+const { citationKey, toBibtex, toIsoDate } = require("./citation-export");
+const { decodeAuthors, formatAuthors } = require("./authors");
+
+const DEFAULT_BATCH_SIZE = 5000;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Columns of the CSV and JSON Lines exports; CSV exports read back as manifests
+const EXPORT_COLUMNS = [
+  "tokenId",
+  "owner",
+  "title",
+  "authors",
+  "publicationDate",
+  "doi",
+  "url",
+  "imageUrl",
+  "description",
+  "license",
+  "field",
+  "version",
+  "externalUrl",
+  "status",
+  "statusReason",
+  "mintedBlock",
+  "mintTransaction",
+];
+
+/**
+ * Load an export state file, or start a new one
+ * @param {string} statePath - Path to the state file
+ * @param {string} contractAddress - Contract being exported
+ * @param {number} chainId - Chain the contract is on
+ * @returns {Object} Export state
+ */
+function loadExportState(statePath, contractAddress, chainId) {
+  if (!fs.existsSync(statePath)) {
+    return { contract: contractAddress, chainId, lastBlock: null, tokens: {} };
+  }
+
+  const state = JSON.parse(fs.readFileSync(statePath, "utf8"));
+  if (
+    state.contract.toLowerCase() !== contractAddress.toLowerCase() ||
+    state.chainId !== chainId
+  ) {
+    throw new Error(
+      `Export state ${statePath} belongs to contract ${state.contract} on chain ${state.chainId}, not ${contractAddress} on chain ${chainId}`
+    );
+  }
+  return state;
+}
+
+/**
+ * Write an export state file atomically
+ * @param {string} statePath - Path to the state file
+ * @param {Object} state - Export state
+ */
+function saveExportState(statePath, state) {
+  const tmpPath = `${statePath}.tmp`;
+  fs.writeFileSync(tmpPath, JSON.stringify(state, null, 2) + "\n");
+  fs.renameSync(tmpPath, statePath);
+}
+
+/**
+ * Read the publications of newly minted or updated tokens
+ * Publications are read at the latest block. A token burned before it is
+ * read, in the scanned range or after it, keeps the title and authors of its
+ * event.
+ */
+async function readPublications(contract, tokens) {
+  for (const token of tokens) {
+    if (token.burned) {
+      continue;
+    }
+    try {
+      const { tokenId, ...publication } = await getPublication(
+        contract,
+        token.tokenId
+      );
+      token.publication = publication;
+    } catch (error) {
+      if (revertErrorName(contract, error) !== "ERC721NonexistentToken") {
+        throw error;
+      }
+    }
+  }
+}
+
+/**
+ * Scan logs from the block after state.lastBlock up to toBlock
+ * The state is updated in place and passed to onRange after every range, so
+ * an interrupted scan resumes from the last completed range.
+ * @param {ethers.Contract} contract - PublicationNFT contract instance
+ * @param {Object} state - Export state from loadExportState
+ * @param {Object} options - { fromBlock: first block of a new state
+ *   (default 0), toBlock (default: latest), batchSize: blocks per query,
+ *   onRange: called with ({ from, to, minted, updated, transfers }, state) }
+ * @returns {Promise<Object>} { fromBlock, toBlock, minted, updated,
+ *   transfers }
+ */
+async function scanCollection(contract, state, options = {}) {
+  const { batchSize = DEFAULT_BATCH_SIZE, onRange = () => {} } = options;
+  const provider = contract.runner.provider || contract.runner;
+  const toBlock =
+    options.toBlock !== undefined
+      ? options.toBlock
+      : await provider.getBlockNumber();
+  const fromBlock =
+    state.lastBlock !== null && state.lastBlock !== undefined
+      ? state.lastBlock + 1
+      : options.fromBlock || 0;
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Batch size must be a positive integer, got ${batchSize}`);
+  }
+
+  const totals = { fromBlock, toBlock, minted: 0, updated: 0, transfers: 0 };
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    const [mints, transfers, updates] = await Promise.all([
+      contract.queryFilter(contract.filters.PublicationMinted(), from, to),
+      contract.queryFilter(contract.filters.Transfer(), from, to),
+      Promise.all(
+        ["PublicationUpdated", "MetadataUpdate", "BatchMetadataUpdate"].map(
+          (name) => contract.queryFilter(contract.filters[name](), from, to)
+        )
+      ),
+    ]);
+
+    // Apply the logs in chain order
+    const logs = [...mints, ...transfers].sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+    );
+    const minted = [];
+    for (const log of logs) {
+      const tokenId = log.args.tokenId.toString();
+      if (log.fragment.name === "PublicationMinted") {
+        const token = state.tokens[tokenId] || { tokenId, burned: false };
+        Object.assign(token, {
+          owner: token.owner || log.args.owner,
+          mintedBlock: log.blockNumber,
+          mintTransaction: log.transactionHash,
+          publication: {
+            title: log.args.title,
+            authors: decodeAuthors(log.args.authors),
+          },
+        });
+        state.tokens[tokenId] = token;
+        minted.push(token);
+      } else {
+        const token = state.tokens[tokenId] || { tokenId, burned: false };
+        token.owner = log.args.to === ZERO_ADDRESS ? null : log.args.to;
+        token.burned = log.args.to === ZERO_ADDRESS;
+        state.tokens[tokenId] = token;
+      }
+    }
+
+    // Tokens changed after their mint, in this range or an earlier one
+    const refresh = new Set(minted);
+    for (const log of updates.flat()) {
+      if (log.fragment.name === "BatchMetadataUpdate") {
+        const first = log.args._fromTokenId;
+        const last = log.args._toTokenId;
+        Object.values(state.tokens)
+          .filter((token) => {
+            const id = BigInt(token.tokenId);
+            return id >= first && id <= last;
+          })
+          .forEach((token) => refresh.add(token));
+      } else {
+        const token = state.tokens[log.args[0].toString()];
+        if (token) {
+          refresh.add(token);
+        }
+      }
+    }
+    const updated = [...refresh].filter(
+      (token) => token.mintTransaction && !minted.includes(token)
+    );
+    await readPublications(contract, [...minted, ...updated]);
+
+    state.lastBlock = to;
+    totals.minted += minted.length;
+    totals.updated += updated.length;
+    totals.transfers += transfers.length;
+    await onRange(
+      {
+        from,
+        to,
+        minted: minted.length,
+        updated: updated.length,
+        transfers: transfers.length,
+      },
+      state
+    );
+  }
+  return totals;
+}
+
+/**
+ * Tokens of the collection that still exist, in token ID order
+ * @param {Object} state - Export state
+ * @returns {Object[]} Flat records with EXPORT_COLUMNS keys
+ */
+function collectionRecords(state) {
+  return Object.values(state.tokens)
+    .filter((token) => !token.burned && token.mintTransaction)
+    .sort((a, b) => Number(BigInt(a.tokenId) - BigInt(b.tokenId)))
+    .map((token) => ({
+      tokenId: token.tokenId,
+      owner: token.owner,
+      ...token.publication,
+      publicationDate: toIsoDate(token.publication.publicationDate),
+      mintedBlock: token.mintedBlock,
+      mintTransaction: token.mintTransaction,
+    }));
+}
+
+/**
+ * Format the collection for export
+ * @param {Object} state - Export state
+ * @param {string} format - "csv", "jsonl" or "bibtex"
+ * @param {Object} options - { network: named in BibTeX notes }
+ * @returns {string} File contents
+ */
+function formatCollection(state, format, options = {}) {
+  const records = collectionRecords(state);
+
+  switch (format) {
+    case "csv":
+      // Authors in the string form manifests read
+      return formatCsv(
+        records.map((record) => ({
+          ...record,
+          authors: formatAuthors(record.authors),
+        })),
+        EXPORT_COLUMNS
+      );
+    case "jsonl":
+      return records
+        .map((record) =>
+          JSON.stringify(
+            Object.fromEntries(
+              EXPORT_COLUMNS.filter((key) => record[key] !== undefined).map(
+                (key) => [key, record[key]]
+              )
+            )
+          )
+        )
+        .map((line) => `${line}\n`)
+        .join("");
+    case "bibtex": {
+      // Citation keys must be unique within a bibliography
+      const used = new Map();
+      return records
+        .map((record) => {
+          const base = citationKey(record);
+          const count = used.get(base) || 0;
+          used.set(base, count + 1);
+          const key = count === 0 ? base : `${base}-${count + 1}`;
+          return toBibtex(record, {
+            key,
+            note: `PublicationNFT token ${record.tokenId}${
+              options.network ? ` on ${options.network}` : ""
+            }`,
+          });
+        })
+        .join("\n");
+    }
+    default:
+      throw new Error(
+        `Unknown export format "${format}" (expected csv, jsonl or bibtex)`
+      );
+  }
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  EXPORT_COLUMNS,
+  loadExportState,
+  saveExportState,
+  scanCollection,
+  collectionRecords,
+  formatCollection,
+};
@@ -0,0 +1,201 @@
+/**
+ * Transaction cost estimates in ETH and USD from oracle data
+ */
+
+const { ethers } = require("ethers");
+const { TIERS, applyFeeCaps, isMethodNotFound } = require("./fees");
+
+const TIER_LABELS = { safe: "Safe", proposed: "Standard", fast: "Fast" };
+
+// Publication priced when none is given
+const SAMPLE_PUBLICATION = {
+  uri: "ipfs://QmSampleHash",
+  title: "Sample Publication",
+  authors: "John Doe, Jane Smith",
+  publicationDate: 1700000000,
+  doi: "10.1000/sample-doi",
+  imageUrl: "https://image.example.com/cover.jpg",
+  description: "Sample description",
+  license: "CC-BY-4.0",
+  field: "Computer Science",
+  version: "1.0",
+  externalUrl: "https://example.com/paper",
+};
+
+// Gas used on the Hardhat network to deploy PublicationNFT and mint
+// SAMPLE_PUBLICATION; test/fees.test.js fails when the contract drifts from it
+const MEASURED_GAS = { deployment: 6550119n, mint: 538600n };
+
+/**
+ * Estimate gas, or take a measured amount when the node can't estimate
+ * Only a node without eth_estimateGas falls back; reverts (a taken DOI, a
+ * missing role) and transport errors are thrown.
+ * @param {Function} estimate - Async function returning the node's estimate
+ * @param {bigint} measured - Amount from MEASURED_GAS
+ * @returns {Promise<Object>} { gas, measured: true when gas is the measured
+ *   amount }
+ */
+async function estimateGasOrMeasured(estimate, measured) {
+  try {
+    return { gas: await estimate(), measured: false };
+  } catch (error) {
+    if (!isMethodNotFound(error)) {
+      throw error;
+    }
+    return { gas: measured, measured: true };
+  }
+}
+
+function gweiToWei(gwei) {
+  return ethers.parseUnits(gwei.toFixed(9), "gwei");
+}
+
+function weiToGwei(wei) {
+  return Number(wei) / 1e9;
+}
+
+/**
+ * Price a gas amount at each oracle tier
+ * The expected cost pays the current base fee plus the tier's priority fee;
+ * the worst case pays the full max fee (2 * baseFee + priorityFee, or the
+ * --max-fee cap when lower). Sources without EIP-1559 data price both at
+ * the tier's gas price.
+ * @param {bigint|number} gas - Gas units
+ * @param {Object} oracle - Oracle from lib/oracle
+ * @param {Object} caps - { maxFeePerGas, maxPriorityFeePerGas } in wei
+ * @returns {Promise<Object>} { gas, gasPrices, ethPrice, caps, belowBaseFee,
+ *   costs: { safe, proposed, fast } } where each cost is
+ *   { gwei, eth, usd, maxGwei, maxEth, maxUsd }
+ */
+async function estimateCost(gas, oracle, caps = {}) {
+  const [gasPrices, ethPrice] = await Promise.all([
+    oracle.getGasPrices(),
+    oracle.getPrice("ETH"),
+  ]);
+  const eip1559 =
+    gasPrices.baseFee !== undefined && gasPrices.priorityFees !== undefined;
+
+  const price = (gwei) => {
+    const eth = (Number(gas) * gwei) / 1e9;
+    return { eth, usd: eth * ethPrice.usd };
+  };
+
+  const costs = {};
+  for (const tier of TIERS) {
+    let fees;
+    if (eip1559) {
+      fees = applyFeeCaps(
+        gweiToWei(gasPrices.baseFee),
+        gweiToWei(gasPrices.priorityFees[tier]),
+        caps
+      );
+    } else {
+      let gasPrice = gweiToWei(gasPrices[tier]);
+      if (caps.maxFeePerGas !== undefined && gasPrice > caps.maxFeePerGas) {
+        gasPrice = caps.maxFeePerGas;
+      }
+      fees = { expectedFeePerGas: gasPrice, maxFeePerGas: gasPrice };
+    }
+
+    const gwei = weiToGwei(fees.expectedFeePerGas);
+    const maxGwei = weiToGwei(fees.maxFeePerGas);
+    const expected = price(gwei);
+    const worst = price(maxGwei);
+    costs[tier] = {
+      gwei,
+      eth: expected.eth,
+      usd: expected.usd,
+      maxGwei,
+      maxEth: worst.eth,
+      maxUsd: worst.usd,
+    };
+  }
+
+  return {
+    gas: BigInt(gas),
+    gasPrices,
+    ethPrice,
+    caps,
+    belowBaseFee:
+      eip1559 &&
+      caps.maxFeePerGas !== undefined &&
+      caps.maxFeePerGas < gweiToWei(gasPrices.baseFee),
+    costs,
+  };
+}
+
+function describeSource(result, what) {
+  if (result.fallback) {
+    return `${what}: offline fallback values`;
+  }
+  const age = new Date(result.fetchedAt).toISOString();
+  return result.stale
+    ? `${what}: cached from ${result.source} at ${age} (live sources unavailable)`
+    : `${what}: ${result.source}`;
+}
+
+/**
+ * Format a cost estimate for the console
+ * @param {Object} estimate - Result of estimateCost
+ * @param {string} label - What is being priced, e.g. "deployment"
+ * @returns {string[]} Lines to print
+ */
+function formatCostEstimate(estimate, label) {
+  const { gasPrices, ethPrice, costs, belowBaseFee } = estimate;
+  const live = [gasPrices, ethPrice].every(
+    (result) => !result.fallback && !result.stale
+  );
+  const lines = [];
+
+  lines.push(
+    `⛽ Gas prices: ${TIERS.map(
+      (tier) => `${TIER_LABELS[tier]} ${gasPrices[tier].toFixed(2)}gwei`
+    ).join(", ")}`
+  );
+  if (gasPrices.baseFee !== undefined && gasPrices.priorityFees) {
+    lines.push(
+      `   Base fee ${gasPrices.baseFee.toFixed(
+        2
+      )}gwei + priority fee ${TIERS.map((tier) =>
+        gasPrices.priorityFees[tier].toFixed(2)
+      ).join("/")}gwei`
+    );
+  }
+  lines.push(`💵 ETH price: $${ethPrice.usd.toFixed(2)}`);
+  lines.push(`   ${describeSource(gasPrices, "Gas prices")}`);
+  lines.push(`   ${describeSource(ethPrice, "ETH price")}`);
+  lines.push("");
+  lines.push(`💰 Estimated ${label} costs${live ? "" : " (not live)"}:`);
+  for (const tier of TIERS) {
+    const cost = costs[tier];
+    lines.push(
+      `   ${TIER_LABELS[tier]}: ${cost.eth.toFixed(4)} ETH ($${cost.usd.toFixed(
+        2
+      )}), at most ${cost.maxEth.toFixed(4)} ETH ($${cost.maxUsd.toFixed(
+        2
+      )}) at max fee ${cost.maxGwei.toFixed(2)}gwei`
+    );
+  }
+  if (belowBaseFee) {
+    lines.push(
+      "   --max-fee is below the current base fee; the transaction would not be sent."
+    );
+  }
+  lines.push("");
+  lines.push(
+    live
+      ? "⚠️  Disclaimer: These are estimated prices based on real-time data and there is no guarantee of final costs."
+      : "⚠️  Disclaimer: Live price data unavailable. Actual costs may vary significantly."
+  );
+
+  return lines;
+}
+
+module.exports = {
+  TIERS,
+  SAMPLE_PUBLICATION,
+  MEASURED_GAS,
+  estimateGasOrMeasured,
+  estimateCost,
+  formatCostEstimate,
+};
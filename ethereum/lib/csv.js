@@ -0,0 +1,117 @@
+/**
+ * Minimal RFC 4180 CSV reader and writer
+ */
+
+/**
+ * Parse CSV text into rows of cells
+ * Supports quoted cells containing commas, quotes ("") and line breaks.
+ * @param {string} text - CSV text
+ * @returns {string[][]} Rows of cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+  let i = 0;
+
+  // Strip a UTF-8 byte order mark written by spreadsheet exports
+  if (text.charCodeAt(0) === 0xfeff) {
+    i = 1;
+  }
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error("Unterminated quoted cell in CSV");
+  }
+
+  if (cell.length > 0 || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((r) => r.length > 1 || r[0].trim().length > 0);
+}
+
+/**
+ * Parse CSV text with a header row into objects
+ * @param {string} text - CSV text
+ * @returns {Object[]} One object per data row, keyed by header
+ */
+function parseCsvObjects(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return [];
+  }
+  const keys = header.map((h) => h.trim());
+
+  return rows.map((cells) => {
+    const record = {};
+    keys.forEach((key, index) => {
+      if (key.length > 0) {
+        record[key] = cells[index] !== undefined ? cells[index] : "";
+      }
+    });
+    return record;
+  });
+}
+
+function quoteCell(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format objects as CSV text with a header row
+ * Cells containing commas, quotes or line breaks are quoted.
+ * @param {Object[]} records - Rows to write
+ * @param {string[]} columns - Keys to write, in order (also the header)
+ * @returns {string} CSV text ending with a line break
+ */
+function formatCsv(records, columns) {
+  return [
+    columns,
+    ...records.map((record) => columns.map((key) => record[key])),
+  ]
+    .map((cells) => cells.map(quoteCell).join(","))
+    .join("\n")
+    .concat("\n");
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvObjects,
+  formatCsv,
+};
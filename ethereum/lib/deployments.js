@@ -0,0 +1,255 @@
+/**
+ * Deployment registry
+ *
+ * scripts/deploy.js records every deployment in deployments/<network>.json.
+ * The other scripts resolve the contract address from that file by network
+ * name and check it against the chain before sending anything.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+
+function sameAddress(a, b) {
+  return a.toLowerCase() === b.toLowerCase();
+}
+
+/**
+ * Path of the registry file for a network
+ * @param {string} network - Network name from hardhat.config.js
+ * @param {string} dir - Registry directory (default: ethereum/deployments)
+ * @returns {string} File path
+ */
+function deploymentPath(network, dir = DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Hash of a contract ABI, used to detect scripts compiled against another ABI
+ * @param {Array} abi - Contract ABI
+ * @returns {string} keccak256 of the ABI JSON
+ */
+function abiHash(abi) {
+  return ethers.id(JSON.stringify(abi));
+}
+
+/**
+ * Hash of deployed runtime bytecode
+ * @param {string} code - 0x-prefixed bytecode from eth_getCode
+ * @returns {string} keccak256 of the code
+ */
+function bytecodeHash(code) {
+  return ethers.keccak256(code);
+}
+
+/**
+ * Read the deployment recorded for a network
+ * @param {string} network - Network name
+ * @param {string} dir - Registry directory
+ * @returns {Object|null} Deployment record, or null when none is recorded
+ */
+function readDeployment(network, dir = DEPLOYMENTS_DIR) {
+  const file = deploymentPath(network, dir);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * Record a deployment for a network, replacing the previous one
+ * @param {string} network - Network name
+ * @param {Object} deployment - Deployment record
+ * @param {string} dir - Registry directory
+ * @returns {string} Path of the written file
+ */
+function writeDeployment(network, deployment, dir = DEPLOYMENTS_DIR) {
+  const file = deploymentPath(network, dir);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(deployment, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Build and write the registry record for a PublicationNFT deployment
+ * Nothing is recorded on the in-process hardhat network.
+ * @param {Object} hre - Hardhat runtime environment
+ * @param {ethers.Contract} contract - Deployed contract
+ * @param {Object} receipt - Deployment transaction receipt
+ * @param {string} dir - Registry directory
+ * @returns {Promise<Object|null>} { path, previous: the replaced record or
+ *   null }, or null on the hardhat network
+ */
+async function recordDeployment(hre, contract, receipt, dir = DEPLOYMENTS_DIR) {
+  const networkName = hre.network.name;
+  if (networkName === "hardhat") {
+    return null;
+  }
+
+  const address = await contract.getAddress();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const artifact = await hre.artifacts.readArtifact("PublicationNFT");
+  const buildInfo = await hre.artifacts.getBuildInfo(
+    `${artifact.sourceName}:${artifact.contractName}`
+  );
+  const { settings } = buildInfo.input;
+  const previous = readDeployment(networkName, dir);
+
+  const file = writeDeployment(
+    networkName,
+    {
+      contract: artifact.contractName,
+      network: networkName,
+      chainId: Number(chainId),
+      address,
+      deployer: receipt.from,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      deployedAt: new Date().toISOString(),
+      compiler: {
+        version: buildInfo.solcLongVersion,
+        optimizer: settings.optimizer,
+        viaIR: settings.viaIR || false,
+        evmVersion: settings.evmVersion,
+      },
+      abiHash: abiHash(artifact.abi),
+      bytecodeHash: bytecodeHash(await hre.ethers.provider.getCode(address)),
+    },
+    dir
+  );
+
+  return {
+    path: file,
+    previous:
+      previous && !sameAddress(previous.address, address) ? previous : null,
+  };
+}
+
+/**
+ * Check a deployment record against the chain
+ * Throws when the record is marked incompatible, has no bytecodeHash or
+ * abiHash to check (records written before deploy.js hashed them, unless
+ * requireHashes is false), the chain ID differs, there is no code at the
+ * address, the code doesn't hash to the recorded bytecodeHash, or the
+ * compiled ABI doesn't hash to the recorded abiHash.
+ * @param {Object} provider - ethers provider for the network
+ * @param {Object} deployment - Deployment record
+ * @param {Object} options - { network, abi: local ABI to compare with abiHash,
+ *   source: where the record came from, for messages, requireHashes
+ *   (default true) }
+ * @returns {Promise<string[]>} Warnings that don't prevent using the contract:
+ *   an unrecorded contract (requireHashes false) is used unchecked
+ */
+async function verifyDeployment(provider, deployment, options = {}) {
+  const {
+    network = deployment.network,
+    abi,
+    source = `deployments/${network}.json`,
+    requireHashes = true,
+  } = options;
+  const warnings = [];
+
+  if (deployment.incompatible) {
+    throw new Error(
+      `The contract at ${deployment.address} on ${network} (from ${source}) can't be used with these scripts: ${deployment.incompatible}`
+    );
+  }
+  if (!(deployment.bytecodeHash && deployment.abiHash)) {
+    if (requireHashes) {
+      throw new Error(
+        `${source} has no bytecodeHash or abiHash, so the contract at ${deployment.address} on ${network} can't be checked against this version of PublicationNFT. Redeploy with scripts/deploy.js, or set CONTRACT_ADDRESS to use it unchecked.`
+      );
+    }
+    warnings.push(
+      `The contract at ${deployment.address} on ${network} (from ${source}) is used unchecked: with no recorded bytecodeHash and abiHash, nothing shows it runs this version of PublicationNFT.`
+    );
+  }
+
+  const { chainId } = await provider.getNetwork();
+  if (
+    deployment.chainId !== undefined &&
+    BigInt(deployment.chainId) !== chainId
+  ) {
+    throw new Error(
+      `${source} is for chain ID ${deployment.chainId}, but the ${network} RPC reports chain ID ${chainId}.`
+    );
+  }
+
+  const code = await provider.getCode(deployment.address);
+  if (code === "0x") {
+    throw new Error(
+      `No contract code at ${deployment.address} on ${network} (from ${source}). Redeploy or correct the address.`
+    );
+  }
+
+  if (deployment.bytecodeHash && bytecodeHash(code) !== deployment.bytecodeHash) {
+    throw new Error(
+      `The contract at ${deployment.address} on ${network} does not match ${source} (bytecode hash ${bytecodeHash(
+        code
+      )}, recorded ${deployment.bytecodeHash}). The registry points at a different contract.`
+    );
+  }
+
+  if (abi && deployment.abiHash && abiHash(abi) !== deployment.abiHash) {
+    throw new Error(
+      `The compiled ABI differs from the one recorded in ${source}, so calls to ${deployment.address} on ${network} would be encoded for another version of PublicationNFT. Compile the version that was deployed, or redeploy with scripts/deploy.js.`
+    );
+  }
+
+  return warnings;
+}
+
+/**
+ * Resolve the contract address for a network from the registry
+ * An explicit address (CONTRACT_ADDRESS) takes precedence over the registry
+ * but must still have code on chain; with no hashes to check, it comes back
+ * with a warning.
+ * @param {string} network - Network name
+ * @param {Object} provider - ethers provider for the network
+ * @param {Object} options - { address, abi, dir }
+ * @returns {Promise<Object>} { address, deployment, warnings }
+ */
+async function resolveDeployment(network, provider, options = {}) {
+  const { address, abi, dir = DEPLOYMENTS_DIR } = options;
+  const recorded = readDeployment(network, dir);
+
+  let deployment = recorded;
+  let source;
+  if (address && !(recorded && sameAddress(recorded.address, address))) {
+    deployment = { network, address };
+    source = "CONTRACT_ADDRESS";
+  }
+
+  if (!deployment) {
+    throw new Error(
+      `No deployment recorded for network "${network}" (${path.relative(
+        process.cwd(),
+        deploymentPath(network, dir)
+      )}). Deploy with scripts/deploy.js or set CONTRACT_ADDRESS.`
+    );
+  }
+
+  // An explicit address has no hashes to check
+  const warnings = await verifyDeployment(provider, deployment, {
+    network,
+    abi,
+    source,
+    requireHashes: source === undefined,
+  });
+
+  return { address: deployment.address, deployment, warnings };
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  deploymentPath,
+  abiHash,
+  bytecodeHash,
+  readDeployment,
+  writeDeployment,
+  recordDeployment,
+  verifyDeployment,
+  resolveDeployment,
+};
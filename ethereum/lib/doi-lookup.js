@@ -0,0 +1,256 @@
+/**
+ * Look up publication metadata for a DOI from Crossref, falling back to DataCite
+ *
+ * The API base URLs default to the public services and can be overridden with
+ * CROSSREF_API_URL / DATACITE_API_URL (or the options argument) to point at a
+ * mirror or a local mock server.
+ */
+
+const { fetchJson } = require("./http");
+const { fitsBytes32, normalizeDoi } = require("./publication");
+
+const DEFAULT_CROSSREF_API_URL = "https://api.crossref.org";
+const DEFAULT_DATACITE_API_URL = "https://api.datacite.org";
+
+/**
+ * Strip JATS/HTML markup and collapse whitespace
+ * @param {string} text - Text that may contain <jats:p> etc.
+ * @returns {string} Plain text
+ */
+function stripMarkup(text) {
+  if (!text) {
+    return "";
+  }
+  return (
+    text
+      // A leading "Abstract" heading carries no information
+      .replace(/<(jats:)?title>\s*abstract\s*<\/(jats:)?title>/gi, "")
+      .replace(/<[^>]+>/g, " ")
+      .replace(/&lt;/g, "<")
+      .replace(/&gt;/g, ">")
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;|&apos;/g, "'")
+      .replace(/&amp;/g, "&")
+      .replace(/\s+/g, " ")
+      .trim()
+  );
+}
+
+/**
+ * Format a list of people as "Given Family, Given Family"
+ * @param {Object[]} people - Objects with given/family or name
+ * @returns {string} Comma-separated author list
+ */
+function formatAuthors(people) {
+  return people
+    .map((person) => {
+      const given = (person.given || "").trim();
+      const family = (person.family || "").trim();
+      if (given || family) {
+        return [given, family].filter(Boolean).join(" ");
+      }
+      const name = (person.name || "").trim();
+      // "Family, Given" as used by DataCite personal names
+      const match = person.personal && name.match(/^([^,]+),\s*(.+)$/);
+      return match ? `${match[2]} ${match[1]}` : name;
+    })
+    .filter(Boolean)
+    .join(", ");
+}
+
+/**
+ * Convert a possibly partial date to unix seconds (UTC)
+ * Missing month/day default to January / the 1st.
+ * @param {number[]|string} parts - [year, month?, day?] or "YYYY[-MM[-DD]]"
+ * @returns {number|undefined} Unix seconds, or undefined when unknown
+ */
+function partialDateToSeconds(parts) {
+  if (typeof parts === "string") {
+    const match = parts.match(/^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?/);
+    parts = match ? match.slice(1).filter(Boolean).map(Number) : [];
+  }
+  if (!Array.isArray(parts) || !parts[0]) {
+    return undefined;
+  }
+  const [year, month = 1, day = 1] = parts.map(Number);
+  return Date.UTC(year, month - 1, day) / 1000;
+}
+
+/**
+ * Convert a license URL or identifier to a short SPDX-style identifier
+ * @param {string} license - e.g. "http://creativecommons.org/licenses/by/4.0/"
+ * @returns {string} e.g. "CC-BY-4.0" (unrecognized values are returned as-is)
+ */
+function normalizeLicense(license) {
+  if (!license) {
+    return "";
+  }
+  const cc = license.match(
+    /creativecommons\.org\/(licenses|publicdomain)\/([a-z-]+)\/(\d\.\d)/i
+  );
+  if (cc) {
+    return cc[2].toLowerCase() === "zero"
+      ? `CC0-${cc[3]}`
+      : `CC-${cc[2].toUpperCase()}-${cc[3]}`;
+  }
+  if (/^cc[0-]/i.test(license)) {
+    return license.toUpperCase();
+  }
+  return license;
+}
+
+/**
+ * Pick the first subject that fits the contract's bytes32 field
+ * @returns {{ field: string, warnings: string[] }}
+ */
+function pickField(subjects) {
+  const candidates = subjects.map((s) => s.trim()).filter(Boolean);
+  const field = candidates.find(fitsBytes32) || "";
+  const warnings = [];
+  if (candidates.length > 0 && !field) {
+    warnings.push(
+      `No subject fits the 32-byte field limit (first: "${candidates[0]}")`
+    );
+  }
+  return { field, warnings };
+}
+
+/**
+ * Map a Crossref work onto a publication record
+ * @param {Object} work - `message` of a Crossref /works/{doi} response
+ * @returns {{ publication: Object, warnings: string[] }}
+ */
+function mapCrossrefWork(work) {
+  const dateParts = [
+    work.issued,
+    work["published-print"],
+    work["published-online"],
+    work.created,
+  ]
+    .map((d) => d && d["date-parts"] && d["date-parts"][0])
+    .find((parts) => parts && parts[0]);
+
+  const { field, warnings } = pickField(work.subject || []);
+  const doi = normalizeDoi(work.DOI);
+
+  return {
+    publication: {
+      title: stripMarkup((work.title || [])[0]),
+      authors: formatAuthors(work.author || []),
+      publicationDate: partialDateToSeconds(dateParts),
+      doi,
+      description: stripMarkup(work.abstract),
+      license: normalizeLicense(((work.license || [])[0] || {}).URL),
+      field,
+      externalUrl: `https://doi.org/${doi}`,
+    },
+    warnings,
+  };
+}
+
+/**
+ * Map a DataCite DOI record onto a publication record
+ * @param {Object} attributes - `data.attributes` of a DataCite /dois/{doi} response
+ * @returns {{ publication: Object, warnings: string[] }}
+ */
+function mapDataciteAttributes(attributes) {
+  const issued = (attributes.dates || []).find(
+    (d) => d.dateType === "Issued"
+  );
+  const abstract = (attributes.descriptions || []).find(
+    (d) => d.descriptionType === "Abstract"
+  );
+  const rights = (attributes.rightsList || [])[0] || {};
+  const creators = (attributes.creators || []).map((creator) => ({
+    given: creator.givenName,
+    family: creator.familyName,
+    name: creator.name,
+    personal: creator.nameType !== "Organizational",
+  }));
+
+  const { field, warnings } = pickField(
+    (attributes.subjects || []).map((s) => s.subject || "")
+  );
+  const version = attributes.version || "";
+  if (version && !fitsBytes32(version)) {
+    warnings.push(`Version "${version}" exceeds the 32-byte limit`);
+  }
+  const doi = normalizeDoi(attributes.doi);
+
+  return {
+    publication: {
+      title: stripMarkup(((attributes.titles || [])[0] || {}).title),
+      authors: formatAuthors(creators),
+      publicationDate: partialDateToSeconds(
+        issued ? issued.date : String(attributes.publicationYear || "")
+      ),
+      doi,
+      description: stripMarkup(abstract && abstract.description),
+      license: normalizeLicense(rights.rightsIdentifier || rights.rightsUri),
+      field,
+      version: fitsBytes32(version) ? version : "",
+      externalUrl: `https://doi.org/${doi}`,
+    },
+    warnings,
+  };
+}
+
+/**
+ * Fetch metadata for a DOI
+ * @param {string} doi - DOI, DOI URL or doi: URI
+ * @param {Object} options - { crossrefBaseUrl, dataciteBaseUrl, timeoutMs }
+ * @returns {Promise<Object>} { source, publication, warnings }
+ * @throws {Error} When neither registry knows the DOI
+ */
+async function lookupDoi(doi, options = {}) {
+  const {
+    crossrefBaseUrl = process.env.CROSSREF_API_URL || DEFAULT_CROSSREF_API_URL,
+    dataciteBaseUrl = process.env.DATACITE_API_URL || DEFAULT_DATACITE_API_URL,
+    timeoutMs,
+  } = options;
+  const normalized = normalizeDoi(doi);
+
+  if (!/^10\.\d{4,9}\/\S+$/.test(normalized)) {
+    throw new Error(`Invalid DOI: ${doi}`);
+  }
+
+  const path = encodeURIComponent(normalized);
+
+  try {
+    const response = await fetchJson(
+      `${crossrefBaseUrl.replace(/\/$/, "")}/works/${path}`,
+      { timeoutMs }
+    );
+    return { source: "crossref", ...mapCrossrefWork(response.message) };
+  } catch (error) {
+    if (error.statusCode !== 404) {
+      throw error;
+    }
+  }
+
+  try {
+    const response = await fetchJson(
+      `${dataciteBaseUrl.replace(/\/$/, "")}/dois/${path}`,
+      { timeoutMs }
+    );
+    return {
+      source: "datacite",
+      ...mapDataciteAttributes(response.data.attributes),
+    };
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw new Error(`DOI ${normalized} not found in Crossref or DataCite`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  stripMarkup,
+  formatAuthors,
+  partialDateToSeconds,
+  normalizeLicense,
+  mapCrossrefWork,
+  mapDataciteAttributes,
+  lookupDoi,
+};
@@ -0,0 +1,237 @@
+/**
+ * EIP-1559 fee selection and user fee caps
+ *
+ * Transactions are priced from the node's eth_feeHistory: the priority fee is
+ * the average reward paid at a percentile over recent blocks and the max fee
+ * leaves room for the base fee to double (2 * baseFee + priorityFee), the
+ * same headroom ethers uses. --max-fee / --priority-fee caps are applied to
+ * those values and checked against the current base fee before anything is
+ * sent.
+ */
+
+const { ethers } = require("ethers");
+
+const DEFAULT_PERCENTILES = [10, 50, 90];
+const TIERS = ["safe", "proposed", "fast"];
+
+function min(a, b) {
+  return a < b ? a : b;
+}
+
+/**
+ * Format a wei amount per gas as gwei
+ * @param {bigint} wei - Amount in wei
+ * @returns {string} e.g. "1.5 gwei"
+ */
+function formatGwei(wei) {
+  return `${ethers.formatUnits(wei, "gwei").replace(/\.0$/, "")} gwei`;
+}
+
+/**
+ * Parse a gwei amount from the command line
+ * @param {string|number} value - Amount in gwei, e.g. "30" or "1.5"
+ * @param {string} name - Flag name for error messages
+ * @returns {bigint} Amount in wei
+ */
+function parseGwei(value, name) {
+  if (!/^\d+(\.\d{1,9})?$/.test(String(value).trim())) {
+    throw new Error(`${name} must be an amount in gwei, got "${value}"`);
+  }
+  return ethers.parseUnits(String(value).trim(), "gwei");
+}
+
+/**
+ * Read recent base and priority fees from eth_feeHistory
+ * @param {Object} rpc - Anything with send(method, params), e.g. an ethers provider
+ * @param {Object} options - { blocks, percentiles }
+ * @returns {Promise<Object>} { baseFee: next block's base fee in wei,
+ *   priorityFees: average reward in wei per percentile, gasUsedRatio }
+ */
+async function readFeeHistory(rpc, options = {}) {
+  const { blocks = 20, percentiles = DEFAULT_PERCENTILES } = options;
+  const history = await rpc.send("eth_feeHistory", [
+    `0x${blocks.toString(16)}`,
+    "latest",
+    percentiles,
+  ]);
+  if (!history.baseFeePerGas || history.baseFeePerGas.length === 0) {
+    throw new Error("eth_feeHistory returned no base fee");
+  }
+
+  // Without rewards (blocks that paid no tips) the priority fee is zero
+  const rewards = history.reward || [];
+  const priorityFees = percentiles.map((percentile, index) =>
+    rewards.length === 0
+      ? 0n
+      : rewards.reduce((sum, block) => sum + BigInt(block[index] || 0), 0n) /
+        BigInt(rewards.length)
+  );
+  const ratios = history.gasUsedRatio || [];
+
+  return {
+    // The last entry is the base fee of the next block
+    baseFee: BigInt(history.baseFeePerGas[history.baseFeePerGas.length - 1]),
+    priorityFees,
+    gasUsedRatio:
+      ratios.reduce((sum, ratio) => sum + ratio, 0) / (ratios.length || 1),
+  };
+}
+
+/**
+ * Apply user caps to a base fee and priority fee
+ * @param {bigint} baseFee - Current base fee in wei
+ * @param {bigint} priorityFee - Suggested priority fee in wei
+ * @param {Object} caps - { maxFeePerGas, maxPriorityFeePerGas } in wei
+ * @returns {Object} { maxFeePerGas, maxPriorityFeePerGas, expectedFeePerGas }
+ *   where expectedFeePerGas is what the transaction pays at the current base fee
+ */
+function applyFeeCaps(baseFee, priorityFee, caps = {}) {
+  let priority = priorityFee;
+  if (caps.maxPriorityFeePerGas !== undefined) {
+    priority = min(priority, caps.maxPriorityFeePerGas);
+  }
+
+  let maxFeePerGas = 2n * baseFee + priority;
+  if (caps.maxFeePerGas !== undefined) {
+    maxFeePerGas = min(maxFeePerGas, caps.maxFeePerGas);
+  }
+
+  return {
+    maxFeePerGas,
+    maxPriorityFeePerGas: min(priority, maxFeePerGas),
+    expectedFeePerGas: min(baseFee + priority, maxFeePerGas),
+  };
+}
+
+/**
+ * Throw when a max fee cap is below the current base fee, since such a
+ * transaction can't be included until fees drop
+ * @param {bigint} baseFee - Current base fee in wei
+ * @param {Object} caps - { maxFeePerGas }
+ */
+function assertBaseFeeWithinCap(baseFee, caps = {}) {
+  if (caps.maxFeePerGas !== undefined && caps.maxFeePerGas < baseFee) {
+    throw new Error(
+      `The current base fee (${formatGwei(
+        baseFee
+      )}) is above --max-fee (${formatGwei(
+        caps.maxFeePerGas
+      )}). Not sending; raise --max-fee or wait for lower fees.`
+    );
+  }
+}
+
+/**
+ * Whether an RPC error says the node doesn't implement the method
+ * JSON-RPC error -32601, which ethers keeps in error.error or error.info.error;
+ * Geth words it "the method ... does not exist/is not available".
+ */
+function isMethodNotFound(error) {
+  const errors = [error, error.error, error.info && error.info.error].filter(
+    Boolean
+  );
+  return errors.some(
+    ({ code, message }) =>
+      code === -32601 ||
+      /method not found|the method \S+ does not exist/i.test(message || "")
+  );
+}
+
+/**
+ * Choose transaction fee overrides for the next transaction
+ * Uses EIP-1559 fields when the node reports fee history and falls back to a
+ * legacy gasPrice (checked against --max-fee) only when the node doesn't
+ * implement eth_feeHistory; other errors, such as timeouts or rate limits,
+ * are thrown. Such chains have no priority fee, so a --priority-fee cap is
+ * refused there rather than ignored.
+ * @param {Object} provider - ethers provider
+ * @param {Object} caps - { maxFeePerGas, maxPriorityFeePerGas } in wei
+ * @param {Object} options - { tier: "safe" | "proposed" | "fast", blocks }
+ * @returns {Promise<Object>} { overrides: ethers transaction overrides,
+ *   baseFee, expectedFeePerGas, maxFeePerGas }
+ */
+async function buildFeeOverrides(provider, caps = {}, options = {}) {
+  const { tier = "proposed", blocks } = options;
+
+  let history;
+  try {
+    history = await readFeeHistory(provider, { blocks });
+  } catch (error) {
+    if (!isMethodNotFound(error)) {
+      throw error;
+    }
+    history = null;
+  }
+
+  if (!history) {
+    if (caps.maxPriorityFeePerGas !== undefined) {
+      throw new Error(
+        "This network has no EIP-1559 fee history, so --priority-fee (PRIORITY_FEE_GWEI) can't be applied. Not sending; cap the gas price with --max-fee instead."
+      );
+    }
+    const { gasPrice } = await provider.getFeeData();
+    if (caps.maxFeePerGas !== undefined && gasPrice > caps.maxFeePerGas) {
+      throw new Error(
+        `The current gas price (${formatGwei(
+          gasPrice
+        )}) is above --max-fee (${formatGwei(
+          caps.maxFeePerGas
+        )}). Not sending; raise --max-fee or wait for lower fees.`
+      );
+    }
+    return {
+      overrides: { gasPrice },
+      baseFee: undefined,
+      expectedFeePerGas: gasPrice,
+      maxFeePerGas: gasPrice,
+    };
+  }
+
+  assertBaseFeeWithinCap(history.baseFee, caps);
+  const fees = applyFeeCaps(
+    history.baseFee,
+    history.priorityFees[TIERS.indexOf(tier)],
+    caps
+  );
+
+  return {
+    overrides: {
+      maxFeePerGas: fees.maxFeePerGas,
+      maxPriorityFeePerGas: fees.maxPriorityFeePerGas,
+    },
+    baseFee: history.baseFee,
+    expectedFeePerGas: fees.expectedFeePerGas,
+    maxFeePerGas: fees.maxFeePerGas,
+  };
+}
+
+/**
+ * Describe chosen fees for the console
+ * @param {Object} fees - Result of buildFeeOverrides
+ * @returns {string} One line
+ */
+function describeFees(fees) {
+  const { overrides, baseFee } = fees;
+  if (overrides.gasPrice !== undefined) {
+    return `⛽ Gas price: ${formatGwei(
+      overrides.gasPrice
+    )} (legacy transaction)`;
+  }
+  return `⛽ Max fee: ${formatGwei(
+    overrides.maxFeePerGas
+  )}, priority fee: ${formatGwei(
+    overrides.maxPriorityFeePerGas
+  )} (base fee ${formatGwei(baseFee)})`;
+}
+
+module.exports = {
+  TIERS,
+  formatGwei,
+  parseGwei,
+  readFeeHistory,
+  applyFeeCaps,
+  assertBaseFeeWithinCap,
+  buildFeeOverrides,
+  describeFees,
+  isMethodNotFound,
+};
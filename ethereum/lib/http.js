@@ -0,0 +1,91 @@
+/**
+ * Small JSON-over-HTTP helper used by the lookup and oracle modules
+ * Works with both http:// and https:// so tests can use a local mock server.
+ */
+
+const http = require("http");
+const https = require("https");
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+/**
+ * Request a URL and parse the JSON response body
+ * @param {string} url - URL to request
+ * @param {Object} options - { method, headers, body, timeoutMs }
+ * @returns {Promise<Object>} Parsed JSON body
+ * @throws {Error} With a `statusCode` property for non-2xx responses
+ */
+function fetchJson(url, options = {}) {
+  const {
+    method = "GET",
+    headers = {},
+    body,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+  } = options;
+  const client = url.startsWith("https:") ? https : http;
+  const payload = body === undefined ? undefined : JSON.stringify(body);
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(
+      url,
+      {
+        method,
+        headers: {
+          Accept: "application/json",
+          ...(payload === undefined
+            ? {}
+            : {
+                "Content-Type": "application/json",
+                "Content-Length": Buffer.byteLength(payload),
+              }),
+          ...headers,
+        },
+      },
+      (res) => {
+        let data = "";
+
+        // Decode across chunks: a character split between two chunks would
+        // otherwise become U+FFFD
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => {
+          data += chunk;
+        });
+
+        res.on("end", () => {
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            const error = new Error(
+              `Request to ${url} failed with status ${res.statusCode}`
+            );
+            error.statusCode = res.statusCode;
+            reject(error);
+            return;
+          }
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(new Error(`Invalid JSON from ${url}: ${error.message}`));
+          }
+        });
+      }
+    );
+
+    req.setTimeout(timeoutMs, () => {
+      req.destroy(
+        new Error(`Request to ${url} timed out after ${timeoutMs}ms`)
+      );
+    });
+
+    req.on("error", (error) => {
+      reject(error);
+    });
+
+    if (payload !== undefined) {
+      req.write(payload);
+    }
+    req.end();
+  });
+}
+
+module.exports = {
+  fetchJson,
+};
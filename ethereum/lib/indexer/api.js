@@ -0,0 +1,157 @@
+/**
+ * Query API of the indexer
+ *
+ * GET /publications?author=&orcid=&doi=&field=&owner=&status=&limit=&offset=
+ *   -> { total, limit, offset, publications }
+ *   author matches part of the author names, orcid an author's ORCID iD and
+ *   status the editorial status (see status.js, e.g. status=active leaves
+ *   out retracted papers); all filters are case-insensitive, and DOIs and
+ *   ORCID iDs may be given as https://doi.org/ and https://orcid.org/ URLs.
+ *   Burned tokens are left out.
+ * GET /publications/:tokenId -> publication (burned tokens have burned: true)
+ * GET /owners/:address -> { owner, total, publications }
+ * GET /status -> { contract, chainId, lastBlock }
+ *
+ * Errors are JSON { error } with status 400, 404 or 405.
+ */
+
+const http = require("http");
+const { ethers } = require("ethers");
+const { isValidOrcid } = require("../authors");
+const { resolveStatus } = require("../status");
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function parseCount(params, name, fallback, max) {
+  const value = params.get(name);
+  if (value === null || value === "") {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value) || (max !== undefined && Number(value) > max)) {
+    throw httpError(
+      400,
+      `${name} must be a whole number${
+        max === undefined ? "" : ` up to ${max}`
+      }`
+    );
+  }
+  return Number(value);
+}
+
+function listPublications(store, params) {
+  const limit = parseCount(params, "limit", DEFAULT_LIMIT, MAX_LIMIT);
+  const offset = parseCount(params, "offset", 0);
+  const owner = params.get("owner");
+  if (owner && !ethers.isAddress(owner)) {
+    throw httpError(400, `Invalid owner address: ${owner}`);
+  }
+  const orcid = params.get("orcid");
+  if (orcid && !isValidOrcid(orcid)) {
+    throw httpError(400, `Invalid ORCID iD: ${orcid}`);
+  }
+  let status = params.get("status");
+  if (status) {
+    try {
+      status = resolveStatus(status).name;
+    } catch (error) {
+      throw httpError(400, error.message);
+    }
+  }
+  const { total, publications } = store.findPublications({
+    author: params.get("author"),
+    orcid,
+    doi: params.get("doi"),
+    field: params.get("field"),
+    owner,
+    status,
+    limit,
+    offset,
+  });
+  return { total, limit, offset, publications };
+}
+
+/**
+ * Answer a request
+ * @param {Object} store - Indexer store
+ * @param {string} method - HTTP method
+ * @param {string} url - Request path and query
+ * @returns {Object} Response body
+ * @throws {Error} With a `statusCode` property for bad requests and unknown
+ *   resources
+ */
+function route(store, method, url) {
+  if (method !== "GET") {
+    throw httpError(405, `Method ${method} not allowed`);
+  }
+  const { pathname, searchParams } = new URL(url, "http://localhost");
+  let parts;
+  try {
+    parts = pathname.split("/").filter(Boolean).map(decodeURIComponent);
+  } catch (error) {
+    if (error instanceof URIError) {
+      throw httpError(400, `Malformed path: ${pathname}`);
+    }
+    throw error;
+  }
+
+  if (parts.length === 1 && parts[0] === "status") {
+    const lastBlock = store.getMeta("lastBlock");
+    return {
+      contract: store.getMeta("contract") || null,
+      chainId: store.getMeta("chainId") || null,
+      lastBlock: lastBlock === undefined ? null : lastBlock,
+    };
+  }
+  if (parts[0] === "publications" && parts.length === 1) {
+    return listPublications(store, searchParams);
+  }
+  if (parts[0] === "publications" && parts.length === 2) {
+    if (!/^\d+$/.test(parts[1])) {
+      throw httpError(400, `Invalid token ID: ${parts[1]}`);
+    }
+    const publication = store.getPublication(parts[1]);
+    if (!publication || publication.mintedBlock === null) {
+      throw httpError(404, `Token ${parts[1]} not found`);
+    }
+    return publication;
+  }
+  if (parts[0] === "owners" && parts.length === 2) {
+    if (!ethers.isAddress(parts[1])) {
+      throw httpError(400, `Invalid address: ${parts[1]}`);
+    }
+    const { total, publications } = store.findPublications({
+      owner: parts[1],
+    });
+    return { owner: ethers.getAddress(parts[1]), total, publications };
+  }
+  throw httpError(404, `Not found: ${pathname}`);
+}
+
+/**
+ * Create the HTTP server of the query API
+ * @param {Object} store - Indexer store from openStore
+ * @returns {http.Server} Server; call listen(port) to start it
+ */
+function createApiServer(store) {
+  return http.createServer((req, res) => {
+    let statusCode = 200;
+    let body;
+    try {
+      body = route(store, req.method, req.url);
+    } catch (error) {
+      statusCode = error.statusCode || 500;
+      body = { error: error.message };
+    }
+    res.writeHead(statusCode, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body) + "\n");
+  });
+}
+
+module.exports = { createApiServer };
@@ -0,0 +1,281 @@
+/**
+ * Publication indexer
+ *
+ * Usage:
+ * const { openStore, createIndexer, createApiServer } = require("./lib/indexer");
+ * const store = await openStore("cache/indexer-sepolia.sqlite");
+ * const indexer = createIndexer({ contract, store, startBlock });
+ * await indexer.sync();                  // index up to the latest block
+ * createApiServer(store).listen(3000);
+ *
+ * Every contract log is read, not only known events: PublicationMinted and
+ * Transfer set the token and its owner, and any other event carrying a token
+ * ID (such as ERC-4906 MetadataUpdate or PublicationStatusChanged) re-reads
+ * that token's publication, including its status, as BatchMetadataUpdate does
+ * for its range. Publications are read with getPublication when their block
+ * range is indexed.
+ *
+ * Reorgs: the hashes of the blocks indexed within the last `reorgDepth`
+ * blocks are kept. Each sync first compares them with the chain; if the
+ * newest one has changed, everything after the newest block still on the
+ * chain is rolled back and indexed again.
+ */
+
+const { getPublication, revertErrorName } = require("../publication-client");
+const { openStore } = require("./store");
+const { createApiServer } = require("./api");
+
+const DEFAULT_BATCH_SIZE = 2000;
+const DEFAULT_REORG_DEPTH = 12;
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+// Argument names of the token ID in other events (ERC-4906 uses _tokenId)
+const TOKEN_ID_ARGS = ["tokenId", "_tokenId"];
+
+function eventTokenId(parsed) {
+  const index = parsed.fragment.inputs.findIndex((input) =>
+    TOKEN_ID_ARGS.includes(input.name)
+  );
+  return index === -1 ? undefined : parsed.args[index].toString();
+}
+
+/**
+ * Create an indexer for a PublicationNFT contract
+ * @param {Object} options - { contract: ethers.Contract with a provider,
+ *   store: from openStore, startBlock: first block of a new database
+ *   (default 0), batchSize: blocks per eth_getLogs query, reorgDepth: how
+ *   many recent blocks are re-checked, log: progress callback }
+ * @returns {Object} { sync({ toBlock }) }
+ */
+function createIndexer(options) {
+  const {
+    contract,
+    store,
+    startBlock = 0,
+    batchSize = DEFAULT_BATCH_SIZE,
+    reorgDepth = DEFAULT_REORG_DEPTH,
+    log = () => {},
+  } = options;
+  const provider = contract.runner.provider || contract.runner;
+
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Batch size must be a positive integer, got ${batchSize}`);
+  }
+
+  async function blockHash(number) {
+    const block = await provider.getBlock(number);
+    return block ? block.hash : null;
+  }
+
+  // Tie a new database to the contract, and refuse one made for another
+  async function checkStore() {
+    const address = await contract.getAddress();
+    const { chainId } = await provider.getNetwork();
+    const stored = store.getMeta("contract");
+    if (stored === undefined) {
+      store.transaction(() => {
+        store.setMeta("contract", address);
+        store.setMeta("chainId", Number(chainId));
+      });
+      return address;
+    }
+    if (
+      stored.toLowerCase() !== address.toLowerCase() ||
+      store.getMeta("chainId") !== Number(chainId)
+    ) {
+      throw new Error(
+        `Indexer database belongs to contract ${stored} on chain ${store.getMeta(
+          "chainId"
+        )}, not ${address} on chain ${chainId}`
+      );
+    }
+    return address;
+  }
+
+  /**
+   * Find the newest indexed block that is still on the chain
+   * @returns {Promise<number|null>} Its number, or null when nothing changed
+   */
+  async function findForkPoint() {
+    const recent = store.recentBlocks();
+    for (const [position, block] of recent.entries()) {
+      if ((await blockHash(block.number)) === block.hash) {
+        return position === 0 ? null : block.number;
+      }
+    }
+    if (recent.length === 0) {
+      return null;
+    }
+    throw new Error(
+      `None of the last ${recent.length} indexed blocks is on the chain any more; the reorg is deeper than the reorg depth (${reorgDepth}). Delete the database to index from scratch.`
+    );
+  }
+
+  /**
+   * Read the publications of tokens
+   * Tokens the contract no longer has (burned since) map to null.
+   */
+  async function readPublications(tokenIds) {
+    const publications = new Map();
+    for (const tokenId of tokenIds) {
+      try {
+        await contract.ownerOf(tokenId);
+      } catch (error) {
+        if (revertErrorName(contract, error) === "ERC721NonexistentToken") {
+          publications.set(String(tokenId), null);
+          continue;
+        }
+        throw error;
+      }
+      const { tokenId: id, ...publication } = await getPublication(
+        contract,
+        tokenId
+      );
+      publications.set(id.toString(), publication);
+    }
+    return publications;
+  }
+
+  function storePublications(publications) {
+    for (const [tokenId, publication] of publications) {
+      if (publication) {
+        store.setPublication(tokenId, publication);
+      } else {
+        // Burned in a block not indexed yet: record it now so it isn't read
+        // again on every sync until its Transfer is indexed
+        store.setOwner(tokenId, null);
+      }
+    }
+  }
+
+  async function rollback(forkBlock) {
+    const dropped = store.transaction(() => {
+      const result = store.rollback(forkBlock);
+      store.setMeta("lastBlock", forkBlock);
+      return result;
+    });
+    const tokenIds = dropped.all ? store.tokenIds() : dropped.tokenIds;
+    const publications = await readPublications(tokenIds);
+    store.transaction(() => storePublications(publications));
+    store.save();
+    log(
+      `↩️  Reorg: rolled back to block ${forkBlock}, re-read ${tokenIds.length} publication(s)`
+    );
+    return { toBlock: forkBlock, tokens: tokenIds.length };
+  }
+
+  /**
+   * Index one block range
+   * @returns {Promise<number>} Number of contract events in the range
+   */
+  async function indexRange(address, from, to) {
+    const [logs, hash] = await Promise.all([
+      provider.getLogs({ address, fromBlock: from, toBlock: to }),
+      blockHash(to),
+    ]);
+
+    const events = [];
+    const refresh = new Set();
+    for (const entry of logs) {
+      const parsed = contract.interface.parseLog(entry);
+      if (!parsed) {
+        continue;
+      }
+      const event = {
+        blockNumber: entry.blockNumber,
+        blockHash: entry.blockHash,
+        logIndex: entry.index,
+        transactionHash: entry.transactionHash,
+        name: parsed.name,
+        tokenId: eventTokenId(parsed),
+      };
+      if (parsed.name === "Transfer") {
+        event.from = parsed.args.from;
+        event.to = parsed.args.to;
+      } else if (parsed.name === "BatchMetadataUpdate") {
+        const first = parsed.args._fromTokenId;
+        const last = parsed.args._toTokenId;
+        store
+          .tokenIds()
+          .filter((id) => BigInt(id) >= first && BigInt(id) <= last)
+          .forEach((id) => refresh.add(id));
+      } else if (event.tokenId !== undefined) {
+        refresh.add(event.tokenId);
+      }
+      events.push(event);
+    }
+    const publications = await readPublications(refresh);
+
+    store.transaction(() => {
+      for (const event of events) {
+        store.recordEvent(event);
+        store.recordBlock(event.blockNumber, event.blockHash);
+        if (event.name === "Transfer") {
+          store.setOwner(
+            event.tokenId,
+            event.to === ZERO_ADDRESS ? null : event.to
+          );
+        } else if (event.name === "PublicationMinted") {
+          store.setMinted(
+            event.tokenId,
+            event.blockNumber,
+            event.transactionHash
+          );
+        }
+      }
+      storePublications(publications);
+      store.recordBlock(to, hash);
+      store.pruneBlocks(to - reorgDepth);
+      store.setMeta("lastBlock", to);
+    });
+    store.save();
+    return events.length;
+  }
+
+  /**
+   * Bring the database up to date
+   * @param {Object} syncOptions - { toBlock: last block to index (default:
+   *   latest) }
+   * @returns {Promise<Object>} { fromBlock, toBlock, events, reorg: null or
+   *   { toBlock: block rolled back to, tokens: publications re-read } }
+   */
+  async function sync(syncOptions = {}) {
+    const address = await checkStore();
+    const toBlock =
+      syncOptions.toBlock !== undefined
+        ? syncOptions.toBlock
+        : await provider.getBlockNumber();
+
+    const forkBlock = await findForkPoint();
+    const reorg = forkBlock === null ? null : await rollback(forkBlock);
+
+    // Databases indexed before the status columns read their tokens again
+    const unread = store.tokenIdsWithoutStatus();
+    if (unread.length > 0) {
+      const publications = await readPublications(unread);
+      store.transaction(() => storePublications(publications));
+      store.save();
+    }
+
+    const lastBlock = store.getMeta("lastBlock");
+    const fromBlock = lastBlock === undefined ? startBlock : lastBlock + 1;
+    let events = 0;
+    for (let from = fromBlock; from <= toBlock; from += batchSize) {
+      const to = Math.min(from + batchSize - 1, toBlock);
+      const count = await indexRange(address, from, to);
+      events += count;
+      log(`📦 Blocks ${from}-${to}: ${count} events`);
+    }
+    return { fromBlock, toBlock, events, reorg };
+  }
+
+  return { sync };
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_REORG_DEPTH,
+  openStore,
+  createIndexer,
+  createApiServer,
+};
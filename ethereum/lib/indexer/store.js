@@ -0,0 +1,444 @@
+/**
+ * Indexer database
+ * An embedded SQLite database (sql.js) holding the indexed publications, the
+ * events they were built from and the hashes of recently indexed blocks. The
+ * database lives in memory and is written to its file by save().
+ */
+
+const fs = require("fs");
+const path = require("path");
+const initSqlJs = require("sql.js");
+const { normalizeDoi } = require("../publication");
+const { normalizeOrcid, authorNames } = require("../authors");
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS meta (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS blocks (
+  number INTEGER PRIMARY KEY,
+  hash TEXT NOT NULL
+);
+CREATE TABLE IF NOT EXISTS events (
+  block_number INTEGER NOT NULL,
+  log_index INTEGER NOT NULL,
+  transaction_hash TEXT NOT NULL,
+  name TEXT NOT NULL,
+  token_id INTEGER,
+  from_address TEXT,
+  to_address TEXT,
+  PRIMARY KEY (block_number, log_index)
+);
+CREATE INDEX IF NOT EXISTS events_token ON events (token_id);
+CREATE TABLE IF NOT EXISTS publications (
+  token_id INTEGER PRIMARY KEY,
+  owner TEXT,
+  burned INTEGER NOT NULL DEFAULT 0,
+  minted_block INTEGER,
+  mint_transaction TEXT,
+  title TEXT,
+  authors TEXT,
+  publication_date INTEGER,
+  doi TEXT,
+  url TEXT,
+  image_url TEXT,
+  description TEXT,
+  license TEXT,
+  field TEXT,
+  version TEXT,
+  external_url TEXT,
+  status TEXT,
+  status_reason TEXT,
+  authors_key TEXT,
+  doi_key TEXT,
+  field_key TEXT
+);
+CREATE INDEX IF NOT EXISTS publications_owner ON publications (owner);
+CREATE INDEX IF NOT EXISTS publications_doi ON publications (doi_key);
+CREATE INDEX IF NOT EXISTS publications_field ON publications (field_key);
+CREATE TABLE IF NOT EXISTS publication_authors (
+  token_id INTEGER NOT NULL,
+  position INTEGER NOT NULL,
+  name TEXT NOT NULL,
+  orcid TEXT,
+  wallet TEXT,
+  PRIMARY KEY (token_id, position)
+);
+CREATE INDEX IF NOT EXISTS publication_authors_orcid ON publication_authors (orcid);
+`;
+
+// Publication record fields and their columns
+const PUBLICATION_COLUMNS = {
+  title: "title",
+  authors: "authors",
+  publicationDate: "publication_date",
+  doi: "doi",
+  url: "url",
+  imageUrl: "image_url",
+  description: "description",
+  license: "license",
+  field: "field",
+  version: "version",
+  externalUrl: "external_url",
+  status: "status",
+  statusReason: "status_reason",
+};
+
+// Columns added to the publications table since its first version, created
+// in older databases when they are opened
+const ADDED_COLUMNS = ["status", "status_reason"];
+
+let sqlJs;
+
+function loadSqlJs() {
+  if (!sqlJs) {
+    sqlJs = initSqlJs();
+  }
+  return sqlJs;
+}
+
+// SQLite only folds ASCII case, so searched columns keep a lower-cased copy
+function searchKey(value) {
+  return String(value || "")
+    .trim()
+    .toLowerCase();
+}
+
+// Escape LIKE wildcards in a search term
+function likePattern(term) {
+  return `%${term.replace(/[\\%_]/g, "\\$&")}%`;
+}
+
+function toPublication(row) {
+  const publication = {
+    tokenId: String(row.token_id),
+    owner: row.owner,
+    burned: row.burned === 1,
+    mintedBlock: row.minted_block,
+    mintTransaction: row.mint_transaction,
+  };
+  for (const [name, column] of Object.entries(PUBLICATION_COLUMNS)) {
+    publication[name] = row[column];
+  }
+  // Stored as JSON
+  publication.authors = row.authors === null ? null : JSON.parse(row.authors);
+  return publication;
+}
+
+/**
+ * Open (or create) an indexer database
+ * @param {string} filePath - Database file; omit for an in-memory database
+ * @returns {Promise<Object>} Store
+ */
+async function openStore(filePath) {
+  const SQL = await loadSqlJs();
+  const db =
+    filePath && fs.existsSync(filePath)
+      ? new SQL.Database(fs.readFileSync(filePath))
+      : new SQL.Database();
+  const all = (sql, params = []) => {
+    const statement = db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) {
+        rows.push(statement.getAsObject());
+      }
+      return rows;
+    } finally {
+      statement.free();
+    }
+  };
+  const get = (sql, params) => all(sql, params)[0];
+
+  db.run(SCHEMA);
+  const columns = all("PRAGMA table_info(publications)").map(
+    (column) => column.name
+  );
+  for (const column of ADDED_COLUMNS) {
+    if (!columns.includes(column)) {
+      db.run(`ALTER TABLE publications ADD COLUMN ${column} TEXT`);
+    }
+  }
+  db.run(
+    "CREATE INDEX IF NOT EXISTS publications_status ON publications (status)"
+  );
+
+  const store = {
+    getMeta(key) {
+      const row = get("SELECT value FROM meta WHERE key = ?", [key]);
+      return row ? JSON.parse(row.value) : undefined;
+    },
+
+    setMeta(key, value) {
+      db.run(
+        "INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value",
+        [key, JSON.stringify(value)]
+      );
+    },
+
+    /**
+     * Run fn in a transaction, rolling back when it throws
+     * fn must be synchronous, so readers never see half of a change.
+     */
+    transaction(fn) {
+      db.run("BEGIN");
+      try {
+        const result = fn();
+        db.run("COMMIT");
+        return result;
+      } catch (error) {
+        db.run("ROLLBACK");
+        throw error;
+      }
+    },
+
+    recordBlock(number, hash) {
+      db.run(
+        "INSERT INTO blocks (number, hash) VALUES (?, ?) ON CONFLICT (number) DO UPDATE SET hash = excluded.hash",
+        [number, hash]
+      );
+    },
+
+    /**
+     * Indexed block hashes, newest first
+     */
+    recentBlocks() {
+      return all("SELECT number, hash FROM blocks ORDER BY number DESC");
+    },
+
+    pruneBlocks(belowNumber) {
+      db.run("DELETE FROM blocks WHERE number < ?", [belowNumber]);
+    },
+
+    /**
+     * Record a contract event
+     * @param {Object} event - { blockNumber, logIndex, transactionHash, name,
+     *   tokenId, from, to }
+     */
+    recordEvent(event) {
+      db.run("INSERT OR REPLACE INTO events VALUES (?, ?, ?, ?, ?, ?, ?)", [
+        event.blockNumber,
+        event.logIndex,
+        event.transactionHash,
+        event.name,
+        event.tokenId === undefined ? null : Number(event.tokenId),
+        event.from || null,
+        event.to || null,
+      ]);
+    },
+
+    /**
+     * Set the owner of a token, creating its row on the first Transfer
+     * @param {string|bigint} tokenId - Token ID
+     * @param {string|null} owner - New owner, null when burned
+     */
+    setOwner(tokenId, owner) {
+      db.run(
+        `INSERT INTO publications (token_id, owner, burned) VALUES (?, ?, ?)
+         ON CONFLICT (token_id) DO UPDATE SET owner = excluded.owner, burned = excluded.burned`,
+        [Number(tokenId), owner, owner ? 0 : 1]
+      );
+    },
+
+    setMinted(tokenId, blockNumber, transactionHash) {
+      db.run(
+        `INSERT INTO publications (token_id, minted_block, mint_transaction) VALUES (?, ?, ?)
+         ON CONFLICT (token_id) DO UPDATE SET minted_block = excluded.minted_block, mint_transaction = excluded.mint_transaction`,
+        [Number(tokenId), blockNumber, transactionHash]
+      );
+    },
+
+    /**
+     * Store the publication record read from the contract
+     * @param {string|bigint} tokenId - Token ID
+     * @param {Object} publication - Decoded publication record
+     */
+    setPublication(tokenId, publication) {
+      const columns = Object.values(PUBLICATION_COLUMNS);
+      const authors = publication.authors || [];
+      db.run(
+        `UPDATE publications SET ${columns
+          .map((column) => `${column} = ?`)
+          .join(", ")}, authors_key = ?, doi_key = ?, field_key = ?
+         WHERE token_id = ?`,
+        [
+          ...Object.keys(PUBLICATION_COLUMNS).map((name) =>
+            name === "authors"
+              ? JSON.stringify(authors)
+              : publication[name] === undefined
+              ? null
+              : publication[name]
+          ),
+          searchKey(authorNames(authors)),
+          normalizeDoi(publication.doi),
+          searchKey(publication.field),
+          Number(tokenId),
+        ]
+      );
+      db.run("DELETE FROM publication_authors WHERE token_id = ?", [
+        Number(tokenId),
+      ]);
+      authors.forEach((author, position) => {
+        db.run("INSERT INTO publication_authors VALUES (?, ?, ?, ?, ?)", [
+          Number(tokenId),
+          position,
+          author.name,
+          author.orcid || null,
+          author.wallet || null,
+        ]);
+      });
+    },
+
+    /**
+     * Undo everything indexed after a block
+     * Events after the block are dropped, tokens minted after it are removed
+     * and the owners of the other tokens they touched are rebuilt from the
+     * remaining Transfer events.
+     * @param {number} blockNumber - Last block to keep
+     * @returns {Object} { tokenIds: tokens to re-read, all: whether an event
+     *   without a token (e.g. BatchMetadataUpdate) was dropped }
+     */
+    rollback(blockNumber) {
+      const dropped = all(
+        "SELECT DISTINCT token_id FROM events WHERE block_number > ?",
+        [blockNumber]
+      );
+      db.run("DELETE FROM events WHERE block_number > ?", [blockNumber]);
+      db.run("DELETE FROM blocks WHERE number > ?", [blockNumber]);
+
+      const tokenIds = [];
+      let allTokens = false;
+      for (const { token_id: tokenId } of dropped) {
+        if (tokenId === null) {
+          allTokens = true;
+          continue;
+        }
+        const transfer = get(
+          `SELECT to_address FROM events WHERE token_id = ? AND name = 'Transfer'
+           ORDER BY block_number DESC, log_index DESC LIMIT 1`,
+          [tokenId]
+        );
+        if (!transfer) {
+          db.run("DELETE FROM publications WHERE token_id = ?", [tokenId]);
+          db.run("DELETE FROM publication_authors WHERE token_id = ?", [
+            tokenId,
+          ]);
+          continue;
+        }
+        store.setOwner(
+          tokenId,
+          transfer.to_address === ZERO_ADDRESS ? null : transfer.to_address
+        );
+        tokenIds.push(String(tokenId));
+      }
+      return { tokenIds, all: allTokens };
+    },
+
+    /**
+     * IDs of every indexed token that hasn't been burned
+     */
+    tokenIds() {
+      return all(
+        "SELECT token_id FROM publications WHERE burned = 0 ORDER BY token_id"
+      ).map((row) => String(row.token_id));
+    },
+
+    /**
+     * IDs of tokens that haven't been burned and whose publication has no
+     * status, such as those indexed before the status columns were added
+     */
+    tokenIdsWithoutStatus() {
+      return all(
+        `SELECT token_id FROM publications
+         WHERE burned = 0 AND minted_block IS NOT NULL AND status IS NULL
+         ORDER BY token_id`
+      ).map((row) => String(row.token_id));
+    },
+
+    /**
+     * A token by ID, including burned tokens
+     * @returns {Object|undefined} Publication with tokenId, owner, burned,
+     *   mintedBlock and mintTransaction
+     */
+    getPublication(tokenId) {
+      const row = get("SELECT * FROM publications WHERE token_id = ?", [
+        Number(tokenId),
+      ]);
+      return row ? toPublication(row) : undefined;
+    },
+
+    /**
+     * Search tokens that haven't been burned, in token ID order
+     * @param {Object} filters - { author: substring of the names, orcid:
+     *   ORCID iD of an author, doi, field, owner, status: short name (see
+     *   status.js), limit, offset }; all case-insensitive, DOIs and ORCID
+     *   iDs compared normalized
+     * @returns {Object} { total, publications }
+     */
+    findPublications(filters = {}) {
+      const where = ["burned = 0", "minted_block IS NOT NULL"];
+      const params = [];
+      if (filters.author) {
+        where.push("authors_key LIKE ? ESCAPE '\\'");
+        params.push(likePattern(searchKey(filters.author)));
+      }
+      if (filters.orcid) {
+        where.push(
+          "token_id IN (SELECT token_id FROM publication_authors WHERE orcid = ?)"
+        );
+        params.push(normalizeOrcid(filters.orcid));
+      }
+      if (filters.doi) {
+        where.push("doi_key = ?");
+        params.push(normalizeDoi(filters.doi));
+      }
+      if (filters.field) {
+        where.push("field_key = ?");
+        params.push(searchKey(filters.field));
+      }
+      if (filters.owner) {
+        where.push("LOWER(owner) = LOWER(?)");
+        params.push(filters.owner);
+      }
+      if (filters.status) {
+        where.push("status = ?");
+        params.push(filters.status);
+      }
+
+      const clause = where.join(" AND ");
+      const { total } = get(
+        `SELECT COUNT(*) AS total FROM publications WHERE ${clause}`,
+        params
+      );
+      const rows = all(
+        `SELECT * FROM publications WHERE ${clause} ORDER BY token_id LIMIT ? OFFSET ?`,
+        [...params, filters.limit || -1, filters.offset || 0]
+      );
+      return { total, publications: rows.map(toPublication) };
+    },
+
+    /**
+     * Write the database to its file
+     */
+    save() {
+      if (!filePath) {
+        return;
+      }
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      fs.writeFileSync(tmpPath, Buffer.from(db.export()));
+      fs.renameSync(tmpPath, filePath);
+    },
+
+    close() {
+      db.close();
+    },
+  };
+  return store;
+}
+
+module.exports = { PUBLICATION_COLUMNS, openStore };
@@ -0,0 +1,204 @@
+/**
+ * Batch mint manifests
+ *
+ * A manifest is a CSV file with a header row or a JSON file holding an array
+ * of publication records (or `{ "publications": [...] }`). Column names are the
+ * publication record fields; snake_case variants are accepted too. An optional
+ * `to` (or `recipient`) column sets the recipient of each row, and optional
+ * `royaltyReceiver` and `royaltyBps` columns give a row its own royalty, and
+ * a `references` column the token IDs and DOIs it cites (see references.js).
+ * `authors` is a string in CSV, with ORCID iDs and wallets in parentheses, and
+ * may be an array of { name, orcid, wallet } in JSON (see authors.js).
+ *
+ * BibTeX (.bib) and RIS (.ris) files are accepted as manifests as well; their
+ * rows have no token URI, which can be filled in with applyUriTemplate.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { parseCsvObjects } = require("./csv");
+const { readCitationFile } = require("./citation-import");
+const {
+  isValidAddress,
+  normalizeDoi,
+  validatePublication,
+} = require("./publication");
+const { validateRoyalty } = require("./royalty");
+const { validateReferences } = require("./references");
+const { formatAuthors } = require("./authors");
+
+const COLUMN_ALIASES = {
+  recipient: "to",
+  token_uri: "uri",
+  tokenUri: "uri",
+  publication_date: "publicationDate",
+  image_url: "imageUrl",
+  external_url: "externalUrl",
+  royalty_receiver: "royaltyReceiver",
+  royalty_bps: "royaltyBps",
+};
+
+/**
+ * Map manifest columns onto publication record fields
+ * @param {Object} record - Raw manifest row
+ * @returns {Object} Row with canonical field names
+ */
+function normalizeColumns(record) {
+  const row = {};
+  for (const [key, value] of Object.entries(record)) {
+    const name = COLUMN_ALIASES[key] || key;
+    row[name] = typeof value === "string" ? value.trim() : value;
+  }
+  return row;
+}
+
+/**
+ * Parse manifest text
+ * @param {string} text - File contents
+ * @param {string} format - "csv" or "json"
+ * @returns {Object[]} Manifest rows
+ */
+function parseManifest(text, format) {
+  let records;
+
+  if (format === "csv") {
+    records = parseCsvObjects(text);
+  } else if (format === "json") {
+    const parsed = JSON.parse(text);
+    records = Array.isArray(parsed) ? parsed : parsed.publications;
+    if (!Array.isArray(records)) {
+      throw new Error(
+        'JSON manifest must be an array or an object with a "publications" array'
+      );
+    }
+  } else {
+    throw new Error(`Unsupported manifest format: ${format}`);
+  }
+
+  return records.map(normalizeColumns);
+}
+
+/**
+ * Read a manifest file, choosing the format from its extension
+ * @param {string} filePath - Path to a .csv or .json manifest
+ * @returns {Object[]} Manifest rows
+ */
+function readManifest(filePath) {
+  const format = path.extname(filePath).slice(1).toLowerCase();
+
+  if (format === "bib" || format === "ris") {
+    const entries = readCitationFile(filePath);
+    const problems = entries
+      .filter((entry) => entry.errors.length > 0)
+      .map((entry) => `${entry.key}: ${entry.errors.join("; ")}`);
+    if (problems.length > 0) {
+      throw new Error(
+        `Entries that can't be mapped to publications:\n  ${problems.join(
+          "\n  "
+        )}`
+      );
+    }
+    return entries.map((entry) => ({ key: entry.key, ...entry.publication }));
+  }
+
+  return parseManifest(fs.readFileSync(filePath, "utf8"), format);
+}
+
+/**
+ * Fill in missing token URIs from a template
+ * Placeholders are row fields in braces, e.g. "https://meta.example.org/{key}.json";
+ * {row} is the 1-based row number. Values are URL-encoded.
+ * @param {Object[]} rows - Manifest rows
+ * @param {string} template - URI template
+ * @returns {Object[]} Rows with `uri` set
+ */
+function applyUriTemplate(rows, template) {
+  return rows.map((row, index) => {
+    if (row.uri) {
+      return row;
+    }
+    const uri = template.replace(/\{(\w+)\}/g, (match, name) =>
+      name === "row"
+        ? String(index + 1)
+        : encodeURIComponent(row[name] === undefined ? "" : row[name])
+    );
+    return { ...row, uri };
+  });
+}
+
+/**
+ * Validate every manifest row before anything is minted
+ * @param {Object[]} rows - Manifest rows
+ * @param {string} defaultRecipient - Recipient for rows without `to`
+ * @returns {string[]} Errors prefixed with their 1-based row number
+ */
+function validateManifest(rows, defaultRecipient) {
+  const errors = [];
+  const seen = new Map();
+
+  if (rows.length === 0) {
+    return ["Manifest contains no publications"];
+  }
+
+  rows.forEach((row, index) => {
+    const label = `Row ${index + 1}`;
+    const recipient = row.to || defaultRecipient;
+
+    if (!isValidAddress(recipient)) {
+      errors.push(
+        `${label}: invalid recipient address ${recipient || "(none)"}`
+      );
+    }
+
+    for (const message of [
+      ...validatePublication(row),
+      ...validateRoyalty(row),
+      ...validateReferences(row),
+    ]) {
+      errors.push(`${label}: ${message}`);
+    }
+
+    const key = rowKey(row);
+    if (seen.has(key)) {
+      errors.push(`${label}: duplicate of row ${seen.get(key) + 1}`);
+    } else {
+      seen.set(key, index);
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Stable identifier for a manifest row, used as the checkpoint key
+ * Rows are keyed by DOI when they have one so that reordering the manifest
+ * doesn't cause re-mints, and otherwise by their title, authors and date, so
+ * that a changed URI template or a corrected description doesn't either.
+ * @param {Object} row - Manifest row
+ * @returns {string} Row key
+ */
+function rowKey(row) {
+  if (row.doi) {
+    return `doi:${normalizeDoi(row.doi)}`;
+  }
+  const canonical = ["title", "authors", "publicationDate"].map((name) =>
+    row[name] === undefined
+      ? ""
+      : Array.isArray(row[name])
+      ? formatAuthors(row[name])
+      : String(row[name])
+  );
+  return `sha256:${crypto
+    .createHash("sha256")
+    .update(JSON.stringify(canonical))
+    .digest("hex")}`;
+}
+
+module.exports = {
+  parseManifest,
+  readManifest,
+  applyUriTemplate,
+  validateManifest,
+  rowKey,
+};
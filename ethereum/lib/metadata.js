@@ -0,0 +1,273 @@
+/**
+ * ERC-721 token metadata generation
+ *
+ * Builds the JSON document a token URI points to (OpenSea metadata standard)
+ * from a publication record, with the publication also described as a
+ * schema.org ScholarlyArticle under `json_ld` for scholarly indexers. Authors
+ * with an ORCID iD are identified by it in both.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { normalizeDoi, toUnixSeconds } = require("./publication");
+const { readRoyalty, royaltyFromEnv } = require("./royalty");
+const { resolveStatus, statusLabel } = require("./status");
+const { ORCID_URL, readAuthors, authorNames } = require("./authors");
+
+/**
+ * Display name of a record's status, or null while it is active
+ */
+function flaggedStatus(publication) {
+  if (!publication.status || resolveStatus(publication.status).value === 0) {
+    return null;
+  }
+  return statusLabel(publication.status);
+}
+
+/**
+ * The authors as metadata objects: name, and the ORCID iD and checksummed
+ * wallet when the author has them (as on-chain metadata renders them)
+ */
+function metadataAuthors(publication) {
+  return readAuthors(publication.authors).map(({ name, orcid, wallet }) => {
+    const author = { name };
+    if (orcid) {
+      author.orcid = orcid;
+    }
+    if (wallet) {
+      author.wallet = ethers.getAddress(wallet);
+    }
+    return author;
+  });
+}
+
+/**
+ * Build the schema.org ScholarlyArticle description of a publication
+ * @param {Object} publication - The publication record
+ * @returns {Object} JSON-LD object
+ */
+function buildJsonLd(publication) {
+  const doi = publication.doi ? normalizeDoi(publication.doi) : "";
+  const seconds = toUnixSeconds(publication.publicationDate);
+
+  const article = {
+    "@context": "https://schema.org",
+    "@type": "ScholarlyArticle",
+    name: publication.title,
+    headline: publication.title,
+    author: readAuthors(publication.authors).map(({ name, orcid }) => ({
+      "@type": "Person",
+      name,
+      identifier: orcid
+        ? { "@type": "PropertyValue", propertyID: "ORCID", value: orcid }
+        : undefined,
+      sameAs: orcid ? `${ORCID_URL}${orcid}` : undefined,
+    })),
+    datePublished: Number.isInteger(seconds)
+      ? new Date(seconds * 1000).toISOString().slice(0, 10)
+      : undefined,
+    abstract: publication.description || undefined,
+    image: publication.imageUrl || undefined,
+    url: publication.externalUrl || undefined,
+    license: publication.license || undefined,
+    about: publication.field || undefined,
+    version: publication.version || undefined,
+    creativeWorkStatus: flaggedStatus(publication) || undefined,
+  };
+
+  if (doi) {
+    article.identifier = {
+      "@type": "PropertyValue",
+      propertyID: "DOI",
+      value: doi,
+    };
+    article.sameAs = `https://doi.org/${doi}`;
+  }
+
+  return JSON.parse(JSON.stringify(article));
+}
+
+/**
+ * Build ERC-721 metadata JSON for a publication
+ * A corrected, concerning or retracted publication (status from
+ * getPublication, see status.js) gets Status and Status Reason attributes,
+ * as on-chain metadata does. A royalty is described with OpenSea's
+ * seller_fee_basis_points and fee_recipient; the record's own royalty wins
+ * over options.royalty.
+ * @param {Object} publication - The publication record
+ * @param {Object} options - { royalty: collection default { receiver,
+ *   basisPoints } }
+ * @returns {Object} Metadata with name, description, image, external_url,
+ *   authors ([{ name, orcid, wallet }], identifiers only when set),
+ *   attributes, the royalty fields when there is a royalty, and json_ld
+ */
+function buildTokenMetadata(publication, options = {}) {
+  const doi = publication.doi ? normalizeDoi(publication.doi) : "";
+  const seconds = toUnixSeconds(publication.publicationDate);
+
+  const attributes = [
+    { trait_type: "Authors", value: authorNames(publication.authors) },
+    { trait_type: "DOI", value: doi },
+    { trait_type: "License", value: publication.license },
+    { trait_type: "Field", value: publication.field },
+    { trait_type: "Version", value: publication.version },
+    { trait_type: "Status", value: flaggedStatus(publication) },
+    {
+      trait_type: "Status Reason",
+      value: flaggedStatus(publication) && publication.statusReason,
+    },
+  ].filter((attribute) => attribute.value);
+
+  if (Number.isInteger(seconds)) {
+    attributes.push({
+      display_type: "date",
+      trait_type: "Publication Date",
+      value: seconds,
+    });
+  }
+
+  const metadata = {
+    name: publication.title,
+    description: publication.description || "",
+    image: publication.imageUrl || "",
+    external_url:
+      publication.externalUrl || (doi ? `https://doi.org/${doi}` : ""),
+    authors: metadataAuthors(publication),
+    attributes,
+  };
+
+  const royalty = readRoyalty(publication) || options.royalty;
+  if (royalty) {
+    metadata.seller_fee_basis_points = royalty.basisPoints;
+    metadata.fee_recipient = royalty.receiver;
+  }
+  metadata.json_ld = buildJsonLd(publication);
+
+  return metadata;
+}
+
+/**
+ * File name for a publication's metadata: DOI or title slug
+ * @param {Object} publication - The publication record
+ * @returns {string} e.g. "10.1000-xyz123.json"
+ */
+function metadataFileName(publication) {
+  const base = publication.doi
+    ? normalizeDoi(publication.doi)
+    : publication.title || "publication";
+  const slug = base
+    .toLowerCase()
+    .replace(/[^a-z0-9.]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+  return `${slug || "publication"}.json`;
+}
+
+/**
+ * Write a publication's metadata JSON and its SHA-256 hash to disk
+ * The hash is written next to the file as "<file>.sha256" in sha256sum
+ * format, so a hosted copy can be checked with `sha256sum -c`.
+ * @param {Object} publication - The publication record
+ * @param {string} dir - Output directory (created if needed)
+ * @param {Object} options - { royalty }, see buildTokenMetadata
+ * @returns {Object} { path, fileName, hash, metadata }
+ */
+function writeTokenMetadata(publication, dir, options = {}) {
+  const metadata = buildTokenMetadata(publication, options);
+  const content = JSON.stringify(metadata, null, 2) + "\n";
+  const hash = crypto.createHash("sha256").update(content).digest("hex");
+  const fileName = metadataFileName(publication);
+  const filePath = path.join(dir, fileName);
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(filePath, content);
+  fs.writeFileSync(`${filePath}.sha256`, `${hash}  ${fileName}\n`);
+
+  return { path: filePath, fileName, hash, metadata };
+}
+
+/**
+ * Generate metadata for a publication and return the URI it will be served at
+ * @param {Object} publication - The publication record
+ * @param {Object} options - { dir: output directory, baseUri: where dir is
+ *   hosted, royalty: default royalty, see buildTokenMetadata }
+ * @returns {Object} { uri, path, hash, metadata }
+ */
+function prepareTokenUri(publication, options) {
+  const { dir, baseUri, royalty } = options;
+  if (!baseUri) {
+    throw new Error(
+      "A base URI is required to point tokens at generated metadata (METADATA_BASE_URI)"
+    );
+  }
+  const written = writeTokenMetadata(publication, dir, { royalty });
+  return {
+    ...written,
+    uri: `${baseUri.replace(/\/+$/, "")}/${written.fileName}`,
+  };
+}
+
+/**
+ * Generate metadata for manifest rows that have no token URI
+ * @param {Object[]} rows - Manifest rows
+ * @param {Object} options - { dir, baseUri, royalty } as for prepareTokenUri
+ * @returns {Object[]} Rows with uri filled in and metadataHash on generated rows
+ */
+function attachTokenMetadata(rows, options) {
+  return rows.map((row) => {
+    if (row.uri) {
+      return row;
+    }
+    const { uri, hash } = prepareTokenUri(row, options);
+    return { ...row, uri, metadataHash: hash };
+  });
+}
+
+/**
+ * Read metadata generation settings from the environment
+ * METADATA_BASE_URI turns generation on; METADATA_DIR defaults to ./metadata.
+ * ROYALTY_RECEIVER and ROYALTY_BPS give the default royalty written into the
+ * metadata, as deploy.js sets it on the contract.
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} { dir, baseUri, royalty }, or null when generation
+ *   is off
+ */
+function metadataOptionsFromEnv(env = process.env) {
+  if (!env.METADATA_BASE_URI) {
+    return null;
+  }
+  return {
+    dir: env.METADATA_DIR || "metadata",
+    baseUri: env.METADATA_BASE_URI,
+    royalty: royaltyFromEnv(env),
+  };
+}
+
+/**
+ * Decode a token URI that carries its metadata inline
+ * @param {string} uri - Token URI, e.g. from an on-chain rendered tokenURI
+ * @returns {Object|null} Parsed metadata, or null for an ordinary URI
+ */
+function decodeDataUri(uri) {
+  const match = /^data:application\/json(;base64)?,(.*)$/s.exec(uri || "");
+  if (!match) {
+    return null;
+  }
+  const json = match[1]
+    ? Buffer.from(match[2], "base64").toString("utf8")
+    : decodeURIComponent(match[2]);
+  return JSON.parse(json);
+}
+
+module.exports = {
+  buildJsonLd,
+  buildTokenMetadata,
+  metadataFileName,
+  writeTokenMetadata,
+  prepareTokenUri,
+  attachTokenMetadata,
+  metadataOptionsFromEnv,
+  decodeDataUri,
+};
@@ -0,0 +1,43 @@
+/**
+ * Oracle cache
+ * Keeps the last good value per key in memory and, optionally, in a JSON file
+ * so separate script runs share it. Entries never expire from the cache: an
+ * old entry is still returned (marked stale) when every live provider fails.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Create a cache
+ * @param {Object} options - { filePath: optional JSON file backing the cache }
+ * @returns {Object} { get(key), set(key, entry) }
+ */
+function createCache(options = {}) {
+  const { filePath } = options;
+  let entries = {};
+
+  if (filePath && fs.existsSync(filePath)) {
+    try {
+      entries = JSON.parse(fs.readFileSync(filePath, "utf8"));
+    } catch (error) {
+      // A corrupt cache file is just an empty cache
+      entries = {};
+    }
+  }
+
+  return {
+    get: (key) => entries[key],
+    set: (key, entry) => {
+      entries[key] = entry;
+      if (filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(entries, null, 2) + "\n");
+      }
+    },
+  };
+}
+
+module.exports = {
+  createCache,
+};
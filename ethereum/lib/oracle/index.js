@@ -0,0 +1,248 @@
+/**
+ * Gas price and USD price oracle
+ *
+ * Usage:
+ * const { createOracleFromEnv } = require("./lib/oracle");
+ * const oracle = createOracleFromEnv({ rpc: hre.ethers.provider, chainId: 1 });
+ * const gas = await oracle.getGasPrices();   // { safe, proposed, fast, ..., stale, fallback }
+ * const eth = await oracle.getPrice("ETH");  // { usd, source, stale, fallback }
+ *
+ * Live providers are tried in order. A fresh cached value is returned without
+ * asking them; when they all fail, the last cached value is returned with
+ * `stale: true`, and without one the fallback (static) providers are used and
+ * the result has `fallback: true`.
+ */
+
+const path = require("path");
+const { createCache } = require("./cache");
+const {
+  DEFAULT_STATIC_GAS,
+  DEFAULT_STATIC_PRICES,
+  feeHistoryGasProvider,
+  etherscanGasProvider,
+  coingeckoPriceProvider,
+  staticGasProvider,
+  staticPriceProvider,
+} = require("./providers");
+
+const DEFAULT_CACHE_TTL_MS = 60 * 1000;
+const DEFAULT_CACHE_FILE = path.join(
+  __dirname,
+  "..",
+  "..",
+  "cache",
+  "oracle.json"
+);
+
+/**
+ * Create an oracle from explicit providers
+ * @param {Object} options - { gasProviders, priceProviders, cacheTtlMs,
+ *   cacheFile, chainId (cache key for gas prices), now }
+ * @returns {Object} { getGasPrices(), getPrice(symbol) }
+ */
+function createOracle(options = {}) {
+  const {
+    gasProviders = [staticGasProvider()],
+    priceProviders = [staticPriceProvider()],
+    cacheTtlMs = DEFAULT_CACHE_TTL_MS,
+    cacheFile,
+    chainId = 1,
+    now = Date.now,
+  } = options;
+  const cache = createCache({ filePath: cacheFile });
+
+  const toResult = (entry, flags) => ({
+    ...entry.value,
+    source: entry.source,
+    fetchedAt: entry.fetchedAt,
+    stale: false,
+    fallback: false,
+    ...flags,
+  });
+
+  async function query(key, providers, call) {
+    const cached = cache.get(key);
+    if (cached && now() - cached.fetchedAt < cacheTtlMs) {
+      return toResult(cached);
+    }
+
+    const errors = [];
+    const attempt = async (provider) => {
+      try {
+        return await call(provider);
+      } catch (error) {
+        errors.push(`${provider.name}: ${error.message}`);
+        return null;
+      }
+    };
+
+    for (const provider of providers.filter((p) => !p.fallback)) {
+      const value = await attempt(provider);
+      if (value) {
+        const entry = { value, source: provider.name, fetchedAt: now() };
+        cache.set(key, entry);
+        return toResult(entry);
+      }
+    }
+
+    if (cached) {
+      return toResult(cached, { stale: true, errors });
+    }
+
+    for (const provider of providers.filter((p) => p.fallback)) {
+      const value = await attempt(provider);
+      if (value) {
+        const entry = { value, source: provider.name, fetchedAt: now() };
+        return toResult(entry, { fallback: true, errors });
+      }
+    }
+
+    throw new Error(
+      `No data for ${key}: ${errors.join("; ") || "no providers configured"}`
+    );
+  }
+
+  return {
+    /**
+     * Current gas prices in gwei
+     * @returns {Promise<Object>} { safe, proposed, fast, baseFee, priorityFees,
+     *   gasUsedRatio, source, fetchedAt, stale, fallback, errors? }
+     */
+    getGasPrices: () =>
+      query(`gas:${chainId}`, gasProviders, (provider) =>
+        provider.getGasPrices()
+      ),
+
+    /**
+     * Current USD price of an asset
+     * @param {string} symbol - "ETH" or "SUI"
+     * @returns {Promise<Object>} { usd, source, fetchedAt, stale, fallback, errors? }
+     */
+    getPrice: (symbol) =>
+      query(`price:${symbol}`, priceProviders, (provider) =>
+        provider.getPrice(symbol)
+      ),
+  };
+}
+
+function parseList(value) {
+  return value
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function parseStaticGas(value) {
+  if (!value) {
+    return DEFAULT_STATIC_GAS;
+  }
+  const [safe, proposed, fast] = value.split(",").map(parseFloat);
+  if ([safe, proposed, fast].some((gwei) => !Number.isFinite(gwei))) {
+    throw new Error(
+      `STATIC_GAS_GWEI must be "safe,proposed,fast", got "${value}"`
+    );
+  }
+  return { safe, proposed, fast };
+}
+
+function parseStaticPrices(value) {
+  if (!value) {
+    return DEFAULT_STATIC_PRICES;
+  }
+  const prices = { ...DEFAULT_STATIC_PRICES };
+  for (const pair of value.split(",")) {
+    const [symbol, usd] = pair.split("=");
+    if (!symbol || !Number.isFinite(parseFloat(usd))) {
+      throw new Error(
+        `STATIC_PRICES must be "ETH=3000,SUI=1.5", got "${value}"`
+      );
+    }
+    prices[symbol.trim().toUpperCase()] = parseFloat(usd);
+  }
+  return prices;
+}
+
+/**
+ * Create an oracle configured from environment variables
+ *
+ *   GAS_ORACLE          Gas providers in order (default: feehistory,etherscan,static)
+ *   PRICE_ORACLE        Price providers in order (default: coingecko,static)
+ *   ETHERSCAN_API_KEY / ETHERSCAN_API_URL
+ *   COINGECKO_API_KEY / COINGECKO_API_URL
+ *   STATIC_GAS_GWEI     Offline gas prices "safe,proposed,fast" (default: 2,10,25)
+ *   STATIC_PRICES       Offline USD prices "ETH=3829,SUI=1.5"
+ *   ORACLE_CACHE_TTL    Seconds a cached value counts as fresh (default: 60)
+ *   ORACLE_CACHE_FILE   Cache file shared between runs (default: cache/oracle.json;
+ *                       "none" keeps the cache in memory)
+ *
+ * @param {Object} options - { rpc: provider for feehistory, chainId, env }
+ * @returns {Object} Oracle
+ */
+function createOracleFromEnv(options = {}) {
+  const { rpc, chainId = 1, env = process.env } = options;
+
+  const gasProviders = parseList(
+    env.GAS_ORACLE || "feehistory,etherscan,static"
+  )
+    .filter((name) => name !== "feehistory" || rpc)
+    .map((name) => {
+      switch (name) {
+        case "feehistory":
+          return feeHistoryGasProvider(rpc);
+        case "etherscan":
+          return etherscanGasProvider({
+            baseUrl: env.ETHERSCAN_API_URL,
+            apiKey: env.ETHERSCAN_API_KEY,
+            chainId,
+          });
+        case "static":
+          return staticGasProvider(parseStaticGas(env.STATIC_GAS_GWEI));
+        default:
+          throw new Error(
+            `Unknown gas oracle provider "${name}" (expected feehistory, etherscan or static)`
+          );
+      }
+    });
+
+  const priceProviders = parseList(env.PRICE_ORACLE || "coingecko,static").map(
+    (name) => {
+      switch (name) {
+        case "coingecko":
+          return coingeckoPriceProvider({
+            baseUrl: env.COINGECKO_API_URL,
+            apiKey: env.COINGECKO_API_KEY,
+          });
+        case "static":
+          return staticPriceProvider(parseStaticPrices(env.STATIC_PRICES));
+        default:
+          throw new Error(
+            `Unknown price oracle provider "${name}" (expected coingecko or static)`
+          );
+      }
+    }
+  );
+
+  const cacheFile = env.ORACLE_CACHE_FILE || DEFAULT_CACHE_FILE;
+
+  return createOracle({
+    gasProviders,
+    priceProviders,
+    chainId,
+    cacheTtlMs: env.ORACLE_CACHE_TTL
+      ? parseFloat(env.ORACLE_CACHE_TTL) * 1000
+      : DEFAULT_CACHE_TTL_MS,
+    cacheFile: cacheFile === "none" ? undefined : cacheFile,
+  });
+}
+
+module.exports = {
+  DEFAULT_STATIC_GAS,
+  DEFAULT_STATIC_PRICES,
+  createOracle,
+  createOracleFromEnv,
+  feeHistoryGasProvider,
+  etherscanGasProvider,
+  coingeckoPriceProvider,
+  staticGasProvider,
+  staticPriceProvider,
+};
@@ -0,0 +1,197 @@
+/**
+ * Gas and price providers for the oracle
+ *
+ * Gas providers implement getGasPrices() and resolve to
+ *   { safe, proposed, fast, baseFee, priorityFees: { safe, proposed, fast },
+ *     gasUsedRatio } (gas prices in gwei; each tier includes the base fee,
+ *   baseFee and priorityFees are undefined when the source has no EIP-1559 data)
+ * Price providers implement getPrice(symbol) and resolve to { usd }.
+ * Providers marked `fallback: true` return fixed values and are only used
+ * when every live provider fails and nothing is cached.
+ */
+
+const { fetchJson } = require("../http");
+const { readFeeHistory } = require("../fees");
+
+// Offline defaults; results from these are flagged as fallback values
+const DEFAULT_STATIC_GAS = { safe: 2, proposed: 10, fast: 25 };
+const DEFAULT_STATIC_PRICES = { ETH: 3829, SUI: 1.5 };
+
+// CoinGecko IDs of the assets the scripts price
+const COINGECKO_IDS = { ETH: "ethereum", SUI: "sui" };
+
+function weiToGwei(wei) {
+  return Number(wei) / 1e9;
+}
+
+function average(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+/**
+ * Gas prices from the node's own eth_feeHistory
+ * Each tier is the next block's base fee plus the average priority fee paid
+ * at a reward percentile over recent blocks.
+ * @param {Object} rpc - Anything with send(method, params), e.g. an ethers provider
+ * @param {Object} options - { blocks, percentiles: [safe, proposed, fast] }
+ * @returns {Object} Gas provider
+ */
+function feeHistoryGasProvider(rpc, options = {}) {
+  return {
+    name: "feeHistory",
+    async getGasPrices() {
+      const { baseFee, priorityFees, gasUsedRatio } = await readFeeHistory(
+        rpc,
+        options
+      );
+      const [safe, proposed, fast] = priorityFees.map(weiToGwei);
+
+      return {
+        safe: weiToGwei(baseFee + priorityFees[0]),
+        proposed: weiToGwei(baseFee + priorityFees[1]),
+        fast: weiToGwei(baseFee + priorityFees[2]),
+        baseFee: weiToGwei(baseFee),
+        priorityFees: { safe, proposed, fast },
+        gasUsedRatio,
+      };
+    },
+  };
+}
+
+/**
+ * Gas prices from the Etherscan gas oracle
+ * @param {Object} options - { baseUrl, chainId, apiKey, timeoutMs }
+ * @returns {Object} Gas provider
+ */
+function etherscanGasProvider(options = {}) {
+  const {
+    baseUrl = "https://api.etherscan.io/v2/api",
+    chainId = 1,
+    apiKey,
+    timeoutMs,
+  } = options;
+
+  return {
+    name: "etherscan",
+    async getGasPrices() {
+      const url =
+        `${baseUrl}?chainid=${chainId}&module=gastracker&action=gasoracle` +
+        (apiKey ? `&apikey=${encodeURIComponent(apiKey)}` : "");
+      const response = await fetchJson(url, { timeoutMs });
+      if (response.status !== "1" || !response.result) {
+        throw new Error(
+          `Etherscan gas oracle error: ${response.result || response.message}`
+        );
+      }
+
+      const { result } = response;
+      const prices = {
+        safe: parseFloat(result.SafeGasPrice),
+        proposed: parseFloat(result.ProposeGasPrice),
+        fast: parseFloat(result.FastGasPrice),
+      };
+      const baseFee = parseFloat(result.suggestBaseFee);
+      // Etherscan's tiers include the base fee; round to whole wei
+      const priority = (gwei) =>
+        Math.max(Math.round((gwei - baseFee) * 1e9) / 1e9, 0);
+
+      return {
+        ...prices,
+        baseFee,
+        priorityFees: {
+          safe: priority(prices.safe),
+          proposed: priority(prices.proposed),
+          fast: priority(prices.fast),
+        },
+        gasUsedRatio: average(
+          String(result.gasUsedRatio).split(",").map(parseFloat)
+        ),
+      };
+    },
+  };
+}
+
+/**
+ * USD prices from a CoinGecko-compatible /simple/price endpoint
+ * @param {Object} options - { baseUrl, ids: symbol -> coin ID, apiKey, timeoutMs }
+ * @returns {Object} Price provider
+ */
+function coingeckoPriceProvider(options = {}) {
+  const {
+    baseUrl = "https://api.coingecko.com/api/v3",
+    ids = COINGECKO_IDS,
+    apiKey,
+    timeoutMs,
+  } = options;
+
+  return {
+    name: "coingecko",
+    async getPrice(symbol) {
+      const id = ids[symbol];
+      if (!id) {
+        throw new Error(`No CoinGecko ID configured for ${symbol}`);
+      }
+      const response = await fetchJson(
+        `${baseUrl}/simple/price?ids=${id}&vs_currencies=usd`,
+        {
+          timeoutMs,
+          headers: apiKey ? { "x-cg-demo-api-key": apiKey } : {},
+        }
+      );
+      const usd = response[id] && response[id].usd;
+      if (typeof usd !== "number") {
+        throw new Error(`CoinGecko returned no USD price for ${id}`);
+      }
+      return { usd };
+    },
+  };
+}
+
+/**
+ * Fixed gas prices for offline use
+ * @param {Object} prices - { safe, proposed, fast } in gwei
+ * @returns {Object} Gas provider
+ */
+function staticGasProvider(prices = DEFAULT_STATIC_GAS) {
+  return {
+    name: "static",
+    fallback: true,
+    async getGasPrices() {
+      return {
+        baseFee: undefined,
+        priorityFees: undefined,
+        gasUsedRatio: undefined,
+        ...prices,
+      };
+    },
+  };
+}
+
+/**
+ * Fixed USD prices for offline use
+ * @param {Object} prices - symbol -> USD price
+ * @returns {Object} Price provider
+ */
+function staticPriceProvider(prices = DEFAULT_STATIC_PRICES) {
+  return {
+    name: "static",
+    fallback: true,
+    async getPrice(symbol) {
+      if (typeof prices[symbol] !== "number") {
+        throw new Error(`No static price configured for ${symbol}`);
+      }
+      return { usd: prices[symbol] };
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_STATIC_GAS,
+  DEFAULT_STATIC_PRICES,
+  COINGECKO_IDS,
+  feeHistoryGasProvider,
+  etherscanGasProvider,
+  coingeckoPriceProvider,
+  staticGasProvider,
+  staticPriceProvider,
+};
@@ -0,0 +1,453 @@
+/**
+ * JavaScript client for the PublicationNFT contract
+ *
+ * Usage:
+ * const { getPublicationContract, mintPublication } = require("./lib/publication-client");
+ * const contract = getPublicationContract(address, signer);
+ * const { tokenId } = await mintPublication(contract, recipient, publication);
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { toMintArgs, toUpdateArgs, normalizeDoi } = require("./publication");
+const { resolveDeployment } = require("./deployments");
+const { readRoyalty } = require("./royalty");
+const { readReferences } = require("./references");
+const { STATUSES } = require("./status");
+const { decodeAuthors } = require("./authors");
+
+const ARTIFACT_PATH = path.join(
+  __dirname,
+  "..",
+  "artifacts",
+  "contracts",
+  "PublicationNFT.sol",
+  "PublicationNFT.json"
+);
+
+/**
+ * Load the PublicationNFT ABI from the Hardhat artifacts
+ * @returns {Array} Contract ABI
+ */
+function loadAbi() {
+  if (!fs.existsSync(ARTIFACT_PATH)) {
+    throw new Error(
+      "PublicationNFT artifact not found. Run `npm run compile` in the ethereum directory first."
+    );
+  }
+  return JSON.parse(fs.readFileSync(ARTIFACT_PATH, "utf8")).abi;
+}
+
+/**
+ * Get a PublicationNFT contract instance
+ * @param {string} address - Contract address
+ * @param {Object} runner - ethers signer or provider
+ * @param {Array} abi - Contract ABI (default: compiled artifact)
+ * @returns {ethers.Contract} Contract instance
+ */
+function getPublicationContract(address, runner, abi = loadAbi()) {
+  return new ethers.Contract(address, abi, runner);
+}
+
+/**
+ * Get the PublicationNFT contract recorded in the deployment registry
+ * @param {string} network - Network name, e.g. hre.network.name
+ * @param {Object} runner - ethers signer or provider connected to that network
+ * @param {Object} options - { address: explicit override, dir: registry directory }
+ * @returns {Promise<Object>} { contract, address, deployment, warnings }
+ */
+async function getDeployedPublicationContract(network, runner, options = {}) {
+  const abi = loadAbi();
+  const resolved = await resolveDeployment(network, runner.provider || runner, {
+    ...options,
+    abi,
+  });
+  return {
+    ...resolved,
+    contract: getPublicationContract(resolved.address, runner, abi),
+  };
+}
+
+/**
+ * Decode a bytes32 value written by stringToBytes32
+ * @param {string} value - 0x-prefixed bytes32 hex string
+ * @returns {string} UTF-8 string without trailing zero bytes
+ */
+function bytes32ToString(value) {
+  const bytes = ethers.getBytes(value);
+  let end = bytes.length;
+  while (end > 0 && bytes[end - 1] === 0) {
+    end--;
+  }
+  return ethers.toUtf8String(bytes.slice(0, end));
+}
+
+/**
+ * Convert a getPublication result into a plain publication record
+ * @param {Object} raw - PublicationMetadata struct returned by the contract
+ * @returns {Object} Decoded publication record, with its authors as
+ *   [{ name, orcid, wallet }] (see authors.js), its status by name (see
+ *   status.js) and statusReason
+ */
+function decodePublication(raw) {
+  return {
+    title: raw.title,
+    authors: decodeAuthors(raw.authors),
+    publicationDate: Number(raw.publicationDate),
+    doi: raw.doi,
+    url: raw.url,
+    imageUrl: raw.imageUrl,
+    description: raw.description,
+    license: raw.license,
+    field: bytes32ToString(raw.field),
+    version: bytes32ToString(raw.version),
+    externalUrl: raw.externalUrl,
+    status: STATUSES[Number(raw.status)],
+    statusReason: raw.statusReason,
+  };
+}
+
+/**
+ * Find the PublicationMinted event in a mint receipt
+ * @param {ethers.Contract} contract - PublicationNFT contract instance
+ * @param {Object} receipt - Transaction receipt
+ * @returns {bigint|null} Minted token ID, or null when no event was found
+ */
+function parseMintedTokenId(contract, receipt) {
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch (e) {
+      continue;
+    }
+    if (parsed && parsed.name === "PublicationMinted") {
+      return parsed.args.tokenId;
+    }
+  }
+  return null;
+}
+
+/**
+ * Name of the custom error a contract call reverted with
+ * ethers decodes it into error.revert; the Hardhat network only gives the
+ * raw revert data.
+ * @returns {string|null} Error name, or null when it isn't a known error
+ */
+function revertErrorName(contract, error) {
+  if (error.revert) {
+    return error.revert.name;
+  }
+  if (typeof error.data === "string" && error.data.length >= 10) {
+    const parsed = contract.interface.parseError(error.data);
+    return parsed ? parsed.name : null;
+  }
+  return null;
+}
+
+/**
+ * Reason string of a require() revert
+ * @returns {string|null} Reason, or null for other reverts
+ */
+function revertReason(contract, error) {
+  if (error.reason) {
+    return error.reason;
+  }
+  if (revertErrorName(contract, error) === "Error") {
+    return contract.interface.parseError(error.data).args[0];
+  }
+  return null;
+}
+
+/**
+ * Find the token minted with a DOI
+ * Only a DoiNotFound revert means the DOI isn't minted. Calls to an address
+ * without code, or to a contract deployed before the DOI index (which has no
+ * tokenIdByDoi and reverts without data), fail instead of reporting the DOI
+ * as free.
+ * @param {ethers.Contract} contract - PublicationNFT contract instance
+ * @param {string} doi - DOI, DOI URL or doi: URI
+ * @returns {Promise<bigint|null>} Token ID, or null when no token has the DOI
+ */
+async function findTokenByDoi(contract, doi) {
+  if (!normalizeDoi(doi)) {
+    return null;
+  }
+  try {
+    return await contract.tokenIdByDoi(doi);
+  } catch (error) {
+    if (revertErrorName(contract, error) === "DoiNotFound") {
+      return null;
+    }
+    const address = await contract.getAddress();
+    const provider = contract.runner.provider || contract.runner;
+    if ((await provider.getCode(address)) === "0x") {
+      throw new Error(
+        `No contract code at ${address}, so DOI ${normalizeDoi(
+          doi
+        )} can't be looked up. Check the contract address.`
+      );
+    }
+    // The Hardhat network gives "0x" as the data of a revert without any
+    if (
+      error.data === "0x" ||
+      (error.code === "CALL_EXCEPTION" && !error.data)
+    ) {
+      throw new Error(
+        `The contract at ${address} has no tokenIdByDoi, so DOI ${normalizeDoi(
+          doi
+        )} can't be checked for duplicates. It predates the DOI index; redeploy with scripts/deploy.js.`
+      );
+    }
+    throw error;
+  }
+}
+
+/**
+ * Check that no token has been minted with a publication's DOI
+ * @param {ethers.Contract} contract - PublicationNFT contract instance
+ * @param {string} doi - DOI of the publication to mint
+ * @param {bigint|number|string} ownTokenId - Token allowed to have the DOI,
+ *   when the publication being checked is that token's update
+ * @throws {Error} With `tokenId` and `publication` properties naming the
+ *   token that already has the DOI
+ */
+async function assertDoiAvailable(contract, doi, ownTokenId) {
+  const tokenId = await findTokenByDoi(contract, doi);
+  if (
+    tokenId === null ||
+    (ownTokenId !== undefined && tokenId === BigInt(ownTokenId))
+  ) {
+    return;
+  }
+  const { tokenId: id, ...publication } = await getPublication(
+    contract,
+    tokenId
+  );
+  const { title } = publication;
+  const error = new Error(
+    `DOI ${normalizeDoi(doi)} is already minted as token ${id} ("${title}")`
+  );
+  error.tokenId = id;
+  error.publication = publication;
+  throw error;
+}
+
+/**
+ * Validate a publication and send the mint transaction without waiting for it
+ * The DOI is checked first, so a publication that is already minted fails
+ * with the existing token (see assertDoiAvailable) instead of reverting.
+ * Publications with royaltyReceiver and royaltyBps are minted with that
+ * royalty instead of the collection default (see royalty.js), and those with
+ * references cite them from the mint on (see references.js).
+ * @param {ethers.Contract} contract - PublicationNFT contract connected to a signer
+ * @param {string} to - Recipient address
+ * @param {Object} publication - The publication record
+ * @param {Object} overrides - Optional ethers transaction overrides
+ * @param {Object} options - { soulbound: lock the token to `to` with
+ *   mintSoulboundPublication }
+ * @returns {ethers.TransactionResponse} The sent transaction
+ */
+async function sendMintPublication(
+  contract,
+  to,
+  publication,
+  overrides = {},
+  options = {}
+) {
+  const args = toMintArgs(to, publication);
+  const royalty = readRoyalty(publication);
+  if (royalty && options.soulbound) {
+    throw new Error(
+      "Soulbound publications can't be sold, so they can't have a royalty"
+    );
+  }
+  const references = readReferences(publication);
+  const cited = references ? [references.tokenIds, references.dois] : [[], []];
+  await assertDoiAvailable(contract, publication.doi);
+  if (royalty) {
+    return contract.mintPublicationWithRoyalty(
+      ...args,
+      royalty.receiver,
+      royalty.basisPoints,
+      ...cited,
+      overrides
+    );
+  }
+  if (options.soulbound) {
+    return contract.mintSoulboundPublication(...args, ...cited, overrides);
+  }
+  if (references) {
+    return contract.mintPublicationWithCitations(...args, ...cited, overrides);
+  }
+  return contract.mintPublication(...args, overrides);
+}
+
+/**
+ * Validate a publication and mint it
+ * @param {ethers.Contract} contract - PublicationNFT contract connected to a signer
+ * @param {string} to - Recipient address
+ * @param {Object} publication - The publication record
+ * @param {Object} overrides - Optional ethers transaction overrides
+ * @param {Object} options - { soulbound }, see sendMintPublication
+ * @returns {Object} { tokenId, hash, receipt }
+ */
+async function mintPublication(
+  contract,
+  to,
+  publication,
+  overrides = {},
+  options = {}
+) {
+  const tx = await sendMintPublication(
+    contract,
+    to,
+    publication,
+    overrides,
+    options
+  );
+  const receipt = await tx.wait();
+  const tokenId = parseMintedTokenId(contract, receipt);
+
+  if (tokenId === null) {
+    throw new Error(
+      `No PublicationMinted event found in transaction ${tx.hash}`
+    );
+  }
+
+  return { tokenId, hash: tx.hash, receipt };
+}
+
+/**
+ * Find the PublicationUpdated event in an update receipt
+ * @param {ethers.Contract} contract - PublicationNFT contract instance
+ * @param {Object} receipt - Transaction receipt
+ * @returns {bigint|null} New version number, or null when no event was found
+ */
+function parseUpdatedVersion(contract, receipt) {
+  for (const log of receipt.logs) {
+    let parsed;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch (e) {
+      continue;
+    }
+    if (parsed && parsed.name === "PublicationUpdated") {
+      return parsed.args.version;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a corrected publication and send the update without waiting for it
+ * Frozen tokens and DOIs minted as another token fail here instead of
+ * reverting.
+ * @param {ethers.Contract} contract - PublicationNFT contract connected to a signer
+ * @param {bigint|number|string} tokenId - The token to update
+ * @param {Object} publication - The corrected publication record, complete
+ *   (fields left out are cleared)
+ * @param {Object} overrides - Optional ethers transaction overrides
+ * @returns {ethers.TransactionResponse} The sent transaction
+ */
+async function sendUpdatePublication(
+  contract,
+  tokenId,
+  publication,
+  overrides = {}
+) {
+  const args = toUpdateArgs(tokenId, publication);
+  if (await contract.frozen(tokenId)) {
+    const error = new Error(`Token ${tokenId} is frozen and can't be updated`);
+    error.tokenId = BigInt(tokenId);
+    throw error;
+  }
+  await assertDoiAvailable(contract, publication.doi, tokenId);
+  return contract.updatePublication(...args, overrides);
+}
+
+/**
+ * Validate a corrected publication and update the token with it
+ * The replaced version stays readable with getPublicationVersions.
+ * @param {ethers.Contract} contract - PublicationNFT contract connected to a signer
+ * @param {bigint|number|string} tokenId - The token to update
+ * @param {Object} publication - The corrected publication record
+ * @param {Object} overrides - Optional ethers transaction overrides
+ * @returns {Object} { version, hash, receipt }
+ */
+async function updatePublication(
+  contract,
+  tokenId,
+  publication,
+  overrides = {}
+) {
+  const tx = await sendUpdatePublication(
+    contract,
+    tokenId,
+    publication,
+    overrides
+  );
+  const receipt = await tx.wait();
+  const version = parseUpdatedVersion(contract, receipt);
+
+  if (version === null) {
+    throw new Error(
+      `No PublicationUpdated event found in transaction ${tx.hash}`
+    );
+  }
+
+  return { version, hash: tx.hash, receipt };
+}
+
+/**
+ * Read every version of a publication, oldest (the minted one) first
+ * @param {ethers.Contract} contract - PublicationNFT contract instance
+ * @param {bigint|number|string} tokenId - The token ID
+ * @returns {Promise<Object[]>} { version, uri: the token URI it had,
+ *   publication: decoded publication record }
+ */
+async function getPublicationVersions(contract, tokenId) {
+  const count = await contract.publicationVersionCount(tokenId);
+  const versions = [];
+  for (let version = 0n; version < count; version++) {
+    const [raw, uri] = await contract.getPublicationVersion(tokenId, version);
+    versions.push({
+      version: Number(version),
+      uri,
+      publication: decodePublication(raw),
+    });
+  }
+  return versions;
+}
+
+/**
+ * Read and decode a publication by token ID
+ * @param {ethers.Contract} contract - PublicationNFT contract instance
+ * @param {bigint|number|string} tokenId - The token ID
+ * @returns {Object} Decoded publication record with its tokenId
+ */
+async function getPublication(contract, tokenId) {
+  const raw = await contract.getPublication(tokenId);
+  return { tokenId: BigInt(tokenId), ...decodePublication(raw) };
+}
+
+module.exports = {
+  loadAbi,
+  getPublicationContract,
+  getDeployedPublicationContract,
+  bytes32ToString,
+  decodePublication,
+  parseMintedTokenId,
+  revertErrorName,
+  revertReason,
+  findTokenByDoi,
+  assertDoiAvailable,
+  sendMintPublication,
+  mintPublication,
+  parseUpdatedVersion,
+  sendUpdatePublication,
+  updatePublication,
+  getPublicationVersions,
+  getPublication,
+};
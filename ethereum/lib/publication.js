@@ -0,0 +1,289 @@
+/**
+ * Publication record helpers shared by every PublicationNFT tool
+ *
+ * A publication record is a plain object:
+ * {
+ *   uri,             // token URI (IPFS or HTTP), "" to render it on-chain
+ *   title,
+ *   authors,         // [{ name, orcid, wallet }] or a string (see authors.js)
+ *   publicationDate, // unix seconds, Date or ISO date string
+ *   doi,
+ *   url,             // metadata URL (defaults to uri)
+ *   imageUrl,
+ *   description,
+ *   license,
+ *   field,           // max 32 bytes (stored as bytes32)
+ *   version,         // max 32 bytes (stored as bytes32)
+ *   externalUrl,
+ * }
+ */
+
+const {
+  parseAuthors,
+  validateAuthors,
+  formatAuthors,
+  toAuthorArgs,
+} = require("./authors");
+
+const MAX_UINT32 = 4294967295;
+const MAX_BYTES32_LENGTH = 32;
+
+// Order of the publication fields in mintPublication, after `to`
+const MINT_FIELDS = [
+  "uri",
+  "title",
+  "authors",
+  "publicationDate",
+  "doi",
+  "url",
+  "imageUrl",
+  "description",
+  "license",
+  "field",
+  "version",
+  "externalUrl",
+];
+
+const REQUIRED_FIELDS = ["uri", "title", "authors", "publicationDate"];
+// Required fields that may be given empty: a token minted without a URI has
+// its metadata rendered on-chain
+const EMPTY_ALLOWED_FIELDS = ["uri"];
+const URL_FIELDS = ["uri", "url", "imageUrl", "externalUrl"];
+const BYTES32_FIELDS = ["field", "version"];
+
+function isValidAddress(addr) {
+  return /^0x[a-fA-F0-9]{40}$/.test(addr);
+}
+
+function isValidUrl(url) {
+  // Allow HTTP(S) and IPFS URLs
+  return /^(https?:\/\/|ipfs:\/\/).+/.test(url);
+}
+
+function isNonEmptyString(str) {
+  return typeof str === "string" && str.trim().length > 0;
+}
+
+function fitsBytes32(str) {
+  return Buffer.byteLength(str, "utf8") <= MAX_BYTES32_LENGTH;
+}
+
+/**
+ * Normalize a DOI to its bare, lower-case form
+ * DOIs are case-insensitive; resolver prefixes such as https://doi.org/ and
+ * doi: are dropped. PublicationNFT.normalizeDoi applies the same rules
+ * on-chain, so only ASCII whitespace is trimmed and only A-Z lower-cased.
+ * @param {string} doi - DOI, DOI URL or doi: URI
+ * @returns {string} Normalized DOI (e.g. "10.1000/xyz123")
+ */
+function normalizeDoi(doi) {
+  return String(doi || "")
+    .replace(/^[ \t\n\v\f\r]+|[ \t\n\v\f\r]+$/g, "")
+    .replace(/^https?:\/\/(dx\.)?doi\.org\//i, "")
+    .replace(/^doi:[ \t\n\v\f\r]*/i, "")
+    .replace(/[A-Z]/g, (letter) => letter.toLowerCase());
+}
+
+/**
+ * Convert a publication date to unix seconds
+ * @param {number|string|Date} value - Unix seconds, a Date or an ISO date string
+ * @returns {number} Unix timestamp in seconds (NaN when not parseable)
+ */
+function toUnixSeconds(value) {
+  if (value instanceof Date) {
+    return Math.floor(value.getTime() / 1000);
+  }
+  if (typeof value === "number" || typeof value === "bigint") {
+    return Number(value);
+  }
+  if (typeof value === "string" && value.trim().length > 0) {
+    const trimmed = value.trim();
+    if (/^\d+$/.test(trimmed)) {
+      return parseInt(trimmed, 10);
+    }
+    return Math.floor(Date.parse(trimmed) / 1000);
+  }
+  return NaN;
+}
+
+/**
+ * List everything wrong with a publication record
+ * @param {Object} publication - The publication record
+ * @param {Object} options - { required: fields that must be present,
+ *   bytes32Fields: fields limited to 32 bytes (default: field and version,
+ *   as stored by the Ethereum contract), isValidWallet: address check of
+ *   author wallets (default: Ethereum addresses) }
+ * @returns {string[]} Validation errors (empty when the record is valid)
+ */
+function validatePublication(publication, options = {}) {
+  const {
+    required = REQUIRED_FIELDS,
+    bytes32Fields = BYTES32_FIELDS,
+    isValidWallet = isValidAddress,
+  } = options;
+  const errors = [];
+
+  if (!publication || typeof publication !== "object") {
+    return ["Publication must be an object"];
+  }
+
+  for (const name of required) {
+    const value = publication[name];
+    if (
+      value === undefined ||
+      value === null ||
+      (typeof value === "string" &&
+        !isNonEmptyString(value) &&
+        !EMPTY_ALLOWED_FIELDS.includes(name)) ||
+      (Array.isArray(value) && value.length === 0)
+    ) {
+      errors.push(`${name} is required`);
+    }
+  }
+
+  for (const name of MINT_FIELDS) {
+    const value = publication[name];
+    if (
+      name !== "publicationDate" &&
+      !(name === "authors" && Array.isArray(value)) &&
+      value !== undefined &&
+      value !== null &&
+      typeof value !== "string"
+    ) {
+      errors.push(`${name} must be a string`);
+    }
+  }
+
+  if (
+    publication.publicationDate !== undefined &&
+    publication.publicationDate !== null &&
+    publication.publicationDate !== ""
+  ) {
+    const seconds = toUnixSeconds(publication.publicationDate);
+    if (!Number.isInteger(seconds) || seconds < 0) {
+      errors.push(
+        "publicationDate must be a unix timestamp in seconds or a date"
+      );
+    } else if (seconds > MAX_UINT32) {
+      errors.push(`publicationDate too large for uint32 (max: ${MAX_UINT32})`);
+    }
+  }
+
+  errors.push(...validateAuthors(publication, { isValidWallet }));
+
+  for (const name of URL_FIELDS) {
+    const value = publication[name];
+    if (typeof value === "string" && value.length > 0 && !isValidUrl(value)) {
+      errors.push(`${name} must start with http://, https://, or ipfs://`);
+    }
+  }
+
+  for (const name of bytes32Fields) {
+    const value = publication[name];
+    if (typeof value === "string" && !fitsBytes32(value)) {
+      errors.push(`${name} must be ${MAX_BYTES32_LENGTH} bytes or less`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a publication record and fill in defaults
+ * @param {Object} publication - The publication record
+ * @returns {Object} Normalized record with publicationDate in seconds and
+ *   authors as [{ name, orcid, wallet }] (see parseAuthors)
+ */
+function normalizePublication(publication) {
+  const errors = validatePublication(publication);
+  if (errors.length > 0) {
+    throw new Error(`Invalid publication: ${errors.join("; ")}`);
+  }
+
+  const normalized = {};
+  for (const name of MINT_FIELDS) {
+    const value = publication[name];
+    normalized[name] = typeof value === "string" ? value.trim() : value;
+  }
+  normalized.authors = parseAuthors(publication.authors);
+  normalized.publicationDate = toUnixSeconds(publication.publicationDate);
+  normalized.url = normalized.url || normalized.uri;
+
+  for (const name of MINT_FIELDS) {
+    if (normalized[name] === undefined || normalized[name] === null) {
+      normalized[name] = "";
+    }
+  }
+
+  return normalized;
+}
+
+// Publication fields of a normalized record in contract order, with the
+// authors as Author structs
+function contractFields(normalized) {
+  return MINT_FIELDS.map((name) =>
+    name === "authors" ? toAuthorArgs(normalized.authors) : normalized[name]
+  );
+}
+
+/**
+ * Build the positional argument list for mintPublication
+ * @param {string} to - Recipient address
+ * @param {Object} publication - The publication record
+ * @returns {Array} Arguments in contract order
+ */
+function toMintArgs(to, publication) {
+  if (!isValidAddress(to)) {
+    throw new Error(`Invalid recipient address: ${to}`);
+  }
+  const normalized = normalizePublication(publication);
+  return [to, ...contractFields(normalized)];
+}
+
+/**
+ * Build the positional argument list for updatePublication
+ * @param {bigint|number|string} tokenId - The token to update
+ * @param {Object} publication - The corrected publication record
+ * @returns {Array} Arguments in contract order
+ */
+function toUpdateArgs(tokenId, publication) {
+  const normalized = normalizePublication(publication);
+  return [BigInt(tokenId), ...contractFields(normalized)];
+}
+
+/**
+ * List the fields that differ between two publication records
+ * Both records are normalized first, so a date given as "2024-01-15" equals
+ * the same date in seconds and surrounding whitespace doesn't count. Authors
+ * are compared and reported in their string form (see formatAuthors).
+ * @param {Object} current - The publication as it is
+ * @param {Object} updated - The publication as it will be
+ * @returns {Object[]} { field, before, after } for each changed field, in
+ *   contract order
+ */
+function diffPublication(current, updated) {
+  const before = normalizePublication(current);
+  const after = normalizePublication(updated);
+  before.authors = formatAuthors(before.authors);
+  after.authors = formatAuthors(after.authors);
+  return MINT_FIELDS.filter((name) => before[name] !== after[name]).map(
+    (name) => ({ field: name, before: before[name], after: after[name] })
+  );
+}
+
+module.exports = {
+  MAX_UINT32,
+  MINT_FIELDS,
+  REQUIRED_FIELDS,
+  isValidAddress,
+  isValidUrl,
+  isNonEmptyString,
+  fitsBytes32,
+  normalizeDoi,
+  toUnixSeconds,
+  validatePublication,
+  normalizePublication,
+  toMintArgs,
+  toUpdateArgs,
+  diffPublication,
+};
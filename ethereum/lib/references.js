@@ -0,0 +1,174 @@
+/**
+ * References between PublicationNFT publications
+ *
+ * A publication cites other tokens by ID and external works by DOI. The
+ * contract records them at mint time (mintPublicationWithCitations, and the
+ * royalty and soulbound mints) or later (addCitations, by a minter) and emits
+ * a Cited log for each one. Publication records and manifest rows carry them
+ * as `references`: an array, or a string of token IDs and DOIs separated by
+ * semicolons or whitespace, e.g.
+ * "0; 10.1000/xyz123; https://doi.org/10.1000/abc".
+ *
+ * Usage:
+ * const { readReferences, addCitations } = require("./lib/references");
+ * const references = readReferences(publication); // null when it has none
+ * await addCitations(contract, tokenId, ["3", "10.1000/xyz123"]);
+ */
+
+const { normalizeDoi } = require("./publication");
+
+// citedTokenId of Cited logs for external DOIs (the contract's EXTERNAL_CITATION)
+const EXTERNAL_CITATION = 2n ** 256n - 1n;
+
+function isBlank(value) {
+  return (
+    value === undefined ||
+    value === null ||
+    value === "" ||
+    (Array.isArray(value) && value.length === 0)
+  );
+}
+
+function splitReferences(value) {
+  if (Array.isArray(value)) {
+    return value.map((reference) => String(reference).trim());
+  }
+  return String(value)
+    .split(/[;\s]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Sort references into cited token IDs and DOIs
+ * Whole numbers are token IDs; anything else must be a DOI (10.<registrant>/
+ * <suffix>, optionally as a doi: URI or doi.org URL).
+ * @param {string|Array} value - References, see the module comment
+ * @returns {Object} { tokenIds: bigint[], dois: normalized DOIs }
+ */
+function parseReferences(value) {
+  const tokenIds = [];
+  const dois = [];
+  const seen = new Set();
+  for (const reference of isBlank(value) ? [] : splitReferences(value)) {
+    const doi = normalizeDoi(reference);
+    const isTokenId = /^\d+$/.test(reference);
+    if (!isTokenId && !/^10\.\d{4,9}\/\S+$/.test(doi)) {
+      throw new Error(
+        `Reference "${reference}" is neither a token ID nor a DOI`
+      );
+    }
+    const key = isTokenId ? `token:${BigInt(reference)}` : `doi:${doi}`;
+    if (seen.has(key)) {
+      throw new Error(`Reference "${reference}" is given twice`);
+    }
+    seen.add(key);
+    if (isTokenId) {
+      tokenIds.push(BigInt(reference));
+    } else {
+      dois.push(doi);
+    }
+  }
+  return { tokenIds, dois };
+}
+
+/**
+ * Validate the references of a publication record
+ * @param {Object} record - Publication record or manifest row
+ * @returns {string[]} Errors (empty when valid or without references)
+ */
+function validateReferences(record) {
+  try {
+    parseReferences(record && record.references);
+    return [];
+  } catch (error) {
+    return [`references: ${error.message}`];
+  }
+}
+
+/**
+ * Read the references of a publication record
+ * @param {Object} record - Publication record or manifest row
+ * @returns {Object|null} { tokenIds, dois } (see parseReferences), or null
+ *   without references
+ */
+function readReferences(record) {
+  const references = parseReferences(record && record.references);
+  if (references.tokenIds.length === 0 && references.dois.length === 0) {
+    return null;
+  }
+  return references;
+}
+
+/**
+ * Convert a Cited log's arguments into a reference
+ * @returns {Object} { tokenId, citedTokenId: null for an external DOI,
+ *   citedDoi: "" for a token }
+ */
+function toCitation({ tokenId, citedTokenId, citedDoi }) {
+  return {
+    tokenId,
+    citedTokenId: citedTokenId === EXTERNAL_CITATION ? null : citedTokenId,
+    citedDoi,
+  };
+}
+
+/**
+ * Append references to a minted publication
+ * A DOI that is minted is recorded as a citation of its token.
+ * @param {ethers.Contract} contract - PublicationNFT contract connected to a
+ *   minter
+ * @param {number|string|bigint} tokenId - The citing token
+ * @param {string|Array} references - References, see parseReferences
+ * @param {Object} overrides - Optional ethers transaction overrides
+ * @returns {Promise<Object>} { citations: from the Cited logs, see
+ *   toCitation, hash, receipt }
+ */
+async function addCitations(contract, tokenId, references, overrides = {}) {
+  const parsed = readReferences({ references });
+  if (!parsed) {
+    throw new Error("Give at least one token ID or DOI to cite");
+  }
+  const tx = await contract.addCitations(
+    tokenId,
+    parsed.tokenIds,
+    parsed.dois,
+    overrides
+  );
+  const receipt = await tx.wait();
+  const citations = [];
+  for (const log of receipt.logs) {
+    let parsedLog;
+    try {
+      parsedLog = contract.interface.parseLog(log);
+    } catch (e) {
+      continue;
+    }
+    if (parsedLog && parsedLog.name === "Cited") {
+      citations.push(toCitation(parsedLog.args));
+    }
+  }
+  return { citations, hash: tx.hash, receipt };
+}
+
+/**
+ * Read what a publication cites and what cites it
+ * @param {ethers.Contract} contract - PublicationNFT contract instance
+ * @param {number|string|bigint} tokenId - The token ID
+ * @returns {Promise<Object>} { tokenIds: tokens it cites, dois: external
+ *   DOIs it cites, citedBy: tokens citing it }
+ */
+async function getCitations(contract, tokenId) {
+  const [tokenIds, dois] = await contract.getCitations(tokenId);
+  const citedBy = await contract.getCitedBy(tokenId);
+  return { tokenIds: [...tokenIds], dois: [...dois], citedBy: [...citedBy] };
+}
+
+module.exports = {
+  EXTERNAL_CITATION,
+  parseReferences,
+  validateReferences,
+  readReferences,
+  toCitation,
+  addCitations,
+  getCitations,
+};
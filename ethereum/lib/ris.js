@@ -0,0 +1,84 @@
+/**
+ * RIS reader
+ * Each record starts with "TY  - " and ends with "ER  - ". Tags may repeat
+ * (AU, KW, ...), so every tag maps to an array of values.
+ */
+
+const LINE_PATTERN = /^([A-Z][A-Z0-9])  -(?: (.*))?$/;
+
+/**
+ * Parse RIS text
+ * @param {string} text - Contents of a .ris file
+ * @returns {Object[]} Records { type, fields: { TAG: string[] } }
+ */
+function parseRis(text) {
+  const records = [];
+  let current = null;
+  let lastTag = null;
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.replace(/^\uFEFF/, "");
+    const match = LINE_PATTERN.exec(line);
+
+    if (!match) {
+      // Continuation of a wrapped value
+      if (current && lastTag && line.trim().length > 0) {
+        const values = current.fields[lastTag];
+        values[values.length - 1] += ` ${line.trim()}`;
+      }
+      return;
+    }
+
+    const [, tag, value = ""] = match;
+
+    if (tag === "TY") {
+      current = { type: value.trim(), fields: {} };
+      lastTag = null;
+      return;
+    }
+
+    if (!current) {
+      throw new Error(
+        `RIS parse error on line ${index + 1}: ${tag} before TY`
+      );
+    }
+
+    if (tag === "ER") {
+      records.push(current);
+      current = null;
+      lastTag = null;
+      return;
+    }
+
+    current.fields[tag] = current.fields[tag] || [];
+    current.fields[tag].push(value.trim());
+    lastTag = tag;
+  });
+
+  if (current) {
+    throw new Error("RIS parse error: record without closing ER tag");
+  }
+
+  return records;
+}
+
+/**
+ * Split an RIS date ("2020/05/12/", "2020///Spring", "2020-05-12") into parts
+ * @returns {number[]} [year, month?, day?]
+ */
+function parseRisDate(value) {
+  if (!value) {
+    return [];
+  }
+  const [year, month, day] = value.split(/[/-]/).map((part) => part.trim());
+  return [year, month, day]
+    .map((part) => (/^\d+$/.test(part || "") ? parseInt(part, 10) : undefined))
+    .filter((part, index, parts) =>
+      parts.slice(0, index + 1).every((p) => p !== undefined)
+    );
+}
+
+module.exports = {
+  parseRis,
+  parseRisDate,
+};
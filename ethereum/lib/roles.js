@@ -0,0 +1,129 @@
+/**
+ * AccessControl roles of the PublicationNFT contract
+ *
+ * The contract doesn't enumerate role members, so holders are rebuilt from
+ * its RoleGranted and RoleRevoked logs, paged in block ranges like the
+ * collection export (see collection.js).
+ *
+ * Usage:
+ * const { resolveRole, listRoleHolders } = require("./lib/roles");
+ * const { id } = resolveRole("minter");
+ * const roles = await listRoleHolders(contract, { fromBlock });
+ */
+
+const { ethers } = require("ethers");
+
+const DEFAULT_BATCH_SIZE = 5000;
+
+// Roles by their short name; ids match the contract's role constants
+const ROLES = {
+  admin: ethers.ZeroHash,
+  minter: ethers.id("MINTER_ROLE"),
+  "metadata-editor": ethers.id("METADATA_EDITOR_ROLE"),
+};
+
+// Contract constant names accepted as well as the short names
+const ROLE_CONSTANTS = {
+  DEFAULT_ADMIN_ROLE: "admin",
+  MINTER_ROLE: "minter",
+  METADATA_EDITOR_ROLE: "metadata-editor",
+};
+
+/**
+ * Short name of a role id
+ * @param {string} id - bytes32 role id
+ * @returns {string} Short name, or the id itself for unknown roles
+ */
+function roleName(id) {
+  const name = Object.keys(ROLES).find((key) => ROLES[key] === id);
+  return name || id;
+}
+
+/**
+ * Look a role up by short name, contract constant name or bytes32 id
+ * @param {string} role - e.g. "minter", "MINTER_ROLE" or "0x9f2d..."
+ * @returns {Object} { name, id }
+ */
+function resolveRole(role) {
+  const value = String(role || "").trim();
+  const name = ROLE_CONSTANTS[value] || value.toLowerCase();
+  if (ROLES[name]) {
+    return { name, id: ROLES[name] };
+  }
+  if (/^0x[0-9a-fA-F]{64}$/.test(value)) {
+    const id = value.toLowerCase();
+    return { name: roleName(id), id };
+  }
+  throw new Error(
+    `Unknown role "${role}" (expected ${Object.keys(ROLES).join(
+      ", "
+    )} or a bytes32 role id)`
+  );
+}
+
+/**
+ * Rebuild the holders of every role from RoleGranted and RoleRevoked logs
+ * @param {ethers.Contract} contract - PublicationNFT contract instance
+ * @param {Object} options - { fromBlock: deployment block (default 0),
+ *   toBlock (default: latest), batchSize: blocks per query }
+ * @returns {Promise<Object[]>} { role: short name, id, holders: [{ account,
+ *   grantedBy, blockNumber, transactionHash }] } for the known roles and any
+ *   other role found in the logs, holders in the order they were granted
+ */
+async function listRoleHolders(contract, options = {}) {
+  const { fromBlock = 0, batchSize = DEFAULT_BATCH_SIZE } = options;
+  const provider = contract.runner.provider || contract.runner;
+  const toBlock =
+    options.toBlock !== undefined
+      ? options.toBlock
+      : await provider.getBlockNumber();
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Batch size must be a positive integer, got ${batchSize}`);
+  }
+
+  // Role id => account (lower case) => holder
+  const holders = new Map(Object.values(ROLES).map((id) => [id, new Map()]));
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    const [granted, revoked] = await Promise.all([
+      contract.queryFilter(contract.filters.RoleGranted(), from, to),
+      contract.queryFilter(contract.filters.RoleRevoked(), from, to),
+    ]);
+
+    // Apply the logs in chain order
+    const logs = [...granted, ...revoked].sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.index - b.index
+    );
+    for (const log of logs) {
+      const { role, account, sender } = log.args;
+      if (!holders.has(role)) {
+        holders.set(role, new Map());
+      }
+      const accounts = holders.get(role);
+      if (log.fragment.name === "RoleGranted") {
+        accounts.set(account.toLowerCase(), {
+          account,
+          grantedBy: sender,
+          blockNumber: log.blockNumber,
+          transactionHash: log.transactionHash,
+        });
+      } else {
+        accounts.delete(account.toLowerCase());
+      }
+    }
+  }
+
+  return [...holders].map(([id, accounts]) => ({
+    role: roleName(id),
+    id,
+    holders: [...accounts.values()],
+  }));
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  ROLES,
+  roleName,
+  resolveRole,
+  listRoleHolders,
+};
@@ -0,0 +1,155 @@
+/**
+ * EIP-2981 sale royalties of PublicationNFT tokens
+ *
+ * The contract has a collection-wide default royalty and per-token
+ * overrides. Royalties are given in basis points of the sale price (100 = 1%,
+ * 10000 = 100%). Publication records and manifest rows may carry their own
+ * as royaltyReceiver and royaltyBps, minted with mintPublicationWithRoyalty.
+ *
+ * Usage:
+ * const { readRoyalty, getRoyalty } = require("./lib/royalty");
+ * const royalty = readRoyalty(publication); // null when the record has none
+ * const { collection, token } = await getRoyalty(contract, tokenId);
+ */
+
+const { ethers } = require("ethers");
+const { isValidAddress } = require("./publication");
+
+// Denominator of the contract's royalty fractions
+const MAX_ROYALTY_BPS = 10000;
+
+function isBlank(value) {
+  return value === undefined || value === null || value === "";
+}
+
+/**
+ * Parse a royalty given in basis points or as a percentage
+ * @param {string|number} value - e.g. 250, "250" or "2.5%"
+ * @returns {number} Basis points from 0 to 10000
+ */
+function parseBasisPoints(value) {
+  const text = String(value).trim();
+  // A percentage has at most two decimals, the precision of basis points
+  const percent = text.match(/^(\d+)(?:\.(\d{1,2}))?%$/);
+  const basisPoints = percent
+    ? Number(percent[1]) * 100 + Number((percent[2] || "").padEnd(2, "0"))
+    : /^\d+$/.test(text)
+    ? Number(text)
+    : NaN;
+  if (!Number.isInteger(basisPoints) || basisPoints > MAX_ROYALTY_BPS) {
+    throw new Error(
+      `Royalty must be whole basis points from 0 to ${MAX_ROYALTY_BPS} or a percentage up to 100%, got "${value}"`
+    );
+  }
+  return basisPoints;
+}
+
+/**
+ * Validate the royalty fields of a publication record
+ * @param {Object} record - Publication record or manifest row
+ * @returns {string[]} Errors (empty when valid or without a royalty)
+ */
+function validateRoyalty(record) {
+  const { royaltyReceiver, royaltyBps } = record || {};
+  if (isBlank(royaltyReceiver) && isBlank(royaltyBps)) {
+    return [];
+  }
+  const errors = [];
+  if (isBlank(royaltyReceiver)) {
+    errors.push("royaltyBps needs a royaltyReceiver");
+  } else if (!isValidAddress(royaltyReceiver)) {
+    errors.push(`royaltyReceiver must be an address, got ${royaltyReceiver}`);
+  }
+  if (isBlank(royaltyBps)) {
+    errors.push("royaltyReceiver needs royaltyBps");
+  } else {
+    try {
+      parseBasisPoints(royaltyBps);
+    } catch (error) {
+      errors.push(`royaltyBps: ${error.message}`);
+    }
+  }
+  return errors;
+}
+
+/**
+ * Read the royalty of a publication record
+ * @param {Object} record - Publication record or manifest row
+ * @returns {Object|null} { receiver, basisPoints }, or null without one
+ */
+function readRoyalty(record) {
+  const errors = validateRoyalty(record);
+  if (errors.length > 0) {
+    throw new Error(`Invalid royalty: ${errors.join("; ")}`);
+  }
+  if (isBlank(record && record.royaltyReceiver)) {
+    return null;
+  }
+  return {
+    receiver: ethers.getAddress(record.royaltyReceiver),
+    basisPoints: parseBasisPoints(record.royaltyBps),
+  };
+}
+
+/**
+ * Read the default royalty for generated metadata from the environment
+ * ROYALTY_RECEIVER and ROYALTY_BPS, the same variables deploy.js sets the
+ * contract's default royalty from.
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} { receiver, basisPoints }, or null when unset
+ */
+function royaltyFromEnv(env = process.env) {
+  return readRoyalty({
+    royaltyReceiver: env.ROYALTY_RECEIVER,
+    royaltyBps: env.ROYALTY_BPS,
+  });
+}
+
+/**
+ * Describe a royalty for people
+ * @param {Object|null} royalty - { receiver, basisPoints }
+ * @returns {string} e.g. "2.5% to 0x..." or "none"
+ */
+function formatRoyalty(royalty) {
+  if (!royalty) {
+    return "none";
+  }
+  return `${royalty.basisPoints / 100}% to ${royalty.receiver}`;
+}
+
+function toRoyalty([receiver, basisPoints]) {
+  if (receiver === ethers.ZeroAddress) {
+    return null;
+  }
+  return { receiver, basisPoints: Number(basisPoints) };
+}
+
+/**
+ * Read the royalty settings of a contract
+ * royaltyInfo of a 10000 wei sale is the token's royalty in basis points.
+ * @param {ethers.Contract} contract - PublicationNFT contract instance
+ * @param {number|string|bigint} tokenId - Optional token to look up too
+ * @returns {Promise<Object>} { collection: default royalty, token: the
+ *   royalty the token's sales pay (undefined without tokenId) }, each
+ *   { receiver, basisPoints } or null for none
+ */
+async function getRoyalty(contract, tokenId) {
+  const collection = toRoyalty(await contract.defaultRoyalty());
+  if (tokenId === undefined) {
+    return { collection };
+  }
+  // royaltyInfo doesn't check that the token exists
+  await contract.ownerOf(tokenId);
+  const token = toRoyalty(await contract.royaltyInfo(tokenId, MAX_ROYALTY_BPS));
+  return { collection, token };
+}
+
+module.exports = {
+  MAX_ROYALTY_BPS,
+  parseBasisPoints,
+  validateRoyalty,
+  readRoyalty,
+  royaltyFromEnv,
+  formatRoyalty,
+  getRoyalty,
+};
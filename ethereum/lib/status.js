@@ -0,0 +1,147 @@
+/**
+ * Editorial status of PublicationNFT publications
+ *
+ * Metadata editors flag a publication as corrected, under an expression of
+ * concern or retracted with setPublicationStatus, giving a reason (text or
+ * the URI of the notice). The current status is part of getPublication; the
+ * history is in the PublicationStatusChanged logs, which are read in block
+ * ranges like the role and collection logs (see roles.js).
+ *
+ * Usage:
+ * const { setPublicationStatus, listByStatus } = require("./lib/status");
+ * await setPublicationStatus(contract, tokenId, "retracted", noticeUri);
+ * const retracted = await listByStatus(contract, "retracted", { fromBlock });
+ */
+
+const DEFAULT_BATCH_SIZE = 5000;
+
+// Short names in the order of the contract's PublicationStatus enum
+const STATUSES = ["active", "corrected", "expression-of-concern", "retracted"];
+
+// Display names, as the contract renders them in on-chain metadata
+const STATUS_LABELS = {
+  active: "Active",
+  corrected: "Corrected",
+  "expression-of-concern": "Expression of Concern",
+  retracted: "Retracted",
+};
+
+/**
+ * Look a status up by short name, display name or enum value
+ * @param {string|number|bigint} status - e.g. "retracted", "Expression of
+ *   Concern" or 3
+ * @returns {Object} { name, value: PublicationStatus enum value }
+ */
+function resolveStatus(status) {
+  const text = String(status).trim();
+  const value = /^\d+$/.test(text)
+    ? Number(text)
+    : STATUSES.indexOf(text.toLowerCase().replace(/[\s_]+/g, "-"));
+  if (value < 0 || value >= STATUSES.length) {
+    throw new Error(
+      `Unknown status "${status}" (expected ${STATUSES.join(", ")})`
+    );
+  }
+  return { name: STATUSES[value], value };
+}
+
+/**
+ * Display name of a status
+ * @param {string|number|bigint} status - As for resolveStatus
+ * @returns {string} e.g. "Expression of Concern"
+ */
+function statusLabel(status) {
+  return STATUS_LABELS[resolveStatus(status).name];
+}
+
+/**
+ * Set the status of a publication
+ * @param {ethers.Contract} contract - PublicationNFT contract connected to a
+ *   metadata editor
+ * @param {number|string|bigint} tokenId - The token ID
+ * @param {string} status - Status name, see resolveStatus
+ * @param {string} reason - The notice or explanation, as text or a URI
+ * @param {Object} overrides - Optional ethers transaction overrides
+ * @returns {Promise<Object>} { status, hash, receipt }
+ */
+async function setPublicationStatus(
+  contract,
+  tokenId,
+  status,
+  reason,
+  overrides = {}
+) {
+  const { name, value } = resolveStatus(status);
+  if (name !== "active" && !String(reason || "").trim()) {
+    throw new Error(
+      `A reason is required to mark a publication ${STATUS_LABELS[
+        name
+      ].toLowerCase()}`
+    );
+  }
+  const tx = await contract.setPublicationStatus(
+    tokenId,
+    value,
+    reason || "",
+    overrides
+  );
+  const receipt = await tx.wait();
+  return { status: name, hash: tx.hash, receipt };
+}
+
+/**
+ * List the publications whose latest status change is to a status
+ * @param {ethers.Contract} contract - PublicationNFT contract instance
+ * @param {string} status - Status name, see resolveStatus
+ * @param {Object} options - { fromBlock: deployment block (default 0),
+ *   toBlock (default: latest), batchSize: blocks per query }
+ * @returns {Promise<Object[]>} { tokenId, status, reason, blockNumber,
+ *   transactionHash } in token ID order
+ */
+async function listByStatus(contract, status, options = {}) {
+  const { name } = resolveStatus(status);
+  const { fromBlock = 0, batchSize = DEFAULT_BATCH_SIZE } = options;
+  const provider = contract.runner.provider || contract.runner;
+  const toBlock =
+    options.toBlock !== undefined
+      ? options.toBlock
+      : await provider.getBlockNumber();
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error(`Batch size must be a positive integer, got ${batchSize}`);
+  }
+
+  // Every change is read, so a later change away from the status counts
+  const latest = new Map();
+  for (let from = fromBlock; from <= toBlock; from += batchSize) {
+    const to = Math.min(from + batchSize - 1, toBlock);
+    const logs = await contract.queryFilter(
+      contract.filters.PublicationStatusChanged(),
+      from,
+      to
+    );
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+    for (const log of logs) {
+      latest.set(log.args.tokenId, {
+        tokenId: log.args.tokenId,
+        status: STATUSES[Number(log.args.status)],
+        reason: log.args.reason,
+        blockNumber: log.blockNumber,
+        transactionHash: log.transactionHash,
+      });
+    }
+  }
+
+  return [...latest.values()]
+    .filter((change) => change.status === name)
+    .sort((a, b) => (a.tokenId < b.tokenId ? -1 : 1));
+}
+
+module.exports = {
+  DEFAULT_BATCH_SIZE,
+  STATUSES,
+  STATUS_LABELS,
+  resolveStatus,
+  statusLabel,
+  setPublicationStatus,
+  listByStatus,
+};
@@ -0,0 +1,322 @@
+/**
+ * EIP-712 mint vouchers for PublicationNFT.redeemVoucher
+ *
+ * A minter approves a publication off-chain by signing a voucher; the author
+ * redeems it later to their own wallet and pays the gas. A signed voucher is
+ * plain JSON:
+ * {
+ *   domain: { name, version, chainId, verifyingContract },
+ *   voucher: { to, uri, title, ..., externalUrl, nonce, expiry },
+ *   signature: "0x..."
+ * }
+ * encodeVoucher packs it into a single URL-safe line (for QR codes, e-mail or
+ * a link) and decodeVoucher reads either form back.
+ *
+ * Usage:
+ * const voucher = createVoucher(author, publication, { expiry });
+ * const signed = await signVoucher(minter, voucherDomain(chainId, address), voucher);
+ * const { tokenId } = await redeemVoucher(contract, signed);
+ */
+
+const { ethers } = require("ethers");
+const {
+  MINT_FIELDS,
+  isValidAddress,
+  normalizePublication,
+} = require("./publication");
+const { findTokenByDoi, parseMintedTokenId } = require("./publication-client");
+const { toAuthorArgs } = require("./authors");
+
+// Must match the EIP712 constructor arguments of PublicationNFT
+const DOMAIN_NAME = "PublicationNFT";
+const DOMAIN_VERSION = "1";
+
+const VOUCHER_PREFIX = "pubnft-voucher:";
+const DEFAULT_VALIDITY_SECONDS = 30 * 24 * 60 * 60;
+
+const FIELD_TYPES = { authors: "Author[]", publicationDate: "uint32" };
+
+// Record fields redeemVoucher can't mint: it always mints a transferable
+// token without its own royalty or references
+const UNSUPPORTED_FIELDS = [
+  "soulbound",
+  "royaltyReceiver",
+  "royaltyBps",
+  "royaltyBasisPoints",
+  "references",
+];
+
+// MintVoucher and Author in PublicationNFT.sol, member for member
+const VOUCHER_TYPES = {
+  MintVoucher: [
+    { name: "to", type: "address" },
+    ...MINT_FIELDS.map((name) => ({
+      name,
+      type: FIELD_TYPES[name] || "string",
+    })),
+    { name: "nonce", type: "uint256" },
+    { name: "expiry", type: "uint256" },
+  ],
+  Author: [
+    { name: "name", type: "string" },
+    { name: "orcid", type: "string" },
+    { name: "wallet", type: "address" },
+  ],
+};
+
+/**
+ * EIP-712 domain of a PublicationNFT deployment
+ * @param {number|bigint} chainId - Chain the contract is on
+ * @param {string} verifyingContract - Contract address
+ * @returns {Object} Domain
+ */
+function voucherDomain(chainId, verifyingContract) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: Number(chainId),
+    verifyingContract: ethers.getAddress(verifyingContract),
+  };
+}
+
+/**
+ * Build an unsigned voucher
+ * Records with soulbound, a royalty or references are refused, since the
+ * voucher would mint the publication without them.
+ * @param {string} to - Address the publication will be minted to
+ * @param {Object} publication - The publication record
+ * @param {Object} options - { nonce (default: random 256-bit), expiry: unix
+ *   seconds (default: 30 days from now), now: unix seconds }
+ * @returns {Object} Voucher with the normalized publication fields (authors
+ *   as Author structs, see toAuthorArgs), the nonce as a decimal string and
+ *   the expiry in seconds
+ */
+function createVoucher(to, publication, options = {}) {
+  if (!isValidAddress(to)) {
+    throw new Error(`Invalid recipient address: ${to}`);
+  }
+  const unsupported = UNSUPPORTED_FIELDS.filter((name) => {
+    const value = publication[name];
+    return !(
+      value === undefined ||
+      value === null ||
+      value === false ||
+      String(value).trim() === ""
+    );
+  });
+  if (unsupported.length > 0) {
+    throw new Error(
+      `Vouchers mint transferable tokens without a royalty or references, so they can't carry ${unsupported.join(
+        ", "
+      )}. Mint the publication directly instead.`
+    );
+  }
+  const now =
+    options.now !== undefined ? options.now : Math.floor(Date.now() / 1000);
+  const expiry =
+    options.expiry !== undefined
+      ? Number(options.expiry)
+      : now + DEFAULT_VALIDITY_SECONDS;
+  if (!Number.isInteger(expiry) || expiry <= now) {
+    throw new Error(`Voucher expiry must be a future unix time, got ${expiry}`);
+  }
+  const nonce =
+    options.nonce !== undefined
+      ? BigInt(options.nonce)
+      : BigInt(ethers.hexlify(ethers.randomBytes(32)));
+
+  const normalized = normalizePublication(publication);
+  return {
+    to: ethers.getAddress(to),
+    ...normalized,
+    authors: toAuthorArgs(normalized.authors),
+    nonce: nonce.toString(),
+    expiry,
+  };
+}
+
+/**
+ * Sign a voucher
+ * Works offline: only the signer's key is used.
+ * @param {Object} signer - ethers signer with MINTER_ROLE on the contract
+ * @param {Object} domain - From voucherDomain
+ * @param {Object} voucher - From createVoucher
+ * @returns {Promise<Object>} Signed voucher { domain, voucher, signature }
+ */
+async function signVoucher(signer, domain, voucher) {
+  const signature = await signer.signTypedData(domain, VOUCHER_TYPES, voucher);
+  return { domain, voucher, signature };
+}
+
+/**
+ * Recover the address that signed a voucher
+ * @param {Object} signed - Signed voucher
+ * @returns {string} Signer address
+ */
+function voucherSigner(signed) {
+  return ethers.verifyTypedData(
+    signed.domain,
+    VOUCHER_TYPES,
+    signed.voucher,
+    signed.signature
+  );
+}
+
+/**
+ * Pack a signed voucher into one URL-safe line
+ * @param {Object} signed - Signed voucher
+ * @returns {string} "pubnft-voucher:" followed by base64url JSON
+ */
+function encodeVoucher(signed) {
+  return (
+    VOUCHER_PREFIX +
+    Buffer.from(JSON.stringify(signed), "utf8").toString("base64url")
+  );
+}
+
+/**
+ * Read a signed voucher from encodeVoucher output or its JSON
+ * @param {string} text - Encoded voucher or JSON
+ * @returns {Object} Signed voucher
+ */
+function decodeVoucher(text) {
+  const trimmed = String(text).trim();
+  let signed;
+  try {
+    signed = JSON.parse(
+      trimmed.startsWith(VOUCHER_PREFIX)
+        ? Buffer.from(
+            trimmed.slice(VOUCHER_PREFIX.length),
+            "base64url"
+          ).toString("utf8")
+        : trimmed
+    );
+  } catch (error) {
+    throw new Error(`Not a PublicationNFT voucher: ${error.message}`);
+  }
+  if (
+    !signed ||
+    !signed.domain ||
+    !signed.voucher ||
+    typeof signed.signature !== "string"
+  ) {
+    throw new Error(
+      "Not a PublicationNFT voucher: expected domain, voucher and signature"
+    );
+  }
+  return signed;
+}
+
+/**
+ * Describe a signed voucher without touching the chain
+ * @param {Object} signed - Signed voucher
+ * @param {Object} options - { now: unix seconds }
+ * @returns {Object} { signer, to, chainId, contract, nonce, expiry,
+ *   expired, publication }
+ */
+function inspectVoucher(signed, options = {}) {
+  const now =
+    options.now !== undefined ? options.now : Math.floor(Date.now() / 1000);
+  const { to, nonce, expiry, ...publication } = signed.voucher;
+  return {
+    signer: voucherSigner(signed),
+    to,
+    chainId: signed.domain.chainId,
+    contract: signed.domain.verifyingContract,
+    nonce,
+    expiry,
+    expired: now > Number(expiry),
+    publication,
+  };
+}
+
+/**
+ * List the reasons a contract would reject a voucher
+ * Expiry is checked against the latest block, as the contract does.
+ * @param {ethers.Contract} contract - PublicationNFT contract instance
+ * @param {Object} signed - Signed voucher
+ * @returns {Promise<Object>} { signer, problems: messages (empty when the
+ *   voucher can be redeemed) }
+ */
+async function checkVoucher(contract, signed) {
+  const provider = contract.runner.provider || contract.runner;
+  const { chainId } = await provider.getNetwork();
+  const address = await contract.getAddress();
+  const { domain, voucher } = signed;
+  const signer = voucherSigner(signed);
+  const problems = [];
+
+  if (
+    Number(domain.chainId) !== Number(chainId) ||
+    domain.verifyingContract.toLowerCase() !== address.toLowerCase()
+  ) {
+    problems.push(
+      `Voucher is for contract ${domain.verifyingContract} on chain ${domain.chainId}, not ${address} on chain ${chainId}`
+    );
+    return { signer, problems };
+  }
+
+  const block = await provider.getBlock("latest");
+  if (block.timestamp > Number(voucher.expiry)) {
+    problems.push(
+      `Voucher expired at ${new Date(
+        Number(voucher.expiry) * 1000
+      ).toISOString()}`
+    );
+  }
+  if (!(await contract.hasRole(await contract.MINTER_ROLE(), signer))) {
+    problems.push(`Signer ${signer} doesn't have the minter role`);
+  }
+  if (await contract.isVoucherRedeemed(signer, voucher.nonce)) {
+    problems.push(`Voucher ${voucher.nonce} was already redeemed`);
+  }
+  const existing = await findTokenByDoi(contract, voucher.doi);
+  if (existing !== null) {
+    problems.push(`DOI ${voucher.doi} is already minted as token ${existing}`);
+  }
+  return { signer, problems };
+}
+
+/**
+ * Check a signed voucher and redeem it
+ * @param {ethers.Contract} contract - PublicationNFT contract connected to
+ *   the account paying the gas
+ * @param {Object} signed - Signed voucher
+ * @param {Object} overrides - Optional ethers transaction overrides
+ * @returns {Promise<Object>} { tokenId, signer, hash, receipt }
+ */
+async function redeemVoucher(contract, signed, overrides = {}) {
+  const { signer, problems } = await checkVoucher(contract, signed);
+  if (problems.length > 0) {
+    throw new Error(`Voucher can't be redeemed: ${problems.join("; ")}`);
+  }
+
+  const tx = await contract.redeemVoucher(
+    signed.voucher,
+    signed.signature,
+    overrides
+  );
+  const receipt = await tx.wait();
+  const tokenId = parseMintedTokenId(contract, receipt);
+  if (tokenId === null) {
+    throw new Error(
+      `No PublicationMinted event found in transaction ${tx.hash}`
+    );
+  }
+  return { tokenId, signer, hash: tx.hash, receipt };
+}
+
+module.exports = {
+  DEFAULT_VALIDITY_SECONDS,
+  VOUCHER_PREFIX,
+  VOUCHER_TYPES,
+  voucherDomain,
+  createVoucher,
+  signVoucher,
+  voucherSigner,
+  encodeVoucher,
+  decodeVoucher,
+  inspectVoucher,
+  checkVoucher,
+  redeemVoucher,
+};
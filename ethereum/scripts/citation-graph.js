@@ -0,0 +1,120 @@
+/**
+ * Export the citation graph of the collection as GraphViz DOT or JSON
+ * Pages through the contract's Cited, PublicationMinted and Transfer logs and
+ * writes every publication and the references between them (see
+ * lib/citation-graph.js for the JSON shape).
+ *
+ * Usage:
+ * HARDHAT_NETWORK=<network> node scripts/citation-graph.js [--json] [--from-block <n>] [--to-block <n>] [--batch-size <n>] <output.dot|.gv|.json>
+ *
+ * The format follows the output extension. The scan starts at the deployment
+ * block recorded in deployments/<network>.json (or --from-block).
+ * --batch-size is the number of blocks per log query (default: 5000).
+ * Render DOT with e.g. `dot -Tsvg citations.dot -o citations.svg`.
+ *
+ * The contract is resolved from deployments/<network>.json; set
+ * CONTRACT_ADDRESS to use another one.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { getDeployedPublicationContract } = require("../lib/publication-client");
+const {
+  parseRunOptions,
+  parseValueFlags,
+  createReporter,
+} = require("../lib/cli");
+const {
+  buildCitationGraph,
+  formatCitationGraph,
+} = require("../lib/citation-graph");
+
+const FORMATS = { ".dot": "dot", ".gv": "dot", ".json": "json" };
+
+const options = parseRunOptions();
+const reporter = createReporter(options);
+
+function parseNumberFlag(value, flag) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${flag} must be a whole number, got "${value}"`);
+  }
+  return Number(value);
+}
+
+async function main() {
+  const { values, args } = parseValueFlags(options.args, [
+    "--from-block",
+    "--to-block",
+    "--batch-size",
+  ]);
+  const [outputPath] = args;
+  const format = outputPath && FORMATS[path.extname(outputPath).toLowerCase()];
+
+  if (!format) {
+    console.error(
+      "Usage: HARDHAT_NETWORK=<network> node scripts/citation-graph.js [--json] [--from-block <n>] [--to-block <n>] [--batch-size <n>] <output.dot|.gv|.json>"
+    );
+    process.exit(1);
+  }
+
+  const {
+    contract: publicationNFT,
+    address: contractAddress,
+    deployment,
+    warnings,
+  } = await getDeployedPublicationContract(
+    hre.network.name,
+    hre.ethers.provider,
+    { address: process.env.CONTRACT_ADDRESS }
+  );
+  warnings.forEach((warning) => reporter.warn(warning));
+
+  let fromBlock = parseNumberFlag(values.fromBlock, "--from-block");
+  if (fromBlock === undefined) {
+    fromBlock = (deployment && deployment.blockNumber) || 0;
+  }
+
+  reporter.log("=== Publication NFT Citation Graph ===");
+  reporter.log("Network:", hre.network.name);
+  reporter.log("Contract Address:", contractAddress);
+  reporter.log("Output:", outputPath, `(${format})`);
+  reporter.log("");
+
+  const graph = await buildCitationGraph(publicationNFT, {
+    fromBlock,
+    toBlock: parseNumberFlag(values.toBlock, "--to-block"),
+    batchSize: parseNumberFlag(values.batchSize, "--batch-size"),
+  });
+
+  const tmpPath = `${outputPath}.tmp`;
+  fs.writeFileSync(tmpPath, formatCitationGraph(graph, format));
+  fs.renameSync(tmpPath, outputPath);
+
+  const publications = graph.nodes.filter((node) => node.type === "token");
+  reporter.log("Publications:", publications.length);
+  reporter.log("External DOIs:", graph.nodes.length - publications.length);
+  reporter.log("Citations:", graph.edges.length);
+  reporter.log(`✅ Wrote ${outputPath}`);
+
+  reporter.result({
+    network: hre.network.name,
+    address: contractAddress,
+    output: outputPath,
+    format,
+    fromBlock,
+    publications: publications.length,
+    externalDois: graph.nodes.length - publications.length,
+    citations: graph.edges.length,
+  });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    reporter.fail(error);
+    process.exit(1);
+  });
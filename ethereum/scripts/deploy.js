@@ -1,8 +1,23 @@
 const hre = require("hardhat");
-const https = require("https");
 const readline = require("readline");
 const bip39 = require("bip39");
 const { hdkey } = require("@ethereumjs/wallet");
+const { mintPublication } = require("../lib/publication-client");
+const { parseRunOptions, createReporter } = require("../lib/cli");
+const { createOracleFromEnv } = require("../lib/oracle");
+const {
+  MEASURED_GAS,
+  estimateGasOrMeasured,
+  estimateCost,
+  formatCostEstimate,
+} = require("../lib/cost");
+const { buildFeeOverrides, describeFees } = require("../lib/fees");
+const { recordDeployment } = require("../lib/deployments");
+const { royaltyFromEnv, formatRoyalty } = require("../lib/royalty");
+
+// --yes / --non-interactive never prompt; --json prints one result object
+const options = parseRunOptions();
+const reporter = createReporter(options);
 
 /**
  * Get wallet address from private key
@@ -10,7 +25,7 @@ const { hdkey } = require("@ethereumjs/wallet");
  * @returns {string} Wallet address
  */
 function getAddressFromPrivateKey(privateKey) {
-  const wallet = hre.ethers.Wallet.fromPrivateKey("0x" + privateKey);
+  const wallet = new hre.ethers.Wallet("0x" + privateKey);
   return wallet.address;
 }
 
@@ -46,99 +61,30 @@ async function setupWalletCredentials() {
   });
 }
 
-async function getCurrentGasPrices() {
-  return new Promise((resolve, reject) => {
-    const url =
-      "https://api.etherscan.io/v2/api?chainid=1&module=gastracker&action=gasoracle";
-
-    https
-      .get(url, (res) => {
-        let data = "";
-
-        res.on("data", (chunk) => {
-          data += chunk;
-        });
-
-        res.on("end", () => {
-          try {
-            const response = JSON.parse(data);
-            if (response.status === "1" && response.result) {
-              const result = response.result;
-              resolve({
-                safe: parseFloat(result.SafeGasPrice),
-                proposed: parseFloat(result.ProposeGasPrice),
-                fast: parseFloat(result.FastGasPrice),
-                baseFee: parseFloat(result.suggestBaseFee),
-                gasUsedRatio: result.gasUsedRatio,
-              });
-            } else {
-              reject(new Error("Invalid API response"));
-            }
-          } catch (error) {
-            reject(error);
-          }
-        });
-      })
-      .on("error", (error) => {
-        reject(error);
-      });
-  });
-}
-
-async function estimateDeploymentCost() {
-  try {
-    const [deployer] = await hre.ethers.getSigners();
-    const PublicationNFT = await hre.ethers.getContractFactory(
-      "PublicationNFT"
-    );
-
-    const deployTx = await PublicationNFT.getDeployTransaction(
-      deployer.address
-    );
-    const estimatedGas = await hre.ethers.provider.estimateGas(deployTx);
+/**
+ * Estimate the gas needed to deploy PublicationNFT
+ * @returns {Promise<Object>} { gas, measured } (see estimateGasOrMeasured)
+ */
+async function estimateDeploymentGas() {
+  const [deployer] = await hre.ethers.getSigners();
+  const PublicationNFT = await hre.ethers.getContractFactory("PublicationNFT");
 
-    // Get current gas prices
-    let gasPrices;
-    try {
-      gasPrices = await getCurrentGasPrices();
-    } catch (error) {
-      gasPrices = { safe: 2, proposed: 10, fast: 25 };
-    }
+  const deployTx = await PublicationNFT.getDeployTransaction(deployer.address);
+  return estimateGasOrMeasured(
+    () => hre.ethers.provider.estimateGas(deployTx),
+    MEASURED_GAS.deployment
+  );
+}
 
-    const safeCost = (Number(estimatedGas) * gasPrices.safe) / 1000000000;
-    const proposedCost =
-      (Number(estimatedGas) * gasPrices.proposed) / 1000000000;
-    const fastCost = (Number(estimatedGas) * gasPrices.fast) / 1000000000;
-
-    return {
-      gas: estimatedGas,
-      costs: {
-        safe: safeCost,
-        proposed: proposedCost,
-        fast: fastCost,
-      },
-      gasPrices: gasPrices,
-    };
-  } catch (error) {
-    // Fallback to measured values
-    const estimatedGas = hre.ethers.parseUnits("1733473", "wei");
-    const gasPrices = { safe: 2, proposed: 10, fast: 25 };
-
-    const safeCost = (Number(estimatedGas) * gasPrices.safe) / 1000000000;
-    const proposedCost =
-      (Number(estimatedGas) * gasPrices.proposed) / 1000000000;
-    const fastCost = (Number(estimatedGas) * gasPrices.fast) / 1000000000;
-
-    return {
-      gas: estimatedGas,
-      costs: {
-        safe: safeCost,
-        proposed: proposedCost,
-        fast: fastCost,
-      },
-      gasPrices: gasPrices,
-    };
-  }
+/**
+ * Fee overrides for the next transaction, within the --max-fee /
+ * --priority-fee caps
+ * @returns {Promise<Object>} ethers transaction overrides
+ */
+async function feeOverrides() {
+  const fees = await buildFeeOverrides(hre.ethers.provider, options.fees);
+  reporter.log(describeFees(fees));
+  return fees.overrides;
 }
 
 async function main() {
@@ -161,13 +107,26 @@ async function main() {
       // Set the private key for this session
       process.env.PRIVATE_KEY = privateKey;
     } catch (error) {
-      console.warn("Invalid SEED_PHRASE in environment:", error.message);
+      reporter.warn(`Invalid SEED_PHRASE in environment: ${error.message}`);
     }
   }
 
+  // Non-interactive runs can use the node's own accounts (localhost) but
+  // never prompt for a seed phrase
+  if (!hasCredentials && options.nonInteractive) {
+    const [signer] = await hre.ethers.getSigners();
+    if (!signer) {
+      throw new Error(
+        "No wallet credentials found. Set PRIVATE_KEY or SEED_PHRASE; non-interactive mode does not prompt."
+      );
+    }
+    hasCredentials = true;
+    deployerAddress = signer.address;
+  }
+
   // If no credentials, prompt for seed phrase
   if (!hasCredentials) {
-    console.log("🔑 No wallet credentials found. Let's set up your wallet:");
+    reporter.log("🔑 No wallet credentials found. Let's set up your wallet:");
     const credentials = await setupWalletCredentials();
     deployerAddress = credentials.address;
 
@@ -175,152 +134,168 @@ async function main() {
     process.env.PRIVATE_KEY = credentials.privateKey;
   }
 
-  console.log("=== PublicationNFT Contract Deployment ===");
-  console.log("Deployer address:", deployerAddress);
-  console.log("");
+  reporter.log("=== PublicationNFT Contract Deployment ===");
+  reporter.log("Deployer address:", deployerAddress);
+  // Read before deploying, so a bad ROYALTY_BPS fails without spending gas
+  const royalty = royaltyFromEnv();
+  if (royalty) {
+    reporter.log("Default royalty:", formatRoyalty(royalty));
+  }
+  reporter.log("");
 
   // Estimate deployment costs
-  console.log("🔍 Estimating deployment costs...");
-  const estimate = await estimateDeploymentCost();
-
-  console.log(`📊 Estimated gas: ${estimate.gas.toString()}`);
-
-  // Check if we have live gas price data
-  let hasLiveData = true;
-  try {
-    // If gas prices are the fallback values, we don't have live data
-    if (
-      estimate.gasPrices.safe === 2 &&
-      estimate.gasPrices.proposed === 10 &&
-      estimate.gasPrices.fast === 25
-    ) {
-      hasLiveData = false;
-    }
-  } catch (error) {
-    hasLiveData = false;
-  }
+  reporter.log("🔍 Estimating deployment costs...");
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const oracle = createOracleFromEnv({
+    rpc: hre.ethers.provider,
+    chainId: Number(chainId),
+  });
+  const deployGas = await estimateDeploymentGas();
+  const estimate = await estimateCost(deployGas.gas, oracle, options.fees);
 
-  if (hasLiveData) {
-    console.log(
-      `⛽ Current gas prices: Safe ${estimate.gasPrices.safe.toFixed(
-        2
-      )}gwei, Standard ${estimate.gasPrices.proposed.toFixed(
-        2
-      )}gwei, Fast ${estimate.gasPrices.fast.toFixed(2)}gwei`
-    );
-    console.log("");
-    console.log("💰 Estimated deployment costs:");
-    console.log(
-      `   Safe: ${estimate.costs.safe.toFixed(4)} ETH ($${(
-        estimate.costs.safe * 3829
-      ).toFixed(2)})`
-    );
-    console.log(
-      `   Standard: ${estimate.costs.proposed.toFixed(4)} ETH ($${(
-        estimate.costs.proposed * 3829
-      ).toFixed(2)})`
-    );
-    console.log(
-      `   Fast: ${estimate.costs.fast.toFixed(4)} ETH ($${(
-        estimate.costs.fast * 3829
-      ).toFixed(2)})`
-    );
-    console.log("");
-    console.log(
-      "⚠️  Disclaimer: These are estimated prices based on real-time data and there is no guarantee of final costs."
-    );
-  } else {
-    console.log(
-      "⛽ Live gas price data not available - using fallback estimates"
-    );
-    console.log("");
-    console.log("💰 Estimated deployment costs (fallback):");
-    console.log(
-      `   Safe: ${estimate.costs.safe.toFixed(4)} ETH ($${(
-        estimate.costs.safe * 3829
-      ).toFixed(2)})`
-    );
-    console.log(
-      `   Standard: ${estimate.costs.proposed.toFixed(4)} ETH ($${(
-        estimate.costs.proposed * 3829
-      ).toFixed(2)})`
-    );
-    console.log(
-      `   Fast: ${estimate.costs.fast.toFixed(4)} ETH ($${(
-        estimate.costs.fast * 3829
-      ).toFixed(2)})`
-    );
-    console.log("");
-    console.log(
-      "⚠️  Disclaimer: Live gas price data unavailable. Using fallback estimates - actual costs may vary significantly."
+  if (deployGas.measured) {
+    reporter.warn(
+      `The node can't estimate gas; using the ${deployGas.gas} measured on Hardhat`
     );
   }
+  reporter.log(`📊 Estimated gas: ${estimate.gas.toString()}`);
+  formatCostEstimate(estimate, "deployment").forEach((line) =>
+    reporter.log(line)
+  );
 
   // Check if user wants to proceed
-  const readline = require("readline");
-  const rl = readline.createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
-
-  const proceed = await new Promise((resolve) => {
-    rl.question("Proceed with deployment? (y/N): ", (answer) => {
-      rl.close();
-      resolve(answer.toLowerCase() === "y" || answer.toLowerCase() === "yes");
-    });
-  });
+  const proceed =
+    options.nonInteractive ||
+    (await new Promise((resolve) => {
+      const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+      });
+      rl.question("Proceed with deployment? (y/N): ", (answer) => {
+        rl.close();
+        resolve(answer.toLowerCase() === "y" || answer.toLowerCase() === "yes");
+      });
+    }));
 
   if (!proceed) {
-    console.log("Deployment cancelled.");
+    reporter.log("Deployment cancelled.");
     process.exit(0);
   }
 
-  console.log("\n🚀 Deploying PublicationNFT contract...");
+  reporter.log("\n🚀 Deploying PublicationNFT contract...");
 
   const PublicationNFT = await hre.ethers.getContractFactory("PublicationNFT");
-  const publicationNFT = await PublicationNFT.deploy(deployerAddress);
+  const publicationNFT = await PublicationNFT.deploy(
+    deployerAddress,
+    await feeOverrides()
+  );
 
   const deployTx = await publicationNFT.deploymentTransaction();
-  console.log("Deployment transaction hash:", deployTx.hash);
+  reporter.log("Deployment transaction hash:", deployTx.hash);
 
   await publicationNFT.waitForDeployment();
 
   const contractAddress = await publicationNFT.getAddress();
-  console.log("PublicationNFT deployed to:", contractAddress);
+  reporter.log("PublicationNFT deployed to:", contractAddress);
 
   // Get deployment receipt to show gas used
   const receipt = await deployTx.wait();
-  console.log("Gas used for deployment:", receipt.gasUsed.toString());
+  reporter.log("Gas used for deployment:", receipt.gasUsed.toString());
+
+  const recorded = await recordDeployment(hre, publicationNFT, receipt);
+  const registryPath = recorded ? recorded.path : null;
+  if (recorded && recorded.previous) {
+    reporter.log(
+      `Replacing previous ${hre.network.name} deployment at ${recorded.previous.address}`
+    );
+  }
+  if (registryPath) {
+    reporter.log("📝 Deployment recorded in", registryPath);
+  }
+
+  const result = {
+    network: hre.network.name,
+    chainId: Number(chainId),
+    address: contractAddress,
+    deployer: receipt.from,
+    transactionHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    maxFeePerGas: deployTx.maxFeePerGas,
+    maxPriorityFeePerGas: deployTx.maxPriorityFeePerGas,
+    effectiveGasPrice: receipt.gasPrice,
+    fee: receipt.fee,
+    registry: registryPath,
+  };
+
+  // Optional: Render token metadata on-chain instead of using token URIs
+  if (process.env.ON_CHAIN_METADATA === "true") {
+    const tx = await publicationNFT.setOnChainMetadata(
+      true,
+      await feeOverrides()
+    );
+    await tx.wait();
+    reporter.log("On-chain metadata enabled");
+    result.onChainMetadata = true;
+  }
+
+  // Optional: Collection-wide EIP-2981 royalty (ROYALTY_RECEIVER, ROYALTY_BPS)
+  if (royalty) {
+    const tx = await publicationNFT.setDefaultRoyalty(
+      royalty.receiver,
+      royalty.basisPoints,
+      await feeOverrides()
+    );
+    await tx.wait();
+    reporter.log("Default royalty set:", formatRoyalty(royalty));
+    result.royalty = royalty;
+  }
 
   // Optional: Mint a sample NFT
   if (process.env.MINT_SAMPLE === "true") {
-    console.log("\nMinting sample publication NFT...");
-    const tx = await publicationNFT.mintPublication(
+    reporter.log("\nMinting sample publication NFT...");
+    const {
+      tokenId,
+      hash,
+      receipt: mintReceipt,
+    } = await mintPublication(
+      publicationNFT,
       deployerAddress,
-      "ipfs://QmSampleHash",
-      "Sample Publication",
-      "John Doe",
-      Math.floor(Date.now() / 1000),
-      "10.1000/sample-doi",
-      "https://metadata.example.com",
-      "https://image.example.com/cover.jpg",
-      "Sample description",
-      "CC-BY-4.0",
-      "Computer Science",
-      "1.0",
-      "https://example.com/paper"
+      {
+        uri: "ipfs://QmSampleHash",
+        title: "Sample Publication",
+        authors: "John Doe",
+        publicationDate: Math.floor(Date.now() / 1000),
+        doi: "10.1000/sample-doi",
+        url: "https://metadata.example.com",
+        imageUrl: "https://image.example.com/cover.jpg",
+        description: "Sample description",
+        license: "CC-BY-4.0",
+        field: "Computer Science",
+        version: "1.0",
+        externalUrl: "https://example.com/paper",
+      },
+      await feeOverrides()
     );
 
-    console.log("Mint transaction hash:", tx.hash);
-    const mintReceipt = await tx.wait();
-    console.log("Gas used for minting:", mintReceipt.gasUsed.toString());
-    console.log("Sample NFT minted successfully!");
+    reporter.log("Mint transaction hash:", hash);
+    reporter.log("Gas used for minting:", mintReceipt.gasUsed.toString());
+    reporter.log("Token ID:", tokenId.toString());
+    reporter.log("Sample NFT minted successfully!");
+    result.sampleToken = {
+      tokenId,
+      transactionHash: hash,
+      gasUsed: mintReceipt.gasUsed,
+      fee: mintReceipt.fee,
+    };
   }
+
+  reporter.result(result);
 }
 
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error(error);
+    reporter.fail(error);
     process.exit(1);
   });
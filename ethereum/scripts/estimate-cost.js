@@ -2,277 +2,265 @@
  * Cost estimation script for PublicationNFT deployment
  * Provides accurate cost estimates for Ethereum mainnet deployment
  * based on the specific PublicationNFT contract implementation
+ *
+ * Gas and ETH prices come from the oracle (lib/oracle). On the in-process
+ * hardhat network the estimate is for mainnet, so gas prices are taken from
+ * Etherscan for chain 1; on any other network the node's fee history is used.
+ * Expected costs pay the base fee plus a priority fee; "at most" is the
+ * worst case under maxFeePerGas. MAX_FEE_GWEI / PRIORITY_FEE_GWEI (or
+ * --max-fee / --priority-fee with node) apply the same caps as the deploy
+ * and mint scripts. --json prints the figures as one JSON object instead.
  */
 
 const hre = require("hardhat");
-const https = require("https");
+const { toMintArgs } = require("../lib/publication");
+const { createOracleFromEnv } = require("../lib/oracle");
+const {
+  SAMPLE_PUBLICATION,
+  MEASURED_GAS,
+  estimateGasOrMeasured,
+  estimateCost,
+} = require("../lib/cost");
+const { parseRunOptions, createReporter } = require("../lib/cli");
 
-async function getCurrentGasPrices() {
-  return new Promise((resolve, reject) => {
-    const url =
-      "https://api.etherscan.io/v2/api?chainid=1&module=gastracker&action=gasoracle";
+// --json prints one result object (used by the Sui estimator's comparison)
+const options = parseRunOptions();
+const reporter = createReporter(options);
 
-    https
-      .get(url, (res) => {
-        let data = "";
-
-        res.on("data", (chunk) => {
-          data += chunk;
-        });
+async function estimateDeploymentGas() {
+  // Estimating needs no funds, so no credentials are needed either
+  const [deployer] = await hre.ethers.getSigners();
+  const admin = deployer ? deployer.address : hre.ethers.ZeroAddress;
+  const PublicationNFT = await hre.ethers.getContractFactory("PublicationNFT");
 
-        res.on("end", () => {
-          try {
-            const response = JSON.parse(data);
-            if (response.status === "1" && response.result) {
-              const result = response.result;
-              resolve({
-                safe: parseFloat(result.SafeGasPrice),
-                proposed: parseFloat(result.ProposeGasPrice),
-                fast: parseFloat(result.FastGasPrice),
-                baseFee: parseFloat(result.suggestBaseFee),
-                gasUsedRatio: result.gasUsedRatio,
-              });
-            } else {
-              reject(new Error("Invalid API response"));
-            }
-          } catch (error) {
-            reject(error);
-          }
-        });
-      })
-      .on("error", (error) => {
-        reject(error);
-      });
-  });
+  const deployTx = await PublicationNFT.getDeployTransaction(admin);
+  return estimateGasOrMeasured(
+    () => hre.ethers.provider.estimateGas(deployTx),
+    MEASURED_GAS.deployment
+  );
 }
 
-async function estimateDeploymentGas() {
-  try {
-    // Try to estimate with local network if available
-    const [deployer] = await hre.ethers.getSigners();
-    const PublicationNFT = await hre.ethers.getContractFactory(
-      "PublicationNFT"
-    );
+async function estimateMintGas(local) {
+  // Other networks have no contract to mint on before the deployment
+  if (!local) {
+    return { gas: MEASURED_GAS.mint, measured: true };
+  }
+  const [deployer] = await hre.ethers.getSigners();
+  const PublicationNFT = await hre.ethers.getContractFactory("PublicationNFT");
+  const publicationNFT = await PublicationNFT.deploy(deployer.address);
+  await publicationNFT.waitForDeployment();
 
-    const deployTx = await PublicationNFT.getDeployTransaction(
-      deployer.address
-    );
-    const estimatedGas = await hre.ethers.provider.estimateGas(deployTx);
+  return estimateGasOrMeasured(
+    () =>
+      publicationNFT.mintPublication.estimateGas(
+        ...toMintArgs(deployer.address, SAMPLE_PUBLICATION)
+      ),
+    MEASURED_GAS.mint
+  );
+}
 
-    return estimatedGas;
-  } catch (error) {
-    // Fresh measurement from Hardhat network: 1,613,428 gas
-    // Contract includes ERC721URIStorage for off-chain metadata
-    console.log(
-      "Using measured gas from Hardhat network: 1,613,428 gas for deployment"
-    );
-    return hre.ethers.parseUnits("1613428", "wei");
+function describeSource(result) {
+  if (result.fallback) {
+    return "offline fallback values";
   }
+  return result.stale
+    ? `cached from ${result.source} at ${new Date(
+        result.fetchedAt
+      ).toISOString()} (live sources unavailable)`
+    : result.source;
 }
 
-async function estimateMintGas() {
-  try {
-    // Try to estimate with local network if available
-    const [deployer] = await hre.ethers.getSigners();
-    const PublicationNFT = await hre.ethers.getContractFactory(
-      "PublicationNFT"
-    );
-    const publicationNFT = await PublicationNFT.deploy(deployer.address);
-    await publicationNFT.waitForDeployment();
-
-    const mintTx = await publicationNFT.mintPublication.populateTransaction(
-      deployer.address,
-      "https://example.com/metadata.json", // Off-chain metadata URL
-      "Sample Academic Publication Title: A Comprehensive Study of Blockchain Technology",
-      "Dr. Jane Smith, Prof. John Doe, Dr. Alice Johnson",
-      1700000000, // uint32 timestamp
-      "10.1000/nature.2024.12345",
-      "https://example.com/metadata.json", // Metadata URL
-      "https://example.com/image.png", // Image URL
-      "This publication presents a comprehensive analysis of blockchain technology applications in academic publishing",
-      "Creative Commons Attribution 4.0 International (CC BY 4.0)",
-      "Computer Science", // bytes32 field
-      "1.2.3", // bytes32 version
-      "https://doi.org/10.1000/nature.2024.12345"
-    );
-
-    const estimatedGas = await hre.ethers.provider.estimateGas(mintTx);
-    return estimatedGas;
-  } catch (error) {
-    // Fresh measurement from Hardhat network: 40,600 gas
-    // Includes ERC721URIStorage overhead for off-chain metadata
-    console.log(
-      "Using measured gas from Hardhat network: 40,600 gas for minting (off-chain metadata)"
-    );
-    return hre.ethers.parseUnits("40600", "wei");
-  }
+function formatUsd(eth, ethPrice, digits = 2) {
+  return (eth * ethPrice.usd).toFixed(digits);
 }
 
 async function main() {
-  console.log("💰 PublicationNFT Deployment Cost Estimator");
-  console.log("==========================================\n");
+  reporter.log("💰 PublicationNFT Deployment Cost Estimator");
+  reporter.log("==========================================\n");
 
-  console.log("📊 Network: ETHEREUM MAINNET");
+  const local = hre.network.name === "hardhat";
+  const chainId = local
+    ? 1
+    : Number((await hre.ethers.provider.getNetwork()).chainId);
+  reporter.log(
+    `📊 Network: ${local ? "ETHEREUM MAINNET" : hre.network.name.toUpperCase()}`
+  );
 
-  // Fetch current gas prices from Etherscan
-  console.log("� Fetching current gas prices from Etherscan...");
-  let gasPrices;
-  try {
-    gasPrices = await getCurrentGasPrices();
-    console.log(`�💵 ETH Price: $3,829/ETH (current market rate)\n`);
-    console.log(`⛽ Current Gas Prices (gwei):`);
-    console.log(`   Safe: ${gasPrices.safe.toFixed(2)} gwei`);
-    console.log(`   Proposed: ${gasPrices.proposed.toFixed(2)} gwei`);
-    console.log(`   Fast: ${gasPrices.fast.toFixed(2)} gwei`);
-    console.log(`   Base Fee: ${gasPrices.baseFee.toFixed(2)} gwei\n`);
-  } catch (error) {
-    console.log("⚠️  Failed to fetch gas prices, using fallback values...");
-    gasPrices = { safe: 2, proposed: 10, fast: 25 };
-    console.log("💵 ETH Price: $3,829/ETH (fallback)\n");
-  }
+  const oracle = createOracleFromEnv({
+    rpc: local ? undefined : hre.ethers.provider,
+    chainId,
+  });
 
   // Get gas estimates for this specific contract
-  console.log("🔍 Analyzing PublicationNFT contract complexity...");
+  reporter.log("🔍 Analyzing PublicationNFT contract complexity...");
   const deployGas = await estimateDeploymentGas();
-  const mintGas = await estimateMintGas();
+  const mintGas = await estimateMintGas(local);
 
-  console.log(`📏 Contract Deployment Gas: ${deployGas.toString()}`);
-  console.log(`🎨 NFT Mint Gas: ${mintGas.toString()}\n`);
+  reporter.log("🔍 Fetching current gas and ETH prices...");
+  const deploy = await estimateCost(deployGas.gas, oracle, options.fees);
+  const mint = await estimateCost(mintGas.gas, oracle, options.fees);
+  const { gasPrices, ethPrice } = deploy;
+  const live = !gasPrices.fallback && !gasPrices.stale;
 
-  // Use dynamic gas prices from API
-  const gasAmounts = [gasPrices.safe, gasPrices.proposed, gasPrices.fast];
+  reporter.log(
+    `💵 ETH Price: $${ethPrice.usd.toFixed(2)}/ETH (${describeSource(
+      ethPrice
+    )})\n`
+  );
+  reporter.log(`⛽ Gas Prices (gwei, ${describeSource(gasPrices)}):`);
+  reporter.log(`   Safe: ${gasPrices.safe.toFixed(2)} gwei`);
+  reporter.log(`   Proposed: ${gasPrices.proposed.toFixed(2)} gwei`);
+  reporter.log(`   Fast: ${gasPrices.fast.toFixed(2)} gwei`);
+  if (gasPrices.baseFee !== undefined) {
+    reporter.log(`   Base Fee: ${gasPrices.baseFee.toFixed(2)} gwei`);
+  }
+  if (deploy.belowBaseFee) {
+    reporter.log(
+      "   ⚠️  --max-fee is below the base fee; nothing would be sent"
+    );
+  }
+  reporter.log("");
 
-  console.log("🏗️  Contract Deployment Cost Breakdown:");
-  gasAmounts.forEach((gwei) => {
-    const ethCost = (Number(deployGas) * gwei) / 1000000000; // Convert to ETH
-    const usdCost = (ethCost * 3829).toFixed(2);
-    console.log(
-      `  ${gwei.toFixed(2)} gwei: ${ethCost.toFixed(4)} ETH ($${usdCost})`
+  const source = ({ measured }) =>
+    measured ? " (measured on Hardhat, not estimated by the node)" : "";
+  reporter.log(
+    `📏 Contract Deployment Gas: ${deployGas.gas.toString()}${source(
+      deployGas
+    )}`
+  );
+  reporter.log(
+    `🎨 NFT Mint Gas: ${mintGas.gas.toString()}${source(mintGas)}\n`
+  );
+
+  reporter.log("🏗️  Contract Deployment Cost Breakdown:");
+  for (const cost of Object.values(deploy.costs)) {
+    reporter.log(
+      `  ${cost.gwei.toFixed(2)} gwei: ${cost.eth.toFixed(
+        4
+      )} ETH ($${cost.usd.toFixed(2)}), at most ${cost.maxEth.toFixed(
+        4
+      )} ETH ($${cost.maxUsd.toFixed(2)}) at max fee ${cost.maxGwei.toFixed(
+        2
+      )} gwei`
     );
-  });
+  }
 
-  console.log("\n🎨 NFT Minting Cost Breakdown:");
-  gasAmounts.forEach((gwei) => {
-    const ethCost = (Number(mintGas) * gwei) / 1000000000; // Convert to ETH
-    const usdCost = (ethCost * 3829).toFixed(2);
-    console.log(
-      `  ${gwei.toFixed(2)} gwei: ${ethCost.toFixed(4)} ETH ($${usdCost})`
+  reporter.log("\n🎨 NFT Minting Cost Breakdown:");
+  for (const cost of Object.values(mint.costs)) {
+    reporter.log(
+      `  ${cost.gwei.toFixed(2)} gwei: ${cost.eth.toFixed(
+        4
+      )} ETH ($${cost.usd.toFixed(2)}), at most ${cost.maxEth.toFixed(
+        4
+      )} ETH ($${cost.maxUsd.toFixed(2)}) at max fee ${cost.maxGwei.toFixed(
+        2
+      )} gwei`
     );
-  });
+  }
 
-  console.log(
+  reporter.log(
     `\n💡 Cost Summary (at ${gasPrices.proposed.toFixed(
       2
     )} gwei proposed rate):`
   );
-  const avgGwei = gasPrices.proposed;
-  const deployCost = (Number(deployGas) * avgGwei) / 1000000000;
-  const mintCost = (Number(mintGas) * avgGwei) / 1000000000;
+  const deployCost = deploy.costs.proposed.eth;
+  const mintCost = mint.costs.proposed.eth;
 
-  console.log(
-    `Contract Deployment: ${deployCost.toFixed(4)} ETH ($${(
-      deployCost * 3829
-    ).toFixed(2)})`
+  reporter.log(
+    `Contract Deployment: ${deployCost.toFixed(4)} ETH ($${formatUsd(
+      deployCost,
+      ethPrice
+    )})`
   );
-  console.log(
-    `First NFT Mint: ${mintCost.toFixed(4)} ETH ($${(mintCost * 3829).toFixed(
-      2
+  reporter.log(
+    `First NFT Mint: ${mintCost.toFixed(4)} ETH ($${formatUsd(
+      mintCost,
+      ethPrice
     )})`
   );
-  console.log(
-    `Total Estimate: ${(deployCost + mintCost).toFixed(4)} ETH ($${(
-      (deployCost + mintCost) *
-      3829
-    ).toFixed(2)})`
+  reporter.log(
+    `Total Estimate: ${(deployCost + mintCost).toFixed(4)} ETH ($${formatUsd(
+      deployCost + mintCost,
+      ethPrice
+    )})`
   );
 
-  console.log("\n⚠️  Important Notes:");
-  console.log("• Gas prices fetched live from Etherscan Gas Oracle API");
-  console.log("• All estimates based on $3,829/ETH current market price");
-  console.log(
+  reporter.log("\n⚠️  Important Notes:");
+  reporter.log(
+    live
+      ? `• Gas prices fetched live from ${gasPrices.source}`
+      : "• Live gas prices unavailable - actual costs may vary significantly"
+  );
+  reporter.log(
+    `• All estimates based on $${ethPrice.usd.toFixed(2)}/ETH${
+      ethPrice.fallback ? " (offline fallback, set STATIC_PRICES)" : ""
+    }`
+  );
+  reporter.log(
     "• Gas costs measured from actual contract deployment on local network"
   );
-  console.log(
+  reporter.log(
     "• Contract includes ERC721, URI storage, and optimized publication metadata"
   );
-  console.log(
+  reporter.log(
     "• Optimizations: uint32 publicationDate, bytes32 field/version (significant savings!)"
   );
-  console.log("• Intrinsic gas costs: deployment 1.6M, minting 40.6K gas");
 
-  // Analyze gas usage ratio to provide context
-  const gasRatios = gasPrices.gasUsedRatio.split(",");
-  const avgGasRatio =
-    gasRatios.reduce((sum, ratio) => sum + parseFloat(ratio), 0) /
-    gasRatios.length;
-  console.log(
-    `• Network utilization: ${(avgGasRatio * 100).toFixed(
-      1
-    )}% (lower = cheaper gas)`
-  );
-
-  console.log("\n🔍 Check Current Gas Prices:");
-  console.log("• https://etherscan.io/gastracker");
-  console.log("• https://ethgasstation.info/");
-  console.log("• https://www.gasnow.org/");
+  // Gas usage ratio gives context on congestion
+  if (gasPrices.gasUsedRatio !== undefined) {
+    reporter.log(
+      `• Network utilization: ${(gasPrices.gasUsedRatio * 100).toFixed(
+        1
+      )}% (lower = cheaper gas)`
+    );
+  }
 
-  // Dynamic recommendations based on current gas prices
-  const safeCost =
-    (Number(deployGas) * gasPrices.safe + Number(mintGas) * gasPrices.safe) /
-    1000000000;
-  const proposedCost =
-    (Number(deployGas) * gasPrices.proposed +
-      Number(mintGas) * gasPrices.proposed) /
-    1000000000;
-  const fastCost =
-    (Number(deployGas) * gasPrices.fast + Number(mintGas) * gasPrices.fast) /
-    1000000000;
+  reporter.log("\n🔍 Check Current Gas Prices:");
+  reporter.log("• https://etherscan.io/gastracker");
 
-  console.log("\n💰 Recommended ETH Amount (Deployment + 1st NFT):");
-  console.log(
-    `• Safe (slow): ${(safeCost * 1.2).toFixed(4)} ETH ($${(
-      safeCost *
-      1.2 *
-      3829
-    ).toFixed(0)})`
-  );
-  console.log(
-    `• Standard: ${(proposedCost * 1.2).toFixed(4)} ETH ($${(
-      proposedCost *
-      1.2 *
-      3829
-    ).toFixed(0)})`
-  );
-  console.log(
-    `• Fast: ${(fastCost * 1.2).toFixed(4)} ETH ($${(
-      fastCost *
-      1.2 *
-      3829
-    ).toFixed(0)})`
-  );
+  // Fund for the worst case: the sender must hold gas * maxFeePerGas
+  reporter.log("\n💰 Recommended ETH Amount (Deployment + 1st NFT):");
+  const labels = { safe: "Safe (slow)", proposed: "Standard", fast: "Fast" };
+  for (const tier of Object.keys(labels)) {
+    const total = deploy.costs[tier].maxEth + mint.costs[tier].maxEth;
+    reporter.log(
+      `• ${labels[tier]}: ${total.toFixed(4)} ETH ($${formatUsd(
+        total,
+        ethPrice,
+        0
+      )})`
+    );
+  }
 
-  console.log("\n🚀 Ready to deploy? First check current gas prices, then:");
-  console.log("   npm run deploy:mainnet");
+  reporter.log("\n🚀 Ready to deploy? First check current gas prices, then:");
+  reporter.log("   npm run deploy:mainnet");
 
-  console.log("\n💡 Pro Tips:");
+  reporter.log("\n💡 Pro Tips:");
   if (gasPrices.safe < 1) {
-    console.log("• Gas prices are extremely low - perfect time to deploy!");
+    reporter.log("• Gas prices are extremely low - perfect time to deploy!");
   } else if (gasPrices.safe < 10) {
-    console.log("• Gas prices are low - good time to deploy!");
+    reporter.log("• Gas prices are low - good time to deploy!");
   } else {
-    console.log(
+    reporter.log(
       "• Gas prices are moderate - consider waiting for lower prices"
     );
   }
-  console.log("• Gas prices fluctuate rapidly - this data is from API call");
-  console.log("• Use 'Safe' gas price for guaranteed inclusion");
-  console.log("• Use 'Fast' gas price for quick confirmation");
-  console.log("• Your optimized contract is ready for mainnet deployment");
+  reporter.log("• Use 'Safe' gas price for guaranteed inclusion");
+  reporter.log("• Use 'Fast' gas price for quick confirmation");
+
+  reporter.result({
+    network: local ? "mainnet" : hre.network.name,
+    chainId,
+    ethPrice,
+    gasPrices,
+    deployment: { ...deployGas, costs: deploy.costs },
+    mint: { ...mintGas, costs: mint.costs },
+  });
 }
 
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error("Error estimating costs:", error);
+    reporter.fail(error);
     process.exit(1);
   });
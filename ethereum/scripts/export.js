@@ -0,0 +1,157 @@
+/**
+ * Export the whole minted collection to CSV, JSON Lines or BibTeX
+ * Pages through the contract's PublicationMinted and Transfer logs, joins
+ * them with getPublication and the current owners, and writes every token
+ * that hasn't been burned. Tokens updated after an earlier export are read
+ * again. Progress is saved in a state file after each block
+ * range; re-running the same command only scans the blocks added since and
+ * rewrites the export.
+ *
+ * Usage:
+ * HARDHAT_NETWORK=<network> node scripts/export.js [--json] [--from-block <n>] [--to-block <n>] [--batch-size <n>] <output.csv|.jsonl|.bib> [state]
+ *
+ * The format follows the output extension. The state defaults to
+ * <output>.state.json. A new export starts at the deployment block recorded
+ * in deployments/<network>.json (or --from-block). --batch-size is the number
+ * of blocks per log query (default: 5000); lower it for RPC providers that
+ * limit eth_getLogs ranges.
+ *
+ * The contract is resolved from deployments/<network>.json; set
+ * CONTRACT_ADDRESS to use another one.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const hre = require("hardhat");
+const { getDeployedPublicationContract } = require("../lib/publication-client");
+const {
+  parseRunOptions,
+  parseValueFlags,
+  createReporter,
+} = require("../lib/cli");
+const {
+  loadExportState,
+  saveExportState,
+  scanCollection,
+  collectionRecords,
+  formatCollection,
+} = require("../lib/collection");
+
+const FORMATS = { ".csv": "csv", ".jsonl": "jsonl", ".bib": "bibtex" };
+
+const options = parseRunOptions();
+const reporter = createReporter(options);
+
+function parseNumberFlag(value, flag) {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${flag} must be a whole number, got "${value}"`);
+  }
+  return Number(value);
+}
+
+async function main() {
+  const { values, args } = parseValueFlags(options.args, [
+    "--from-block",
+    "--to-block",
+    "--batch-size",
+  ]);
+  const [outputPath, stateArg] = args;
+  const format = outputPath && FORMATS[path.extname(outputPath).toLowerCase()];
+
+  if (!format) {
+    console.error(
+      "Usage: HARDHAT_NETWORK=<network> node scripts/export.js [--json] [--from-block <n>] [--to-block <n>] [--batch-size <n>] <output.csv|.jsonl|.bib> [state]"
+    );
+    process.exit(1);
+  }
+  const statePath = stateArg || `${outputPath}.state.json`;
+  const batchSize = parseNumberFlag(values.batchSize, "--batch-size");
+
+  const {
+    contract: publicationNFT,
+    address: contractAddress,
+    deployment,
+    warnings,
+  } = await getDeployedPublicationContract(
+    hre.network.name,
+    hre.ethers.provider,
+    { address: process.env.CONTRACT_ADDRESS }
+  );
+  warnings.forEach((warning) => reporter.warn(warning));
+
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const state = loadExportState(statePath, contractAddress, Number(chainId));
+  let fromBlock = parseNumberFlag(values.fromBlock, "--from-block");
+  if (fromBlock === undefined) {
+    fromBlock = (deployment && deployment.blockNumber) || 0;
+  }
+
+  reporter.log("=== Publication NFT Collection Export ===");
+  reporter.log("Network:", hre.network.name);
+  reporter.log("Contract Address:", contractAddress);
+  reporter.log("Output:", outputPath, `(${format})`);
+  reporter.log(
+    "State:",
+    statePath,
+    state.lastBlock === null
+      ? `(new, from block ${fromBlock})`
+      : `(resuming after block ${state.lastBlock})`
+  );
+  reporter.log("");
+
+  const totals = await scanCollection(publicationNFT, state, {
+    fromBlock,
+    toBlock: parseNumberFlag(values.toBlock, "--to-block"),
+    batchSize,
+    onRange: (range) => {
+      saveExportState(statePath, state);
+      reporter.log(
+        `📦 Blocks ${range.from}-${range.to}: ${range.minted} minted, ${range.updated} updated, ${range.transfers} transfers`
+      );
+    },
+  });
+
+  const records = collectionRecords(state);
+  const tmpPath = `${outputPath}.tmp`;
+  fs.writeFileSync(
+    tmpPath,
+    formatCollection(state, format, { network: hre.network.name })
+  );
+  fs.renameSync(tmpPath, outputPath);
+
+  reporter.log("\n=== Export Summary ===");
+  reporter.log(
+    "Scanned blocks:",
+    totals.fromBlock > totals.toBlock
+      ? "none (already up to date)"
+      : `${totals.fromBlock}-${totals.toBlock}`
+  );
+  reporter.log("New tokens:", totals.minted);
+  reporter.log("Updated tokens:", totals.updated);
+  reporter.log("Publications exported:", records.length);
+  reporter.log(`✅ Wrote ${outputPath}`);
+
+  reporter.result({
+    network: hre.network.name,
+    address: contractAddress,
+    output: outputPath,
+    format,
+    state: statePath,
+    fromBlock: totals.fromBlock,
+    toBlock: totals.toBlock,
+    minted: totals.minted,
+    updated: totals.updated,
+    transfers: totals.transfers,
+    exported: records.length,
+  });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    reporter.fail(error);
+    process.exit(1);
+  });
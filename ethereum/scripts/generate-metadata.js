@@ -0,0 +1,47 @@
+/**
+ * Generate ERC-721 metadata JSON files from a publication manifest
+ * Writes one <doi-or-title>.json per publication plus a .sha256 file next to
+ * it. Upload the output directory, then mint with METADATA_BASE_URI pointing
+ * at it (the minting scripts regenerate identical files and URIs).
+ *
+ * Usage:
+ * node scripts/generate-metadata.js <manifest> [output-dir]
+ *
+ * The manifest can be .csv, .json, .bib or .ris. The output directory
+ * defaults to METADATA_DIR or ./metadata. ROYALTY_RECEIVER and ROYALTY_BPS
+ * set the royalty of rows without their own, as for the minting scripts.
+ */
+
+const { readManifest } = require("../lib/manifest");
+const { writeTokenMetadata } = require("../lib/metadata");
+const { royaltyFromEnv } = require("../lib/royalty");
+
+async function main() {
+  const manifestPath = process.argv[2];
+  const outDir = process.argv[3] || process.env.METADATA_DIR || "metadata";
+
+  if (!manifestPath) {
+    console.error(
+      "Usage: node scripts/generate-metadata.js <manifest> [output-dir]"
+    );
+    process.exit(1);
+  }
+
+  const rows = readManifest(manifestPath);
+  const royalty = royaltyFromEnv();
+  console.log(`📝 Generating metadata for ${rows.length} publications...`);
+
+  for (const row of rows) {
+    const { path, hash } = writeTokenMetadata(row, outDir, { royalty });
+    console.log(`${path}  sha256:${hash}`);
+  }
+
+  console.log(`✅ Metadata written to ${outDir}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
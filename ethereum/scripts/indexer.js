@@ -0,0 +1,146 @@
+/**
+ * Index PublicationNFT events and serve the query API
+ * Follows the contract from its deployment block, keeps the publications in
+ * an SQLite database and answers /publications, /publications/:tokenId,
+ * /owners/:address and /status (see lib/indexer/api.js). Runs until stopped
+ * with Ctrl+C; a restart resumes from the last indexed block.
+ *
+ * Usage:
+ * HARDHAT_NETWORK=<network> node scripts/indexer.js [--port <n>] [--db <path>] [--from-block <n>] [--interval <seconds>] [--batch-size <n>] [--reorg-depth <n>]
+ *
+ * Defaults: port 3000 (INDEXER_PORT), database cache/indexer-<network>.sqlite
+ * (INDEXER_DB), the deployment block recorded in deployments/<network>.json,
+ * a poll every 15 seconds, 2000 blocks per log query and 12 re-checked blocks.
+ * The contract is resolved from deployments/<network>.json; set
+ * CONTRACT_ADDRESS to use another one.
+ */
+
+const path = require("path");
+const hre = require("hardhat");
+const { getDeployedPublicationContract } = require("../lib/publication-client");
+const { parseValueFlags } = require("../lib/cli");
+const {
+  DEFAULT_BATCH_SIZE,
+  DEFAULT_REORG_DEPTH,
+  openStore,
+  createIndexer,
+  createApiServer,
+} = require("../lib/indexer");
+
+const DEFAULT_PORT = 3000;
+const DEFAULT_INTERVAL_SECONDS = 15;
+
+function parseNumberFlag(value, flag, fallback) {
+  if (value === undefined) {
+    return fallback;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`${flag} must be a whole number, got "${value}"`);
+  }
+  return Number(value);
+}
+
+async function main() {
+  const { values } = parseValueFlags(process.argv.slice(2), [
+    "--port",
+    "--db",
+    "--from-block",
+    "--interval",
+    "--batch-size",
+    "--reorg-depth",
+  ]);
+  const network = hre.network.name;
+  const dbPath =
+    values.db ||
+    process.env.INDEXER_DB ||
+    path.join(__dirname, "..", "cache", `indexer-${network}.sqlite`);
+  const port = parseNumberFlag(
+    values.port || process.env.INDEXER_PORT,
+    "--port",
+    DEFAULT_PORT
+  );
+  const intervalMs =
+    parseNumberFlag(values.interval, "--interval", DEFAULT_INTERVAL_SECONDS) *
+    1000;
+
+  const {
+    contract,
+    address: contractAddress,
+    deployment,
+    warnings,
+  } = await getDeployedPublicationContract(network, hre.ethers.provider, {
+    address: process.env.CONTRACT_ADDRESS,
+  });
+  warnings.forEach((warning) => console.warn(`⚠️  ${warning}`));
+
+  const store = await openStore(dbPath);
+  const indexer = createIndexer({
+    contract,
+    store,
+    startBlock: parseNumberFlag(
+      values.fromBlock,
+      "--from-block",
+      (deployment && deployment.blockNumber) || 0
+    ),
+    batchSize: parseNumberFlag(
+      values.batchSize,
+      "--batch-size",
+      DEFAULT_BATCH_SIZE
+    ),
+    reorgDepth: parseNumberFlag(
+      values.reorgDepth,
+      "--reorg-depth",
+      DEFAULT_REORG_DEPTH
+    ),
+    log: (message) => console.log(message),
+  });
+
+  console.log("=== Publication NFT Indexer ===");
+  console.log("Network:", network);
+  console.log("Contract Address:", contractAddress);
+  console.log("Database:", dbPath);
+  console.log("");
+
+  // Catch up before answering queries
+  await indexer.sync();
+
+  const server = createApiServer(store);
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`\n🌐 Query API listening on http://localhost:${port}`);
+
+  let timer;
+  let syncing = Promise.resolve();
+  let stopping = false;
+  const poll = () => {
+    syncing = indexer
+      .sync()
+      .catch((error) => {
+        // A failing RPC shouldn't stop the API; try again on the next poll
+        console.error("❌ Sync failed:", error.message);
+      })
+      .then(() => {
+        if (!stopping) {
+          timer = setTimeout(poll, intervalMs);
+        }
+      });
+  };
+  timer = setTimeout(poll, intervalMs);
+
+  await new Promise((resolve) => {
+    process.once("SIGINT", resolve);
+    process.once("SIGTERM", resolve);
+  });
+  stopping = true;
+  clearTimeout(timer);
+  await syncing;
+  await new Promise((resolve) => server.close(resolve));
+  store.close();
+  console.log("\n👋 Indexer stopped");
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
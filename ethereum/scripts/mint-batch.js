@@ -0,0 +1,155 @@
+/**
+ * Batch mint Publication NFTs from a CSV, JSON, BibTeX or RIS manifest
+ * Validates every row up front, then mints one row at a time and records
+ * each transaction in a checkpoint file. Re-running the same command after a
+ * failure skips the rows that were already minted.
+ *
+ * Usage:
+ * HARDHAT_NETWORK=<network> node scripts/mint-batch.js [--yes] [--json] [--max-fee <gwei>] [--priority-fee <gwei>] [--soulbound] <manifest> [checkpoint]
+ *
+ * The batch never prompts, so --yes (or --non-interactive) changes nothing
+ * here; it is accepted like in the other scripts. --json prints one result
+ * object (minted tokens with transaction hashes, gas used and fees) instead
+ * of progress logs. Fees are re-read from the chain before every row; the
+ * batch stops (and can be resumed) when the base fee rises above --max-fee.
+ * --soulbound locks every minted token to its recipient (ERC-5192), so it
+ * can never be transferred.
+ *
+ * The contract is resolved from deployments/<network>.json; set
+ * CONTRACT_ADDRESS to use another one.
+ * The manifest can be .csv, .json, .bib or .ris. The checkpoint defaults to
+ * <manifest>.checkpoint.json. Rows without a token URI get one from
+ * TOKEN_URI_TEMPLATE, e.g. TOKEN_URI_TEMPLATE="https://meta.example.org/{doi}.json"
+ * or, when METADATA_BASE_URI is set, from metadata JSON generated into
+ * METADATA_DIR (default ./metadata). Upload that directory to METADATA_BASE_URI.
+ */
+
+const hre = require("hardhat");
+const { readManifest, applyUriTemplate } = require("../lib/manifest");
+const { mintBatch } = require("../lib/batch");
+const { getDeployedPublicationContract } = require("../lib/publication-client");
+const { parseRunOptions, createReporter } = require("../lib/cli");
+const { buildFeeOverrides, describeFees } = require("../lib/fees");
+const {
+  attachTokenMetadata,
+  metadataOptionsFromEnv,
+} = require("../lib/metadata");
+
+const USAGE =
+  "Usage: HARDHAT_NETWORK=<network> node scripts/mint-batch.js [--yes] [--json] [--max-fee <gwei>] [--priority-fee <gwei>] [--soulbound] <manifest> [checkpoint]";
+
+const options = parseRunOptions();
+const reporter = createReporter(options);
+
+async function main() {
+  const soulbound = options.args.includes("--soulbound");
+  const [manifestPath, checkpointArg] = options.args.filter(
+    (arg) => arg !== "--soulbound"
+  );
+  const checkpointPath = checkpointArg || `${manifestPath}.checkpoint.json`;
+
+  if (!manifestPath) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) {
+    throw new Error(
+      "No signer available. Set PRIVATE_KEY or SEED_PHRASE in environment."
+    );
+  }
+
+  const {
+    contract: publicationNFT,
+    address: contractAddress,
+    warnings,
+  } = await getDeployedPublicationContract(hre.network.name, signer, {
+    address: process.env.CONTRACT_ADDRESS,
+  });
+  warnings.forEach((warning) => reporter.warn(warning));
+
+  let rows = readManifest(manifestPath);
+  const metadataOptions = metadataOptionsFromEnv();
+  if (metadataOptions) {
+    rows = attachTokenMetadata(rows, metadataOptions);
+  } else if (process.env.TOKEN_URI_TEMPLATE) {
+    rows = applyUriTemplate(rows, process.env.TOKEN_URI_TEMPLATE);
+  }
+
+  reporter.log("=== Publication NFT Batch Minting ===");
+  reporter.log("Network:", hre.network.name);
+  reporter.log("Contract Address:", contractAddress);
+  reporter.log("Minter Address:", signer.address);
+  reporter.log("Manifest:", manifestPath, `(${rows.length} publications)`);
+  reporter.log("Checkpoint:", checkpointPath);
+  if (soulbound) {
+    reporter.log("Soulbound: yes (recipients can never transfer the tokens)");
+  }
+  if (metadataOptions) {
+    reporter.log(
+      "Generated metadata:",
+      metadataOptions.dir,
+      "->",
+      metadataOptions.baseUri
+    );
+  }
+  reporter.log("");
+
+  let summary;
+  try {
+    summary = await mintBatch(publicationNFT, rows, {
+      checkpointPath,
+      defaultRecipient: signer.address,
+      soulbound,
+      overrides: async () => {
+        const fees = await buildFeeOverrides(hre.ethers.provider, options.fees);
+        reporter.log(`   ${describeFees(fees)}`);
+        return fees.overrides;
+      },
+      log: reporter.log,
+    });
+  } catch (error) {
+    if (options.json) {
+      reporter.result({ error: error.message, checkpoint: checkpointPath });
+    } else {
+      console.error(`\n❌ Batch stopped: ${error.message}`);
+      console.error(
+        "Progress is saved in the checkpoint. Fix the problem and re-run the same command to resume."
+      );
+    }
+    process.exit(1);
+  }
+
+  reporter.log("\n=== Batch Summary ===");
+  reporter.log("Minted:", summary.minted);
+  reporter.log("Skipped (already minted):", summary.skipped);
+  reporter.log("Total gas used:", summary.gasUsed.toString());
+  reporter.log("Total fee:", hre.ethers.formatEther(summary.fee), "ETH");
+
+  reporter.result({
+    network: hre.network.name,
+    address: contractAddress,
+    checkpoint: checkpointPath,
+    minted: summary.minted,
+    skipped: summary.skipped,
+    existing: summary.existing,
+    gasUsed: summary.gasUsed,
+    fee: summary.fee,
+    tokens: summary.results.map((entry) => ({
+      row: entry.row,
+      tokenId: entry.tokenId,
+      transactionHash: entry.txHash,
+      blockNumber: entry.blockNumber,
+      gasUsed: entry.gasUsed,
+      fee: entry.fee,
+    })),
+  });
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    reporter.fail(error);
+    process.exit(1);
+  });
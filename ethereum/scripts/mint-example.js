@@ -2,31 +2,63 @@
  * Example script demonstrating how to mint a Publication NFT
  * 
  * Usage:
- * node scripts/mint-example.js <contract-address> <recipient-address>
+ * HARDHAT_NETWORK=<network> node scripts/mint-example.js <recipient-address>
+ * HARDHAT_NETWORK=<network> node scripts/mint-example.js <contract-address> <recipient-address>
+ *
+ * Without a contract address the contract is resolved from
+ * deployments/<network>.json. Add --json to print one result object (token ID,
+ * transaction hash, gas used, fee) instead of progress logs. --max-fee and
+ * --priority-fee (gwei) cap the transaction fees.
+ *
+ * Set METADATA_BASE_URI (and optionally METADATA_DIR) to generate the token
+ * metadata JSON instead of using the placeholder URI.
  */
 
 const hre = require("hardhat");
+const {
+  getDeployedPublicationContract,
+  mintPublication,
+} = require("../lib/publication-client");
+const {
+  metadataOptionsFromEnv,
+  prepareTokenUri,
+} = require("../lib/metadata");
+const { parseRunOptions, createReporter } = require("../lib/cli");
+const { buildFeeOverrides, describeFees } = require("../lib/fees");
+
+const options = parseRunOptions();
+const reporter = createReporter(options);
 
 async function main() {
   // Get command line arguments
-  const contractAddress = process.argv[2];
-  const recipientAddress = process.argv[3];
+  const { args } = options;
+  const recipientAddress = args[args.length - 1];
+  const explicitAddress = args.length > 1 ? args[0] : process.env.CONTRACT_ADDRESS;
 
-  if (!contractAddress || !recipientAddress) {
-    console.error("Usage: node scripts/mint-example.js <contract-address> <recipient-address>");
+  if (!recipientAddress) {
+    console.error(
+      "Usage: HARDHAT_NETWORK=<network> node scripts/mint-example.js [--json] [--max-fee <gwei>] [--priority-fee <gwei>] [contract-address] <recipient-address>"
+    );
     process.exit(1);
   }
 
-  console.log("Minting Publication NFT...");
-  console.log("Contract Address:", contractAddress);
-  console.log("Recipient Address:", recipientAddress);
+  const [signer] = await hre.ethers.getSigners();
+  const {
+    contract: publicationNFT,
+    address: contractAddress,
+    warnings,
+  } = await getDeployedPublicationContract(hre.network.name, signer, {
+    address: explicitAddress,
+  });
+  warnings.forEach((warning) => reporter.warn(warning));
 
-  // Get the contract instance
-  const PublicationNFT = await hre.ethers.getContractFactory("PublicationNFT");
-  const publicationNFT = PublicationNFT.attach(contractAddress);
+  reporter.log("Minting Publication NFT...");
+  reporter.log("Contract Address:", contractAddress);
+  reporter.log("Recipient Address:", recipientAddress);
 
   // Example publication data
   const publicationData = {
+    uri: "https://metadata.example.com",
     title: "Example Publication",
     authors: "John Doe",
     publicationDate: Math.floor(Date.now() / 1000), // seconds
@@ -39,64 +71,65 @@ async function main() {
     externalUrl: "https://example.com/paper",
   };
 
-  console.log("\nPublication Details:");
-  console.log("  Title:", publicationData.title);
-  console.log("  Authors:", publicationData.authors);
-  console.log(
+  const metadataOptions = metadataOptionsFromEnv();
+  if (metadataOptions) {
+    const generated = prepareTokenUri(publicationData, metadataOptions);
+    publicationData.uri = generated.uri;
+    reporter.log("\nMetadata written to", generated.path);
+    reporter.log("  SHA-256:", generated.hash);
+    reporter.log("  Token URI:", generated.uri);
+  }
+
+  reporter.log("\nPublication Details:");
+  reporter.log("  Title:", publicationData.title);
+  reporter.log("  Authors:", publicationData.authors);
+  reporter.log(
     "  Date:",
     new Date(publicationData.publicationDate * 1000).toISOString()
   );
-  console.log("  DOI:", publicationData.doi);
-  console.log("  Image URL:", publicationData.imageUrl);
-  console.log("  Description:", publicationData.description);
-  console.log("  License:", publicationData.license);
-  console.log("  Field:", publicationData.field);
-  console.log("  Version:", publicationData.version);
-  console.log("  External URL:", publicationData.externalUrl);
+  reporter.log("  DOI:", publicationData.doi);
+  reporter.log("  Image URL:", publicationData.imageUrl);
+  reporter.log("  Description:", publicationData.description);
+  reporter.log("  License:", publicationData.license);
+  reporter.log("  Field:", publicationData.field);
+  reporter.log("  Version:", publicationData.version);
+  reporter.log("  External URL:", publicationData.externalUrl);
 
   // Mint the NFT
-  console.log("\nMinting...");
-  const tx = await publicationNFT.mintPublication(
+  reporter.log("\nMinting...");
+  const fees = await buildFeeOverrides(hre.ethers.provider, options.fees);
+  reporter.log(describeFees(fees));
+  const { tokenId, hash, receipt } = await mintPublication(
+    publicationNFT,
     recipientAddress,
-    "https://metadata.example.com", // uri - metadata URI
-    publicationData.title,
-    publicationData.authors,
-    Math.floor(Date.now() / 1000), // publicationDate in seconds
-    publicationData.doi,
-    "https://metadata.example.com", // url - metadata URL
-    publicationData.imageUrl,
-    publicationData.description,
-    publicationData.license,
-    publicationData.field,
-    publicationData.version,
-    publicationData.externalUrl
+    publicationData,
+    fees.overrides
   );
 
-  console.log("Transaction hash:", tx.hash);
-  console.log("Waiting for confirmation...");
+  reporter.log("Transaction hash:", hash);
+  reporter.log("✅ NFT minted successfully!");
+  reporter.log("Gas used:", receipt.gasUsed.toString());
+  reporter.log("Token ID:", tokenId.toString());
 
-  const receipt = await tx.wait();
-  console.log("✅ NFT minted successfully!");
-  console.log("Gas used:", receipt.gasUsed.toString());
-
-  // Find the token ID from the event
-  const event = receipt.logs.find(log => {
-    try {
-      return publicationNFT.interface.parseLog(log).name === "PublicationMinted";
-    } catch (e) {
-      return false;
-    }
+  reporter.result({
+    network: hre.network.name,
+    address: contractAddress,
+    recipient: recipientAddress,
+    tokenId,
+    tokenUri: publicationData.uri,
+    transactionHash: hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed,
+    maxFeePerGas: fees.overrides.maxFeePerGas,
+    maxPriorityFeePerGas: fees.overrides.maxPriorityFeePerGas,
+    effectiveGasPrice: receipt.gasPrice,
+    fee: receipt.fee,
   });
-
-  if (event) {
-    const parsedEvent = publicationNFT.interface.parseLog(event);
-    console.log("Token ID:", parsedEvent.args.tokenId.toString());
-  }
 }
 
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error(error);
+    reporter.fail(error);
     process.exit(1);
   });
@@ -1,17 +1,57 @@
 /**
  * Interactive script for minting Publication NFTs on Ethereum
- * Prompts for all required parameters and validates inputs before minting
+ * Prompts for all required parameters and validates inputs before minting.
+ * The prompts can be pre-filled from an entry of a BibTeX/RIS file, or from
+ * Crossref/DataCite metadata for a DOI (set CROSSREF_API_URL /
+ * DATACITE_API_URL to use another endpoint).
+ *
+ * The contract is resolved from deployments/<network>.json; pass an address
+ * (or set CONTRACT_ADDRESS) to use another one.
  *
  * Usage:
- * node scripts/mint-interactive.js <contract-address>
+ * npx hardhat run scripts/mint-interactive.js --network <network>
+ * HARDHAT_NETWORK=<network> node scripts/mint-interactive.js [--max-fee <gwei>] [--priority-fee <gwei>] [--soulbound] [contract-address]
+ *
+ * --soulbound locks the token to the recipient (ERC-5192): it can never be
+ * transferred, for authorship credentials.
+ *
+ * This script always prompts. For unattended minting use mint-batch.js with a
+ * one-row manifest and --yes / --json.
  */
 
 const hre = require("hardhat");
 const readline = require("readline");
-const https = require("https");
 const bip39 = require("bip39");
 const { hdkey } = require("@ethereumjs/wallet");
 const { ethers } = require("ethers");
+const {
+  isValidAddress: validateAddress,
+  isValidUrl: validateUrl,
+  isNonEmptyString: validateString,
+  fitsBytes32,
+  toUnixSeconds,
+  toMintArgs,
+  normalizeDoi,
+  MAX_UINT32,
+} = require("../lib/publication");
+const {
+  parseAuthors,
+  formatAuthors,
+  promptAuthors,
+} = require("../lib/authors");
+const { lookupDoi } = require("../lib/doi-lookup");
+const { readCitationFile } = require("../lib/citation-import");
+const { metadataOptionsFromEnv, prepareTokenUri } = require("../lib/metadata");
+const {
+  getDeployedPublicationContract,
+  findTokenByDoi,
+  getPublication,
+  mintPublication,
+} = require("../lib/publication-client");
+const { parseRunOptions } = require("../lib/cli");
+const { createOracleFromEnv } = require("../lib/oracle");
+const { estimateCost, formatCostEstimate } = require("../lib/cost");
+const { buildFeeOverrides, describeFees } = require("../lib/fees");
 
 /**
  * Derive private key from seed phrase
@@ -23,45 +63,6 @@ function derivePrivateKeyFromSeed(seedPhrase) {
   return wallet.getPrivateKeyString();
 }
 
-async function getCurrentGasPrices() {
-  return new Promise((resolve, reject) => {
-    const url =
-      "https://api.etherscan.io/v2/api?chainid=1&module=gastracker&action=gasoracle";
-
-    https
-      .get(url, (res) => {
-        let data = "";
-
-        res.on("data", (chunk) => {
-          data += chunk;
-        });
-
-        res.on("end", () => {
-          try {
-            const response = JSON.parse(data);
-            if (response.status === "1" && response.result) {
-              const result = response.result;
-              resolve({
-                safe: parseFloat(result.SafeGasPrice),
-                proposed: parseFloat(result.ProposeGasPrice),
-                fast: parseFloat(result.FastGasPrice),
-                baseFee: parseFloat(result.suggestBaseFee),
-                gasUsedRatio: result.gasUsedRatio,
-              });
-            } else {
-              reject(new Error("Invalid API response"));
-            }
-          } catch (error) {
-            reject(error);
-          }
-        });
-      })
-      .on("error", (error) => {
-        reject(error);
-      });
-  });
-}
-
 async function setupWalletCredentials() {
   // Check if credentials are already set in environment
   if (process.env.PRIVATE_KEY || process.env.SEED_PHRASE) {
@@ -123,102 +124,116 @@ async function setupWalletCredentials() {
   return wallet.getAddressString();
 }
 
-async function estimateMintCost(contractAddress) {
-  try {
-    const PublicationNFT = await hre.ethers.getContractFactory(
-      "PublicationNFT"
-    );
-    const publicationNFT = PublicationNFT.attach(contractAddress);
-
-    // Estimate gas for a typical mint transaction
-    const mintTx = await publicationNFT.mintPublication.populateTransaction(
-      "0x742d35Cc6634C0532925a3b844Bc454e4438f44e", // dummy address
-      "ipfs://QmSampleHash123456789012345678901234567890123456789012345678901234567890",
-      "Sample Academic Publication Title: A Comprehensive Study of Blockchain Technology",
-      "Dr. Jane Smith, Prof. John Doe, Dr. Alice Johnson",
-      1700000000,
-      "10.1000/nature.2024.12345",
-      "https://metadata.example.com/publication/12345",
-      "https://images.example.com/publications/12345/cover.jpg",
-      "This publication presents a comprehensive analysis of blockchain technology applications in academic publishing",
-      "Creative Commons Attribution 4.0 International (CC BY 4.0)",
-      "Computer Science",
-      "1.2.3",
-      "https://doi.org/10.1000/nature.2024.12345"
-    );
+/**
+ * Estimate the gas of the mint about to be sent
+ * Estimated from the signer, so the call passes the MINTER_ROLE check, and
+ * with the entered publication, so its DOI is the one checked.
+ * @param {ethers.Contract} contract - PublicationNFT connected to the signer
+ * @param {string} to - Recipient address
+ * @param {Object} publication - The publication record
+ * @param {boolean} soulbound - Whether it is minted with mintSoulboundPublication
+ * @returns {Promise<bigint>} Gas units
+ */
+async function estimateMintGas(contract, to, publication, soulbound) {
+  const args = toMintArgs(to, publication);
+  const overrides = { from: await contract.runner.getAddress() };
+  return soulbound
+    ? contract.mintSoulboundPublication.estimateGas(...args, [], [], overrides)
+    : contract.mintPublication.estimateGas(...args, overrides);
+}
 
-    const estimatedGas = await hre.ethers.provider.estimateGas(mintTx);
+function askQuestion(rl, question) {
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      resolve(answer.trim());
+    });
+  });
+}
 
-    // Get current gas prices
-    let gasPrices;
-    try {
-      gasPrices = await getCurrentGasPrices();
-    } catch (error) {
-      gasPrices = { safe: 2, proposed: 10, fast: 25 };
+/**
+ * Prompt until the answer passes validation
+ * @param {readline.Interface} rl - Readline interface
+ * @param {string} question - Prompt text without trailing colon
+ * @param {Function} validate - Returns (or resolves to) an error message, or
+ *   null when valid
+ * @param {string} defaultValue - Value used when the answer is empty
+ * @returns {Promise<string>} The accepted answer
+ */
+async function askField(rl, question, validate, defaultValue) {
+  const hasDefault =
+    defaultValue !== undefined && defaultValue !== null && defaultValue !== "";
+  const shown =
+    hasDefault && String(defaultValue).length > 60
+      ? `${String(defaultValue).slice(0, 57)}...`
+      : defaultValue;
+
+  for (;;) {
+    let answer = await askQuestion(
+      rl,
+      hasDefault ? `${question} (default: ${shown}): ` : `${question}: `
+    );
+    if (!answer && hasDefault) {
+      answer = String(defaultValue);
     }
 
-    const safeCost = (Number(estimatedGas) * gasPrices.safe) / 1000000000;
-    const proposedCost =
-      (Number(estimatedGas) * gasPrices.proposed) / 1000000000;
-    const fastCost = (Number(estimatedGas) * gasPrices.fast) / 1000000000;
-
-    return {
-      gas: estimatedGas,
-      costs: {
-        safe: safeCost,
-        proposed: proposedCost,
-        fast: fastCost,
-      },
-      gasPrices: gasPrices,
-    };
-  } catch (error) {
-    // Fallback to measured values
-    const estimatedGas = hre.ethers.parseUnits("423938", "wei");
-    const gasPrices = { safe: 2, proposed: 10, fast: 25 };
-
-    const safeCost = (Number(estimatedGas) * gasPrices.safe) / 1000000000;
-    const proposedCost =
-      (Number(estimatedGas) * gasPrices.proposed) / 1000000000;
-    const fastCost = (Number(estimatedGas) * gasPrices.fast) / 1000000000;
-
-    return {
-      gas: estimatedGas,
-      costs: {
-        safe: safeCost,
-        proposed: proposedCost,
-        fast: fastCost,
-      },
-      gasPrices: gasPrices,
-    };
+    const error = await validate(answer);
+    if (!error) {
+      return answer;
+    }
+    console.log(`Error: ${error}`);
   }
 }
 
-function validateAddress(addr) {
-  return /^0x[a-fA-F0-9]{40}$/.test(addr);
-}
-
-function validateUrl(url) {
-  // Allow HTTP(S) and IPFS URLs
-  return /^(https?:\/\/|ipfs:\/\/).+/.test(url);
-}
-
-function validateNumber(num) {
-  return /^\d+$/.test(num) && !isNaN(num);
-}
+/**
+ * List the entries of a BibTeX/RIS file and let the user pick one
+ * @param {readline.Interface} rl - Readline interface
+ * @param {string} filePath - Path to the .bib or .ris file
+ * @returns {Promise<Object>} The chosen publication record ({} when none)
+ */
+async function chooseImportedEntry(rl, filePath) {
+  let entries;
+  try {
+    entries = readCitationFile(filePath);
+  } catch (error) {
+    console.log(`⚠️  Import failed: ${error.message}`);
+    console.log("Continuing with manual entry.");
+    return {};
+  }
 
-function validateString(str) {
-  return str && str.trim().length > 0;
-}
+  if (entries.length === 0) {
+    console.log("⚠️  No entries found. Continuing with manual entry.");
+    return {};
+  }
 
-function askQuestion(rl, question) {
-  return new Promise((resolve) => {
-    rl.question(question, (answer) => {
-      resolve(answer.trim());
-    });
+  console.log(`\nEntries in ${filePath}:`);
+  entries.forEach((entry, index) => {
+    console.log(
+      `  ${index + 1}. [${entry.key}] ${
+        entry.publication.title || "(untitled)"
+      }`
+    );
+    entry.errors.forEach((error) => console.log(`       ⚠️  ${error}`));
   });
+
+  const choice = await askField(rl, "Choose an entry to mint", (value) =>
+    /^\d+$/.test(value) && value >= 1 && value <= entries.length
+      ? null
+      : `Enter a number between 1 and ${entries.length}`
+  );
+  const entry = entries[parseInt(choice, 10) - 1];
+  console.log("✅ Imported. Press Enter to keep a value or type a new one.");
+  return entry.publication;
 }
 
 async function main() {
+  const options = parseRunOptions();
+  if (options.nonInteractive) {
+    throw new Error(
+      "mint-interactive.js prompts for every field and can't run non-interactively. " +
+        "Use scripts/mint-batch.js with a manifest (it accepts --yes and --json) instead."
+    );
+  }
+
   // Setup wallet credentials if needed
   const walletAddress = await setupWalletCredentials();
 
@@ -242,58 +257,35 @@ async function main() {
     signer.address
   );
 
-  const args = process.argv.slice(2);
-  let contractAddress = args[0];
+  const soulbound = options.args.includes("--soulbound");
+  const args = options.args.filter((arg) => arg !== "--soulbound");
+  const explicitAddress = args[0] || process.env.CONTRACT_ADDRESS;
 
-  // Check for contract address in environment variable if not provided as arg
-  if (!contractAddress) {
-    contractAddress = process.env.CONTRACT_ADDRESS;
-  }
-
-  // Use deployed contracts if no address provided
-  if (!contractAddress) {
-    // Check if we're targeting sepolia or mainnet network
-    const networkName = hre.network.name;
-    if (networkName === "mainnet") {
-      contractAddress =
-        process.env.MAINNET_CONTRACT_ADDRESS ||
-        "0xBfeA7120A701625B5438ed9A3f06F3BC471DB399";
-      console.log("Using deployed Mainnet contract:", contractAddress);
-    } else if (networkName === "sepolia") {
-      contractAddress =
-        process.env.SEPOLIA_CONTRACT_ADDRESS ||
-        "0x613AFb793B3554704f04D701A4f52B96A2B29e4F";
-      console.log("Using deployed Sepolia contract:", contractAddress);
-    } else if (networkName === "hardhat") {
-      // For hardhat network, we need a contract address
-      console.error(
-        "For hardhat network, please provide CONTRACT_ADDRESS environment variable or pass as argument"
-      );
-      console.error(
-        "Usage: CONTRACT_ADDRESS=<address> npx hardhat run scripts/mint-interactive.js --network hardhat"
-      );
-      process.exit(1);
-    } else {
-      console.error(
-        "Usage: npx hardhat run scripts/mint-interactive.js --network <network>"
-      );
-      console.error(
-        "For Sepolia: npx hardhat run scripts/mint-interactive.js --network sepolia"
-      );
-      console.error(
-        "For Mainnet: npx hardhat run scripts/mint-interactive.js --network mainnet"
-      );
-      console.error(
-        "For other networks: CONTRACT_ADDRESS=<address> npx hardhat run scripts/mint-interactive.js --network <network>"
-      );
-      process.exit(1);
-    }
+  if (explicitAddress && !validateAddress(explicitAddress)) {
+    console.error("Error: Invalid contract address format");
+    process.exit(1);
   }
 
-  if (!validateAddress(contractAddress)) {
-    console.error("Error: Invalid contract address format");
+  // Resolve the contract from deployments/<network>.json unless overridden
+  let contract;
+  let contractAddress;
+  try {
+    const deployed = await getDeployedPublicationContract(
+      hre.network.name,
+      signer,
+      { address: explicitAddress }
+    );
+    contract = deployed.contract;
+    contractAddress = deployed.address;
+    deployed.warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    console.error(
+      "Usage: CONTRACT_ADDRESS=<address> npx hardhat run scripts/mint-interactive.js --network <network>"
+    );
     process.exit(1);
   }
+  console.log(`Using ${hre.network.name} contract:`, contractAddress);
 
   const rl = readline.createInterface({
     input: process.stdin,
@@ -302,158 +294,213 @@ async function main() {
 
   console.log("=== Publication NFT Minting Script ===");
 
-  // Get recipient address
-  let recipientAddress;
-  const defaultRecipient = walletAddress || "";
-  do {
-    const prompt = defaultRecipient
-      ? `Enter Recipient Address (default: ${defaultRecipient}): `
-      : "Enter Recipient Address: ";
-    recipientAddress = await askQuestion(rl, prompt);
-
-    // Use default if empty and we have a wallet address
-    if (!recipientAddress && defaultRecipient) {
-      recipientAddress = defaultRecipient;
-      console.log(`Using wallet address: ${recipientAddress}`);
-    }
+  // Optionally pre-fill the form from a BibTeX/RIS file or from Crossref/DataCite
+  let prefill = {};
+  const importPath = await askQuestion(
+    rl,
+    "Enter a .bib or .ris file to import from (leave empty to skip): "
+  );
+  if (importPath) {
+    prefill = await chooseImportedEntry(rl, importPath);
+  }
 
-    if (!validateAddress(recipientAddress)) {
+  const lookupDoiInput = importPath
+    ? ""
+    : await askQuestion(
+        rl,
+        "Enter a DOI to pre-fill from Crossref/DataCite (leave empty to enter manually): "
+      );
+  if (lookupDoiInput) {
+    try {
+      console.log("🔍 Looking up DOI metadata...");
+      const result = await lookupDoi(lookupDoiInput);
+      prefill = result.publication;
       console.log(
-        "Error: Invalid recipient address format (should be 0x followed by 40 hex characters)"
+        `✅ Found metadata in ${result.source}. Press Enter to keep a value or type a new one.`
       );
+      result.warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+    } catch (error) {
+      console.log(`⚠️  DOI lookup failed: ${error.message}`);
+      console.log("Continuing with manual entry.");
     }
-  } while (!validateAddress(recipientAddress));
+  }
 
-  // Get title
-  let title;
-  do {
-    title = await askQuestion(rl, "Enter Publication Title: ");
-    if (!validateString(title)) {
-      console.log("Error: Title cannot be empty");
-    }
-  } while (!validateString(title));
+  const recipientAddress = await askField(
+    rl,
+    "Enter Recipient Address",
+    (value) =>
+      validateAddress(value)
+        ? null
+        : "Invalid recipient address format (should be 0x followed by 40 hex characters)",
+    walletAddress
+  );
 
-  // Get authors
-  let authors;
-  do {
-    authors = await askQuestion(rl, "Enter Authors (comma-separated): ");
-    if (!validateString(authors)) {
-      console.log("Error: Authors cannot be empty");
+  const title = await askField(
+    rl,
+    "Enter Publication Title",
+    (value) => (validateString(value) ? null : "Title cannot be empty"),
+    prefill.title
+  );
+
+  // Authors one at a time, with their ORCID iDs; imported ones can be kept
+  let authors = null;
+  if (prefill.authors) {
+    console.log("Imported authors:", formatAuthors(prefill.authors));
+    const keep = await askQuestion(rl, "Keep these authors? (Y/n): ");
+    if (!["n", "no"].includes(keep.toLowerCase())) {
+      authors = parseAuthors(prefill.authors);
     }
-  } while (!validateString(authors));
+  }
+  if (!authors) {
+    authors = await promptAuthors((question) => askQuestion(rl, question), {
+      isValidWallet: validateAddress,
+    });
+  }
 
-  // Get publication date
-  let publicationDate;
-  do {
-    publicationDate = await askQuestion(
+  const publicationDate = toUnixSeconds(
+    await askField(
       rl,
-      "Enter Publication Date (Unix timestamp in seconds): "
-    );
-    if (!validateNumber(publicationDate)) {
-      console.log("Error: Publication date must be a valid number");
-    } else if (parseInt(publicationDate) > 4294967295) {
-      console.log(
-        "Error: Publication date too large for uint32 (max: 4294967295)"
-      );
-      publicationDate = null;
-    }
-  } while (!validateNumber(publicationDate) || publicationDate === null);
+      "Enter Publication Date (YYYY-MM-DD or Unix timestamp in seconds)",
+      (value) => {
+        const seconds = toUnixSeconds(value);
+        if (!Number.isInteger(seconds) || seconds < 0) {
+          return "Publication date must be a valid date or number";
+        }
+        if (seconds > MAX_UINT32) {
+          return `Publication date too large for uint32 (max: ${MAX_UINT32})`;
+        }
+        return null;
+      },
+      prefill.publicationDate !== undefined
+        ? new Date(prefill.publicationDate * 1000).toISOString().slice(0, 10)
+        : undefined
+    )
+  );
 
-  // Get DOI
-  let doi;
-  do {
-    doi = await askQuestion(rl, "Enter DOI: ");
-    if (!validateString(doi)) {
-      console.log("Error: DOI cannot be empty");
-    }
-  } while (!validateString(doi));
+  // A DOI can only be minted once; point at the existing token instead
+  const doi = await askField(
+    rl,
+    "Enter DOI",
+    async (value) => {
+      if (!validateString(value)) {
+        return "DOI cannot be empty";
+      }
+      const tokenId = await findTokenByDoi(contract, value);
+      if (tokenId === null) {
+        return null;
+      }
+      const { title } = await getPublication(contract, tokenId);
+      const owner = await contract.ownerOf(tokenId);
+      const normalized = normalizeDoi(value);
+      return `DOI ${normalized} is already minted as token ${tokenId} ("${title}", owned by ${owner}). Enter another DOI or press Ctrl+C to stop.`;
+    },
+    prefill.doi
+  );
 
-  // Get metadata URL
-  let uri;
-  do {
-    uri = await askQuestion(rl, "Enter Metadata URL (https:// or ipfs://): ");
-    if (!validateUrl(uri)) {
-      console.log(
-        "Error: Invalid URL format (must start with http://, https://, or ipfs://)"
-      );
-    }
-  } while (!validateUrl(uri));
+  const urlError = (value) =>
+    validateUrl(value)
+      ? null
+      : "Invalid URL format (must start with http://, https://, or ipfs://)";
+
+  // With METADATA_BASE_URI set, an empty answer generates the metadata JSON
+  const metadataOptions = metadataOptionsFromEnv();
+  let uri = await askField(
+    rl,
+    metadataOptions
+      ? "Enter Metadata URL (https:// or ipfs://, empty to generate)"
+      : "Enter Metadata URL (https:// or ipfs://)",
+    (value) => (metadataOptions && !value ? null : urlError(value)),
+    prefill.uri
+  );
 
-  // Get image URL
-  let imageUrl;
-  do {
-    imageUrl = await askQuestion(rl, "Enter Image URL (https:// or ipfs://): ");
-    if (!validateUrl(imageUrl)) {
-      console.log(
-        "Error: Invalid URL format (must start with http://, https://, or ipfs://)"
-      );
-    }
-  } while (!validateUrl(imageUrl));
+  const imageUrl = await askField(
+    rl,
+    "Enter Image URL (https:// or ipfs://)",
+    urlError,
+    prefill.imageUrl
+  );
 
-  // Get description
-  let description;
-  do {
-    description = await askQuestion(rl, "Enter Description/Abstract: ");
-    if (!validateString(description)) {
-      console.log("Error: Description cannot be empty");
-    }
-  } while (!validateString(description));
+  const description = await askField(
+    rl,
+    "Enter Description/Abstract",
+    (value) => (validateString(value) ? null : "Description cannot be empty"),
+    prefill.description
+  );
 
-  // Get license
-  let license;
-  do {
-    license = await askQuestion(rl, "Enter License (e.g., CC-BY-4.0): ");
-    if (!validateString(license)) {
-      console.log("Error: License cannot be empty");
-    }
-  } while (!validateString(license));
+  const license = await askField(
+    rl,
+    "Enter License (e.g., CC-BY-4.0)",
+    (value) => (validateString(value) ? null : "License cannot be empty"),
+    prefill.license
+  );
 
-  // Get field
-  let field;
-  do {
-    field = await askQuestion(rl, "Enter Field of Study (max 32 chars): ");
-    if (!validateString(field)) {
-      console.log("Error: Field cannot be empty");
-    } else if (field.length > 32) {
-      console.log("Error: Field must be 32 characters or less");
-      field = null;
-    }
-  } while (!validateString(field) || field === null);
+  const field = await askField(
+    rl,
+    "Enter Field of Study (max 32 chars)",
+    (value) => {
+      if (!validateString(value)) {
+        return "Field cannot be empty";
+      }
+      return fitsBytes32(value) ? null : "Field must be 32 characters or less";
+    },
+    prefill.field
+  );
 
-  // Get version
-  let version;
-  do {
-    version = await askQuestion(rl, "Enter Version (max 32 chars): ");
-    if (!validateString(version)) {
-      console.log("Error: Version cannot be empty");
-    } else if (version.length > 32) {
-      console.log("Error: Version must be 32 characters or less");
-      version = null;
-    }
-  } while (!validateString(version) || version === null);
+  const version = await askField(
+    rl,
+    "Enter Version (max 32 chars)",
+    (value) => {
+      if (!validateString(value)) {
+        return "Version cannot be empty";
+      }
+      return fitsBytes32(value)
+        ? null
+        : "Version must be 32 characters or less";
+    },
+    prefill.version
+  );
 
-  // Get external URL
-  let externalUrl;
-  do {
-    externalUrl = await askQuestion(
-      rl,
-      "Enter External URL (https:// or ipfs://): "
-    );
-    if (!validateUrl(externalUrl)) {
-      console.log(
-        "Error: Invalid URL format (must start with http://, https://, or ipfs://)"
-      );
-    }
-  } while (!validateUrl(externalUrl));
+  const externalUrl = await askField(
+    rl,
+    "Enter External URL (https:// or ipfs://)",
+    urlError,
+    prefill.externalUrl
+  );
 
   rl.close();
 
+  if (!uri) {
+    const generated = prepareTokenUri(
+      {
+        title,
+        authors,
+        publicationDate,
+        doi,
+        imageUrl,
+        description,
+        license,
+        field,
+        version,
+        externalUrl,
+      },
+      metadataOptions
+    );
+    uri = generated.uri;
+    console.log(`\n📝 Metadata written to ${generated.path}`);
+    console.log(`   SHA-256: ${generated.hash}`);
+    console.log(`   Upload it so it is served at ${uri}`);
+  }
+
   console.log("\n=== Review Publication Details ===");
   console.log("Contract Address:", contractAddress);
   console.log("Recipient Address:", recipientAddress);
   console.log("Title:", title);
-  console.log("Authors:", authors);
-  console.log("Publication Date:", publicationDate);
+  console.log("Authors:", formatAuthors(authors));
+  console.log(
+    "Publication Date:",
+    publicationDate,
+    `(${new Date(publicationDate * 1000).toISOString()})`
+  );
   console.log("DOI:", doi);
   console.log("Metadata URL:", uri);
   console.log("Image URL:", imageUrl);
@@ -462,82 +509,53 @@ async function main() {
   console.log("Field:", field);
   console.log("Version:", version);
   console.log("External URL:", externalUrl);
+  if (soulbound) {
+    console.log("Soulbound: yes (the recipient can never transfer it)");
+  }
   console.log("");
 
-  // Estimate minting costs
-  console.log("🔍 Estimating minting costs...");
-  const estimate = await estimateMintCost(contractAddress);
-
-  console.log(`📊 Estimated gas: ${estimate.gas.toString()}`);
+  const publication = {
+    uri, // metadata URI (IPFS/HTTP)
+    title,
+    authors,
+    publicationDate,
+    doi,
+    url: uri, // metadata URL (keeping for backward compatibility)
+    imageUrl,
+    description,
+    license,
+    field,
+    version,
+    externalUrl,
+  };
 
-  // Check if we have live gas price data
-  let hasLiveData = true;
+  // Estimate minting costs; a failed estimate usually means the mint would
+  // revert too (no MINTER_ROLE, or the DOI was minted meanwhile)
+  console.log("🔍 Estimating minting costs...");
+  let gas = null;
   try {
-    // If gas prices are the fallback values, we don't have live data
-    if (
-      estimate.gasPrices.safe === 2 &&
-      estimate.gasPrices.proposed === 10 &&
-      estimate.gasPrices.fast === 25
-    ) {
-      hasLiveData = false;
-    }
-  } catch (error) {
-    hasLiveData = false;
-  }
-
-  if (hasLiveData) {
-    console.log(
-      `⛽ Current gas prices: Safe ${estimate.gasPrices.safe.toFixed(
-        2
-      )}gwei, Standard ${estimate.gasPrices.proposed.toFixed(
-        2
-      )}gwei, Fast ${estimate.gasPrices.fast.toFixed(2)}gwei`
-    );
-    console.log("");
-    console.log("💰 Estimated minting costs:");
-    console.log(
-      `   Safe: ${estimate.costs.safe.toFixed(4)} ETH ($${(
-        estimate.costs.safe * 3829
-      ).toFixed(2)})`
-    );
-    console.log(
-      `   Standard: ${estimate.costs.proposed.toFixed(4)} ETH ($${(
-        estimate.costs.proposed * 3829
-      ).toFixed(2)})`
-    );
-    console.log(
-      `   Fast: ${estimate.costs.fast.toFixed(4)} ETH ($${(
-        estimate.costs.fast * 3829
-      ).toFixed(2)})`
-    );
-    console.log("");
-    console.log(
-      "⚠️  Disclaimer: These are estimated prices based on real-time data and there is no guarantee of final costs."
-    );
-  } else {
-    console.log(
-      "⛽ Live gas price data not available - using fallback estimates"
-    );
-    console.log("");
-    console.log("💰 Estimated minting costs (fallback):");
-    console.log(
-      `   Safe: ${estimate.costs.safe.toFixed(4)} ETH ($${(
-        estimate.costs.safe * 3829
-      ).toFixed(2)})`
-    );
-    console.log(
-      `   Standard: ${estimate.costs.proposed.toFixed(4)} ETH ($${(
-        estimate.costs.proposed * 3829
-      ).toFixed(2)})`
+    gas = await estimateMintGas(
+      contract,
+      recipientAddress,
+      publication,
+      soulbound
     );
+  } catch (error) {
     console.log(
-      `   Fast: ${estimate.costs.fast.toFixed(4)} ETH ($${(
-        estimate.costs.fast * 3829
-      ).toFixed(2)})`
+      `⚠️  Gas estimate unavailable: ${error.shortMessage || error.message}`
     );
-    console.log("");
-    console.log(
-      "⚠️  Disclaimer: Live gas price data unavailable. Using fallback estimates - actual costs may vary significantly."
+  }
+  if (gas !== null) {
+    const { chainId } = await hre.ethers.provider.getNetwork();
+    const oracle = createOracleFromEnv({
+      rpc: hre.ethers.provider,
+      chainId: Number(chainId),
+    });
+    const estimate = await estimateCost(gas, oracle, options.fees);
+
+    console.log(`📊 Estimated gas: ${estimate.gas.toString()}`);
+    formatCostEstimate(estimate, "minting").forEach((line) =>
+      console.log(line)
     );
   }
 
@@ -555,56 +573,22 @@ async function main() {
   }
 
   console.log("\nMinting Publication NFT...");
-
-  // Create contract instance with signer
-  const contract = new ethers.Contract(
-    contractAddress,
-    [
-      "function mintPublication(address,string,string,string,uint32,string,string,string,string,string,string,string,string) external returns (uint256)",
-    ],
-    signer
-  );
+  const fees = await buildFeeOverrides(hre.ethers.provider, options.fees);
+  console.log(describeFees(fees));
 
   // Mint the NFT
-  const tx = await contract.mintPublication(
+  const { tokenId, hash, receipt } = await mintPublication(
+    contract,
     recipientAddress,
-    uri, // metadata URI (IPFS/HTTP)
-    title,
-    authors,
-    parseInt(publicationDate), // Convert to number for uint32
-    doi,
-    uri, // metadata URL (keeping for backward compatibility)
-    imageUrl,
-    description,
-    license,
-    field,
-    version,
-    externalUrl
+    publication,
+    fees.overrides,
+    { soulbound }
   );
 
-  console.log("Transaction hash:", tx.hash);
-  console.log("Waiting for confirmation...");
-
-  const receipt = await tx.wait();
+  console.log("Transaction hash:", hash);
   console.log("✅ NFT minted successfully!");
   console.log("Gas used:", receipt.gasUsed.toString());
-
-  // Find the token ID from the event
-  const event = receipt.logs.find((log) => {
-    return (
-      log.address === contractAddress &&
-      log.topics[0] ===
-        ethers.id("PublicationMinted(uint256,address,string,string)")
-    );
-  });
-
-  if (event) {
-    const iface = new ethers.Interface([
-      "event PublicationMinted(uint256 indexed tokenId, address indexed owner, string title, string authors)",
-    ]);
-    const parsed = iface.parseLog(event);
-    console.log("Token ID:", parsed.args.tokenId.toString());
-  }
+  console.log("Token ID:", tokenId.toString());
 
   console.log("\nYou can view the NFT on OpenSea or Etherscan:");
   console.log("https://opensea.io");
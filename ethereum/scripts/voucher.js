@@ -0,0 +1,301 @@
+/**
+ * Create, inspect and redeem EIP-712 mint vouchers
+ * A minter signs a voucher for a publication and an author; the author
+ * redeems it later, minting the publication to their own wallet and paying
+ * the gas (see lib/voucher.js).
+ *
+ * Usage:
+ * HARDHAT_NETWORK=<network> node scripts/voucher.js create --to <address> [--file <manifest> [--row <n>]] [--<field> <value>...] [--expires <days>d|<date>|<unix seconds>] [--nonce <n>] [--out <file>]
+ * HARDHAT_NETWORK=<network> node scripts/voucher.js inspect [--check] <voucher-file|voucher>
+ * HARDHAT_NETWORK=<network> node scripts/voucher.js redeem [--yes] [--json] <voucher-file|voucher>
+ *
+ * create signs with PRIVATE_KEY / SEED_PHRASE without contacting the
+ * network: the contract and chain ID come from deployments/<network>.json
+ * (or CONTRACT_ADDRESS and the network's chainId in hardhat.config.js). It
+ * prints the voucher as one "pubnft-voucher:..." line, short enough for a QR
+ * code, and writes the JSON to --out. Vouchers expire after 30 days unless
+ * --expires is given. inspect decodes a voucher and its signer offline;
+ * --check also asks the contract whether it can be redeemed. redeem sends it
+ * from the configured account, which pays the gas.
+ */
+
+const fs = require("fs");
+const readline = require("readline");
+const hre = require("hardhat");
+const { MINT_FIELDS, toUnixSeconds } = require("../lib/publication");
+const { readManifest } = require("../lib/manifest");
+const { readDeployment } = require("../lib/deployments");
+const { getDeployedPublicationContract } = require("../lib/publication-client");
+const {
+  parseRunOptions,
+  parseValueFlags,
+  createReporter,
+} = require("../lib/cli");
+const { buildFeeOverrides, describeFees } = require("../lib/fees");
+const { toIsoDate } = require("../lib/citation-export");
+const { formatAuthors } = require("../lib/authors");
+const {
+  voucherDomain,
+  createVoucher,
+  signVoucher,
+  encodeVoucher,
+  decodeVoucher,
+  inspectVoucher,
+  checkVoucher,
+  redeemVoucher,
+} = require("../lib/voucher");
+
+const PUBLICATION_FLAGS = MINT_FIELDS.map(
+  (name) => `--${name.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`)}`
+);
+
+const USAGE = [
+  "Usage: HARDHAT_NETWORK=<network> node scripts/voucher.js create --to <address> [--file <manifest> [--row <n>]] [--<field> <value>...] [--expires <days>d|<date>|<unix seconds>] [--nonce <n>] [--out <file>]",
+  "       HARDHAT_NETWORK=<network> node scripts/voucher.js inspect [--check] <voucher-file|voucher>",
+  "       HARDHAT_NETWORK=<network> node scripts/voucher.js redeem [--yes] [--json] <voucher-file|voucher>",
+].join("\n");
+
+const options = parseRunOptions();
+const reporter = createReporter(options);
+
+async function getSigner() {
+  const [signer] = await hre.ethers.getSigners();
+  if (!signer) {
+    throw new Error(
+      "No signer available. Set PRIVATE_KEY or SEED_PHRASE in environment."
+    );
+  }
+  return signer;
+}
+
+/**
+ * Parse --expires: "<n>d" days from now, a date or unix seconds
+ */
+function parseExpiry(value) {
+  if (value === undefined) {
+    return undefined;
+  }
+  const days = value.match(/^(\d+)d$/);
+  const expiry = days
+    ? Math.floor(Date.now() / 1000) + Number(days[1]) * 24 * 60 * 60
+    : toUnixSeconds(value);
+  if (!Number.isInteger(expiry)) {
+    throw new Error(
+      `--expires must be a number of days (e.g. 30d), a date or unix seconds, got "${value}"`
+    );
+  }
+  return expiry;
+}
+
+/**
+ * Read a voucher given as a file or as the encoded line itself
+ */
+function readVoucherArg(arg) {
+  if (!arg) {
+    throw new Error(USAGE);
+  }
+  return decodeVoucher(fs.existsSync(arg) ? fs.readFileSync(arg, "utf8") : arg);
+}
+
+function logVoucher(details) {
+  reporter.log("Signer:", details.signer);
+  reporter.log("Recipient:", details.to);
+  reporter.log("Contract:", details.contract, `(chain ${details.chainId})`);
+  reporter.log("Nonce:", details.nonce);
+  reporter.log(
+    "Expires:",
+    toIsoDate(details.expiry),
+    details.expired ? "(expired)" : ""
+  );
+  reporter.log("Title:", details.publication.title);
+  reporter.log("Authors:", formatAuthors(details.publication.authors));
+  reporter.log(
+    "Publication Date:",
+    toIsoDate(details.publication.publicationDate)
+  );
+  if (details.publication.doi) {
+    reporter.log("DOI:", details.publication.doi);
+  }
+  reporter.log("Token URI:", details.publication.uri);
+}
+
+async function create(args) {
+  const { values, args: rest } = parseValueFlags(args, [
+    ...PUBLICATION_FLAGS,
+    "--to",
+    "--file",
+    "--row",
+    "--expires",
+    "--nonce",
+    "--out",
+  ]);
+  if (rest.length > 0 || !values.to) {
+    throw new Error(USAGE);
+  }
+
+  let publication = {};
+  if (values.file) {
+    const rows = readManifest(values.file);
+    const row = Number(values.row || 1);
+    if (!Number.isInteger(row) || row < 1 || row > rows.length) {
+      throw new Error(
+        `--row must be between 1 and ${rows.length} for ${values.file}`
+      );
+    }
+    publication = { ...rows[row - 1] };
+  }
+  for (const name of MINT_FIELDS) {
+    if (values[name] !== undefined) {
+      publication[name] = values[name];
+    }
+  }
+
+  const network = hre.network.name;
+  const deployment = readDeployment(network);
+  const address =
+    process.env.CONTRACT_ADDRESS || (deployment && deployment.address);
+  if (!address) {
+    throw new Error(
+      `No PublicationNFT deployment recorded for ${network}. Set CONTRACT_ADDRESS.`
+    );
+  }
+  // Only ask the node for the chain ID when nothing records it
+  let chainId =
+    (deployment && !process.env.CONTRACT_ADDRESS && deployment.chainId) ||
+    hre.network.config.chainId;
+  if (!chainId) {
+    chainId = (await hre.ethers.provider.getNetwork()).chainId;
+  }
+
+  const signer = await getSigner();
+  const voucher = createVoucher(values.to, publication, {
+    expiry: parseExpiry(values.expires),
+    nonce: values.nonce,
+  });
+  const signed = await signVoucher(
+    signer,
+    voucherDomain(chainId, address),
+    voucher
+  );
+  const encoded = encodeVoucher(signed);
+  if (values.out) {
+    fs.writeFileSync(values.out, JSON.stringify(signed, null, 2) + "\n");
+  }
+
+  reporter.log("=== Publication NFT Mint Voucher ===");
+  logVoucher(inspectVoucher(signed));
+  if (values.out) {
+    reporter.log(`\n📝 Wrote ${values.out}`);
+  }
+  reporter.log("\nGive the author this voucher to redeem:\n");
+  reporter.log(encoded);
+  return { ...signed, encoded, out: values.out || null };
+}
+
+async function inspect(args) {
+  const check = args.includes("--check");
+  const [arg, ...rest] = args.filter((item) => item !== "--check");
+  if (rest.length > 0) {
+    throw new Error(USAGE);
+  }
+  const signed = readVoucherArg(arg);
+  const details = inspectVoucher(signed);
+
+  reporter.log("=== Publication NFT Mint Voucher ===");
+  logVoucher(details);
+  if (!check) {
+    return details;
+  }
+
+  const { contract, warnings } = await getDeployedPublicationContract(
+    hre.network.name,
+    hre.ethers.provider,
+    { address: signed.domain.verifyingContract }
+  );
+  warnings.forEach((warning) => reporter.warn(warning));
+  const { problems } = await checkVoucher(contract, signed);
+  reporter.log("");
+  if (problems.length === 0) {
+    reporter.log(`✅ Can be redeemed on ${hre.network.name}`);
+  }
+  problems.forEach((problem) => reporter.log(`❌ ${problem}`));
+  return { ...details, redeemable: problems.length === 0, problems };
+}
+
+function confirm(question) {
+  if (options.nonInteractive) {
+    return Promise.resolve(true);
+  }
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) => {
+    rl.question(`${question} (y/N): `, (answer) => {
+      rl.close();
+      resolve(["y", "yes"].includes(answer.trim().toLowerCase()));
+    });
+  });
+}
+
+async function redeem(args) {
+  const [arg, ...rest] = args;
+  if (rest.length > 0) {
+    throw new Error(USAGE);
+  }
+  const signed = readVoucherArg(arg);
+  const signer = await getSigner();
+  const { contract, warnings } = await getDeployedPublicationContract(
+    hre.network.name,
+    signer,
+    { address: signed.domain.verifyingContract }
+  );
+  warnings.forEach((warning) => reporter.warn(warning));
+
+  reporter.log("=== Redeem Publication NFT Voucher ===");
+  reporter.log("Network:", hre.network.name);
+  reporter.log("Paid by:", signer.address);
+  logVoucher(inspectVoucher(signed));
+  if (!(await confirm("\nProceed with redeeming?"))) {
+    reporter.log("Redeem cancelled.");
+    return null;
+  }
+
+  const fees = await buildFeeOverrides(hre.ethers.provider, options.fees);
+  reporter.log(describeFees(fees));
+  const { tokenId, hash, receipt } = await redeemVoucher(
+    contract,
+    signed,
+    fees.overrides
+  );
+  reporter.log("\n✅ Minted token", tokenId.toString());
+  reporter.log("Transaction:", hash);
+  reporter.log("Fee:", hre.ethers.formatEther(receipt.fee), "ETH");
+  return {
+    tokenId,
+    to: signed.voucher.to,
+    transaction: hash,
+    gasUsed: receipt.gasUsed,
+    fee: hre.ethers.formatEther(receipt.fee),
+  };
+}
+
+const ACTIONS = { create, inspect, redeem };
+
+async function main() {
+  const [action, ...args] = options.args;
+  if (!ACTIONS[action]) {
+    throw new Error(USAGE);
+  }
+  const result = await ACTIONS[action](args);
+  if (result) {
+    reporter.result({ network: hre.network.name, ...result });
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    reporter.fail(error);
+    process.exit(1);
+  });
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat");
+const { ethers, artifacts } = require("hardhat");
+const { toMintArgs, toUpdateArgs } = require("../lib/publication");
 
 describe("PublicationNFT", function () {
   let publicationNFT;
@@ -15,21 +16,34 @@ describe("PublicationNFT", function () {
   });
 
   describe("Deployment", function () {
-    it("Should set the right owner", async function () {
-      expect(await publicationNFT.owner()).to.equal(owner.address);
+    it("Should make the initial admin an admin", async function () {
+      expect(
+        await publicationNFT.hasRole(ethers.ZeroHash, owner.address)
+      ).to.equal(true);
     });
 
     it("Should have correct name and symbol", async function () {
       expect(await publicationNFT.name()).to.equal("PublicationNFT");
       expect(await publicationNFT.symbol()).to.equal("PNFT");
     });
+
+    it("Should fit the runtime code in the EIP-170 size limit", async function () {
+      // Mainnet refuses to deploy more than 24576 bytes of runtime code
+      const { deployedBytecode } = await artifacts.readArtifact(
+        "PublicationNFT"
+      );
+      expect(ethers.dataLength(deployedBytecode)).to.be.at.most(24576);
+    });
   });
 
   describe("Minting", function () {
     it("Should mint a new publication NFT", async function () {
       const uri = "ipfs://QmTestHash";
       const title = "Test Book";
-      const authors = "Test Author";
+      const authors = [
+        ["Test Author", "0000-0002-1825-0097", addr2.address],
+        ["Second Author", "", ethers.ZeroAddress],
+      ];
       const publicationDate = Math.floor(Date.now() / 1000);
       const doi = "10.1000/test-doi";
       const url = "https://metadata.example.com";
@@ -58,7 +72,17 @@ describe("PublicationNFT", function () {
         )
       )
         .to.emit(publicationNFT, "PublicationMinted")
-        .withArgs(0, addr1.address, title, authors);
+        .withArgs(0, addr1.address, title, authors)
+        .and.to.emit(publicationNFT, "AuthorCredited")
+        .withArgs(0, "0000-0002-1825-0097", addr2.address, 0, "Test Author");
+
+      // Indexers find the author's works by ORCID iD
+      const credited = await publicationNFT.queryFilter(
+        publicationNFT.filters.AuthorCredited(null, "0000-0002-1825-0097")
+      );
+      expect(credited.map((log) => log.args.name)).to.deep.equal([
+        "Test Author",
+      ]);
 
       expect(await publicationNFT.ownerOf(0)).to.equal(addr1.address);
     });
@@ -66,7 +90,10 @@ describe("PublicationNFT", function () {
     it("Should store publication metadata correctly", async function () {
       const uri = "ipfs://QmTestHash";
       const title = "Test Book";
-      const authors = "Test Author";
+      const authors = [
+        ["Test Author", "0000-0002-1825-0097", addr2.address],
+        ["Second Author", "", ethers.ZeroAddress],
+      ];
       const publicationDate = Math.floor(Date.now() / 1000);
       const doi = "10.1000/test-doi";
       const url = "https://metadata.example.com";
@@ -95,7 +122,9 @@ describe("PublicationNFT", function () {
 
       const publication = await publicationNFT.getPublication(0);
       expect(publication.title).to.equal(title);
-      expect(publication.authors).to.equal(authors);
+      expect(publication.authors.map((author) => [...author])).to.deep.equal(
+        authors
+      );
       expect(publication.publicationDate).to.equal(publicationDate);
       expect(publication.doi).to.equal(doi);
       expect(publication.url).to.equal(url);
@@ -106,29 +135,200 @@ describe("PublicationNFT", function () {
       expect(publication.version).to.equal(ethers.encodeBytes32String(version));
       expect(publication.externalUrl).to.equal(externalUrl);
     });
+  });
 
-    it("Should only allow owner to mint", async function () {
-      await expect(
-        publicationNFT
-          .connect(addr1)
-          .mintPublication(
+  describe("Permissions", function () {
+    let admin;
+    let minter;
+    let editor;
+    let outsider;
+
+    const PUBLICATION = {
+      uri: "ipfs://QmTestHash",
+      title: "Test Book",
+      authors: "Test Author",
+      publicationDate: 1700000000,
+    };
+
+    // Each action, and the role it needs
+    const ACTIONS = {
+      mintPublication: {
+        role: "MINTER_ROLE",
+        send: (contract) =>
+          contract.mintPublication(...toMintArgs(addr1.address, PUBLICATION)),
+      },
+      mintSoulboundPublication: {
+        role: "MINTER_ROLE",
+        send: (contract) =>
+          contract.mintSoulboundPublication(
+            ...toMintArgs(addr1.address, PUBLICATION),
+            [],
+            []
+          ),
+      },
+      mintPublicationWithRoyalty: {
+        role: "MINTER_ROLE",
+        send: (contract) =>
+          contract.mintPublicationWithRoyalty(
+            ...toMintArgs(addr1.address, PUBLICATION),
             addr2.address,
-            "ipfs://QmTestHash",
-            "Test Book",
-            "Test Author",
-            Math.floor(Date.now() / 1000),
-            "10.1000/test-doi",
-            "https://metadata.example.com",
-            "https://image.example.com/cover.jpg",
-            "Test description",
-            "CC-BY-4.0",
-            "Computer Science",
-            "1.0",
-            "https://example.com/paper"
+            500,
+            [],
+            []
+          ),
+      },
+      mintPublicationWithCitations: {
+        role: "MINTER_ROLE",
+        send: (contract) =>
+          contract.mintPublicationWithCitations(
+            ...toMintArgs(addr1.address, PUBLICATION),
+            [0],
+            []
+          ),
+      },
+      addCitations: {
+        role: "MINTER_ROLE",
+        send: (contract) => contract.addCitations(0, [], ["10.1000/cited"]),
+      },
+      updatePublication: {
+        role: "METADATA_EDITOR_ROLE",
+        send: (contract) =>
+          contract.updatePublication(
+            ...toUpdateArgs(0, { ...PUBLICATION, title: "Corrected" })
+          ),
+      },
+      freeze: {
+        role: "METADATA_EDITOR_ROLE",
+        send: (contract) => contract.freeze(0),
+      },
+      setOnChainMetadata: {
+        role: "METADATA_EDITOR_ROLE",
+        send: (contract) => contract.setOnChainMetadata(true),
+      },
+      setPublicationStatus: {
+        role: "METADATA_EDITOR_ROLE",
+        send: (contract) =>
+          contract.setPublicationStatus(0, 3, "https://example.org/notice"),
+      },
+      setDefaultRoyalty: {
+        role: "DEFAULT_ADMIN_ROLE",
+        send: (contract) => contract.setDefaultRoyalty(addr2.address, 500),
+      },
+      deleteDefaultRoyalty: {
+        role: "DEFAULT_ADMIN_ROLE",
+        send: (contract) => contract.deleteDefaultRoyalty(),
+      },
+      setTokenRoyalty: {
+        role: "DEFAULT_ADMIN_ROLE",
+        send: (contract) => contract.setTokenRoyalty(0, addr2.address, 500),
+      },
+      resetTokenRoyalty: {
+        role: "DEFAULT_ADMIN_ROLE",
+        send: (contract) => contract.resetTokenRoyalty(0),
+      },
+      grantRole: {
+        role: "DEFAULT_ADMIN_ROLE",
+        send: async (contract) =>
+          contract.grantRole(await contract.MINTER_ROLE(), addr2.address),
+      },
+      revokeRole: {
+        role: "DEFAULT_ADMIN_ROLE",
+        send: async (contract) =>
+          contract.revokeRole(await contract.MINTER_ROLE(), owner.address),
+      },
+    };
+
+    // Accounts holding exactly one role, and one holding none
+    const ACCOUNTS = {
+      admin: "DEFAULT_ADMIN_ROLE",
+      minter: "MINTER_ROLE",
+      editor: "METADATA_EDITOR_ROLE",
+      outsider: null,
+    };
+
+    beforeEach(async function () {
+      [, , , admin, minter, editor, outsider] = await ethers.getSigners();
+      const accounts = { admin, minter, editor };
+      for (const [name, role] of Object.entries(ACCOUNTS)) {
+        if (role) {
+          await publicationNFT.grantRole(
+            await publicationNFT[role](),
+            accounts[name].address
+          );
+        }
+      }
+      await publicationNFT.mintPublication(
+        ...toMintArgs(addr1.address, PUBLICATION)
+      );
+    });
+
+    it("Should give the deployer every role", async function () {
+      for (const role of Object.values(ACCOUNTS).filter(Boolean)) {
+        expect(
+          await publicationNFT.hasRole(
+            await publicationNFT[role](),
+            owner.address
           )
+        ).to.equal(true);
+      }
+      expect(await publicationNFT.DEFAULT_ADMIN_ROLE()).to.equal(
+        ethers.ZeroHash
+      );
+      expect(await publicationNFT.MINTER_ROLE()).to.equal(
+        ethers.id("MINTER_ROLE")
+      );
+    });
+
+    for (const [action, { role, send }] of Object.entries(ACTIONS)) {
+      for (const [name, held] of Object.entries(ACCOUNTS)) {
+        const allowed = held === role;
+        const title = `Should ${allowed ? "let" : "not let"} the ${name} call`;
+        it(`${title} ${action}`, async function () {
+          const signer = { admin, minter, editor, outsider }[name];
+          const sent = send(publicationNFT.connect(signer));
+          if (allowed) {
+            await expect(sent).not.to.be.reverted;
+          } else {
+            await expect(sent)
+              .to.be.revertedWithCustomError(
+                publicationNFT,
+                "AccessControlUnauthorizedAccount"
+              )
+              .withArgs(signer.address, await publicationNFT[role]());
+          }
+        });
+      }
+    }
+
+    it("Should stop a revoked minter from minting", async function () {
+      const minterRole = await publicationNFT.MINTER_ROLE();
+      await publicationNFT
+        .connect(admin)
+        .revokeRole(minterRole, minter.address);
+      await expect(
+        publicationNFT
+          .connect(minter)
+          .mintPublication(...toMintArgs(minter.address, PUBLICATION))
       ).to.be.revertedWithCustomError(
         publicationNFT,
-        "OwnableUnauthorizedAccount"
+        "AccessControlUnauthorizedAccount"
+      );
+    });
+
+    it("Should report the AccessControl interface", async function () {
+      // IAccessControl, ERC-721, ERC-4906 and ERC-165
+      for (const interfaceId of [
+        "0x7965db0b",
+        "0x80ac58cd",
+        "0x49064906",
+        "0x01ffc9a7",
+      ]) {
+        expect(await publicationNFT.supportsInterface(interfaceId)).to.equal(
+          true
+        );
+      }
+      expect(await publicationNFT.supportsInterface("0xffffffff")).to.equal(
+        false
       );
     });
   });
@@ -137,7 +337,7 @@ describe("PublicationNFT", function () {
     it("Should return correct token URI", async function () {
       const uri = "ipfs://QmTestHash";
       const title = "Test Book";
-      const authors = "Test Author";
+      const authors = [["Test Author", "", ethers.ZeroAddress]];
       const publicationDate = Math.floor(Date.now() / 1000);
       const doi = "10.1000/test-doi";
       const url = "https://metadata.example.com";
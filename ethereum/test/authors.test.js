@@ -0,0 +1,271 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  orcidCheckDigit,
+  isValidOrcid,
+  parseAuthors,
+  validateAuthors,
+  formatAuthors,
+  toAuthorArgs,
+  promptAuthors,
+} = require("../lib/authors");
+const {
+  getPublication,
+  mintPublication,
+  updatePublication,
+} = require("../lib/publication-client");
+const { validatePublication } = require("../lib/publication");
+const { buildTokenMetadata } = require("../lib/metadata");
+const {
+  voucherDomain,
+  createVoucher,
+  signVoucher,
+  redeemVoucher,
+} = require("../lib/voucher");
+
+const WALLET = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+
+describe("Authors", function () {
+  it("Should check ORCID iDs with their ISO 7064 check digit", function () {
+    expect(orcidCheckDigit("000000021825009")).to.equal("7");
+    expect(orcidCheckDigit("000000021694233")).to.equal("X");
+    expect(isValidOrcid("0000-0002-1825-0097")).to.equal(true);
+    expect(isValidOrcid("https://orcid.org/0000-0002-1694-233x")).to.equal(
+      true
+    );
+    expect(isValidOrcid("0000000218250097")).to.equal(true);
+    expect(isValidOrcid("0000-0002-1825-0098")).to.equal(false);
+    expect(isValidOrcid("0000-0002-1825")).to.equal(false);
+  });
+
+  it("Should parse and format author lists", function () {
+    const authors = parseAuthors(
+      `Jane Doe (https://orcid.org/0000000218250097, ${WALLET}), John Roe`
+    );
+    expect(authors).to.deep.equal([
+      { name: "Jane Doe", orcid: "0000-0002-1825-0097", wallet: WALLET },
+      { name: "John Roe", orcid: "", wallet: "" },
+    ]);
+    expect(formatAuthors(authors)).to.equal(
+      `Jane Doe (0000-0002-1825-0097, ${WALLET}), John Roe`
+    );
+    expect(parseAuthors(formatAuthors(authors))).to.deep.equal(authors);
+
+    // Names with commas are separated by semicolons
+    const inverted = parseAuthors("Doe, Jane (0000-0002-1825-0097); Roe, John");
+    expect(inverted.map((author) => author.name)).to.deep.equal([
+      "Doe, Jane",
+      "Roe, John",
+    ]);
+    expect(formatAuthors(inverted)).to.equal(
+      "Doe, Jane (0000-0002-1825-0097); Roe, John"
+    );
+    // Parentheses that hold no identifier belong to the name
+    expect(parseAuthors("The Team (Lab A)")[0].name).to.equal(
+      "The Team (Lab A)"
+    );
+    expect(
+      parseAuthors([{ name: " Ada ", wallet: ethers.ZeroAddress }])
+    ).to.deep.equal([{ name: "Ada", orcid: "", wallet: "" }]);
+    expect(toAuthorArgs("Ada")).to.deep.equal([
+      { name: "Ada", orcid: "", wallet: ethers.ZeroAddress },
+    ]);
+  });
+
+  it("Should reject invalid authors", function () {
+    expect(
+      validateAuthors({ authors: "Jane Doe (0000-0002-1825-0098)" })
+    ).to.deep.equal([
+      'authors: Author "Jane Doe": ORCID iD 0000-0002-1825-0098 has the wrong check digit (expected 7)',
+    ]);
+    expect(
+      validateAuthors({
+        authors: "Jane Doe (0000-0002-1825-0097), John Roe (0000000218250097)",
+      })
+    ).to.deep.equal([
+      'authors: Author "John Roe": ORCID iD 0000-0002-1825-0097 is given twice',
+    ]);
+    expect(() => parseAuthors([{ orcid: "1234" }])).to.throw(
+      "Author 1 has no name"
+    );
+    expect(() => parseAuthors([{ name: "Jane Doe", orcid: "1234" }])).to.throw(
+      'Author "Jane Doe": "1234" is not an ORCID iD (expected 0000-0000-0000-000X)'
+    );
+    expect(
+      validatePublication({
+        uri: "ipfs://QmTrees",
+        title: "On Trees",
+        authors: "Jane Doe (0x1234)",
+        publicationDate: "2024-01-15",
+      })
+    ).to.deep.equal([
+      'authors: Author "Jane Doe": wallet must be an address, got 0x1234',
+    ]);
+  });
+
+  it("Should prompt for the authors one at a time", async function () {
+    const answers = [
+      "",
+      "Jane Doe",
+      "0000-0002-1825-0098",
+      "0000-0002-1825-0097",
+      "0x1234",
+      WALLET,
+      "John Roe",
+      "",
+      "",
+      "",
+    ];
+    const questions = [];
+    const logged = [];
+    const authors = await promptAuthors(
+      async (question) => {
+        questions.push(question);
+        return answers.shift();
+      },
+      {
+        isValidWallet: ethers.isAddress,
+        log: (message) => logged.push(message),
+      }
+    );
+
+    expect(authors).to.deep.equal([
+      { name: "Jane Doe", orcid: "0000-0002-1825-0097", wallet: WALLET },
+      { name: "John Roe", orcid: "", wallet: "" },
+    ]);
+    expect(answers).to.deep.equal([]);
+    expect(questions.slice(0, 3)).to.deep.equal([
+      "Author 1 name: ",
+      "Author 1 name: ",
+      "  ORCID iD (optional): ",
+    ]);
+    expect(questions[questions.length - 1]).to.equal(
+      "Author 3 name (empty to finish): "
+    );
+    expect(logged).to.deep.equal([
+      "Error: at least one author is required",
+      'Error: Author "Jane Doe": ORCID iD 0000-0002-1825-0098 has the wrong check digit (expected 7)',
+      'Error: Author "Jane Doe": wallet must be an address, got 0x1234',
+    ]);
+  });
+
+  it("Should identify authors by ORCID iD in the metadata", function () {
+    const metadata = buildTokenMetadata({
+      title: "On Trees",
+      authors: `Jane Doe (0000-0002-1825-0097, ${WALLET.toLowerCase()}), John Roe`,
+      publicationDate: "2024-01-15",
+    });
+
+    expect(metadata.authors).to.deep.equal([
+      { name: "Jane Doe", orcid: "0000-0002-1825-0097", wallet: WALLET },
+      { name: "John Roe" },
+    ]);
+    expect(metadata.attributes[0]).to.deep.equal({
+      trait_type: "Authors",
+      value: "Jane Doe, John Roe",
+    });
+    expect(metadata.json_ld.author).to.deep.equal([
+      {
+        "@type": "Person",
+        name: "Jane Doe",
+        identifier: {
+          "@type": "PropertyValue",
+          propertyID: "ORCID",
+          value: "0000-0002-1825-0097",
+        },
+        sameAs: "https://orcid.org/0000-0002-1825-0097",
+      },
+      { "@type": "Person", name: "John Roe" },
+    ]);
+  });
+
+  describe("On-chain", function () {
+    let publicationNFT;
+    let owner;
+    let author;
+
+    const PUBLICATION = {
+      uri: "ipfs://QmTrees",
+      title: "On Trees",
+      authors: [
+        { name: "Jane Doe", orcid: "0000-0002-1825-0097", wallet: WALLET },
+        { name: "John Roe" },
+      ],
+      publicationDate: "2024-01-15",
+      doi: "10.1000/trees",
+    };
+
+    beforeEach(async function () {
+      [owner, author] = await ethers.getSigners();
+      const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+      publicationNFT = await PublicationNFT.deploy(owner.address);
+      await publicationNFT.waitForDeployment();
+    });
+
+    async function creditedTokens(orcid) {
+      const logs = await publicationNFT.queryFilter(
+        publicationNFT.filters.AuthorCredited(null, orcid)
+      );
+      return logs.map((log) => [log.args.tokenId, log.args.position]);
+    }
+
+    it("Should store the authors in order and credit them in events", async function () {
+      await mintPublication(publicationNFT, author.address, PUBLICATION);
+      await mintPublication(publicationNFT, author.address, {
+        ...PUBLICATION,
+        doi: "10.1000/roots",
+        authors: "John Roe, Jane Doe (0000-0002-1825-0097)",
+      });
+
+      expect((await getPublication(publicationNFT, 0)).authors).to.deep.equal([
+        { name: "Jane Doe", orcid: "0000-0002-1825-0097", wallet: WALLET },
+        { name: "John Roe", orcid: "", wallet: "" },
+      ]);
+      expect(await creditedTokens("0000-0002-1825-0097")).to.deep.equal([
+        [0n, 0n],
+        [1n, 1n],
+      ]);
+      const byWallet = await publicationNFT.queryFilter(
+        publicationNFT.filters.AuthorCredited(null, null, WALLET)
+      );
+      expect(byWallet.map((log) => log.args.name)).to.deep.equal(["Jane Doe"]);
+
+      // Updates credit the new author list
+      await updatePublication(publicationNFT, 0, {
+        ...PUBLICATION,
+        authors: "Jane Doe (0000-0002-1825-0097)",
+      });
+      expect(
+        formatAuthors((await getPublication(publicationNFT, 0)).authors)
+      ).to.equal("Jane Doe (0000-0002-1825-0097)");
+      expect(await creditedTokens("0000-0002-1825-0097")).to.deep.equal([
+        [0n, 0n],
+        [1n, 1n],
+        [0n, 0n],
+      ]);
+    });
+
+    it("Should sign and redeem vouchers with structured authors", async function () {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = voucherDomain(chainId, await publicationNFT.getAddress());
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const signed = await signVoucher(
+        owner,
+        domain,
+        createVoucher(author.address, PUBLICATION, {
+          now: timestamp,
+          expiry: timestamp + 3600,
+        })
+      );
+
+      await redeemVoucher(publicationNFT.connect(author), signed);
+      expect((await getPublication(publicationNFT, 0)).authors).to.deep.equal([
+        { name: "Jane Doe", orcid: "0000-0002-1825-0097", wallet: WALLET },
+        { name: "John Roe", orcid: "", wallet: "" },
+      ]);
+      expect(await creditedTokens("0000-0002-1825-0097")).to.deep.equal([
+        [0n, 0n],
+      ]);
+    });
+  });
+});
@@ -0,0 +1,199 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseCsv } = require("../lib/csv");
+const { parseManifest, validateManifest, rowKey } = require("../lib/manifest");
+const { mintBatch } = require("../lib/batch");
+
+const CSV_MANIFEST = [
+  "title,authors,publication_date,doi,uri,field,version",
+  '"Paper One","Doe, John",2024-01-15,10.1000/one,ipfs://QmOne,Physics,1.0',
+  '"Paper ""Two""","Smith, Jane",1700000000,10.1000/two,ipfs://QmTwo,Biology,2',
+  '"Paper Three","Roe, Richard",2023-06-01,10.1000/three,ipfs://QmThree,Chemistry,1',
+  "",
+].join("\n");
+
+describe("Batch minting", function () {
+  describe("parseCsv", function () {
+    it("Should handle quoted commas, quotes and line breaks", function () {
+      expect(parseCsv('a,b\r\n"x, y","say ""hi""\nthere"\n')).to.deep.equal([
+        ["a", "b"],
+        ["x, y", 'say "hi"\nthere'],
+      ]);
+    });
+
+    it("Should reject an unterminated quote", function () {
+      expect(() => parseCsv('a,"b\n')).to.throw("Unterminated quoted cell");
+    });
+  });
+
+  describe("Manifests", function () {
+    it("Should map CSV columns onto publication fields", function () {
+      const rows = parseManifest(CSV_MANIFEST, "csv");
+      expect(rows).to.have.lengthOf(3);
+      expect(rows[1]).to.include({
+        title: 'Paper "Two"',
+        authors: "Smith, Jane",
+        publicationDate: "1700000000",
+        uri: "ipfs://QmTwo",
+      });
+    });
+
+    it("Should accept JSON arrays and publications objects", function () {
+      const rows = [{ title: "A", authors: "B" }];
+      expect(parseManifest(JSON.stringify(rows), "json")).to.deep.equal(rows);
+      expect(
+        parseManifest(JSON.stringify({ publications: rows }), "json")
+      ).to.deep.equal(rows);
+    });
+
+    it("Should report every invalid row before minting", function () {
+      const rows = parseManifest(CSV_MANIFEST, "csv");
+      rows[0].title = "";
+      rows[2].doi = "10.1000/ONE";
+      rows[2].to = "0x1234";
+
+      expect(
+        validateManifest(rows, "0x742d35Cc6634C0532925a3b844Bc454e4438f44e")
+      ).to.deep.equal([
+        "Row 1: title is required",
+        "Row 3: invalid recipient address 0x1234",
+        "Row 3: duplicate of row 1",
+      ]);
+    });
+
+    it("Should key rows without a DOI by title, authors and date", function () {
+      const [row] = parseManifest(CSV_MANIFEST, "csv");
+      delete row.doi;
+      const key = rowKey(row);
+      expect(key).to.match(/^sha256:[0-9a-f]{64}$/);
+      expect(rowKey({ ...row, uri: "ipfs://QmOther", field: "" })).to.equal(
+        key
+      );
+      expect(rowKey({ ...row, publicationDate: "2024-01-16" })).not.to.equal(
+        key
+      );
+    });
+  });
+
+  describe("mintBatch", function () {
+    let contract;
+    let owner;
+    let checkpointPath;
+
+    beforeEach(async function () {
+      [owner] = await ethers.getSigners();
+      const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+      contract = await PublicationNFT.deploy(owner.address);
+      await contract.waitForDeployment();
+
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pnft-batch-"));
+      checkpointPath = path.join(dir, "manifest.checkpoint.json");
+    });
+
+    it("Should mint every row and record it in the checkpoint", async function () {
+      const rows = parseManifest(CSV_MANIFEST, "csv");
+      const summary = await mintBatch(contract, rows, {
+        checkpointPath,
+        defaultRecipient: owner.address,
+      });
+
+      expect(summary.minted).to.equal(3);
+      expect(summary.skipped).to.equal(0);
+      expect(summary.gasUsed > 0n).to.equal(true);
+
+      const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, "utf8"));
+      expect(checkpoint.rows["doi:10.1000/three"]).to.include({
+        row: 3,
+        status: "minted",
+        tokenId: "2",
+      });
+    });
+
+    it("Should skip rows that were already minted when re-run", async function () {
+      const rows = parseManifest(CSV_MANIFEST, "csv");
+      await mintBatch(contract, rows.slice(0, 2), {
+        checkpointPath,
+        defaultRecipient: owner.address,
+      });
+
+      const summary = await mintBatch(contract, rows, {
+        checkpointPath,
+        defaultRecipient: owner.address,
+      });
+
+      expect(summary.minted).to.equal(1);
+      expect(summary.skipped).to.equal(2);
+      expect(await contract.balanceOf(owner.address)).to.equal(3n);
+    });
+
+    it("Should skip DOIs minted outside the checkpoint", async function () {
+      const rows = parseManifest(CSV_MANIFEST, "csv");
+      await mintBatch(contract, rows.slice(0, 2), {
+        checkpointPath,
+        defaultRecipient: owner.address,
+      });
+      fs.rmSync(checkpointPath);
+
+      const summary = await mintBatch(contract, rows, {
+        checkpointPath,
+        defaultRecipient: owner.address,
+      });
+
+      expect(summary.minted).to.equal(1);
+      expect(summary.skipped).to.equal(2);
+      expect(summary.existing).to.deep.equal([
+        { row: 1, tokenId: "0" },
+        { row: 2, tokenId: "1" },
+      ]);
+      expect(await contract.balanceOf(owner.address)).to.equal(3n);
+    });
+
+    it("Should recover a pending row from its transaction", async function () {
+      const rows = parseManifest(CSV_MANIFEST, "csv").slice(0, 1);
+      await mintBatch(contract, rows, {
+        checkpointPath,
+        defaultRecipient: owner.address,
+      });
+
+      // Simulate a crash between sending and confirmation
+      const checkpoint = JSON.parse(fs.readFileSync(checkpointPath, "utf8"));
+      const entry = checkpoint.rows["doi:10.1000/one"];
+      checkpoint.rows["doi:10.1000/one"] = {
+        row: entry.row,
+        status: "pending",
+        txHash: entry.txHash,
+      };
+      fs.writeFileSync(checkpointPath, JSON.stringify(checkpoint));
+
+      const summary = await mintBatch(contract, rows, {
+        checkpointPath,
+        defaultRecipient: owner.address,
+      });
+
+      expect(summary.minted).to.equal(1);
+      expect(summary.results[0].tokenId).to.equal("0");
+      expect(await contract.balanceOf(owner.address)).to.equal(1n);
+    });
+
+    it("Should refuse a checkpoint from another contract", async function () {
+      fs.writeFileSync(
+        checkpointPath,
+        JSON.stringify({ contract: ethers.ZeroAddress, rows: {} })
+      );
+
+      let error;
+      try {
+        await mintBatch(contract, parseManifest(CSV_MANIFEST, "csv"), {
+          checkpointPath,
+          defaultRecipient: owner.address,
+        });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.contain("belongs to contract");
+    });
+  });
+});
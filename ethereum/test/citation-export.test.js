@@ -0,0 +1,116 @@
+const { expect } = require("chai");
+const {
+  splitAuthors,
+  toIsoDate,
+  citationKey,
+  toBibtex,
+  toRis,
+  toCslJson,
+} = require("../lib/citation-export");
+const { importCitations } = require("../lib/citation-import");
+
+const PUBLICATION = {
+  title: "Trees & 100% {Forests}",
+  authors: "Jane Doe, Kurt Gödel, CERN",
+  publicationDate: 1705276800,
+  doi: "10.1000/trees_1",
+  url: "ipfs://QmTrees",
+  description: "An abstract.",
+  license: "CC-BY-4.0",
+  field: "Botany",
+  version: "2",
+};
+
+describe("Citation export", function () {
+  it("Should split authors and derive the key and ISO date", function () {
+    expect(splitAuthors(PUBLICATION.authors)).to.deep.equal([
+      { given: "Jane", family: "Doe" },
+      { given: "Kurt", family: "Gödel" },
+      { literal: "CERN" },
+    ]);
+    expect(citationKey(PUBLICATION)).to.equal("doe2024");
+    expect(citationKey({ authors: "Kurt Gödel", publicationDate: 0 })).to.equal(
+      "godel1970"
+    );
+    expect(toIsoDate(1705276800)).to.equal("2024-01-15T00:00:00.000Z");
+    expect(toIsoDate("2024-01-15")).to.equal("2024-01-15T00:00:00.000Z");
+    expect(toIsoDate("someday")).to.equal("");
+  });
+
+  it("Should format BibTeX that imports back to the same record", function () {
+    const bibtex = toBibtex(PUBLICATION, { note: "Minted" });
+    expect(bibtex).to.equal(`@misc{doe2024,
+  title = {Trees \\& 100\\% \\{Forests\\}},
+  author = {Doe, Jane and Gödel, Kurt and {CERN}},
+  date = {2024-01-15},
+  year = {2024},
+  month = jan,
+  doi = {10.1000/trees_1},
+  url = {ipfs://QmTrees},
+  abstract = {An abstract.},
+  keywords = {Botany},
+  version = {2},
+  copyright = {CC-BY-4.0},
+  note = {Minted}
+}
+`);
+
+    const [entry] = importCitations(bibtex, "bib");
+    expect(entry.errors).to.deep.equal([]);
+    expect(entry.publication).to.include({
+      authors: PUBLICATION.authors,
+      publicationDate: PUBLICATION.publicationDate,
+      doi: PUBLICATION.doi,
+      url: PUBLICATION.url,
+      license: PUBLICATION.license,
+      field: PUBLICATION.field,
+      version: PUBLICATION.version,
+    });
+  });
+
+  it("Should format RIS that imports back to the same record", function () {
+    const ris = toRis(PUBLICATION);
+    expect(ris.split("\n").slice(0, 8)).to.deep.equal([
+      "TY  - GEN",
+      "ID  - doe2024",
+      "TI  - Trees & 100% {Forests}",
+      "AU  - Doe, Jane",
+      "AU  - Gödel, Kurt",
+      "AU  - CERN",
+      "PY  - 2024",
+      "DA  - 2024/01/15/",
+    ]);
+    expect(ris.endsWith("C5  - CC-BY-4.0\nER  - \n")).to.equal(true);
+
+    const [entry] = importCitations(ris, "ris");
+    expect(entry.publication).to.include({
+      title: PUBLICATION.title,
+      authors: PUBLICATION.authors,
+      publicationDate: PUBLICATION.publicationDate,
+      description: PUBLICATION.description,
+    });
+  });
+
+  it("Should convert to CSL-JSON without empty values", function () {
+    expect(
+      toCslJson({ ...PUBLICATION, url: "", externalUrl: "https://x.org" })
+    ).to.deep.equal({
+      id: "doe2024",
+      type: "article",
+      title: PUBLICATION.title,
+      author: splitAuthors(PUBLICATION.authors),
+      issued: { "date-parts": [[2024, 1, 15]] },
+      DOI: "10.1000/trees_1",
+      URL: "https://x.org",
+      abstract: "An abstract.",
+      keyword: "Botany",
+      version: "2",
+    });
+    expect(toCslJson({ title: "Untitled" }, { key: "x" })).to.deep.equal({
+      id: "x",
+      type: "article",
+      title: "Untitled",
+      author: [],
+    });
+  });
+});
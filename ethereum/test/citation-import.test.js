@@ -0,0 +1,166 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { importCitations } = require("../lib/citation-import");
+const { parseBibtex } = require("../lib/bibtex");
+const {
+  readManifest,
+  applyUriTemplate,
+  validateManifest,
+} = require("../lib/manifest");
+
+const BIBTEX = `
+@comment{Exported from Zotero}
+@string{jcs = "Journal of Chain Studies"}
+
+@article{smith2021quantum,
+  title = {Quantum {Effects} in \\emph{Blockchains}},
+  author = {Smith, Jane and John Doe and G{\\"o}del, Kurt},
+  journal = jcs # " (Online)",
+  year = 2021,
+  month = mar,
+  doi = {https://doi.org/10.1000/XYZ123},
+  url = {https://example.com/paper},
+  abstract = {We study effects \\& more -- a lot.},
+  keywords = {Physics; Ledgers},
+  copyright = {CC-BY-4.0},
+}
+
+@misc{dataset2019,
+  title = "A Dataset",
+  author = "Lovelace, Ada",
+  date = {2019-11-05},
+  url = {https://example.com/data},
+  version = {2.1},
+}
+
+@book{toolong,
+  title = {A Book},
+  author = {Roe, Richard},
+  year = {forthcoming},
+  keywords = {Interdisciplinary Computational Social Science},
+}
+`;
+
+const RIS = `TY  - JOUR
+ID  - ris-one
+TI  - Ledgers and
+  Libraries
+AU  - Smith, Jane
+AU  - Doe, John
+PY  - 2020/05/12/
+DO  - 10.1000/RIS.1
+AB  - An abstract.
+KW  - Library Science
+ER  -
+
+TY  - BOOK
+T1  - Untitled Draft
+ER  -
+`;
+
+describe("Citation import", function () {
+  describe("BibTeX", function () {
+    it("Should resolve @string macros and concatenation", function () {
+      const [entry] = parseBibtex(BIBTEX);
+      expect(entry.type).to.equal("article");
+      expect(entry.key).to.equal("smith2021quantum");
+      expect(entry.fields.journal).to.equal("Journal of Chain Studies (Online)");
+    });
+
+    it("Should map entries onto publication fields", function () {
+      const [article, dataset] = importCitations(BIBTEX, "bib");
+
+      expect(article.errors).to.deep.equal([]);
+      expect(article.publication).to.deep.equal({
+        title: "Quantum Effects in Blockchains",
+        authors: "Jane Smith, John Doe, Kurt Gödel",
+        publicationDate: Date.UTC(2021, 2, 1) / 1000,
+        doi: "10.1000/xyz123",
+        url: "https://example.com/paper",
+        externalUrl: "https://doi.org/10.1000/xyz123",
+        description: "We study effects & more – a lot.",
+        license: "CC-BY-4.0",
+        field: "Physics",
+      });
+
+      expect(dataset.errors).to.deep.equal([]);
+      expect(dataset.publication).to.include({
+        publicationDate: Date.UTC(2019, 10, 5) / 1000,
+        url: "https://example.com/data",
+        externalUrl: "https://example.com/data",
+        version: "2.1",
+      });
+    });
+
+    it("Should report entries that can't be mapped", function () {
+      const entries = importCitations(BIBTEX, "bib");
+      expect(entries[2].key).to.equal("toolong");
+      expect(entries[2].errors).to.deep.equal([
+        'could not parse year "forthcoming"',
+        "field must be 32 bytes or less",
+      ]);
+    });
+
+    it("Should point at the line of a syntax error", function () {
+      expect(() => parseBibtex('@article{key,\n  title = Oops"\n}')).to.throw(
+        "BibTeX parse error on line 2"
+      );
+    });
+  });
+
+  describe("RIS", function () {
+    it("Should map records onto publication fields", function () {
+      const [record, draft] = importCitations(RIS, "ris");
+
+      expect(record.key).to.equal("ris-one");
+      expect(record.errors).to.deep.equal([]);
+      expect(record.publication).to.deep.equal({
+        title: "Ledgers and Libraries",
+        authors: "Jane Smith, John Doe",
+        publicationDate: Date.UTC(2020, 4, 12) / 1000,
+        doi: "10.1000/ris.1",
+        externalUrl: "https://doi.org/10.1000/ris.1",
+        description: "An abstract.",
+        field: "Library Science",
+      });
+
+      expect(draft.key).to.equal("record-2");
+      expect(draft.errors).to.deep.equal([
+        "authors is required",
+        "publicationDate is required",
+      ]);
+    });
+  });
+
+  describe("Batch manifests", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "pnft-import-"));
+    });
+
+    it("Should refuse files with unmappable entries", function () {
+      const file = path.join(dir, "library.bib");
+      fs.writeFileSync(file, BIBTEX);
+      expect(() => readManifest(file)).to.throw(
+        "toolong: could not parse year \"forthcoming\"; field must be 32 bytes or less"
+      );
+    });
+
+    it("Should fill token URIs from a template", function () {
+      const file = path.join(dir, "library.ris");
+      fs.writeFileSync(file, RIS.split("\n\n")[0]);
+
+      const rows = applyUriTemplate(
+        readManifest(file),
+        "https://meta.example.org/{key}/{row}.json"
+      );
+      expect(rows[0].uri).to.equal("https://meta.example.org/ris-one/1.json");
+      expect(
+        validateManifest(rows, "0x742d35Cc6634C0532925a3b844Bc454e4438f44e")
+      ).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,309 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { mintPublication } = require("../lib/publication-client");
+const {
+  EXTERNAL_CITATION,
+  parseReferences,
+  validateReferences,
+  addCitations,
+  getCitations,
+} = require("../lib/references");
+const {
+  buildCitationGraph,
+  formatCitationGraph,
+} = require("../lib/citation-graph");
+const { validateManifest } = require("../lib/manifest");
+const { createEthereumBackend } = require("../lib/backend");
+const { run } = require("../../cli/lib/pubnft");
+
+const { ethers } = hre;
+
+const PUBLICATION = {
+  uri: "ipfs://QmTrees",
+  title: "On Trees",
+  authors: "Doe, Jane",
+  publicationDate: "2024-01-15",
+  doi: "10.1000/trees",
+};
+
+describe("Citations", function () {
+  let publicationNFT;
+  let owner;
+  let author;
+
+  beforeEach(async function () {
+    [owner, author] = await ethers.getSigners();
+    const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+    publicationNFT = await PublicationNFT.deploy(owner.address);
+    await publicationNFT.waitForDeployment();
+    await mintPublication(publicationNFT, author.address, PUBLICATION);
+  });
+
+  it("Should parse token IDs and DOIs from references", function () {
+    expect(
+      parseReferences("0; https://doi.org/10.1000/ABC  doi:10.5555/x-1")
+    ).to.deep.equal({ tokenIds: [0n], dois: ["10.1000/abc", "10.5555/x-1"] });
+    expect(parseReferences(["12", "10.1000/abc"])).to.deep.equal({
+      tokenIds: [12n],
+      dois: ["10.1000/abc"],
+    });
+    expect(parseReferences(undefined)).to.deep.equal({
+      tokenIds: [],
+      dois: [],
+    });
+    expect(() => parseReferences("0; 00")).to.throw(
+      'Reference "00" is given twice'
+    );
+    expect(
+      validateReferences({ references: "10.1000/abc; trees" })
+    ).to.deep.equal([
+      'references: Reference "trees" is neither a token ID nor a DOI',
+    ]);
+    expect(
+      validateManifest(
+        [{ ...PUBLICATION, references: "0;10.1000/a;10.1000/A" }],
+        author.address
+      )
+    ).to.deep.equal([
+      'Row 1: references: Reference "10.1000/A" is given twice',
+    ]);
+  });
+
+  it("Should cite at mint time and append citations later", async function () {
+    const { tokenId, receipt } = await mintPublication(
+      publicationNFT,
+      author.address,
+      {
+        ...PUBLICATION,
+        title: "On Roots",
+        doi: "10.1000/roots",
+        references: "0; 10.5555/external",
+      }
+    );
+    expect(tokenId).to.equal(1n);
+    const cited = receipt.logs
+      .map((log) => publicationNFT.interface.parseLog(log))
+      .filter((log) => log && log.name === "Cited")
+      .map((log) => [...log.args]);
+    expect(cited).to.deep.equal([
+      [1n, 0n, ""],
+      [1n, EXTERNAL_CITATION, "10.5555/external"],
+    ]);
+
+    // A minted DOI is cited as its token
+    await expect(publicationNFT.addCitations(0, [], ["doi:10.1000/ROOTS"]))
+      .to.emit(publicationNFT, "Cited")
+      .withArgs(0, 1, "");
+    const { citations } = await addCitations(publicationNFT, 1, [
+      "https://doi.org/10.5555/other",
+    ]);
+    expect(citations).to.deep.equal([
+      { tokenId: 1n, citedTokenId: null, citedDoi: "10.5555/other" },
+    ]);
+
+    expect(await getCitations(publicationNFT, 1)).to.deep.equal({
+      tokenIds: [0n],
+      dois: ["10.5555/external", "10.5555/other"],
+      citedBy: [0n],
+    });
+    expect((await getCitations(publicationNFT, 0)).citedBy).to.deep.equal([1n]);
+  });
+
+  it("Should refuse invalid, duplicate and unauthorized citations", async function () {
+    await expect(publicationNFT.addCitations(0, [0], []))
+      .to.be.revertedWithCustomError(publicationNFT, "InvalidCitation")
+      .withArgs(0, 0, "");
+    await expect(publicationNFT.addCitations(0, [], [" "]))
+      .to.be.revertedWithCustomError(publicationNFT, "InvalidCitation")
+      .withArgs(0, EXTERNAL_CITATION, " ");
+    // Citing its own DOI is citing itself
+    await expect(
+      publicationNFT.addCitations(0, [], ["10.1000/TREES"])
+    ).to.be.revertedWithCustomError(publicationNFT, "InvalidCitation");
+    await expect(publicationNFT.addCitations(0, [5], []))
+      .to.be.revertedWithCustomError(publicationNFT, "ERC721NonexistentToken")
+      .withArgs(5);
+    await expect(publicationNFT.addCitations(5, [0], []))
+      .to.be.revertedWithCustomError(publicationNFT, "ERC721NonexistentToken")
+      .withArgs(5);
+
+    await publicationNFT.addCitations(0, [], ["10.5555/x"]);
+    await expect(
+      publicationNFT.addCitations(0, [], ["https://doi.org/10.5555/X"])
+    )
+      .to.be.revertedWithCustomError(publicationNFT, "DuplicateCitation")
+      .withArgs(0, EXTERNAL_CITATION, "https://doi.org/10.5555/X");
+
+    await expect(
+      publicationNFT.connect(author).addCitations(0, [], ["10.5555/y"])
+    ).to.be.revertedWithCustomError(
+      publicationNFT,
+      "AccessControlUnauthorizedAccount"
+    );
+  });
+
+  it("Should cite from royalty and soulbound mints", async function () {
+    await mintPublication(publicationNFT, author.address, {
+      ...PUBLICATION,
+      doi: "10.1000/roots",
+      references: "0; 10.5555/external",
+      royaltyReceiver: author.address,
+      royaltyBps: 500,
+    });
+    await mintPublication(
+      publicationNFT,
+      author.address,
+      { ...PUBLICATION, doi: "10.1000/leaves", references: "1" },
+      {},
+      { soulbound: true }
+    );
+
+    expect(await getCitations(publicationNFT, 1)).to.deep.equal({
+      tokenIds: [0n],
+      dois: ["10.5555/external"],
+      citedBy: [2n],
+    });
+    expect(await publicationNFT.royaltyInfo(1, 10000)).to.deep.equal([
+      author.address,
+      500n,
+    ]);
+    expect((await getCitations(publicationNFT, 2)).tokenIds).to.deep.equal([
+      1n,
+    ]);
+    expect(await publicationNFT.locked(2)).to.equal(true);
+  });
+
+  it("Should drop the citations of a burned token", async function () {
+    for (const title of ["First", "Second", "Third"]) {
+      await mintPublication(publicationNFT, author.address, {
+        ...PUBLICATION,
+        title,
+        doi: "",
+        references: "0",
+      });
+    }
+    await publicationNFT.addCitations(2, [], ["10.5555/external"]);
+    await publicationNFT.connect(author).burn(2);
+    expect((await getCitations(publicationNFT, 0)).citedBy).to.deep.equal([
+      1n,
+      3n,
+    ]);
+
+    // Burning a cited token, then a token citing it
+    await publicationNFT.addCitations(0, [3], []);
+    await publicationNFT.connect(author).burn(0);
+    await publicationNFT.connect(author).burn(1);
+    expect((await getCitations(publicationNFT, 3)).citedBy).to.deep.equal([]);
+  });
+
+  it("Should rebuild the graph from the logs as DOT and JSON", async function () {
+    const fromBlock = await ethers.provider.getBlockNumber();
+    // Cited by DOI before it is minted
+    await publicationNFT.addCitations(0, [], ["10.1000/roots"]);
+    await mintPublication(publicationNFT, author.address, {
+      ...PUBLICATION,
+      title: 'On "Roots"',
+      doi: "10.1000/roots",
+      references: "0; 10.5555/external",
+    });
+    await mintPublication(publicationNFT, author.address, {
+      ...PUBLICATION,
+      title: "On Leaves",
+      doi: "10.1000/leaves",
+      references: "1",
+    });
+    expect((await getCitations(publicationNFT, 1)).citedBy).to.deep.equal([2n]);
+    await publicationNFT.connect(author).burn(2);
+    // Burned tokens no longer cite
+    expect((await getCitations(publicationNFT, 1)).citedBy).to.deep.equal([]);
+
+    const graph = await buildCitationGraph(publicationNFT, {
+      fromBlock: fromBlock - 1,
+      batchSize: 2,
+    });
+    expect(
+      graph.nodes.map(({ id, title, burned }) => [id, title, burned])
+    ).to.deep.equal([
+      ["token:0", "On Trees", false],
+      ["token:1", 'On "Roots"', false],
+      ["token:2", "On Leaves", true],
+      ["doi:10.5555/external", undefined, undefined],
+    ]);
+    expect(
+      graph.edges.map(({ source, target }) => `${source} -> ${target}`)
+    ).to.deep.equal([
+      "token:0 -> token:1",
+      "token:1 -> token:0",
+      "token:1 -> doi:10.5555/external",
+    ]);
+
+    const dot = formatCitationGraph(graph, "dot");
+    expect(dot).to.match(/^digraph citations \{\n/);
+    expect(dot).to.include(
+      '"token:1" [label="#1 On \\"Roots\\"", tooltip="10.1000/roots"];'
+    );
+    expect(dot).to.include(
+      '"doi:10.5555/external" [label="10.5555/external", style=dashed];'
+    );
+    expect(dot).to.include(
+      '"token:2" [label="#2 On Leaves", color=gray, fontcolor=gray];'
+    );
+    expect(dot).not.to.include('"token:2" -> "token:1";');
+    expect(JSON.parse(formatCitationGraph(graph, "json")).edges).to.have.length(
+      3
+    );
+    expect(() => formatCitationGraph(graph, "svg")).to.throw(
+      'Unknown graph format "svg" (expected dot or json)'
+    );
+  });
+
+  it("Should show and add citations with pubnft", async function () {
+    const backend = createEthereumBackend({
+      hre,
+      contract: await publicationNFT.getAddress(),
+    });
+    const pubnft = async (argv, createBackend = () => backend) => {
+      const write = process.stdout.write;
+      let output = "";
+      process.stdout.write = (chunk) => {
+        output += chunk;
+        return true;
+      };
+      try {
+        await run([...argv, "--json"], { env: {}, createBackend });
+        return JSON.parse(output);
+      } finally {
+        process.stdout.write = write;
+      }
+    };
+
+    const minted = await pubnft([
+      "mint",
+      "--uri",
+      "ipfs://QmRoots",
+      "--title",
+      "On Roots",
+      "--authors",
+      "Doe, Jane",
+      "--publication-date",
+      "2024-02-01",
+      "--references",
+      "0",
+    ]);
+    expect(minted.id).to.equal("1");
+    expect(await pubnft(["cite", "1", "10.5555/external"])).to.include({
+      id: "1",
+    });
+    expect(await pubnft(["cite", "1"])).to.deep.include({
+      cites: ["0", "10.5555/external"],
+      citedBy: [],
+    });
+    expect((await pubnft(["cite", "0"])).citedBy).to.deep.equal(["1"]);
+    expect((await pubnft(["cite", "1", "trees"])).error).to.equal(
+      'Reference "trees" is neither a token ID nor a DOI'
+    );
+    expect(
+      (await pubnft(["cite", "0"], () => ({ chain: "sui" }))).error
+    ).to.equal("sui publications have no citations");
+  });
+});
@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const { parseRunOptions, parseValueFlags, toJson } = require("../lib/cli");
+
+describe("Script options", function () {
+  it("Should default to interactive, human-readable output", function () {
+    expect(parseRunOptions(["pubs.csv"], {})).to.deep.equal({
+      nonInteractive: false,
+      json: false,
+      fees: {},
+      args: ["pubs.csv"],
+    });
+  });
+
+  it("Should treat --yes and --non-interactive alike", function () {
+    for (const flag of ["--yes", "-y", "--non-interactive"]) {
+      expect(parseRunOptions([flag, "pubs.csv"], {})).to.deep.equal({
+        nonInteractive: true,
+        json: false,
+        fees: {},
+        args: ["pubs.csv"],
+      });
+    }
+  });
+
+  it("Should make --json imply non-interactive", function () {
+    expect(parseRunOptions(["pubs.csv", "--json"], {})).to.deep.equal({
+      nonInteractive: true,
+      json: true,
+      fees: {},
+      args: ["pubs.csv"],
+    });
+  });
+
+  it("Should read flags from the environment for hardhat run", function () {
+    expect(parseRunOptions([], { PUBNFT_JSON: "true" }).json).to.equal(true);
+    expect(parseRunOptions([], { PUBNFT_YES: "1" }).nonInteractive).to.equal(
+      true
+    );
+    expect(parseRunOptions([], { PUBNFT_YES: "false" }).nonInteractive).to.equal(
+      false
+    );
+  });
+
+  it("Should parse fee caps in gwei from flags or the environment", function () {
+    const options = parseRunOptions(
+      ["pubs.csv", "--max-fee", "30", "--priority-fee=1.5", "--yes"],
+      { PRIORITY_FEE_GWEI: "9" }
+    );
+    expect(options.fees).to.deep.equal({
+      maxFeePerGas: 30000000000n,
+      maxPriorityFeePerGas: 1500000000n,
+    });
+    expect(options.args).to.deep.equal(["pubs.csv"]);
+
+    expect(parseRunOptions([], { MAX_FEE_GWEI: "0.5" }).fees).to.deep.equal({
+      maxFeePerGas: 500000000n,
+    });
+    expect(() => parseRunOptions(["--max-fee", "lots"], {})).to.throw(
+      '--max-fee must be an amount in gwei, got "lots"'
+    );
+    expect(() => parseRunOptions(["--priority-fee"], {})).to.throw(
+      "--priority-fee needs a value in gwei"
+    );
+  });
+
+  it("Should split named value flags out of the arguments", function () {
+    expect(
+      parseValueFlags(
+        ["mint", "--title", "On Trees", "--image-url=ipfs://x", "0xabc"],
+        ["--title", "--image-url"]
+      )
+    ).to.deep.equal({
+      values: { title: "On Trees", imageUrl: "ipfs://x" },
+      args: ["mint", "0xabc"],
+    });
+    expect(() => parseValueFlags(["--title"], ["--title"])).to.throw(
+      "--title needs a value"
+    );
+  });
+
+  it("Should serialize bigints as decimal strings", function () {
+    expect(JSON.parse(toJson({ gasUsed: 21000n, tokenId: 0n }))).to.deep.equal({
+      gasUsed: "21000",
+      tokenId: "0",
+    });
+  });
+});
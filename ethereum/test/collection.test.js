@@ -0,0 +1,220 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  getPublicationContract,
+  mintPublication,
+  updatePublication,
+} = require("../lib/publication-client");
+const {
+  loadExportState,
+  saveExportState,
+  scanCollection,
+  collectionRecords,
+  formatCollection,
+} = require("../lib/collection");
+const { parseCsvObjects } = require("../lib/csv");
+
+describe("Collection export", function () {
+  let contract;
+  let address;
+  let owner;
+  let addr1;
+  let addr2;
+  let dir;
+  let deployBlock;
+
+  const publication = (title, authors) => ({
+    uri: `ipfs://Qm${title.replace(/\W/g, "")}`,
+    title,
+    authors,
+    publicationDate: "2024-01-15",
+    doi: `10.1000/${title.length}`,
+  });
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+    const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+    const deployed = await PublicationNFT.deploy(owner.address);
+    await deployed.waitForDeployment();
+    deployBlock = deployed.deploymentTransaction().blockNumber;
+    address = await deployed.getAddress();
+    contract = getPublicationContract(address, owner);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "pnft-export-"));
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should page through the logs and resume from the last block", async function () {
+    await mintPublication(
+      contract,
+      owner.address,
+      publication("On Trees", "Jane Doe")
+    );
+    await mintPublication(
+      contract,
+      addr1.address,
+      publication("On Rivers, Again", "John Roe")
+    );
+    await contract.connect(addr1).transferFrom(addr1.address, addr2.address, 1);
+
+    const statePath = path.join(dir, "state.json");
+    const { chainId } = await ethers.provider.getNetwork();
+    const state = loadExportState(statePath, address, Number(chainId));
+    const ranges = [];
+    const totals = await scanCollection(contract, state, {
+      fromBlock: deployBlock,
+      batchSize: 2,
+      onRange: (range, current) => {
+        ranges.push(range);
+        saveExportState(statePath, current);
+      },
+    });
+
+    expect(totals).to.include({ fromBlock: deployBlock, minted: 2 });
+    expect(ranges.map((range) => range.from)).to.deep.equal([
+      deployBlock,
+      deployBlock + 2,
+    ]);
+    const records = collectionRecords(state);
+    expect(
+      records.map((record) => [record.tokenId, record.owner])
+    ).to.deep.equal([
+      ["0", owner.address],
+      ["1", addr2.address],
+    ]);
+    expect(records[1]).to.include({
+      title: "On Rivers, Again",
+      publicationDate: "2024-01-15T00:00:00.000Z",
+      url: "ipfs://QmOnRiversAgain",
+    });
+
+    // A second run only scans the new blocks
+    await mintPublication(
+      contract,
+      addr1.address,
+      publication("On Trees II", "Jane Doe")
+    );
+    const resumed = loadExportState(statePath, address, Number(chainId));
+    const next = await scanCollection(contract, resumed, { batchSize: 100 });
+    expect(next).to.include({ fromBlock: state.lastBlock + 1, minted: 1 });
+    expect(collectionRecords(resumed)).to.have.lengthOf(3);
+
+    expect(() => loadExportState(statePath, addr1.address, 1)).to.throw(
+      `Export state ${statePath} belongs to contract ${address}`
+    );
+
+    const csv = parseCsvObjects(formatCollection(resumed, "csv"));
+    expect(csv[1]).to.include({
+      tokenId: "1",
+      owner: addr2.address,
+      title: "On Rivers, Again",
+    });
+
+    const lines = formatCollection(resumed, "jsonl").trim().split("\n");
+    expect(lines).to.have.lengthOf(3);
+    expect(JSON.parse(lines[2])).to.include({
+      tokenId: "2",
+      doi: "10.1000/11",
+    });
+
+    const bibtex = formatCollection(resumed, "bibtex", { network: "hardhat" });
+    expect(bibtex.match(/^@misc\{[^,]+/gm)).to.deep.equal([
+      "@misc{doe2024",
+      "@misc{roe2024",
+      "@misc{doe2024-2",
+    ]);
+    expect(bibtex).to.include("note = {PublicationNFT token 1 on hardhat}");
+    expect(() => formatCollection(resumed, "xml")).to.throw(
+      'Unknown export format "xml"'
+    );
+  });
+
+  it("Should export tokens burned after --to-block", async function () {
+    await mintPublication(
+      contract,
+      addr1.address,
+      publication("On Trees", "Jane Doe")
+    );
+    const toBlock = await ethers.provider.getBlockNumber();
+    await contract.connect(addr1).burn(0);
+
+    const { chainId } = await ethers.provider.getNetwork();
+    const state = loadExportState(
+      path.join(dir, "state.json"),
+      address,
+      Number(chainId)
+    );
+    await scanCollection(contract, state, { fromBlock: deployBlock, toBlock });
+    expect(collectionRecords(state)).to.have.lengthOf(1);
+    expect(state.tokens["0"]).to.deep.include({
+      owner: addr1.address,
+      burned: false,
+      publication: {
+        title: "On Trees",
+        authors: [{ name: "Jane Doe", orcid: "", wallet: "" }],
+      },
+    });
+
+    // The next run sees the burn
+    await scanCollection(contract, state);
+    expect(state.tokens["0"].burned).to.equal(true);
+    expect(collectionRecords(state)).to.deep.equal([]);
+  });
+
+  it("Should re-read tokens updated after they were exported", async function () {
+    await mintPublication(
+      contract,
+      owner.address,
+      publication("On Trees", "Jane Doe")
+    );
+    await mintPublication(
+      contract,
+      owner.address,
+      publication("On Rivers", "John Roe")
+    );
+    const { chainId } = await ethers.provider.getNetwork();
+    const state = loadExportState(
+      path.join(dir, "state.json"),
+      address,
+      Number(chainId)
+    );
+    await scanCollection(contract, state, { fromBlock: deployBlock });
+
+    await updatePublication(contract, 0, {
+      ...publication("On Trees", "Jane Doe, John Roe"),
+      version: "2",
+    });
+    await contract.setPublicationStatus(1, 3, "https://example.org/notice");
+    const totals = await scanCollection(contract, state);
+    expect(totals).to.include({ minted: 0, updated: 2 });
+    expect(state.tokens["0"].publication).to.include({ version: "2" });
+    expect(state.tokens["0"].publication.authors).to.have.lengthOf(2);
+    expect(state.tokens["1"].publication).to.include({
+      status: "retracted",
+      statusReason: "https://example.org/notice",
+    });
+
+    // Exports flag the retraction
+    const csv = parseCsvObjects(formatCollection(state, "csv"));
+    expect(
+      csv.map(({ status, statusReason }) => [status, statusReason])
+    ).to.deep.equal([
+      ["active", ""],
+      ["retracted", "https://example.org/notice"],
+    ]);
+    const lines = formatCollection(state, "jsonl").trim().split("\n");
+    expect(JSON.parse(lines[1])).to.include({
+      status: "retracted",
+      statusReason: "https://example.org/notice",
+    });
+
+    // A batch update re-reads every known token
+    await contract.setDefaultRoyalty(addr1.address, 500);
+    expect(await scanCollection(contract, state)).to.include({ updated: 2 });
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  abiHash,
+  bytecodeHash,
+  readDeployment,
+  writeDeployment,
+  resolveDeployment,
+} = require("../lib/deployments");
+const {
+  loadAbi,
+  getDeployedPublicationContract,
+} = require("../lib/publication-client");
+
+describe("Deployment registry", function () {
+  let dir;
+  let owner;
+  let address;
+  let record;
+
+  beforeEach(async function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "pnft-deployments-"));
+    [owner] = await ethers.getSigners();
+
+    const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+    const publicationNFT = await PublicationNFT.deploy(owner.address);
+    await publicationNFT.waitForDeployment();
+    address = await publicationNFT.getAddress();
+
+    record = {
+      contract: "PublicationNFT",
+      network: "hardhat",
+      chainId: 1337,
+      address,
+      abiHash: abiHash(loadAbi()),
+      bytecodeHash: bytecodeHash(await ethers.provider.getCode(address)),
+    };
+  });
+
+  it("Should resolve the recorded contract", async function () {
+    writeDeployment("hardhat", record, dir);
+    expect(readDeployment("hardhat", dir)).to.deep.equal(record);
+
+    const { contract, warnings } = await getDeployedPublicationContract(
+      "hardhat",
+      owner,
+      { dir }
+    );
+    expect(await contract.getAddress()).to.equal(address);
+    expect(
+      await contract.hasRole(await contract.DEFAULT_ADMIN_ROLE(), owner.address)
+    ).to.equal(true);
+    expect(warnings).to.deep.equal([]);
+  });
+
+  it("Should explain how to fix a missing registry entry", async function () {
+    await expect(
+      resolveDeployment("hardhat", ethers.provider, { dir })
+    ).to.be.rejectedWith('No deployment recorded for network "hardhat"');
+  });
+
+  it("Should fail when the live bytecode differs from the registry", async function () {
+    writeDeployment(
+      "hardhat",
+      { ...record, bytecodeHash: ethers.id("another contract") },
+      dir
+    );
+    await expect(
+      resolveDeployment("hardhat", ethers.provider, { dir })
+    ).to.be.rejectedWith(
+      `The contract at ${address} on hardhat does not match deployments/hardhat.json`
+    );
+  });
+
+  it("Should fail when there is no code at the recorded address", async function () {
+    writeDeployment("hardhat", { ...record, address: owner.address }, dir);
+    await expect(
+      resolveDeployment("hardhat", ethers.provider, { dir })
+    ).to.be.rejectedWith(`No contract code at ${owner.address} on hardhat`);
+  });
+
+  it("Should fail when the registry is for another chain", async function () {
+    writeDeployment("hardhat", { ...record, chainId: 1 }, dir);
+    await expect(
+      resolveDeployment("hardhat", ethers.provider, { dir })
+    ).to.be.rejectedWith("deployments/hardhat.json is for chain ID 1");
+  });
+
+  it("Should fail when the registry has no hashes to check", async function () {
+    const { abiHash: _abi, bytecodeHash: _code, ...legacy } = record;
+    writeDeployment("hardhat", legacy, dir);
+    await expect(
+      resolveDeployment("hardhat", ethers.provider, { dir })
+    ).to.be.rejectedWith(
+      "deployments/hardhat.json has no bytecodeHash or abiHash"
+    );
+  });
+
+  it("Should refuse a record marked incompatible", async function () {
+    writeDeployment(
+      "hardhat",
+      { ...record, incompatible: "it takes a string of authors." },
+      dir
+    );
+    await expect(
+      resolveDeployment("hardhat", ethers.provider, { dir })
+    ).to.be.rejectedWith(
+      `The contract at ${address} on hardhat (from deployments/hardhat.json) can't be used with these scripts: it takes a string of authors.`
+    );
+  });
+
+  it("Should fail when the compiled ABI differs", async function () {
+    writeDeployment("hardhat", { ...record, abiHash: ethers.id("[]") }, dir);
+    await expect(
+      resolveDeployment("hardhat", ethers.provider, { dir, abi: loadAbi() })
+    ).to.be.rejectedWith(
+      "The compiled ABI differs from the one recorded in deployments/hardhat.json"
+    );
+  });
+
+  it("Should let an explicit address override the registry", async function () {
+    writeDeployment("hardhat", { ...record, address: owner.address }, dir);
+    const resolved = await resolveDeployment("hardhat", ethers.provider, {
+      dir,
+      address,
+    });
+    expect(resolved.address).to.equal(address);
+    expect(resolved.warnings).to.deep.equal([
+      `The contract at ${address} on hardhat (from CONTRACT_ADDRESS) is used unchecked: with no recorded bytecodeHash and abiHash, nothing shows it runs this version of PublicationNFT.`,
+    ]);
+
+    // The recorded address keeps its checks
+    writeDeployment("hardhat", record, dir);
+    expect(
+      (await resolveDeployment("hardhat", ethers.provider, { dir, address }))
+        .warnings
+    ).to.deep.equal([]);
+  });
+});
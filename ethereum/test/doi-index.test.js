@@ -0,0 +1,138 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  findTokenByDoi,
+  mintPublication,
+} = require("../lib/publication-client");
+const { normalizeDoi, toMintArgs } = require("../lib/publication");
+
+const PUBLICATION = {
+  uri: "ipfs://QmTestHash",
+  title: "Test Book",
+  authors: "Test Author",
+  publicationDate: 1700000000,
+  doi: "10.1000/Test-DOI",
+};
+
+describe("DOI index", function () {
+  let publicationNFT;
+  let owner;
+  let addr1;
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+    const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+    publicationNFT = await PublicationNFT.deploy(owner.address);
+    await publicationNFT.waitForDeployment();
+  });
+
+  const mint = (publication) =>
+    publicationNFT.mintPublication(...toMintArgs(addr1.address, publication));
+
+  it("Should revert with DuplicateDoi for the same normalized DOI", async function () {
+    await mint(PUBLICATION);
+    const variant = "https://doi.org/DOI:10.1000/test-doi";
+
+    await expect(mint({ ...PUBLICATION, doi: variant }))
+      .to.be.revertedWithCustomError(publicationNFT, "DuplicateDoi")
+      .withArgs(variant, 0);
+
+    // Publications without a DOI are not indexed
+    await mint({ ...PUBLICATION, doi: "" });
+    await mint({ ...PUBLICATION, doi: "" });
+    expect(await publicationNFT.balanceOf(addr1.address)).to.equal(3n);
+  });
+
+  it("Should look up tokens by DOI", async function () {
+    await mint({ ...PUBLICATION, doi: "10.1000/other" });
+    await mint(PUBLICATION);
+
+    expect(await publicationNFT.tokenIdByDoi("doi:10.1000/TEST-doi")).to.equal(
+      1n
+    );
+    await expect(publicationNFT.tokenIdByDoi("10.1000/missing"))
+      .to.be.revertedWithCustomError(publicationNFT, "DoiNotFound")
+      .withArgs("10.1000/missing");
+    await expect(publicationNFT.tokenIdByDoi("")).to.be.revertedWithCustomError(
+      publicationNFT,
+      "DoiNotFound"
+    );
+
+    expect(await findTokenByDoi(publicationNFT, "10.1000/test-doi")).to.equal(
+      1n
+    );
+    expect(await findTokenByDoi(publicationNFT, "10.1000/missing")).to.equal(
+      null
+    );
+    expect(await findTokenByDoi(publicationNFT, "")).to.equal(null);
+  });
+
+  it("Should not report a DOI as free when it can't be looked up", async function () {
+    const lookup = (address) =>
+      findTokenByDoi(publicationNFT.attach(address), "10.1000/test-doi");
+
+    await expect(lookup(addr1.address)).to.be.rejectedWith(
+      `No contract code at ${addr1.address}`
+    );
+
+    // A contract without tokenIdByDoi reverts without data
+    const legacy = ethers.Wallet.createRandom().address;
+    await ethers.provider.send("hardhat_setCode", [legacy, "0x60006000fd"]);
+    await expect(lookup(legacy)).to.be.rejectedWith(
+      `The contract at ${legacy} has no tokenIdByDoi`
+    );
+  });
+
+  it("Should normalize DOIs the same way on-chain and in JS", async function () {
+    const dois = [
+      "10.1000/ABC",
+      "  https://doi.org/10.1000/x \n",
+      "HTTP://DX.DOI.ORG/10.1/Y",
+      "https://dx.doi.org/10.1/y",
+      "http://doi.org/10.1/y",
+      "doi:10.5/z",
+      "DOI:\t10.5/Z",
+      "https://doi.org/doi: 10.1/a",
+      "doi:https://doi.org/10.1/a",
+      "https://example.org/10.1/x",
+      "10.1000/ÜNÏCODE",
+      " 10.1/nbsp",
+      "\v10.1/vt\f",
+      "doi:",
+      "",
+    ];
+    for (const doi of dois) {
+      expect(await publicationNFT.normalizeDoi(doi)).to.equal(
+        normalizeDoi(doi),
+        JSON.stringify(doi)
+      );
+    }
+    expect(normalizeDoi("  https://doi.org/10.1000/X \n")).to.equal(
+      "10.1000/x"
+    );
+  });
+
+  it("Should report the existing token instead of sending a transaction", async function () {
+    const contract = publicationNFT.connect(owner);
+    await mintPublication(contract, addr1.address, PUBLICATION);
+    const nonce = await ethers.provider.getTransactionCount(owner.address);
+
+    let error;
+    try {
+      await mintPublication(contract, owner.address, {
+        ...PUBLICATION,
+        title: "Retried",
+        doi: "https://doi.org/10.1000/test-doi",
+      });
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal(
+      'DOI 10.1000/test-doi is already minted as token 0 ("Test Book")'
+    );
+    expect(error.tokenId).to.equal(0n);
+    expect(await ethers.provider.getTransactionCount(owner.address)).to.equal(
+      nonce
+    );
+  });
+});
@@ -0,0 +1,201 @@
+const { expect } = require("chai");
+const {
+  lookupDoi,
+  stripMarkup,
+  partialDateToSeconds,
+  normalizeLicense,
+} = require("../lib/doi-lookup");
+const http = require("http");
+const { fetchJson } = require("../lib/http");
+const { startMockServer } = require("./helpers/mock-server");
+
+const CROSSREF_WORK = {
+  status: "ok",
+  message: {
+    DOI: "10.1000/XYZ123",
+    title: ["Quantum <i>Effects</i> in\n  Blockchains"],
+    author: [
+      { given: "Jane", family: "Smith", sequence: "first" },
+      { given: "John", family: "Doe", sequence: "additional" },
+      { name: "The Ledger Consortium", sequence: "additional" },
+    ],
+    issued: { "date-parts": [[2021, 3]] },
+    abstract:
+      "<jats:title>Abstract</jats:title><jats:p>We study &lt;quantum&gt; effects &amp; more.</jats:p>",
+    license: [{ URL: "http://creativecommons.org/licenses/by/4.0/" }],
+    subject: [
+      "Computer Science Applications and Interdisciplinary Research",
+      "Physics",
+    ],
+  },
+};
+
+const DATACITE_RECORD = {
+  data: {
+    attributes: {
+      doi: "10.5281/zenodo.123",
+      titles: [{ title: "A Dataset of Things" }],
+      creators: [
+        {
+          name: "Lovelace, Ada",
+          nameType: "Personal",
+          givenName: "Ada",
+          familyName: "Lovelace",
+        },
+        { name: "Babbage, Charles", nameType: "Personal" },
+        { name: "CERN", nameType: "Organizational" },
+      ],
+      publicationYear: 2019,
+      dates: [{ date: "2019-11", dateType: "Issued" }],
+      descriptions: [
+        { description: "Some methods.", descriptionType: "Methods" },
+        { description: "<p>The abstract.</p>", descriptionType: "Abstract" },
+      ],
+      rightsList: [{ rightsIdentifier: "cc-by-4.0" }],
+      subjects: [{ subject: "Astronomy" }],
+      version: "2.1",
+    },
+  },
+};
+
+describe("doi-lookup", function () {
+  let server;
+
+  before(async function () {
+    server = await startMockServer({
+      "/works/10.1000/xyz123": CROSSREF_WORK,
+      "/dois/10.5281/zenodo.123": DATACITE_RECORD,
+      "/works/10.1000/broken": { status: 500, body: { error: "boom" } },
+    });
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  const options = () => ({
+    crossrefBaseUrl: server.url,
+    dataciteBaseUrl: server.url,
+  });
+
+  it("Should map Crossref metadata onto publication fields", async function () {
+    const result = await lookupDoi("https://doi.org/10.1000/XYZ123", options());
+
+    expect(result.source).to.equal("crossref");
+    expect(result.warnings).to.deep.equal([]);
+    expect(result.publication).to.deep.equal({
+      title: "Quantum Effects in Blockchains",
+      authors: "Jane Smith, John Doe, The Ledger Consortium",
+      publicationDate: Date.UTC(2021, 2, 1) / 1000,
+      doi: "10.1000/xyz123",
+      description: "We study <quantum> effects & more.",
+      license: "CC-BY-4.0",
+      field: "Physics",
+      externalUrl: "https://doi.org/10.1000/xyz123",
+    });
+  });
+
+  it("Should fall back to DataCite when Crossref doesn't know the DOI", async function () {
+    const result = await lookupDoi("doi:10.5281/zenodo.123", options());
+
+    expect(result.source).to.equal("datacite");
+    expect(result.publication).to.deep.equal({
+      title: "A Dataset of Things",
+      authors: "Ada Lovelace, Charles Babbage, CERN",
+      publicationDate: Date.UTC(2019, 10, 1) / 1000,
+      doi: "10.5281/zenodo.123",
+      description: "The abstract.",
+      license: "CC-BY-4.0",
+      field: "Astronomy",
+      version: "2.1",
+      externalUrl: "https://doi.org/10.5281/zenodo.123",
+    });
+  });
+
+  it("Should report DOIs unknown to both registries", async function () {
+    let error;
+    try {
+      await lookupDoi("10.9999/missing", options());
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal(
+      "DOI 10.9999/missing not found in Crossref or DataCite"
+    );
+    expect(server.requests.map((r) => r.path).slice(-2)).to.deep.equal([
+      "/works/10.9999%2Fmissing",
+      "/dois/10.9999%2Fmissing",
+    ]);
+  });
+
+  it("Should surface server errors instead of falling back", async function () {
+    let error;
+    try {
+      await lookupDoi("10.1000/broken", options());
+    } catch (e) {
+      error = e;
+    }
+    expect(error.statusCode).to.equal(500);
+  });
+
+  it("Should decode UTF-8 split across response chunks", async function () {
+    const body = Buffer.from(JSON.stringify({ author: "Zoë Ångström" }));
+    // Split inside the two bytes of "ë"
+    const split = body.indexOf(Buffer.from("ë")) + 1;
+    const raw = http.createServer((req, res) => {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.write(body.subarray(0, split));
+      setTimeout(() => res.end(body.subarray(split)), 20);
+    });
+    await new Promise((resolve) => raw.listen(0, "127.0.0.1", resolve));
+    try {
+      expect(
+        await fetchJson(`http://127.0.0.1:${raw.address().port}/`)
+      ).to.deep.equal({ author: "Zoë Ångström" });
+    } finally {
+      await new Promise((resolve) => raw.close(resolve));
+    }
+  });
+
+  it("Should reject strings that are not DOIs", async function () {
+    let error;
+    try {
+      await lookupDoi("not-a-doi", options());
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal("Invalid DOI: not-a-doi");
+  });
+
+  describe("normalization", function () {
+    it("Should default missing month and day of partial dates", function () {
+      expect(partialDateToSeconds([2020])).to.equal(
+        Date.UTC(2020, 0, 1) / 1000
+      );
+      expect(partialDateToSeconds("2020-07")).to.equal(
+        Date.UTC(2020, 6, 1) / 1000
+      );
+      expect(partialDateToSeconds([2020, 7, 14])).to.equal(
+        Date.UTC(2020, 6, 14) / 1000
+      );
+      expect(partialDateToSeconds([])).to.equal(undefined);
+    });
+
+    it("Should strip JATS markup", function () {
+      expect(
+        stripMarkup(
+          "<jats:sec><jats:p>First.</jats:p><jats:p>Second.</jats:p></jats:sec>"
+        )
+      ).to.equal("First. Second.");
+    });
+
+    it("Should shorten Creative Commons license URLs", function () {
+      expect(
+        normalizeLicense("https://creativecommons.org/publicdomain/zero/1.0/")
+      ).to.equal("CC0-1.0");
+      expect(normalizeLicense("https://example.com/license")).to.equal(
+        "https://example.com/license"
+      );
+    });
+  });
+});
@@ -0,0 +1,297 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  applyFeeCaps,
+  buildFeeOverrides,
+  describeFees,
+} = require("../lib/fees");
+const { mintBatch } = require("../lib/batch");
+const { createOracle, staticPriceProvider } = require("../lib/oracle");
+const {
+  SAMPLE_PUBLICATION,
+  MEASURED_GAS,
+  estimateGasOrMeasured,
+  estimateCost,
+  formatCostEstimate,
+} = require("../lib/cost");
+const { toMintArgs } = require("../lib/publication");
+
+const gwei = (value) => ethers.parseUnits(String(value), "gwei");
+
+describe("Fees", function () {
+  describe("applyFeeCaps", function () {
+    it("Should leave room for the base fee to double", function () {
+      expect(applyFeeCaps(gwei(10), gwei(2))).to.deep.equal({
+        maxFeePerGas: gwei(22),
+        maxPriorityFeePerGas: gwei(2),
+        expectedFeePerGas: gwei(12),
+      });
+    });
+
+    it("Should never exceed the caps", function () {
+      expect(
+        applyFeeCaps(gwei(10), gwei(2), { maxPriorityFeePerGas: gwei(1) })
+      ).to.deep.equal({
+        maxFeePerGas: gwei(21),
+        maxPriorityFeePerGas: gwei(1),
+        expectedFeePerGas: gwei(11),
+      });
+      expect(
+        applyFeeCaps(gwei(10), gwei(2), { maxFeePerGas: gwei(11) })
+      ).to.deep.equal({
+        maxFeePerGas: gwei(11),
+        maxPriorityFeePerGas: gwei(2),
+        expectedFeePerGas: gwei(11),
+      });
+      // The priority fee can't be above the max fee
+      expect(
+        applyFeeCaps(gwei(1), gwei(5), { maxFeePerGas: gwei(3) })
+      ).to.include({ maxPriorityFeePerGas: gwei(3) });
+    });
+  });
+
+  describe("buildFeeOverrides", function () {
+    let baseFee;
+
+    beforeEach(async function () {
+      await ethers.provider.send("evm_mine", []);
+      baseFee = (await ethers.provider.getBlock("latest")).baseFeePerGas;
+    });
+
+    it("Should price transactions from fee history", async function () {
+      const fees = await buildFeeOverrides(ethers.provider);
+
+      expect(fees.baseFee).to.be.a("bigint");
+      expect(fees.overrides.maxFeePerGas).to.equal(
+        2n * fees.baseFee + fees.overrides.maxPriorityFeePerGas
+      );
+      expect(describeFees(fees)).to.match(
+        /^⛽ Max fee: .* gwei, priority fee: /
+      );
+    });
+
+    it("Should refuse to send when the base fee is above --max-fee", async function () {
+      await expect(
+        buildFeeOverrides(ethers.provider, { maxFeePerGas: baseFee / 2n })
+      ).to.be.rejectedWith(/The current base fee \(.*\) is above --max-fee/);
+    });
+
+    it("Should check legacy gas prices against the caps", async function () {
+      const gasPrice = 5n * 10n ** 9n;
+      const legacy = {
+        send: async () => {
+          throw new Error("the method eth_feeHistory does not exist");
+        },
+        getFeeData: async () => ({ gasPrice }),
+      };
+
+      expect(
+        (await buildFeeOverrides(legacy, { maxFeePerGas: gasPrice })).overrides
+      ).to.deep.equal({ gasPrice });
+      await expect(
+        buildFeeOverrides(legacy, { maxFeePerGas: gasPrice - 1n })
+      ).to.be.rejectedWith(/The current gas price \(.*\) is above --max-fee/);
+      await expect(
+        buildFeeOverrides(legacy, { maxPriorityFeePerGas: 10n ** 9n })
+      ).to.be.rejectedWith(
+        "This network has no EIP-1559 fee history, so --priority-fee (PRIORITY_FEE_GWEI) can't be applied"
+      );
+    });
+
+    it("Should only fall back to gasPrice when eth_feeHistory is missing", async function () {
+      const gasPrice = 5n * 10n ** 9n;
+      const failing = (error) => ({
+        send: async () => {
+          throw error;
+        },
+        getFeeData: async () => ({ gasPrice }),
+      });
+
+      const missing = Object.assign(new Error("could not coalesce error"), {
+        error: { code: -32601, message: "Method not found" },
+      });
+      expect(
+        (await buildFeeOverrides(failing(missing))).overrides
+      ).to.deep.equal({ gasPrice });
+
+      const offline = Object.assign(new Error("getaddrinfo ENOTFOUND rpc"), {
+        code: "ENOTFOUND",
+      });
+      await expect(buildFeeOverrides(failing(offline))).to.be.rejectedWith(
+        "getaddrinfo ENOTFOUND rpc"
+      );
+      const timeout = Object.assign(new Error("request timeout"), {
+        code: "TIMEOUT",
+      });
+      await expect(buildFeeOverrides(failing(timeout))).to.be.rejectedWith(
+        "request timeout"
+      );
+      await expect(
+        buildFeeOverrides(failing(new Error("429 Too Many Requests")))
+      ).to.be.rejectedWith("429 Too Many Requests");
+    });
+
+    it("Should price blocks without tips at a zero priority fee", async function () {
+      const node = (reward) => ({
+        send: async () => ({
+          baseFeePerGas: ["0x3b9aca00", "0x77359400"],
+          gasUsedRatio: [0],
+          reward,
+        }),
+      });
+      for (const reward of [undefined, [], [[]]]) {
+        const fees = await buildFeeOverrides(node(reward));
+        expect(fees.overrides).to.deep.equal({
+          maxFeePerGas: gwei(4),
+          maxPriorityFeePerGas: 0n,
+        });
+      }
+    });
+
+    it("Should send batch mints within the caps", async function () {
+      const [owner] = await ethers.getSigners();
+      const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+      const contract = await PublicationNFT.deploy(owner.address);
+      await contract.waitForDeployment();
+
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pnft-fees-"));
+      const caps = {
+        maxFeePerGas: baseFee * 2n,
+        maxPriorityFeePerGas: 1n,
+      };
+      const summary = await mintBatch(
+        contract,
+        [
+          {
+            uri: "ipfs://QmFee",
+            title: "Capped",
+            authors: "Doe, John",
+            publicationDate: 1700000000,
+          },
+        ],
+        {
+          checkpointPath: path.join(dir, "checkpoint.json"),
+          defaultRecipient: owner.address,
+          overrides: async () =>
+            (
+              await buildFeeOverrides(ethers.provider, caps)
+            ).overrides,
+        }
+      );
+
+      const tx = await ethers.provider.getTransaction(
+        summary.results[0].txHash
+      );
+      expect(tx.maxFeePerGas <= caps.maxFeePerGas).to.equal(true);
+      expect(tx.maxPriorityFeePerGas <= caps.maxPriorityFeePerGas).to.equal(
+        true
+      );
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe("estimateCost", function () {
+    const oracle = createOracle({
+      gasProviders: [
+        {
+          name: "test",
+          getGasPrices: async () => ({
+            safe: 11,
+            proposed: 12,
+            fast: 15,
+            baseFee: 10,
+            priorityFees: { safe: 1, proposed: 2, fast: 5 },
+          }),
+        },
+      ],
+      priceProviders: [staticPriceProvider({ ETH: 1000 })],
+    });
+
+    it("Should show the worst case under maxFeePerGas", async function () {
+      const estimate = await estimateCost(1000000n, oracle);
+
+      expect(estimate.costs.proposed).to.deep.equal({
+        gwei: 12,
+        eth: 0.012,
+        usd: 12,
+        maxGwei: 22,
+        maxEth: 0.022,
+        maxUsd: 22,
+      });
+      expect(formatCostEstimate(estimate, "minting")).to.include(
+        "   Standard: 0.0120 ETH ($12.00), at most 0.0220 ETH ($22.00) at max fee 22.00gwei"
+      );
+    });
+
+    it("Should apply --max-fee and --priority-fee caps", async function () {
+      const estimate = await estimateCost(1000000n, oracle, {
+        maxFeePerGas: gwei(15),
+        maxPriorityFeePerGas: gwei(3),
+      });
+
+      expect(estimate.costs.fast).to.include({ gwei: 13, maxGwei: 15 });
+      expect(estimate.belowBaseFee).to.equal(false);
+
+      const capped = await estimateCost(1000000n, oracle, {
+        maxFeePerGas: gwei(5),
+      });
+      expect(capped.belowBaseFee).to.equal(true);
+    });
+
+    it("Should keep the measured gas in line with the contract", async function () {
+      const [owner] = await ethers.getSigners();
+      const factory = await ethers.getContractFactory("PublicationNFT");
+      const deployment = await ethers.provider.estimateGas(
+        await factory.getDeployTransaction(owner.address)
+      );
+      const contract = await factory.deploy(owner.address);
+      const mint = await contract.mintPublication.estimateGas(
+        ...toMintArgs(owner.address, SAMPLE_PUBLICATION)
+      );
+
+      // Update MEASURED_GAS in lib/cost.js when the contract changes
+      expect({ deployment, mint }).to.deep.equal(MEASURED_GAS);
+    });
+
+    it("Should only take the measured gas when the node can't estimate", async function () {
+      const failing = (error) => async () => {
+        throw error;
+      };
+      expect(await estimateGasOrMeasured(async () => 21000n, 1n)).to.deep.equal(
+        { gas: 21000n, measured: false }
+      );
+      expect(
+        await estimateGasOrMeasured(
+          failing({ error: { code: -32601, message: "Method not found" } }),
+          MEASURED_GAS.mint
+        )
+      ).to.deep.equal({ gas: MEASURED_GAS.mint, measured: true });
+
+      const [owner] = await ethers.getSigners();
+      const contract = await (
+        await ethers.getContractFactory("PublicationNFT")
+      ).deploy(owner.address);
+      await contract.mintPublication(
+        ...toMintArgs(owner.address, SAMPLE_PUBLICATION)
+      );
+      await expect(
+        estimateGasOrMeasured(
+          () =>
+            contract.mintPublication.estimateGas(
+              ...toMintArgs(owner.address, SAMPLE_PUBLICATION)
+            ),
+          MEASURED_GAS.mint
+        )
+      ).to.be.rejectedWith("DuplicateDoi");
+      await expect(
+        estimateGasOrMeasured(
+          failing(new Error("getaddrinfo ENOTFOUND rpc.example.org")),
+          MEASURED_GAS.mint
+        )
+      ).to.be.rejectedWith("ENOTFOUND");
+    });
+  });
+});
@@ -0,0 +1,61 @@
+const http = require("http");
+
+/**
+ * Start a local HTTP server answering JSON requests from a route table
+ * @param {Object} routes - Map of "METHOD /path" or "/path" to a handler
+ *   returning { status, body } (or just the body), or to a static value
+ * @returns {Promise<Object>} { url, requests, close }
+ */
+async function startMockServer(routes) {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => {
+      raw += chunk;
+    });
+    req.on("end", async () => {
+      const url = new URL(req.url, "http://localhost");
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        body: raw ? JSON.parse(raw) : undefined,
+      };
+      requests.push(request);
+
+      const route =
+        routes[`${req.method} ${decodeURIComponent(url.pathname)}`] ||
+        routes[decodeURIComponent(url.pathname)];
+      let status = 404;
+      let body = { error: "not found" };
+
+      if (route !== undefined) {
+        const result =
+          typeof route === "function" ? await route(request) : route;
+        if (result && result.status !== undefined && "body" in result) {
+          ({ status, body } = result);
+        } else {
+          status = 200;
+          body = result;
+        }
+      }
+
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+module.exports = {
+  startMockServer,
+};
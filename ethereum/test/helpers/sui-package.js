@@ -0,0 +1,39 @@
+/**
+ * The normalized publication_nft::mint (and mint_soulbound) the Sui JSON-RPC
+ * returns for the current package, for fake clients
+ * @param {Object} options - { legacy: mint as first published, with the
+ *   authors as one string }
+ * @returns {Object} getNormalizedMoveFunction result
+ */
+function normalizedMintFunction(options = {}) {
+  const struct = (address, module, name) => ({
+    Struct: { address, module, name, typeArguments: [] },
+  });
+  const string = struct("0x1", "string", "String");
+  const authors = options.legacy
+    ? [string]
+    : [{ Vector: string }, { Vector: string }, { Vector: "Address" }];
+  return {
+    visibility: "Public",
+    isEntry: false,
+    typeParameters: [],
+    parameters: [
+      string,
+      ...authors,
+      "U64",
+      string,
+      { Vector: "U8" },
+      { Vector: "U8" },
+      string,
+      string,
+      string,
+      string,
+      { Vector: "U8" },
+      "Address",
+      { MutableReference: struct("0x2", "tx_context", "TxContext") },
+    ],
+    return: [],
+  };
+}
+
+module.exports = { normalizedMintFunction };
@@ -0,0 +1,292 @@
+const { expect } = require("chai");
+const { ethers, network } = require("hardhat");
+const {
+  getPublicationContract,
+  mintPublication,
+} = require("../lib/publication-client");
+const { setPublicationStatus } = require("../lib/status");
+const { openStore, createIndexer, createApiServer } = require("../lib/indexer");
+const { fetchJson } = require("../lib/http");
+
+describe("Indexer", function () {
+  let contract;
+  let owner;
+  let addr1;
+  let addr2;
+  let store;
+  let deployBlock;
+
+  const publication = (title, authors, extra = {}) => ({
+    uri: `ipfs://Qm${title.replace(/\W/g, "")}`,
+    title,
+    authors,
+    publicationDate: "2024-01-15",
+    ...extra,
+  });
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await ethers.getSigners();
+    const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+    const deployed = await PublicationNFT.deploy(owner.address);
+    await deployed.waitForDeployment();
+    deployBlock = deployed.deploymentTransaction().blockNumber;
+    contract = getPublicationContract(await deployed.getAddress(), owner);
+    store = await openStore();
+  });
+
+  afterEach(function () {
+    store.close();
+  });
+
+  async function mintSamples() {
+    await mintPublication(
+      contract,
+      owner.address,
+      publication("On Trees", "Jane Doe (0000-0002-1825-0097), John Roe", {
+        doi: "10.1000/Trees",
+        field: "Botany",
+      })
+    );
+    await mintPublication(
+      contract,
+      addr1.address,
+      publication("On Rivers", "John Doe", { field: "Hydrology" })
+    );
+    await mintPublication(
+      contract,
+      addr1.address,
+      publication("On Stones", "Ann Smith", { field: "botany" })
+    );
+    await contract.connect(addr1).transferFrom(addr1.address, addr2.address, 1);
+  }
+
+  it("Should index mints and transfers and search them", async function () {
+    await mintSamples();
+    const indexer = createIndexer({
+      contract,
+      store,
+      startBlock: deployBlock,
+      batchSize: 2,
+    });
+
+    const result = await indexer.sync();
+    expect(result).to.include({ fromBlock: deployBlock, reorg: null });
+    // Three RoleGranted, three mints (Transfer, MetadataUpdate,
+    // PublicationMinted and an AuthorCredited per author each) and a Transfer
+    expect(result.events).to.equal(17);
+
+    const titles = (filters) =>
+      store
+        .findPublications(filters)
+        .publications.map((record) => record.title);
+    expect(titles({ author: "DOE" })).to.deep.equal(["On Trees", "On Rivers"]);
+    expect(titles({ doi: "https://doi.org/10.1000/trees" })).to.deep.equal([
+      "On Trees",
+    ]);
+    expect(titles({ field: "Botany" })).to.deep.equal([
+      "On Trees",
+      "On Stones",
+    ]);
+    expect(titles({ owner: addr2.address.toLowerCase() })).to.deep.equal([
+      "On Rivers",
+    ]);
+    expect(titles({ author: "%" })).to.deep.equal([]);
+    expect(
+      titles({ orcid: "https://orcid.org/0000-0002-1825-0097" })
+    ).to.deep.equal(["On Trees"]);
+    expect(titles({ orcid: "0000-0001-5109-3700" })).to.deep.equal([]);
+    expect(store.findPublications({ limit: 1, offset: 1 })).to.deep.include({
+      total: 3,
+    });
+    expect(store.getPublication("1")).to.include({
+      tokenId: "1",
+      owner: addr2.address,
+      publicationDate: 1705276800,
+      burned: false,
+    });
+    expect(store.getPublication("0").authors).to.deep.equal([
+      { name: "Jane Doe", orcid: "0000-0002-1825-0097", wallet: "" },
+      { name: "John Roe", orcid: "", wallet: "" },
+    ]);
+
+    // Nothing new to index
+    const again = await indexer.sync();
+    expect(again).to.include({ fromBlock: result.toBlock + 1, events: 0 });
+
+    const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+    const other = await PublicationNFT.deploy(owner.address);
+    await expect(
+      createIndexer({
+        contract: getPublicationContract(await other.getAddress(), owner),
+        store,
+      }).sync()
+    ).to.be.rejectedWith("Indexer database belongs to contract");
+  });
+
+  it("Should roll back blocks replaced by a reorg", async function () {
+    await mintPublication(
+      contract,
+      owner.address,
+      publication("On Trees", "Jane Doe")
+    );
+    const indexer = createIndexer({ contract, store, startBlock: deployBlock });
+    await indexer.sync();
+
+    const snapshot = await network.provider.send("evm_snapshot");
+    await mintPublication(
+      contract,
+      owner.address,
+      publication("Orphaned", "Nobody")
+    );
+    await contract.transferFrom(owner.address, addr1.address, 0);
+    await indexer.sync();
+    expect(store.getPublication("1").title).to.equal("Orphaned");
+    expect(store.getPublication("0").owner).to.equal(addr1.address);
+
+    // Replace the last two blocks with a longer chain
+    await network.provider.send("evm_revert", [snapshot]);
+    await mintPublication(
+      contract,
+      addr2.address,
+      publication("Canonical", "Jane Roe")
+    );
+    await network.provider.send("hardhat_mine", ["0x2"]);
+
+    const result = await indexer.sync();
+    expect(result.reorg).to.deep.equal({
+      toBlock: deployBlock + 1,
+      tokens: 1,
+    });
+    expect(store.getPublication("0").owner).to.equal(owner.address);
+    expect(store.getPublication("1")).to.include({
+      title: "Canonical",
+      owner: addr2.address,
+    });
+    expect(store.findPublications({ author: "nobody" }).total).to.equal(0);
+  });
+
+  it("Should answer the query API", async function () {
+    await mintSamples();
+    await createIndexer({ contract, store, startBlock: deployBlock }).sync();
+
+    const server = createApiServer(store);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    const status = async (path) => {
+      try {
+        await fetchJson(`${url}${path}`);
+        return 200;
+      } catch (error) {
+        return error.statusCode;
+      }
+    };
+
+    try {
+      const list = await fetchJson(
+        `${url}/publications?author=doe&field=botany`
+      );
+      expect(list).to.include({ total: 1, limit: 100, offset: 0 });
+      expect(list.publications[0]).to.include({
+        tokenId: "0",
+        doi: "10.1000/Trees",
+      });
+
+      const token = await fetchJson(`${url}/publications/1`);
+      expect(token).to.include({ title: "On Rivers", owner: addr2.address });
+
+      const owned = await fetchJson(
+        `${url}/owners/${addr1.address.toLowerCase()}`
+      );
+      expect(owned).to.include({ owner: addr1.address, total: 1 });
+      expect(owned.publications[0].title).to.equal("On Stones");
+
+      const { chainId } = await ethers.provider.getNetwork();
+      expect(await fetchJson(`${url}/status`)).to.include({
+        contract: await contract.getAddress(),
+        chainId: Number(chainId),
+      });
+
+      expect(await status("/publications/99")).to.equal(404);
+      expect(await status("/publications/abc")).to.equal(400);
+      expect(await status("/publications?limit=5000")).to.equal(400);
+      expect(await status("/owners/0x1234")).to.equal(400);
+      expect(
+        (await fetchJson(`${url}/publications?orcid=0000000218250097`)).total
+      ).to.equal(1);
+      expect(await status("/publications?orcid=0000-0002-1825-0098")).to.equal(
+        400
+      );
+      expect(await status("/tokens")).to.equal(404);
+      expect(await status("/publications/%E0%A4%A")).to.equal(400);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  it("Should record tokens burned past the indexed blocks", async function () {
+    await mintSamples();
+    const indexer = createIndexer({ contract, store, startBlock: deployBlock });
+    const indexedBlock = await ethers.provider.getBlockNumber();
+    await contract.connect(addr1).burn(2);
+
+    await indexer.sync({ toBlock: indexedBlock });
+    expect(store.getPublication("2")).to.include({
+      owner: null,
+      burned: true,
+    });
+    // Left out of the tokens read again on the next sync
+    expect(store.tokenIdsWithoutStatus()).to.deep.equal([]);
+
+    await indexer.sync();
+    expect(store.getPublication("2")).to.include({ burned: true });
+    expect(store.tokenIds()).to.deep.equal(["0", "1"]);
+  });
+
+  it("Should serve the status of retracted publications", async function () {
+    await mintSamples();
+    const indexer = createIndexer({ contract, store, startBlock: deployBlock });
+    await indexer.sync();
+    await setPublicationStatus(
+      contract,
+      0,
+      "retracted",
+      "https://example.org/retraction"
+    );
+    // Re-read after it was burned, so it is left out
+    await setPublicationStatus(contract, 2, "corrected", "Erratum");
+    await contract.connect(addr1).burn(2);
+    await indexer.sync();
+    expect(store.getPublication("2")).to.include({
+      burned: true,
+      status: "active",
+    });
+
+    const server = createApiServer(store);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${server.address().port}`;
+    try {
+      expect(await fetchJson(`${url}/publications/0`)).to.include({
+        status: "retracted",
+        statusReason: "https://example.org/retraction",
+      });
+      expect(await fetchJson(`${url}/publications/1`)).to.include({
+        status: "active",
+        statusReason: "",
+      });
+
+      const titles = async (query) =>
+        (await fetchJson(`${url}/publications?${query}`)).publications.map(
+          (record) => record.title
+        );
+      expect(await titles("status=active")).to.deep.equal(["On Rivers"]);
+      expect(await titles("status=Retracted&field=botany")).to.deep.equal([
+        "On Trees",
+      ]);
+      await expect(
+        fetchJson(`${url}/publications?status=withdrawn`)
+      ).to.be.rejected.and.eventually.include({ statusCode: 400 });
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,134 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const {
+  buildTokenMetadata,
+  writeTokenMetadata,
+  attachTokenMetadata,
+} = require("../lib/metadata");
+
+const PUBLICATION = {
+  title: "Quantum Effects in Blockchains",
+  authors: "Jane Smith, John Doe",
+  publicationDate: "2021-03-01",
+  doi: "https://doi.org/10.1000/XYZ123",
+  imageUrl: "ipfs://QmCover",
+  description: "We study effects.",
+  license: "CC-BY-4.0",
+  field: "Physics",
+  version: "1.0",
+};
+
+describe("Token metadata", function () {
+  it("Should build ERC-721 metadata with attributes", function () {
+    const metadata = buildTokenMetadata(PUBLICATION);
+
+    expect(metadata).to.include({
+      name: "Quantum Effects in Blockchains",
+      description: "We study effects.",
+      image: "ipfs://QmCover",
+      external_url: "https://doi.org/10.1000/xyz123",
+    });
+    expect(metadata.attributes).to.deep.equal([
+      { trait_type: "Authors", value: "Jane Smith, John Doe" },
+      { trait_type: "DOI", value: "10.1000/xyz123" },
+      { trait_type: "License", value: "CC-BY-4.0" },
+      { trait_type: "Field", value: "Physics" },
+      { trait_type: "Version", value: "1.0" },
+      {
+        display_type: "date",
+        trait_type: "Publication Date",
+        value: Date.UTC(2021, 2, 1) / 1000,
+      },
+    ]);
+  });
+
+  it("Should embed a schema.org ScholarlyArticle", function () {
+    const { json_ld: article } = buildTokenMetadata({
+      ...PUBLICATION,
+      externalUrl: "https://example.com/paper",
+    });
+
+    expect(article).to.deep.equal({
+      "@context": "https://schema.org",
+      "@type": "ScholarlyArticle",
+      name: "Quantum Effects in Blockchains",
+      headline: "Quantum Effects in Blockchains",
+      author: [
+        { "@type": "Person", name: "Jane Smith" },
+        { "@type": "Person", name: "John Doe" },
+      ],
+      datePublished: "2021-03-01",
+      abstract: "We study effects.",
+      image: "ipfs://QmCover",
+      url: "https://example.com/paper",
+      license: "CC-BY-4.0",
+      about: "Physics",
+      version: "1.0",
+      identifier: {
+        "@type": "PropertyValue",
+        propertyID: "DOI",
+        value: "10.1000/xyz123",
+      },
+      sameAs: "https://doi.org/10.1000/xyz123",
+    });
+  });
+
+  it("Should leave out empty attributes", function () {
+    const metadata = buildTokenMetadata({
+      title: "Draft",
+      authors: "Ada Lovelace",
+      publicationDate: 0,
+    });
+    expect(metadata.external_url).to.equal("");
+    expect(metadata.attributes.map((a) => a.trait_type)).to.deep.equal([
+      "Authors",
+      "Publication Date",
+    ]);
+    expect(metadata.json_ld).to.not.have.property("identifier");
+  });
+
+  describe("Files", function () {
+    let dir;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "pnft-metadata-"));
+    });
+
+    it("Should write the JSON next to its SHA-256 hash", function () {
+      const written = writeTokenMetadata(PUBLICATION, dir);
+      const content = fs.readFileSync(written.path);
+
+      expect(written.fileName).to.equal("10.1000-xyz123.json");
+      expect(JSON.parse(content)).to.deep.equal(written.metadata);
+      expect(written.hash).to.equal(
+        crypto.createHash("sha256").update(content).digest("hex")
+      );
+      expect(fs.readFileSync(`${written.path}.sha256`, "utf8")).to.equal(
+        `${written.hash}  10.1000-xyz123.json\n`
+      );
+    });
+
+    it("Should fill missing token URIs from generated files", function () {
+      const rows = attachTokenMetadata(
+        [
+          { ...PUBLICATION, uri: "ipfs://QmExisting" },
+          { title: "A Dataset", authors: "Ada Lovelace", publicationDate: 1 },
+        ],
+        { dir, baseUri: "https://meta.example.org/pubs/" }
+      );
+
+      expect(rows[0].uri).to.equal("ipfs://QmExisting");
+      expect(rows[1].uri).to.equal(
+        "https://meta.example.org/pubs/a-dataset.json"
+      );
+      expect(rows[1].metadataHash).to.match(/^[0-9a-f]{64}$/);
+      expect(fs.readdirSync(dir).sort()).to.deep.equal([
+        "a-dataset.json",
+        "a-dataset.json.sha256",
+      ]);
+    });
+  });
+});
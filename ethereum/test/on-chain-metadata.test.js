@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mintPublication } = require("../lib/publication-client");
+const { buildTokenMetadata, decodeDataUri } = require("../lib/metadata");
+const { validatePublication } = require("../lib/publication");
+
+const PUBLICATION = {
+  uri: "ipfs://QmTestHash",
+  title: "Test Book",
+  // The wallet is rendered checksummed
+  authors:
+    "Test Author (0000-0002-1825-0097, 0x70997970c51812dc3a010c7d01b50e0d17dc79c8), Second Author",
+  publicationDate: 1700000000,
+  doi: "10.1000/test-doi",
+  imageUrl: "https://image.example.com/cover.jpg",
+  description: "Test description",
+  license: "CC-BY-4.0",
+  field: "Computer Science",
+  version: "1.0",
+  externalUrl: "https://example.com/paper",
+};
+
+// Shape every rendered document must have (ERC-721 metadata JSON schema)
+function expectMetadataSchema(metadata) {
+  expect(metadata).to.have.all.keys(
+    "name",
+    "description",
+    "image",
+    "external_url",
+    "authors",
+    "attributes"
+  );
+  for (const key of ["name", "description", "image", "external_url"]) {
+    expect(metadata[key]).to.be.a("string");
+  }
+  expect(metadata.authors).to.be.an("array");
+  for (const author of metadata.authors) {
+    expect(author).to.include.keys("name");
+    for (const value of Object.values(author)) {
+      expect(value).to.be.a("string");
+    }
+  }
+  expect(metadata.attributes).to.be.an("array");
+  for (const attribute of metadata.attributes) {
+    expect(attribute.trait_type).to.be.a("string");
+    if (attribute.display_type === "date") {
+      expect(attribute.value).to.be.a("number");
+    } else {
+      expect(attribute).to.have.all.keys("trait_type", "value");
+      expect(attribute.value).to.be.a("string");
+    }
+  }
+}
+
+describe("On-chain metadata", function () {
+  let publicationNFT;
+  let owner;
+  let addr1;
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+    const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+    publicationNFT = await PublicationNFT.deploy(owner.address);
+    await publicationNFT.waitForDeployment();
+  });
+
+  async function renderedMetadata(publication) {
+    const { tokenId } = await mintPublication(
+      publicationNFT,
+      addr1.address,
+      publication
+    );
+    const uri = await publicationNFT.tokenURI(tokenId);
+    expect(uri).to.match(/^data:application\/json;base64,/);
+    const metadata = decodeDataUri(uri);
+    expectMetadataSchema(metadata);
+    return metadata;
+  }
+
+  it("Should keep the stored URI until enabled", async function () {
+    await mintPublication(publicationNFT, addr1.address, PUBLICATION);
+    expect(await publicationNFT.tokenURI(0)).to.equal("ipfs://QmTestHash");
+
+    await expect(publicationNFT.setOnChainMetadata(true))
+      .to.emit(publicationNFT, "OnChainMetadataSet")
+      .withArgs(true)
+      .and.to.emit(publicationNFT, "BatchMetadataUpdate")
+      .withArgs(0, ethers.MaxUint256);
+    expect(await publicationNFT.tokenURI(0)).to.match(/^data:/);
+
+    await publicationNFT.setOnChainMetadata(false);
+    expect(await publicationNFT.tokenURI(0)).to.equal("ipfs://QmTestHash");
+  });
+
+  it("Should only allow metadata editors to switch modes", async function () {
+    await expect(publicationNFT.connect(addr1).setOnChainMetadata(true))
+      .to.be.revertedWithCustomError(
+        publicationNFT,
+        "AccessControlUnauthorizedAccount"
+      )
+      .withArgs(addr1.address, await publicationNFT.METADATA_EDITOR_ROLE());
+  });
+
+  it("Should render the same document as the off-chain generator", async function () {
+    await publicationNFT.setOnChainMetadata(true);
+    const metadata = await renderedMetadata(PUBLICATION);
+
+    const { json_ld: _, ...expected } = buildTokenMetadata(PUBLICATION);
+    expect(metadata).to.deep.equal(expected);
+    expect(metadata.authors).to.deep.equal([
+      {
+        name: "Test Author",
+        orcid: "0000-0002-1825-0097",
+        wallet: "0x70997970C51812dc3A010C7d01b50e0d17dc79C8",
+      },
+      { name: "Second Author" },
+    ]);
+  });
+
+  it("Should escape quotes, backslashes and control characters", async function () {
+    await publicationNFT.setOnChainMetadata(true);
+    const title = 'The "Quoted" C:\\Path\\ and a\ttab\nnewline';
+    const description = "Ends with a backslash \\";
+    const metadata = await renderedMetadata({
+      ...PUBLICATION,
+      title,
+      description,
+    });
+
+    expect(metadata.name).to.equal(title);
+    expect(metadata.description).to.equal(description);
+  });
+
+  it("Should keep unicode intact", async function () {
+    await publicationNFT.setOnChainMetadata(true);
+    const metadata = await renderedMetadata({
+      ...PUBLICATION,
+      title: "Gödel, Escher, Bach — 日本語 🧬",
+      authors: "Kurt Gödel, Zoë Ångström",
+      field: "Théorie",
+    });
+
+    expect(metadata.name).to.equal("Gödel, Escher, Bach — 日本語 🧬");
+    expect(metadata.attributes).to.deep.include({
+      trait_type: "Authors",
+      value: "Kurt Gödel, Zoë Ångström",
+    });
+    expect(metadata.attributes).to.deep.include({
+      trait_type: "Field",
+      value: "Théorie",
+    });
+  });
+
+  it("Should render tokens minted without a URI and skip empty attributes", async function () {
+    await publicationNFT.mintPublication(
+      addr1.address,
+      "",
+      "Draft",
+      [["Ada Lovelace", "", ethers.ZeroAddress]],
+      0,
+      "10.1000/draft",
+      "",
+      "",
+      "",
+      "",
+      "",
+      "",
+      ""
+    );
+
+    const metadata = decodeDataUri(await publicationNFT.tokenURI(0));
+    expectMetadataSchema(metadata);
+    expect(metadata.external_url).to.equal("https://doi.org/10.1000/draft");
+    expect(metadata.authors).to.deep.equal([{ name: "Ada Lovelace" }]);
+    expect(metadata.attributes).to.deep.equal([
+      { trait_type: "Authors", value: "Ada Lovelace" },
+      { trait_type: "DOI", value: "10.1000/draft" },
+      { display_type: "date", trait_type: "Publication Date", value: 0 },
+    ]);
+  });
+
+  it("Should mint records with an empty URI through the client", async function () {
+    const metadata = await renderedMetadata({ ...PUBLICATION, uri: "" });
+    expect(metadata.name).to.equal("Test Book");
+    expect(validatePublication({ ...PUBLICATION, uri: "" })).to.deep.equal([]);
+    // Left out, the URI is still asked for
+    const withoutUri = { ...PUBLICATION };
+    delete withoutUri.uri;
+    expect(validatePublication(withoutUri)).to.deep.equal(["uri is required"]);
+  });
+});
@@ -0,0 +1,318 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createOracle,
+  createOracleFromEnv,
+  feeHistoryGasProvider,
+  etherscanGasProvider,
+  coingeckoPriceProvider,
+  staticGasProvider,
+  staticPriceProvider,
+} = require("../lib/oracle");
+const { estimateCost, formatCostEstimate } = require("../lib/cost");
+const { startMockServer } = require("./helpers/mock-server");
+
+const GWEI = 1000000000n;
+
+const ETHERSCAN_RESPONSE = {
+  status: "1",
+  message: "OK",
+  result: {
+    SafeGasPrice: "3.5",
+    ProposeGasPrice: "4",
+    FastGasPrice: "6.25",
+    suggestBaseFee: "3.2",
+    gasUsedRatio: "0.4,0.6",
+  },
+};
+
+describe("oracle", function () {
+  let server;
+  let up;
+
+  before(async function () {
+    server = await startMockServer({
+      "/api": () =>
+        up
+          ? ETHERSCAN_RESPONSE
+          : { status: 200, body: { status: "0", result: "Max rate limit reached" } },
+      "/simple/price": (request) =>
+        up
+          ? { [request.query.ids]: { usd: request.query.ids === "sui" ? 2.5 : 3000 } }
+          : { status: 503, body: { error: "unavailable" } },
+    });
+  });
+
+  after(async function () {
+    await server.close();
+  });
+
+  beforeEach(function () {
+    up = true;
+    server.requests.length = 0;
+  });
+
+  const liveOracle = (options = {}) =>
+    createOracle({
+      gasProviders: [
+        etherscanGasProvider({ baseUrl: `${server.url}/api`, apiKey: "KEY" }),
+        staticGasProvider(),
+      ],
+      priceProviders: [
+        coingeckoPriceProvider({ baseUrl: server.url }),
+        staticPriceProvider(),
+      ],
+      ...options,
+    });
+
+  describe("providers", function () {
+    it("Should derive gas tiers from eth_feeHistory", async function () {
+      const rpc = {
+        send: async (method, params) => {
+          expect(method).to.equal("eth_feeHistory");
+          expect(params).to.deep.equal(["0x2", "latest", [10, 50, 90]]);
+          return {
+            baseFeePerGas: ["0x0", "0x0", `0x${(2n * GWEI).toString(16)}`],
+            gasUsedRatio: [0.5, 0.7],
+            reward: [
+              ["0x3b9aca00", "0x77359400", "0xb2d05e00"], // 1, 2, 3 gwei
+              ["0x3b9aca00", "0xb2d05e00", "0x12a05f200"], // 1, 3, 5 gwei
+            ],
+          };
+        },
+      };
+
+      const prices = await feeHistoryGasProvider(rpc, {
+        blocks: 2,
+      }).getGasPrices();
+
+      expect(prices).to.deep.equal({
+        safe: 3,
+        proposed: 4.5,
+        fast: 6,
+        baseFee: 2,
+        priorityFees: { safe: 1, proposed: 2.5, fast: 4 },
+        gasUsedRatio: 0.6,
+      });
+    });
+
+    it("Should read fee history from a hardhat node", async function () {
+      await ethers.provider.send("evm_mine", []);
+      const prices = await feeHistoryGasProvider(
+        ethers.provider
+      ).getGasPrices();
+
+      for (const tier of ["safe", "proposed", "fast", "baseFee"]) {
+        expect(prices[tier]).to.be.a("number").and.be.at.least(0);
+      }
+    });
+
+    it("Should parse the Etherscan gas oracle", async function () {
+      const prices = await etherscanGasProvider({
+        baseUrl: `${server.url}/api`,
+        chainId: 11155111,
+        apiKey: "KEY",
+      }).getGasPrices();
+
+      expect(prices).to.deep.equal({
+        safe: 3.5,
+        proposed: 4,
+        fast: 6.25,
+        baseFee: 3.2,
+        priorityFees: { safe: 0.3, proposed: 0.8, fast: 3.05 },
+        gasUsedRatio: 0.5,
+      });
+      expect(server.requests[0].query).to.include({
+        chainid: "11155111",
+        module: "gastracker",
+        action: "gasoracle",
+        apikey: "KEY",
+      });
+    });
+
+    it("Should reject Etherscan error responses", async function () {
+      up = false;
+      await expect(
+        etherscanGasProvider({ baseUrl: `${server.url}/api` }).getGasPrices()
+      ).to.be.rejectedWith("Max rate limit reached");
+    });
+
+    it("Should fetch USD prices by CoinGecko ID", async function () {
+      const provider = coingeckoPriceProvider({ baseUrl: server.url });
+
+      expect(await provider.getPrice("ETH")).to.deep.equal({ usd: 3000 });
+      expect(await provider.getPrice("SUI")).to.deep.equal({ usd: 2.5 });
+      await expect(provider.getPrice("DOGE")).to.be.rejectedWith(
+        "No CoinGecko ID configured for DOGE"
+      );
+    });
+  });
+
+  describe("createOracle", function () {
+    it("Should return live values without stale or fallback flags", async function () {
+      const oracle = liveOracle({ now: () => 1000 });
+
+      const gas = await oracle.getGasPrices();
+      expect(gas).to.include({
+        proposed: 4,
+        source: "etherscan",
+        fetchedAt: 1000,
+        stale: false,
+        fallback: false,
+      });
+      expect(await oracle.getPrice("ETH")).to.include({
+        usd: 3000,
+        source: "coingecko",
+        stale: false,
+        fallback: false,
+      });
+    });
+
+    it("Should serve fresh values from the cache", async function () {
+      let time = 0;
+      const oracle = liveOracle({ now: () => time, cacheTtlMs: 60000 });
+
+      await oracle.getGasPrices();
+      time = 59999;
+      await oracle.getGasPrices();
+      expect(server.requests).to.have.lengthOf(1);
+
+      time = 60000;
+      await oracle.getGasPrices();
+      expect(server.requests).to.have.lengthOf(2);
+    });
+
+    it("Should mark an expired cached value stale when live providers fail", async function () {
+      let time = 0;
+      const oracle = liveOracle({ now: () => time });
+
+      await oracle.getGasPrices();
+      up = false;
+      time = 120000;
+      const gas = await oracle.getGasPrices();
+
+      expect(gas).to.include({
+        proposed: 4,
+        source: "etherscan",
+        fetchedAt: 0,
+        stale: true,
+        fallback: false,
+      });
+      expect(gas.errors[0]).to.match(/^etherscan: /);
+    });
+
+    it("Should use fallback providers when nothing is cached", async function () {
+      up = false;
+      const oracle = liveOracle();
+
+      const gas = await oracle.getGasPrices();
+      expect(gas).to.include({
+        safe: 2,
+        proposed: 10,
+        fast: 25,
+        source: "static",
+        stale: false,
+        fallback: true,
+      });
+      expect(await oracle.getPrice("ETH")).to.include({
+        usd: 3829,
+        fallback: true,
+      });
+
+      // Fallback values are not cached, so the next call tries live again
+      up = true;
+      expect(await oracle.getGasPrices()).to.include({ fallback: false });
+    });
+
+    it("Should fail when no provider has data", async function () {
+      up = false;
+      const oracle = createOracle({
+        gasProviders: [
+          etherscanGasProvider({ baseUrl: `${server.url}/api` }),
+        ],
+      });
+
+      await expect(oracle.getGasPrices()).to.be.rejectedWith(
+        /No data for gas:1: etherscan: .*Max rate limit reached/
+      );
+    });
+
+    it("Should share the cache between oracles through a file", async function () {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pnft-oracle-"));
+      const cacheFile = path.join(dir, "oracle.json");
+
+      await liveOracle({ cacheFile, now: () => 0 }).getPrice("SUI");
+      expect(JSON.parse(fs.readFileSync(cacheFile, "utf8"))).to.have.property(
+        "price:SUI"
+      );
+
+      up = false;
+      const price = await liveOracle({ cacheFile, now: () => 0 }).getPrice(
+        "SUI"
+      );
+      expect(price).to.include({ usd: 2.5, stale: false, fallback: false });
+
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe("createOracleFromEnv", function () {
+    it("Should configure providers and static values from the environment", async function () {
+      up = false;
+      const oracle = createOracleFromEnv({
+        env: {
+          ETHERSCAN_API_URL: `${server.url}/api`,
+          COINGECKO_API_URL: server.url,
+          STATIC_GAS_GWEI: "1,1.5,2",
+          STATIC_PRICES: "ETH=2000",
+          ORACLE_CACHE_FILE: "none",
+        },
+      });
+
+      expect(await oracle.getGasPrices()).to.include({
+        safe: 1,
+        proposed: 1.5,
+        fast: 2,
+        fallback: true,
+      });
+      expect((await oracle.getPrice("ETH")).usd).to.equal(2000);
+      expect((await oracle.getPrice("SUI")).usd).to.equal(1.5);
+    });
+
+    it("Should reject unknown providers and malformed static values", function () {
+      expect(() =>
+        createOracleFromEnv({ env: { GAS_ORACLE: "blocknative" } })
+      ).to.throw('Unknown gas oracle provider "blocknative"');
+      expect(() =>
+        createOracleFromEnv({ env: { STATIC_GAS_GWEI: "1,2" } })
+      ).to.throw("STATIC_GAS_GWEI must be");
+    });
+  });
+
+  describe("estimateCost", function () {
+    it("Should price gas at each tier and label non-live estimates", async function () {
+      const oracle = createOracle({
+        gasProviders: [staticGasProvider({ safe: 1, proposed: 2, fast: 4 })],
+        priceProviders: [staticPriceProvider({ ETH: 2000 })],
+      });
+
+      const estimate = await estimateCost(500000n, oracle);
+
+      expect(estimate.gas).to.equal(500000n);
+      expect(estimate.costs.proposed).to.deep.equal({
+        gwei: 2,
+        eth: 0.001,
+        usd: 2,
+        maxGwei: 2,
+        maxEth: 0.001,
+        maxUsd: 2,
+      });
+      const lines = formatCostEstimate(estimate, "minting");
+      expect(lines).to.include("💰 Estimated minting costs (not live):");
+      expect(lines).to.include("   Gas prices: offline fallback values");
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  getPublicationContract,
+  mintPublication,
+  getPublication,
+} = require("../lib/publication-client");
+const { toMintArgs, validatePublication } = require("../lib/publication");
+
+describe("publication-client", function () {
+  let contract;
+  let owner;
+  let addr1;
+
+  const publication = {
+    uri: "ipfs://QmTestHash",
+    title: "Test Book",
+    authors: "Test Author",
+    publicationDate: "2024-01-15T00:00:00Z",
+    doi: "10.1000/test-doi",
+    imageUrl: "https://image.example.com/cover.jpg",
+    description: "Test description",
+    license: "CC-BY-4.0",
+    field: "Computer Science",
+    version: "1.0",
+    externalUrl: "https://example.com/paper",
+  };
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+    const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+    const deployed = await PublicationNFT.deploy(owner.address);
+    await deployed.waitForDeployment();
+    contract = getPublicationContract(await deployed.getAddress(), owner);
+  });
+
+  describe("toMintArgs", function () {
+    it("Should order arguments like mintPublication", function () {
+      const args = toMintArgs(addr1.address, publication);
+      expect(args).to.have.lengthOf(13);
+      expect(args[0]).to.equal(addr1.address);
+      expect(args[1]).to.equal(publication.uri);
+      expect(args[4]).to.equal(1705276800);
+      // url defaults to the token URI
+      expect(args[6]).to.equal(publication.uri);
+    });
+
+    it("Should reject an invalid recipient", function () {
+      expect(() => toMintArgs("0x1234", publication)).to.throw(
+        "Invalid recipient address"
+      );
+    });
+  });
+
+  describe("validatePublication", function () {
+    it("Should accept a complete publication", function () {
+      expect(validatePublication(publication)).to.deep.equal([]);
+    });
+
+    it("Should report every invalid field", function () {
+      const errors = validatePublication({
+        ...publication,
+        title: " ",
+        publicationDate: 4294967296,
+        imageUrl: "ftp://example.com/cover.jpg",
+        field: "A field name that is longer than 32 bytes",
+      });
+      expect(errors).to.deep.equal([
+        "title is required",
+        "publicationDate too large for uint32 (max: 4294967295)",
+        "imageUrl must start with http://, https://, or ipfs://",
+        "field must be 32 bytes or less",
+      ]);
+    });
+
+    it("Should count bytes rather than characters for bytes32 fields", function () {
+      const errors = validatePublication({
+        ...publication,
+        field: "é".repeat(17),
+      });
+      expect(errors).to.deep.equal(["field must be 32 bytes or less"]);
+    });
+  });
+
+  describe("mintPublication", function () {
+    it("Should mint and return the token ID from the event", async function () {
+      const first = await mintPublication(contract, addr1.address, publication);
+      const second = await mintPublication(contract, addr1.address, {
+        ...publication,
+        doi: "10.1000/test-doi-2",
+      });
+
+      expect(first.tokenId).to.equal(0n);
+      expect(second.tokenId).to.equal(1n);
+      expect(await contract.ownerOf(1)).to.equal(addr1.address);
+    });
+
+    it("Should not send a transaction for an invalid publication", async function () {
+      let error;
+      try {
+        await mintPublication(contract, addr1.address, { title: "Untitled" });
+      } catch (e) {
+        error = e;
+      }
+      expect(error.message).to.equal(
+        "Invalid publication: uri is required; authors is required; publicationDate is required"
+      );
+      expect(await contract.balanceOf(addr1.address)).to.equal(0n);
+    });
+  });
+
+  describe("getPublication", function () {
+    it("Should return a decoded plain object", async function () {
+      await mintPublication(contract, addr1.address, publication);
+
+      expect(await getPublication(contract, 0)).to.deep.equal({
+        tokenId: 0n,
+        title: "Test Book",
+        authors: [{ name: "Test Author", orcid: "", wallet: "" }],
+        publicationDate: 1705276800,
+        doi: "10.1000/test-doi",
+        url: "ipfs://QmTestHash",
+        imageUrl: "https://image.example.com/cover.jpg",
+        description: "Test description",
+        license: "CC-BY-4.0",
+        field: "Computer Science",
+        version: "1.0",
+        externalUrl: "https://example.com/paper",
+        status: "active",
+        statusReason: "",
+      });
+    });
+  });
+});
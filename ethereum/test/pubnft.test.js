@@ -0,0 +1,285 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const {
+  Ed25519Keypair,
+} = require("../../sui/node_modules/@mysten/sui/keypairs/ed25519");
+const { createEthereumBackend } = require("../lib/backend");
+const { createSuiBackend } = require("../../sui/scripts/lib/backend");
+const { resolveTarget, run } = require("../../cli/lib/pubnft");
+const { normalizedMintFunction } = require("./helpers/sui-package");
+
+const PACKAGE_ID = `0x${"5".repeat(64)}`;
+const OBJECT_ID = `0x${"b".repeat(64)}`;
+
+// One record, minted unchanged on both chains
+const PUBLICATION = {
+  uri: "ipfs://QmTrees",
+  title: "On Trees",
+  authors: "Doe, Jane",
+  publicationDate: "2024-01-15",
+  doi: "10.1000/trees",
+  field: "Botany",
+};
+
+const ORACLE_ENV = {
+  GAS_ORACLE: "static",
+  PRICE_ORACLE: "static",
+  STATIC_PRICES: "ETH=2000,SUI=1.5",
+  ORACLE_CACHE_FILE: "none",
+};
+
+/**
+ * Run pubnft and capture what it writes to stdout
+ */
+async function runPubnft(argv, io) {
+  const write = process.stdout.write;
+  let output = "";
+  process.stdout.write = (chunk) => {
+    output += chunk;
+    return true;
+  };
+  try {
+    const code = await run(argv, io);
+    return { code, output: output ? JSON.parse(output) : null };
+  } finally {
+    process.stdout.write = write;
+  }
+}
+
+/**
+ * Fake Sui client answering the calls of a mint
+ */
+function fakeSuiClient(calls) {
+  return {
+    getObject: async ({ id }) => ({
+      data: { objectId: id, previousTransaction: "PublishDigest" },
+    }),
+    getNormalizedMoveFunction: async () => normalizedMintFunction(),
+    signAndExecuteTransaction: async (request) => {
+      calls.push(request);
+      return {
+        digest: "MintDigest",
+        effects: {
+          status: { status: "success" },
+          gasUsed: {
+            computationCost: "1000000",
+            storageCost: "5000000",
+            storageRebate: "1000000",
+          },
+        },
+        events: [
+          {
+            type: `${PACKAGE_ID}::publication_nft::PublicationMinted`,
+            parsedJson: { object_id: OBJECT_ID },
+          },
+        ],
+      };
+    },
+    waitForTransaction: async () => {},
+  };
+}
+
+describe("pubnft", function () {
+  let saved;
+
+  beforeEach(function () {
+    saved = { ...process.env };
+    Object.assign(process.env, ORACLE_ENV);
+  });
+
+  afterEach(function () {
+    process.env = saved;
+  });
+
+  it("Should pick the chain and network from flags or the environment", function () {
+    expect(resolveTarget({}, {})).to.deep.equal({
+      chain: "ethereum",
+      network: "hardhat",
+      contract: undefined,
+    });
+    expect(
+      resolveTarget({ network: "sepolia" }, { PUBNFT_CHAIN: "sui" })
+    ).to.include({ chain: "sui", network: "sepolia" });
+    // Sui falls back to the CLI's active environment in the backend
+    expect(resolveTarget({ chain: "sui" }, {}).network).to.equal(undefined);
+    expect(() => resolveTarget({ chain: "solana" }, {})).to.throw(
+      'Unknown chain "solana" (expected ethereum or sui)'
+    );
+  });
+
+  it("Should deploy, mint, show and transfer on Ethereum", async function () {
+    const [owner, , other] = await hre.ethers.getSigners();
+    const backend = createEthereumBackend({ hre });
+
+    const deployed = await backend.deploy();
+    expect(hre.ethers.isAddress(deployed.id)).to.equal(true);
+    // Nothing is recorded for the in-process network
+    expect(deployed.registry).to.equal(null);
+
+    const minted = await backend.mint(owner.address, PUBLICATION);
+    expect(minted.id).to.equal("0");
+    expect(Number(minted.fee)).to.be.greaterThan(0);
+
+    const shown = await backend.show(minted.id);
+    expect(shown.owner).to.equal(owner.address);
+    expect(shown.tokenUri).to.equal("ipfs://QmTrees");
+    expect(shown.publication).to.include({
+      title: "On Trees",
+      publicationDate: 1705276800,
+      url: "ipfs://QmTrees",
+      field: "Botany",
+    });
+
+    await backend.transfer(minted.id, other.address);
+    expect((await backend.show(minted.id)).owner).to.equal(other.address);
+    // Only the holder may burn
+    await expect(backend.burn(minted.id)).to.be.rejectedWith(
+      "ERC721InsufficientApproval"
+    );
+    const burned = await backend.mint(owner.address, {
+      ...PUBLICATION,
+      doi: "10.1000/roots",
+    });
+    expect(await backend.burn(burned.id)).to.include({ id: "1" });
+    await expect(backend.show(burned.id)).to.be.rejected;
+
+    const estimate = await backend.estimate();
+    expect(estimate).to.include({ symbol: "ETH", price: 2000 });
+    expect(estimate.mint.units > 0n).to.equal(true);
+    expect(estimate.deployment.units > estimate.mint.units).to.equal(true);
+  });
+
+  it("Should mint the same record on Sui", async function () {
+    const calls = [];
+    const signer = Ed25519Keypair.generate();
+    const backend = createSuiBackend({
+      contract: PACKAGE_ID,
+      client: fakeSuiClient(calls),
+      signer,
+      env: { SUI_NETWORK: "localnet", SUI_RPC_URL: "http://127.0.0.1:9000" },
+    });
+
+    expect(backend.validatePublication(PUBLICATION)).to.deep.equal([]);
+    const minted = await backend.mint(signer.toSuiAddress(), PUBLICATION);
+    expect(minted).to.deep.equal({
+      id: OBJECT_ID,
+      transaction: "MintDigest",
+      fee: "0.005",
+    });
+
+    // The token URI is the metadata URL and the date is in milliseconds
+    const { inputs } = calls[0].transaction.getData();
+    const bytes = (index) => Buffer.from(inputs[index].Pure.bytes, "base64");
+    expect(bytes(6).toString("utf8", 1)).to.equal("ipfs://QmTrees");
+    expect(bytes(4).readBigUInt64LE()).to.equal(1705276800000n);
+  });
+
+  it("Should run commands non-interactively with JSON results", async function () {
+    const minted = [];
+    const fakeBackend = (chain, options) => ({
+      chain,
+      network: options.network || "localnet",
+      symbol: "SUI",
+      isValidAddress: (address) => /^0x[0-9a-f]{64}$/.test(address),
+      validatePublication: (record) =>
+        record.title ? [] : ["title is required"],
+      getAccount: async () => `0x${"a".repeat(64)}`,
+      mint: async (recipient, publication) => {
+        minted.push({ recipient, publication, options });
+        return { id: OBJECT_ID, transaction: "MintDigest", fee: "0.005" };
+      },
+    });
+
+    const { code, output } = await runPubnft(
+      [
+        "mint",
+        "--chain",
+        "sui",
+        "--contract",
+        PACKAGE_ID,
+        "--title",
+        "On Trees",
+        "--publication-date=2024-01-15",
+        "--json",
+      ],
+      { env: {}, createBackend: fakeBackend }
+    );
+    expect(code).to.equal(0);
+    expect(output).to.deep.equal({
+      chain: "sui",
+      network: "localnet",
+      id: OBJECT_ID,
+      transaction: "MintDigest",
+      fee: "0.005",
+      recipient: `0x${"a".repeat(64)}`,
+      soulbound: false,
+      publicationDate: 1705276800,
+    });
+    expect(minted[0].options.contract).to.equal(PACKAGE_ID);
+    expect(minted[0].publication).to.deep.equal({
+      title: "On Trees",
+      publicationDate: "2024-01-15",
+    });
+
+    const failed = await runPubnft(["mint", "--yes", "--json"], {
+      env: {},
+      createBackend: fakeBackend,
+    });
+    expect(failed).to.deep.equal({
+      code: 1,
+      output: { error: "Invalid publication: title is required" },
+    });
+    expect(
+      (
+        await runPubnft(["transfer", OBJECT_ID, "0x1234", "--json"], {
+          env: { PUBNFT_CHAIN: "sui" },
+          createBackend: fakeBackend,
+        })
+      ).output
+    ).to.deep.equal({ error: "Invalid recipient address for sui: 0x1234" });
+  });
+
+  it("Should show a publication as a table, JSON or citation", async function () {
+    const showBackend = (chain) => ({
+      chain,
+      network: "sepolia",
+      show: async (id) => ({
+        id,
+        owner: "0x00000000000000000000000000000000000000aa",
+        tokenUri: "ipfs://QmTrees",
+        publication: { ...PUBLICATION, publicationDate: 1705276800 },
+      }),
+    });
+    const io = { env: {}, createBackend: showBackend };
+
+    const { output } = await runPubnft(["show", "7", "--json"], io);
+    expect(output).to.include({ chain: "ethereum", id: "7" });
+    expect(output.publication.publicationDate).to.equal(
+      "2024-01-15T00:00:00.000Z"
+    );
+
+    const cited = await runPubnft(
+      ["show", "7", "--format", "bibtex", "--json"],
+      io
+    );
+    expect(cited.output.citation).to.match(/^@misc\{doe2024,/);
+    expect(cited.output.citation).to.include(
+      "note = {PublicationNFT 7 on ethereum sepolia}"
+    );
+    const csl = await runPubnft(
+      ["show", "7", "--format=csl-json", "--json"],
+      io
+    );
+    expect(JSON.parse(csl.output.citation)[0].issued).to.deep.equal({
+      "date-parts": [[2024, 1, 15]],
+    });
+
+    const unknown = await runPubnft(
+      ["show", "7", "--format", "mla", "--json"],
+      io
+    );
+    expect(unknown.output.error).to.equal(
+      'Unknown format "mla" (expected table, json, bibtex, ris, csl-json)'
+    );
+  });
+});
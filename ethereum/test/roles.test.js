@@ -0,0 +1,128 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { ROLES, resolveRole, listRoleHolders } = require("../lib/roles");
+const { createEthereumBackend } = require("../lib/backend");
+const { run } = require("../../cli/lib/pubnft");
+
+describe("Roles", function () {
+  let publicationNFT;
+  let owner;
+  let addr1;
+  let addr2;
+
+  beforeEach(async function () {
+    [owner, addr1, addr2] = await hre.ethers.getSigners();
+    const PublicationNFT = await hre.ethers.getContractFactory(
+      "PublicationNFT"
+    );
+    publicationNFT = await PublicationNFT.deploy(owner.address);
+    await publicationNFT.waitForDeployment();
+  });
+
+  it("Should resolve role names, constants and ids", async function () {
+    expect(ROLES).to.deep.equal({
+      admin: await publicationNFT.DEFAULT_ADMIN_ROLE(),
+      minter: await publicationNFT.MINTER_ROLE(),
+      "metadata-editor": await publicationNFT.METADATA_EDITOR_ROLE(),
+    });
+    expect(resolveRole("MINTER_ROLE")).to.deep.equal({
+      name: "minter",
+      id: ROLES.minter,
+    });
+    expect(resolveRole("Metadata-Editor").name).to.equal("metadata-editor");
+    expect(
+      resolveRole(ROLES.minter.toUpperCase().replace(/^0X/, "0x"))
+    ).to.deep.equal({ name: "minter", id: ROLES.minter });
+    const other = `0x${"ab".repeat(32)}`;
+    expect(resolveRole(other)).to.deep.equal({ name: other, id: other });
+    expect(() => resolveRole("owner")).to.throw(
+      'Unknown role "owner" (expected admin, minter, metadata-editor or a bytes32 role id)'
+    );
+  });
+
+  it("Should list role holders from the grant and revoke logs", async function () {
+    const fromBlock = publicationNFT.deploymentTransaction().blockNumber;
+    await publicationNFT.grantRole(ROLES.minter, addr1.address);
+    await publicationNFT.grantRole(ROLES.minter, addr2.address);
+    await publicationNFT.revokeRole(ROLES.minter, addr1.address);
+    await publicationNFT.grantRole(ROLES["metadata-editor"], addr1.address);
+    await publicationNFT.renounceRole(ROLES.admin, owner.address);
+
+    const roles = await listRoleHolders(publicationNFT, {
+      fromBlock,
+      batchSize: 2,
+    });
+    const accounts = Object.fromEntries(
+      roles.map(({ role, holders }) => [
+        role,
+        holders.map((holder) => holder.account),
+      ])
+    );
+    expect(accounts).to.deep.equal({
+      admin: [],
+      minter: [owner.address, addr2.address],
+      "metadata-editor": [owner.address, addr1.address],
+    });
+    expect(roles[1].holders[1]).to.include({
+      grantedBy: owner.address,
+      blockNumber: fromBlock + 2,
+    });
+  });
+
+  it("Should grant, revoke and list roles with pubnft", async function () {
+    const backend = createEthereumBackend({
+      hre,
+      contract: await publicationNFT.getAddress(),
+    });
+    const pubnft = async (argv, createBackend = () => backend) => {
+      const write = process.stdout.write;
+      let output = "";
+      process.stdout.write = (chunk) => {
+        output += chunk;
+        return true;
+      };
+      try {
+        const code = await run([...argv, "--json"], {
+          env: {},
+          createBackend,
+        });
+        return { code, output: JSON.parse(output) };
+      } finally {
+        process.stdout.write = write;
+      }
+    };
+
+    const granted = await pubnft(["roles", "grant", "minter", addr1.address]);
+    expect(granted.output).to.include({
+      role: "minter",
+      account: addr1.address,
+    });
+    expect(await publicationNFT.hasRole(ROLES.minter, addr1.address)).to.equal(
+      true
+    );
+    expect(
+      (await pubnft(["roles", "grant", "MINTER_ROLE", addr1.address])).output
+        .error
+    ).to.equal(`${addr1.address} already has the minter role`);
+
+    await pubnft(["roles", "revoke", "minter", owner.address]);
+    const listed = await pubnft(["roles"]);
+    const minters = listed.output.roles.find((role) => role.role === "minter");
+    expect(minters.holders.map((holder) => holder.account)).to.deep.equal([
+      addr1.address,
+    ]);
+
+    expect(
+      (await pubnft(["roles", "revoke", "minter", owner.address])).output.error
+    ).to.equal(`${owner.address} doesn't have the minter role`);
+    expect(
+      (await pubnft(["roles", "grant", "minter", "0x1234"])).output.error
+    ).to.equal("Invalid account address for ethereum: 0x1234");
+    expect((await pubnft(["roles", "audit"])).output.error).to.equal(
+      'Unknown roles action "audit" (expected list, grant or revoke)'
+    );
+    expect(
+      (await pubnft(["roles"], () => ({ chain: "sui" }))).output.error
+    ).to.equal("sui publications have no roles");
+  });
+});
@@ -0,0 +1,338 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { toMintArgs } = require("../lib/publication");
+const { mintPublication } = require("../lib/publication-client");
+const { buildTokenMetadata, decodeDataUri } = require("../lib/metadata");
+const { parseManifest, validateManifest } = require("../lib/manifest");
+const {
+  parseBasisPoints,
+  validateRoyalty,
+  readRoyalty,
+  getRoyalty,
+} = require("../lib/royalty");
+const { createEthereumBackend } = require("../lib/backend");
+const { run } = require("../../cli/lib/pubnft");
+
+const { ethers } = hre;
+
+const PUBLICATION = {
+  uri: "ipfs://QmTrees",
+  title: "On Trees",
+  authors: "Doe, Jane",
+  publicationDate: "2024-01-15",
+};
+
+describe("Royalties", function () {
+  let publicationNFT;
+  let owner;
+  let author;
+  let publisher;
+
+  beforeEach(async function () {
+    [owner, author, publisher] = await ethers.getSigners();
+    const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+    publicationNFT = await PublicationNFT.deploy(owner.address);
+    await publicationNFT.waitForDeployment();
+    await publicationNFT.mintPublication(
+      ...toMintArgs(author.address, PUBLICATION)
+    );
+  });
+
+  it("Should compute royaltyInfo for edge-case sale prices", async function () {
+    // Nothing is paid before a royalty is set
+    expect(await publicationNFT.royaltyInfo(0, 1000000)).to.deep.equal([
+      ethers.ZeroAddress,
+      0n,
+    ]);
+
+    await expect(publicationNFT.setDefaultRoyalty(publisher.address, 250))
+      .to.emit(publicationNFT, "DefaultRoyaltySet")
+      .withArgs(publisher.address, 250);
+    const amount = async (salePrice) =>
+      (await publicationNFT.royaltyInfo(0, salePrice))[1];
+    expect(await publicationNFT.royaltyInfo(0, 0)).to.deep.equal([
+      publisher.address,
+      0n,
+    ]);
+    // 2.5% rounds down to whole wei
+    expect(await amount(1)).to.equal(0n);
+    expect(await amount(39)).to.equal(0n);
+    expect(await amount(40)).to.equal(1n);
+    expect(await amount(ethers.parseEther("1"))).to.equal(
+      ethers.parseEther("0.025")
+    );
+    const largest = ethers.MaxUint256 / 10000n;
+    expect(await amount(largest)).to.equal((largest * 250n) / 10000n);
+
+    // 100% is the cap: the whole sale price, and no more
+    await publicationNFT.setDefaultRoyalty(publisher.address, 10000);
+    expect(await amount(12345)).to.equal(12345n);
+    await expect(publicationNFT.setDefaultRoyalty(publisher.address, 10001))
+      .to.be.revertedWithCustomError(
+        publicationNFT,
+        "ERC2981InvalidDefaultRoyalty"
+      )
+      .withArgs(10001, 10000);
+    await expect(publicationNFT.setTokenRoyalty(0, publisher.address, 10001))
+      .to.be.revertedWithCustomError(
+        publicationNFT,
+        "ERC2981InvalidTokenRoyalty"
+      )
+      .withArgs(0, 10001, 10000);
+
+    // A zero royalty still names its receiver
+    await publicationNFT.setDefaultRoyalty(publisher.address, 0);
+    expect(await publicationNFT.royaltyInfo(0, 1000)).to.deep.equal([
+      publisher.address,
+      0n,
+    ]);
+    await expect(publicationNFT.setDefaultRoyalty(ethers.ZeroAddress, 250))
+      .to.be.revertedWithCustomError(
+        publicationNFT,
+        "ERC2981InvalidDefaultRoyaltyReceiver"
+      )
+      .withArgs(ethers.ZeroAddress);
+
+    // ERC-2981
+    expect(await publicationNFT.supportsInterface("0x2a55205a")).to.equal(true);
+  });
+
+  it("Should let a token's own royalty override the default", async function () {
+    await publicationNFT.setDefaultRoyalty(publisher.address, 250);
+    await expect(
+      publicationNFT.mintPublicationWithRoyalty(
+        ...toMintArgs(author.address, { ...PUBLICATION, title: "On Roots" }),
+        author.address,
+        1000,
+        [],
+        []
+      )
+    )
+      .to.emit(publicationNFT, "TokenRoyaltySet")
+      .withArgs(1, author.address, 1000)
+      .and.to.emit(publicationNFT, "PublicationMinted");
+
+    expect(await getRoyalty(publicationNFT, 1)).to.deep.equal({
+      collection: { receiver: publisher.address, basisPoints: 250 },
+      token: { receiver: author.address, basisPoints: 1000 },
+    });
+    expect((await getRoyalty(publicationNFT, 0)).token).to.deep.equal({
+      receiver: publisher.address,
+      basisPoints: 250,
+    });
+
+    // Without a default only the token's own royalty is left
+    await expect(publicationNFT.deleteDefaultRoyalty())
+      .to.emit(publicationNFT, "DefaultRoyaltySet")
+      .withArgs(ethers.ZeroAddress, 0);
+    expect(await getRoyalty(publicationNFT, 0)).to.deep.equal({
+      collection: null,
+      token: null,
+    });
+    expect(await publicationNFT.defaultRoyalty()).to.deep.equal([
+      ethers.ZeroAddress,
+      0n,
+    ]);
+    expect((await publicationNFT.royaltyInfo(1, 100))[1]).to.equal(10n);
+
+    // Resetting falls back to the default
+    await publicationNFT.setDefaultRoyalty(publisher.address, 500);
+    await expect(publicationNFT.resetTokenRoyalty(1))
+      .to.emit(publicationNFT, "TokenRoyaltySet")
+      .withArgs(1, ethers.ZeroAddress, 0);
+    expect(await publicationNFT.royaltyInfo(1, 100)).to.deep.equal([
+      publisher.address,
+      5n,
+    ]);
+
+    await expect(publicationNFT.setTokenRoyalty(7, publisher.address, 100))
+      .to.be.revertedWithCustomError(publicationNFT, "ERC721NonexistentToken")
+      .withArgs(7);
+    await expect(getRoyalty(publicationNFT, 7)).to.be.rejected;
+  });
+
+  it("Should mint a record's royalty and validate it", async function () {
+    const { tokenId } = await mintPublication(publicationNFT, author.address, {
+      ...PUBLICATION,
+      title: "On Leaves",
+      royaltyReceiver: publisher.address.toLowerCase(),
+      royaltyBps: "7.5%",
+    });
+    expect(await publicationNFT.royaltyInfo(tokenId, 1000)).to.deep.equal([
+      publisher.address,
+      75n,
+    ]);
+
+    await expect(
+      mintPublication(
+        publicationNFT,
+        author.address,
+        { ...PUBLICATION, royaltyReceiver: publisher.address, royaltyBps: 100 },
+        {},
+        { soulbound: true }
+      )
+    ).to.be.rejectedWith(
+      "Soulbound publications can't be sold, so they can't have a royalty"
+    );
+
+    expect(parseBasisPoints("250")).to.equal(250);
+    expect(parseBasisPoints("100%")).to.equal(10000);
+    expect(parseBasisPoints("0.01%")).to.equal(1);
+    expect(() => parseBasisPoints("10001")).to.throw(
+      'Royalty must be whole basis points from 0 to 10000 or a percentage up to 100%, got "10001"'
+    );
+    expect(() => parseBasisPoints("0.005%")).to.throw('got "0.005%"');
+    expect(() => parseBasisPoints("-1")).to.throw();
+    expect(validateRoyalty(PUBLICATION)).to.deep.equal([]);
+    expect(
+      validateRoyalty({ royaltyReceiver: "", royaltyBps: "" })
+    ).to.deep.equal([]);
+    expect(validateRoyalty({ royaltyBps: "2%" })).to.deep.equal([
+      "royaltyBps needs a royaltyReceiver",
+    ]);
+    expect(validateRoyalty({ royaltyReceiver: "0x1234" })).to.deep.equal([
+      "royaltyReceiver must be an address, got 0x1234",
+      "royaltyReceiver needs royaltyBps",
+    ]);
+
+    const rows = parseManifest(
+      [
+        "title,authors,publication_date,uri,royalty_receiver,royalty_bps",
+        `On Bark,"Doe, Jane",2024-01-15,ipfs://QmBark,${publisher.address},250`,
+        'On Moss,"Doe, Jane",2024-01-15,ipfs://QmMoss,,',
+        `On Sap,"Doe, Jane",2024-01-15,ipfs://QmSap,${publisher.address},200%`,
+      ].join("\n"),
+      "csv"
+    );
+    expect(readRoyalty(rows[0])).to.deep.equal({
+      receiver: publisher.address,
+      basisPoints: 250,
+    });
+    expect(readRoyalty(rows[1])).to.equal(null);
+    expect(validateManifest(rows, author.address)).to.deep.equal([
+      'Row 3: royaltyBps: Royalty must be whole basis points from 0 to 10000 or a percentage up to 100%, got "200%"',
+    ]);
+  });
+
+  it("Should describe the royalty in generated and on-chain metadata", async function () {
+    const collection = { receiver: publisher.address, basisPoints: 250 };
+    const own = {
+      ...PUBLICATION,
+      royaltyReceiver: author.address,
+      royaltyBps: 1000,
+    };
+    expect(buildTokenMetadata(PUBLICATION)).not.to.have.any.keys(
+      "seller_fee_basis_points",
+      "fee_recipient"
+    );
+    expect(buildTokenMetadata(PUBLICATION, { royalty: collection })).to.include(
+      {
+        seller_fee_basis_points: 250,
+        fee_recipient: publisher.address,
+      }
+    );
+    expect(buildTokenMetadata(own, { royalty: collection })).to.include({
+      seller_fee_basis_points: 1000,
+      fee_recipient: author.address,
+    });
+
+    // The contract renders the same fields from royaltyInfo
+    await publicationNFT.setDefaultRoyalty(publisher.address, 250);
+    const { tokenId } = await mintPublication(publicationNFT, author.address, {
+      ...own,
+      title: "On Roots",
+    });
+    await publicationNFT.setOnChainMetadata(true);
+    const rendered = async (id) =>
+      decodeDataUri(await publicationNFT.tokenURI(id));
+    const { json_ld: _, ...expected } = buildTokenMetadata(
+      { ...own, title: "On Roots" },
+      { royalty: collection }
+    );
+    expect(await rendered(tokenId)).to.deep.equal(expected);
+    expect(await rendered(0)).to.include({
+      seller_fee_basis_points: 250,
+      fee_recipient: publisher.address,
+    });
+
+    await publicationNFT.deleteDefaultRoyalty();
+    expect(await rendered(0)).not.to.have.any.keys("seller_fee_basis_points");
+  });
+
+  it("Should show and change royalties with pubnft", async function () {
+    const backend = createEthereumBackend({
+      hre,
+      contract: await publicationNFT.getAddress(),
+    });
+    const pubnft = async (argv, createBackend = () => backend) => {
+      const write = process.stdout.write;
+      let output = "";
+      process.stdout.write = (chunk) => {
+        output += chunk;
+        return true;
+      };
+      try {
+        await run([...argv, "--json"], { env: {}, createBackend });
+        return JSON.parse(output);
+      } finally {
+        process.stdout.write = write;
+      }
+    };
+
+    expect(await pubnft(["royalty"])).to.deep.include({ collection: null });
+    expect(
+      await pubnft(["royalty", "set", publisher.address, "2.5%"])
+    ).to.include({ id: null, receiver: publisher.address, basisPoints: 250 });
+    expect(
+      await pubnft(["royalty", "set", author.address, "900", "--token", "0"])
+    ).to.include({ id: "0", basisPoints: 900 });
+    expect(await pubnft(["royalty", "show", "--token", "0"])).to.deep.include({
+      collection: { receiver: publisher.address, basisPoints: 250 },
+      token: { receiver: author.address, basisPoints: 900 },
+    });
+    expect((await pubnft(["show", "0"])).royalty).to.deep.equal({
+      receiver: author.address,
+      basisPoints: 900,
+    });
+
+    await pubnft(["royalty", "reset", "--token", "0"]);
+    expect((await pubnft(["royalty", "--token", "0"])).token).to.deep.equal({
+      receiver: publisher.address,
+      basisPoints: 250,
+    });
+    await pubnft(["royalty", "reset"]);
+    expect(await pubnft(["royalty"])).to.deep.include({ collection: null });
+
+    const minted = await pubnft([
+      "mint",
+      "--uri",
+      "ipfs://QmRoots",
+      "--title",
+      "On Roots",
+      "--authors",
+      "Doe, Jane",
+      "--publication-date",
+      "2024-01-15",
+      "--royalty-receiver",
+      author.address,
+      "--royalty-bps",
+      "300",
+    ]);
+    expect(await publicationNFT.royaltyInfo(minted.id, 100)).to.deep.equal([
+      author.address,
+      3n,
+    ]);
+
+    expect(
+      (await pubnft(["royalty", "set", publisher.address, "101%"])).error
+    ).to.equal(
+      'Royalty must be whole basis points from 0 to 10000 or a percentage up to 100%, got "101%"'
+    );
+    expect((await pubnft(["royalty", "split"])).error).to.equal(
+      'Unknown royalty action "split" (expected show, set or reset)'
+    );
+    expect(
+      (await pubnft(["royalty"], () => ({ chain: "sui" }))).error
+    ).to.equal("sui publications have no royalties");
+  });
+});
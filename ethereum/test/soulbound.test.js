@@ -0,0 +1,173 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { toMintArgs } = require("../lib/publication");
+const { toAuthorArgs } = require("../lib/authors");
+const { mintPublication } = require("../lib/publication-client");
+const { mintBatch } = require("../lib/batch");
+const { createEthereumBackend } = require("../lib/backend");
+const { run } = require("../../cli/lib/pubnft");
+
+const PUBLICATION = {
+  uri: "ipfs://QmTrees",
+  title: "On Trees",
+  authors: "Doe, Jane",
+  publicationDate: "2024-01-15",
+};
+
+describe("Soulbound tokens", function () {
+  let publicationNFT;
+  let owner;
+  let author;
+  let other;
+
+  beforeEach(async function () {
+    [owner, author, other] = await hre.ethers.getSigners();
+    const PublicationNFT = await hre.ethers.getContractFactory(
+      "PublicationNFT"
+    );
+    publicationNFT = await PublicationNFT.deploy(owner.address);
+    await publicationNFT.waitForDeployment();
+  });
+
+  it("Should lock soulbound tokens from the mint on", async function () {
+    await expect(
+      publicationNFT.mintSoulboundPublication(
+        ...toMintArgs(author.address, PUBLICATION),
+        [],
+        []
+      )
+    )
+      .to.emit(publicationNFT, "Locked")
+      .withArgs(0)
+      .and.to.emit(publicationNFT, "PublicationMinted")
+      .withArgs(
+        0,
+        author.address,
+        "On Trees",
+        toAuthorArgs(PUBLICATION.authors).map(Object.values)
+      );
+    await expect(
+      publicationNFT.mintPublication(...toMintArgs(author.address, PUBLICATION))
+    ).not.to.emit(publicationNFT, "Locked");
+
+    expect(await publicationNFT.locked(0)).to.equal(true);
+    expect(await publicationNFT.locked(1)).to.equal(false);
+    await expect(publicationNFT.locked(2))
+      .to.be.revertedWithCustomError(publicationNFT, "ERC721NonexistentToken")
+      .withArgs(2);
+    // ERC-5192
+    expect(await publicationNFT.supportsInterface("0xb45a3c0e")).to.equal(true);
+  });
+
+  it("Should not let soulbound tokens move", async function () {
+    const { tokenId } = await mintPublication(
+      publicationNFT,
+      author.address,
+      PUBLICATION,
+      {},
+      { soulbound: true }
+    );
+    const asAuthor = publicationNFT.connect(author);
+
+    await expect(asAuthor.transferFrom(author.address, other.address, tokenId))
+      .to.be.revertedWithCustomError(publicationNFT, "TokenIsLocked")
+      .withArgs(tokenId);
+    await expect(
+      asAuthor["safeTransferFrom(address,address,uint256)"](
+        author.address,
+        other.address,
+        tokenId
+      )
+    ).to.be.revertedWithCustomError(publicationNFT, "TokenIsLocked");
+
+    // Approvals don't help either
+    await asAuthor.approve(other.address, tokenId);
+    await asAuthor.setApprovalForAll(owner.address, true);
+    await expect(
+      publicationNFT
+        .connect(other)
+        .transferFrom(author.address, other.address, tokenId)
+    ).to.be.revertedWithCustomError(publicationNFT, "TokenIsLocked");
+    await expect(
+      publicationNFT.transferFrom(author.address, owner.address, tokenId)
+    ).to.be.revertedWithCustomError(publicationNFT, "TokenIsLocked");
+    expect(await publicationNFT.ownerOf(tokenId)).to.equal(author.address);
+
+    // Tokens minted without the lock still transfer
+    const { tokenId: free } = await mintPublication(
+      publicationNFT,
+      author.address,
+      { ...PUBLICATION, title: "On Roots" }
+    );
+    await asAuthor.transferFrom(author.address, other.address, free);
+    expect(await publicationNFT.ownerOf(free)).to.equal(other.address);
+  });
+
+  it("Should mint a soulbound batch", async function () {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pnft-soulbound-"));
+    try {
+      const summary = await mintBatch(
+        publicationNFT,
+        [PUBLICATION, { ...PUBLICATION, title: "On Roots" }],
+        {
+          checkpointPath: path.join(dir, "checkpoint.json"),
+          defaultRecipient: author.address,
+          soulbound: true,
+        }
+      );
+      expect(summary.minted).to.equal(2);
+      expect(await publicationNFT.locked(0)).to.equal(true);
+      expect(await publicationNFT.locked(1)).to.equal(true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  it("Should mint soulbound with pubnft and refuse to transfer it", async function () {
+    const backend = createEthereumBackend({
+      hre,
+      contract: await publicationNFT.getAddress(),
+    });
+    const pubnft = async (argv) => {
+      const write = process.stdout.write;
+      let output = "";
+      process.stdout.write = (chunk) => {
+        output += chunk;
+        return true;
+      };
+      try {
+        await run([...argv, "--json"], {
+          env: {},
+          createBackend: () => backend,
+        });
+        return JSON.parse(output);
+      } finally {
+        process.stdout.write = write;
+      }
+    };
+
+    const minted = await pubnft([
+      "mint",
+      "--soulbound",
+      "--recipient",
+      owner.address,
+      "--uri",
+      PUBLICATION.uri,
+      "--title",
+      PUBLICATION.title,
+      "--authors",
+      PUBLICATION.authors,
+      "--publication-date",
+      PUBLICATION.publicationDate,
+    ]);
+    expect(minted).to.include({ id: "0", soulbound: true });
+    expect((await pubnft(["show", "0"])).soulbound).to.equal(true);
+    expect((await pubnft(["transfer", "0", other.address])).error).to.equal(
+      "Token 0 is soulbound and can't be transferred"
+    );
+    expect(await publicationNFT.ownerOf(0)).to.equal(owner.address);
+  });
+});
@@ -0,0 +1,278 @@
+const hre = require("hardhat");
+const { expect } = require("chai");
+const { toMintArgs } = require("../lib/publication");
+const {
+  getPublication,
+  mintPublication,
+  updatePublication,
+} = require("../lib/publication-client");
+const { buildTokenMetadata, decodeDataUri } = require("../lib/metadata");
+const {
+  resolveStatus,
+  statusLabel,
+  setPublicationStatus,
+  listByStatus,
+} = require("../lib/status");
+const { createEthereumBackend } = require("../lib/backend");
+const { run } = require("../../cli/lib/pubnft");
+
+const { ethers } = hre;
+
+const PUBLICATION = {
+  uri: "ipfs://QmTrees",
+  title: "On Trees",
+  authors: "Doe, Jane",
+  publicationDate: "2024-01-15",
+  doi: "10.1000/trees",
+};
+
+const NOTICE = "https://doi.org/10.1000/trees-retraction";
+
+describe("Publication status", function () {
+  let publicationNFT;
+  let owner;
+  let author;
+  let other;
+
+  beforeEach(async function () {
+    [owner, author, other] = await ethers.getSigners();
+    const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+    publicationNFT = await PublicationNFT.deploy(owner.address);
+    await publicationNFT.waitForDeployment();
+    await mintPublication(publicationNFT, author.address, PUBLICATION);
+  });
+
+  it("Should resolve status names, labels and enum values", function () {
+    expect(resolveStatus("retracted")).to.deep.equal({
+      name: "retracted",
+      value: 3,
+    });
+    expect(resolveStatus("Expression of Concern")).to.deep.equal({
+      name: "expression-of-concern",
+      value: 2,
+    });
+    expect(resolveStatus(1n).name).to.equal("corrected");
+    expect(statusLabel("expression_of_concern")).to.equal(
+      "Expression of Concern"
+    );
+    expect(() => resolveStatus("withdrawn")).to.throw(
+      'Unknown status "withdrawn" (expected active, corrected, expression-of-concern, retracted)'
+    );
+    expect(() => resolveStatus(4)).to.throw('Unknown status "4"');
+  });
+
+  it("Should set a status with its reason and keep it through updates", async function () {
+    expect(await getPublication(publicationNFT, 0)).to.include({
+      status: "active",
+      statusReason: "",
+    });
+
+    await expect(publicationNFT.setPublicationStatus(0, 3, NOTICE))
+      .to.emit(publicationNFT, "PublicationStatusChanged")
+      .withArgs(0, 3, NOTICE)
+      .and.to.emit(publicationNFT, "MetadataUpdate")
+      .withArgs(0);
+    expect(await getPublication(publicationNFT, 0)).to.include({
+      status: "retracted",
+      statusReason: NOTICE,
+    });
+
+    await updatePublication(publicationNFT, 0, {
+      ...PUBLICATION,
+      title: "On Trees (retracted)",
+    });
+    expect(await getPublication(publicationNFT, 0)).to.include({
+      title: "On Trees (retracted)",
+      status: "retracted",
+    });
+
+    // Frozen records can still be flagged
+    await publicationNFT.freeze(0);
+    await setPublicationStatus(publicationNFT, 0, "active", "");
+    expect((await getPublication(publicationNFT, 0)).status).to.equal(
+      "active"
+    );
+  });
+
+  it("Should only let metadata editors set a status", async function () {
+    await expect(
+      publicationNFT.connect(author).setPublicationStatus(0, 3, NOTICE)
+    ).to.be.revertedWithCustomError(
+      publicationNFT,
+      "AccessControlUnauthorizedAccount"
+    );
+    await expect(publicationNFT.setPublicationStatus(1, 3, NOTICE))
+      .to.be.revertedWithCustomError(publicationNFT, "ERC721NonexistentToken")
+      .withArgs(1);
+
+    let error;
+    try {
+      await setPublicationStatus(publicationNFT, 0, "retracted", " ");
+    } catch (e) {
+      error = e;
+    }
+    expect(error.message).to.equal(
+      "A reason is required to mark a publication retracted"
+    );
+  });
+
+  it("Should show the status in generated and on-chain metadata", async function () {
+    await publicationNFT.setPublicationStatus(0, 2, "Data under review");
+    const publication = await getPublication(publicationNFT, 0);
+    const { json_ld: jsonLd, ...expected } = buildTokenMetadata(publication);
+    expect(expected.attributes).to.deep.include.members([
+      { trait_type: "Status", value: "Expression of Concern" },
+      { trait_type: "Status Reason", value: "Data under review" },
+    ]);
+    expect(jsonLd.creativeWorkStatus).to.equal("Expression of Concern");
+
+    await publicationNFT.setOnChainMetadata(true);
+    expect(decodeDataUri(await publicationNFT.tokenURI(0))).to.deep.equal(
+      expected
+    );
+
+    // Active publications have no status attributes
+    await publicationNFT.setPublicationStatus(0, 0, "Review closed");
+    const active = buildTokenMetadata(await getPublication(publicationNFT, 0));
+    expect(
+      active.attributes.map((attribute) => attribute.trait_type)
+    ).not.to.include("Status");
+    expect(active.json_ld).not.to.have.property("creativeWorkStatus");
+  });
+
+  it("Should let holders burn and free the DOI", async function () {
+    await publicationNFT.freeze(0);
+    await expect(publicationNFT.connect(other).burn(0))
+      .to.be.revertedWithCustomError(
+        publicationNFT,
+        "ERC721InsufficientApproval"
+      )
+      .withArgs(other.address, 0);
+
+    await expect(publicationNFT.connect(author).burn(0))
+      .to.emit(publicationNFT, "Transfer")
+      .withArgs(author.address, ethers.ZeroAddress, 0);
+    await expect(publicationNFT.getPublication(0))
+      .to.be.revertedWithCustomError(publicationNFT, "ERC721NonexistentToken")
+      .withArgs(0);
+    await expect(publicationNFT.tokenIdByDoi(PUBLICATION.doi))
+      .to.be.revertedWithCustomError(publicationNFT, "DoiNotFound")
+      .withArgs(PUBLICATION.doi);
+    expect(await publicationNFT.frozen(0)).to.equal(false);
+
+    // The DOI can be minted again, and soulbound tokens burn too
+    await publicationNFT.mintSoulboundPublication(
+      ...toMintArgs(author.address, PUBLICATION),
+      [],
+      []
+    );
+    expect(await publicationNFT.tokenIdByDoi(PUBLICATION.doi)).to.equal(1n);
+    await publicationNFT.connect(author).burn(1);
+    expect(await publicationNFT.balanceOf(author.address)).to.equal(0n);
+  });
+
+  it("Should list publications by their latest status from the logs", async function () {
+    const fromBlock = await ethers.provider.getBlockNumber();
+    for (const doi of ["10.1000/roots", "10.1000/leaves"]) {
+      await mintPublication(publicationNFT, author.address, {
+        ...PUBLICATION,
+        doi,
+      });
+    }
+    await setPublicationStatus(publicationNFT, 2, "retracted", "Fabricated");
+    await setPublicationStatus(publicationNFT, 0, "retracted", NOTICE);
+    await setPublicationStatus(publicationNFT, 1, "retracted", "Duplicate");
+    await setPublicationStatus(publicationNFT, 1, "corrected", "Erratum");
+
+    const retracted = await listByStatus(publicationNFT, "retracted", {
+      fromBlock,
+      batchSize: 2,
+    });
+    expect(
+      retracted.map(({ tokenId, reason }) => [tokenId, reason])
+    ).to.deep.equal([
+      [0n, NOTICE],
+      [2n, "Fabricated"],
+    ]);
+    expect(
+      (await listByStatus(publicationNFT, "corrected", { fromBlock })).map(
+        (change) => change.tokenId
+      )
+    ).to.deep.equal([1n]);
+  });
+
+  it("Should set, show and list statuses and burn with pubnft", async function () {
+    const backend = createEthereumBackend({
+      hre,
+      contract: await publicationNFT.getAddress(),
+    });
+    const pubnft = async (argv, createBackend = () => backend) => {
+      const write = process.stdout.write;
+      let output = "";
+      process.stdout.write = (chunk) => {
+        output += chunk;
+        return true;
+      };
+      try {
+        await run([...argv, "--json"], { env: {}, createBackend });
+        return JSON.parse(output);
+      } finally {
+        process.stdout.write = write;
+      }
+    };
+
+    expect(await pubnft(["status", "0"])).to.deep.include({
+      id: "0",
+      status: "active",
+      reason: "",
+    });
+    expect(
+      await pubnft(["status", "0", "retracted", "--reason", NOTICE])
+    ).to.include({ id: "0", status: "retracted", reason: NOTICE });
+    expect((await pubnft(["show", "0"])).publication).to.include({
+      status: "retracted",
+      statusReason: NOTICE,
+    });
+    expect((await pubnft(["status", "0", "corrected"])).error).to.equal(
+      "Give the reason for the corrected status with --reason <text|uri>"
+    );
+    expect((await pubnft(["status", "0", "withdrawn"])).error).to.equal(
+      'Unknown status "withdrawn" (expected active, corrected, expression-of-concern, retracted)'
+    );
+
+    await mintPublication(publicationNFT, owner.address, {
+      ...PUBLICATION,
+      doi: "10.1000/roots",
+    });
+    await pubnft(["status", "1", "retracted", "--reason", "Duplicate"]);
+    expect(await pubnft(["burn", "1"])).to.include({ id: "1" });
+
+    const listed = await pubnft(["status", "list"]);
+    expect(listed.status).to.equal("retracted");
+    expect(
+      listed.publications.map(({ id, title, doi, reason, burned }) => ({
+        id,
+        title,
+        doi,
+        reason,
+        burned,
+      }))
+    ).to.deep.equal([
+      {
+        id: "0",
+        title: "On Trees",
+        doi: "10.1000/trees",
+        reason: NOTICE,
+        burned: false,
+      },
+      { id: "1", title: null, doi: null, reason: "Duplicate", burned: true },
+    ]);
+    expect(
+      (await pubnft(["status", "list", "corrected"])).publications
+    ).to.deep.equal([]);
+
+    expect(
+      (await pubnft(["status", "0"], () => ({ chain: "sui" }))).error
+    ).to.equal("sui publications have no status");
+  });
+});
@@ -0,0 +1,179 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const {
+  SAMPLE_PUBLICATION,
+  parseGasSummary,
+  metadataBytes,
+  mintCallArgs,
+  dryRunPublish,
+  calibrateMintCost,
+  estimateMintCost,
+} = require("../../sui/scripts/lib/dry-run");
+const { startMockServer } = require("./helpers/mock-server");
+
+const EFFECTS = {
+  status: { status: "success" },
+  gasUsed: {
+    computationCost: "1000000",
+    storageCost: "28000000",
+    storageRebate: "978120",
+    nonRefundableStorageFee: "9880",
+  },
+};
+
+/**
+ * Put a stub `sui` on PATH that logs its arguments and answers from a script
+ * @param {string} body - Shell script body; "$@" are the sui arguments
+ * @returns {Object} { calls: () => argument lists, restore }
+ */
+function stubSuiCli(body) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pnft-sui-"));
+  const log = path.join(dir, "calls.log");
+  fs.writeFileSync(
+    path.join(dir, "sui"),
+    `#!/bin/sh\nprintf '%s\\037' "$@" >> "${log}"\necho >> "${log}"\n${body}\n`,
+    { mode: 0o755 }
+  );
+  const originalPath = process.env.PATH;
+  process.env.PATH = `${dir}${path.delimiter}${originalPath}`;
+
+  return {
+    calls: () =>
+      fs
+        .readFileSync(log, "utf8")
+        .trim()
+        .split("\n")
+        .map((line) => line.split("\x1f").filter(Boolean)),
+    restore: () => {
+      process.env.PATH = originalPath;
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+describe("Sui dry-run estimation", function () {
+  it("Should compute the net cost from the gas summary", function () {
+    expect(parseGasSummary({ effects: EFFECTS })).to.deep.equal({
+      computationCost: 1000000,
+      storageCost: 28000000,
+      storageRebate: 978120,
+      nonRefundableStorageFee: 9880,
+      total: 28021880,
+    });
+    expect(() =>
+      parseGasSummary({
+        effects: {
+          ...EFFECTS,
+          status: { status: "failure", error: "InsufficientGas" },
+        },
+      })
+    ).to.throw("The dry run failed: InsufficientGas");
+  });
+
+  it("Should count metadata bytes as UTF-8", function () {
+    expect(metadataBytes({ title: "abc" })).to.equal(8 + 3);
+    // The name is stored in the author and in the joined names, next to
+    // its 32-byte wallet
+    expect(metadataBytes({ title: "é", authors: "李" })).to.equal(
+      8 + 2 + 2 * 3 + 32
+    );
+  });
+
+  it("Should pass the publication date to mint in milliseconds", function () {
+    const args = mintCallArgs(
+      { ...SAMPLE_PUBLICATION, publicationDate: "2024-01-15" },
+      "0xabc"
+    );
+    expect(args).to.have.lengthOf(14);
+    expect(args.slice(1, 3)).to.deep.equal([
+      '["John Doe","Jane Smith"]',
+      '["",""]',
+    ]);
+    expect(JSON.parse(args[3])).to.deep.equal([
+      `0x${"0".repeat(64)}`,
+      `0x${"0".repeat(64)}`,
+    ]);
+    expect(args[4]).to.equal(String(Date.UTC(2024, 0, 15)));
+    expect(args[13]).to.equal("0xabc");
+  });
+
+  describe("with the Sui CLI", function () {
+    let sui;
+
+    afterEach(function () {
+      sui.restore();
+    });
+
+    it("Should dry-run the publish through the CLI", async function () {
+      sui = stubSuiCli(
+        `echo "INCLUDING DEPENDENCY Sui"\necho '${JSON.stringify({
+          effects: EFFECTS,
+        })}'`
+      );
+
+      const gas = await dryRunPublish({ gasBudget: 123 });
+
+      expect(gas.total).to.equal(28021880);
+      const [args] = sui.calls();
+      expect(args.slice(0, 2)).to.deep.equal(["client", "publish"]);
+      expect(args).to.include.members(["--dry-run", "--json", "123"]);
+    });
+
+    it("Should send the dry run to a configured RPC", async function () {
+      sui = stubSuiCli("echo AAECAw==");
+      const server = await startMockServer({
+        "POST /": (request) => ({
+          jsonrpc: "2.0",
+          id: request.body.id,
+          result: { effects: EFFECTS },
+        }),
+      });
+
+      try {
+        const gas = await dryRunPublish({ rpcUrl: server.url });
+
+        expect(gas.storageRebate).to.equal(978120);
+        expect(sui.calls()[0]).to.include("--serialize-unsigned-transaction");
+        expect(server.requests[0].body).to.include({
+          method: "sui_dryRunTransactionBlock",
+        });
+        expect(server.requests[0].body.params).to.deep.equal(["AAECAw=="]);
+      } finally {
+        await server.close();
+      }
+    });
+
+    it("Should price mints by metadata size from two dry runs", async function () {
+      // Storage grows by 7,600 MIST per byte of call arguments
+      sui = stubSuiCli(`
+size=$(printf '%s' "$@" | wc -c)
+storage=$((size * 7600))
+echo "{\\"effects\\":{\\"status\\":{\\"status\\":\\"success\\"},\\"gasUsed\\":{\\"computationCost\\":\\"1000000\\",\\"storageCost\\":\\"$storage\\",\\"storageRebate\\":\\"978120\\"}}}"`);
+
+      const model = await calibrateMintCost({
+        packageId: "0x2",
+        recipient: "0xabc",
+        padding: 100,
+      });
+
+      expect(model.baseBytes).to.equal(metadataBytes(SAMPLE_PUBLICATION));
+      expect(model.perByte).to.equal(7600);
+      expect(estimateMintCost(model, model.baseBytes + 10)).to.equal(
+        model.base.total + 76000
+      );
+      const [first] = sui.calls();
+      expect(first.slice(0, 8)).to.deep.equal([
+        "client",
+        "call",
+        "--package",
+        "0x2",
+        "--module",
+        "publication_nft",
+        "--function",
+        "mint",
+      ]);
+    });
+  });
+});
@@ -0,0 +1,440 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { SuiClient } = require("../../sui/node_modules/@mysten/sui/client");
+const {
+  decodeSuiPrivateKey,
+} = require("../../sui/node_modules/@mysten/sui/cryptography");
+const {
+  Ed25519Keypair,
+} = require("../../sui/node_modules/@mysten/sui/keypairs/ed25519");
+const {
+  validateSuiPublication,
+  buildMintTransaction,
+  buildBurnTransaction,
+  parseMintedObjectId,
+  mintPublication,
+  getPublication,
+} = require("../../sui/scripts/lib/publication-client");
+const { resolveDeployment } = require("../../sui/scripts/lib/deployments");
+const {
+  readClientConfig,
+  resolveConnection,
+  loadSigner,
+} = require("../../sui/scripts/lib/sui-config");
+const { startMockServer } = require("./helpers/mock-server");
+const { normalizedMintFunction } = require("./helpers/sui-package");
+
+const PACKAGE_ID = `0x${"5".repeat(64)}`;
+const RECIPIENT = `0x${"a".repeat(64)}`;
+const OBJECT_ID = `0x${"b".repeat(64)}`;
+const AUTHOR_WALLET = `0x${"c".repeat(64)}`;
+
+const PUBLICATION = {
+  title: "On Trees",
+  authors: `Jane Doe (0000-0002-1825-0097, ${AUTHOR_WALLET}); John Roe`,
+  publicationDate: "2024-01-15",
+  doi: "10.1000/trees",
+  url: "ipfs://QmTrees",
+  field: "A field of study longer than thirty-two bytes",
+};
+
+const MINTED = {
+  digest: "9XqAb",
+  effects: {
+    status: { status: "success" },
+    gasUsed: {
+      computationCost: "1000000",
+      storageCost: "5000000",
+      storageRebate: "978120",
+    },
+  },
+  events: [
+    {
+      type: `${PACKAGE_ID}::publication_nft::PublicationMinted`,
+      parsedJson: { object_id: OBJECT_ID, title: "On Trees" },
+    },
+  ],
+};
+
+function pureBytes(tx, index) {
+  return Buffer.from(tx.getData().inputs[index].Pure.bytes, "base64");
+}
+
+describe("Sui publication client", function () {
+  it("Should validate with the Ethereum rules minus the bytes32 limits", function () {
+    expect(validateSuiPublication(PUBLICATION)).to.deep.equal([]);
+    expect(
+      validateSuiPublication({ title: "x", url: "ftp://x" })
+    ).to.deep.equal([
+      "authors is required",
+      "publicationDate is required",
+      "url must start with http://, https://, or ipfs://",
+    ]);
+    // Author wallets are Sui addresses
+    expect(
+      validateSuiPublication({
+        ...PUBLICATION,
+        authors: "Jane Doe (0x70997970C51812dc3A010C7d01b50e0d17dc79C8)",
+      })
+    ).to.deep.equal([
+      'authors: Author "Jane Doe": wallet must be an address, got 0x70997970C51812dc3A010C7d01b50e0d17dc79C8',
+    ]);
+  });
+
+  it("Should build the mint call with the date in milliseconds", function () {
+    const tx = buildMintTransaction(PACKAGE_ID, RECIPIENT, PUBLICATION);
+    const [command] = tx.getData().commands;
+
+    expect(command.MoveCall).to.include({
+      package: PACKAGE_ID,
+      module: "publication_nft",
+      function: "mint",
+    });
+    expect(command.MoveCall.arguments).to.have.lengthOf(14);
+    // Strings and URLs are BCS vectors: a length byte then UTF-8
+    expect(pureBytes(tx, 1).toString("utf8")).to.equal(
+      "\x02\x08Jane Doe\x08John Roe"
+    );
+    expect(pureBytes(tx, 2).toString("utf8")).to.equal(
+      "\x02\x130000-0002-1825-0097\x00"
+    );
+    // Authors without a wallet get @0x0
+    expect(pureBytes(tx, 3).toString("hex")).to.equal(
+      `02${"c".repeat(64)}${"0".repeat(64)}`
+    );
+    expect(pureBytes(tx, 4).readBigUInt64LE()).to.equal(
+      BigInt(Date.UTC(2024, 0, 15))
+    );
+    expect(pureBytes(tx, 6).toString("utf8", 1)).to.equal("ipfs://QmTrees");
+    expect(pureBytes(tx, 13).toString("hex")).to.equal("a".repeat(64));
+
+    expect(() =>
+      buildMintTransaction(PACKAGE_ID, "0x1234", PUBLICATION)
+    ).to.throw("Invalid recipient address: 0x1234");
+    expect(() =>
+      buildMintTransaction(PACKAGE_ID, RECIPIENT, { title: "x" })
+    ).to.throw("Invalid publication: authors is required");
+    expect(
+      buildBurnTransaction(PACKAGE_ID, OBJECT_ID).getData().commands[0].MoveCall
+        .function
+    ).to.equal("burn");
+  });
+
+  it("Should mint, read and burn soulbound NFTs", async function () {
+    const call = (tx) => tx.getData().commands[0].MoveCall.function;
+    expect(
+      call(
+        buildMintTransaction(PACKAGE_ID, RECIPIENT, PUBLICATION, {
+          soulbound: true,
+        })
+      )
+    ).to.equal("mint_soulbound");
+    expect(
+      call(buildBurnTransaction(PACKAGE_ID, OBJECT_ID, { soulbound: true }))
+    ).to.equal("burn_soulbound");
+
+    // The publication fields are on the wrapped PublicationNFT
+    const client = {
+      getObject: async () => ({
+        data: {
+          objectId: OBJECT_ID,
+          type: `${PACKAGE_ID}::publication_nft::SoulboundPublicationNFT`,
+          owner: { AddressOwner: RECIPIENT },
+          content: {
+            fields: {
+              id: { id: OBJECT_ID },
+              publication: {
+                type: `${PACKAGE_ID}::publication_nft::PublicationNFT`,
+                fields: {
+                  title: "On Trees",
+                  authors: [
+                    {
+                      type: `${PACKAGE_ID}::publication_nft::Author`,
+                      fields: {
+                        name: "Jane Doe",
+                        orcid: "0000-0002-1825-0097",
+                        wallet: `0x${"0".repeat(64)}`,
+                      },
+                    },
+                  ],
+                  author_names: "Jane Doe",
+                  publication_date: String(Date.UTC(2024, 0, 15)),
+                  doi: "10.1000/trees",
+                  url: "ipfs://QmTrees",
+                  image_url: "",
+                  description: "",
+                  license: "",
+                  field: "",
+                  version: "",
+                  external_url: "",
+                },
+              },
+            },
+          },
+        },
+      }),
+    };
+    expect(await getPublication(client, OBJECT_ID)).to.include({
+      objectId: OBJECT_ID,
+      owner: RECIPIENT,
+      soulbound: true,
+      title: "On Trees",
+      publicationDate: 1705276800,
+      url: "ipfs://QmTrees",
+    });
+    expect((await getPublication(client, OBJECT_ID)).authors).to.deep.equal([
+      { name: "Jane Doe", orcid: "0000-0002-1825-0097", wallet: "" },
+    ]);
+  });
+
+  it("Should mint and read the object ID from PublicationMinted", async function () {
+    expect(parseMintedObjectId({ events: [] })).to.equal(null);
+
+    const calls = [];
+    const client = {
+      getNormalizedMoveFunction: async (request) => {
+        calls.push(request);
+        if (request.function !== "mint") {
+          throw new Error(
+            `No function was found with function name ${request.function}`
+          );
+        }
+        return normalizedMintFunction({ legacy: client.legacy });
+      },
+      signAndExecuteTransaction: async (request) => {
+        calls.push(request);
+        return MINTED;
+      },
+      waitForTransaction: async ({ digest }) => calls.push(digest),
+    };
+
+    const result = await mintPublication(
+      client,
+      Ed25519Keypair.generate(),
+      PACKAGE_ID,
+      RECIPIENT,
+      PUBLICATION,
+      { gasBudget: 10000000 }
+    );
+
+    expect(result.objectId).to.equal(OBJECT_ID);
+    expect(result.digest).to.equal("9XqAb");
+    expect(result.gas.total).to.equal(5021880);
+    expect(calls[0]).to.deep.equal({
+      package: PACKAGE_ID,
+      module: "publication_nft",
+      function: "mint",
+    });
+    expect(calls[1].options).to.include({ showEvents: true });
+    expect(calls[1].transaction.getData().gasData.budget).to.equal("10000000");
+    expect(calls[2]).to.equal("9XqAb");
+
+    client.signAndExecuteTransaction = async () => ({
+      ...MINTED,
+      effects: {
+        ...MINTED.effects,
+        status: { status: "failure", error: "MoveAbort(...)" },
+      },
+    });
+    await expect(
+      mintPublication(
+        client,
+        Ed25519Keypair.generate(),
+        PACKAGE_ID,
+        RECIPIENT,
+        PUBLICATION
+      )
+    ).to.be.rejectedWith("Transaction 9XqAb failed: MoveAbort(...)");
+
+    // Packages published before soulbound NFTs are refused before sending
+    calls.length = 0;
+    await expect(
+      mintPublication(
+        client,
+        Ed25519Keypair.generate(),
+        PACKAGE_ID,
+        RECIPIENT,
+        PUBLICATION,
+        { soulbound: true }
+      )
+    ).to.be.rejectedWith(
+      `Package ${PACKAGE_ID} has no publication_nft::mint_soulbound`
+    );
+    expect(calls).to.have.lengthOf(1);
+
+    // So are packages whose mint takes the authors as one string
+    client.legacy = true;
+    await expect(
+      mintPublication(
+        client,
+        Ed25519Keypair.generate(),
+        PACKAGE_ID,
+        RECIPIENT,
+        PUBLICATION
+      )
+    ).to.be.rejectedWith(
+      `Package ${PACKAGE_ID}'s publication_nft::mint takes (string::String, string::String, u64,`
+    );
+    expect(calls).to.have.lengthOf(2);
+
+    // Other failures are not blamed on the package
+    const unreachable = new Error("fetch failed");
+    client.getNormalizedMoveFunction = async () => {
+      throw unreachable;
+    };
+    await expect(
+      mintPublication(
+        client,
+        Ed25519Keypair.generate(),
+        PACKAGE_ID,
+        RECIPIENT,
+        PUBLICATION
+      )
+    ).to.be.rejectedWith(unreachable);
+  });
+
+  describe("with the Sui CLI configuration", function () {
+    let dir;
+    let keypair;
+
+    beforeEach(function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "pnft-suicfg-"));
+      keypair = Ed25519Keypair.generate();
+      const other = Ed25519Keypair.generate();
+      // Keystore entries are base64 of the scheme flag and the secret key
+      const entry = (pair) =>
+        Buffer.concat([
+          Buffer.from([0]),
+          decodeSuiPrivateKey(pair.getSecretKey()).secretKey,
+        ]).toString("base64");
+      fs.writeFileSync(
+        path.join(dir, "sui.keystore"),
+        JSON.stringify([entry(other), entry(keypair)])
+      );
+      fs.writeFileSync(
+        path.join(dir, "client.yaml"),
+        `---
+keystore:
+  File: ${path.join(dir, "sui.keystore")}
+envs:
+  - alias: localnet
+    rpc: "http://127.0.0.1:9000"
+    ws: ~
+  - alias: testnet
+    rpc: "https://fullnode.testnet.sui.io:443"
+    ws: ~
+active_env: localnet
+active_address: "${keypair.toSuiAddress()}"
+`
+      );
+    });
+
+    afterEach(function () {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should use the CLI's network, RPC URL and active key", function () {
+      const env = { SUI_CONFIG_DIR: dir };
+      expect(readClientConfig(dir).envs).to.have.lengthOf(2);
+
+      const connection = resolveConnection(env);
+      expect(connection).to.include({
+        network: "localnet",
+        rpcUrl: "http://127.0.0.1:9000",
+      });
+      expect(
+        resolveConnection({ ...env, SUI_NETWORK: "mainnet" }).rpcUrl
+      ).to.equal("https://fullnode.mainnet.sui.io:443");
+      expect(() =>
+        resolveConnection({ ...env, SUI_NETWORK: "staging" })
+      ).to.throw('No RPC URL known for Sui network "staging"');
+
+      expect(loadSigner(connection.config, env).toSuiAddress()).to.equal(
+        keypair.toSuiAddress()
+      );
+      const override = Ed25519Keypair.generate();
+      expect(
+        loadSigner(connection.config, {
+          SUI_PRIVATE_KEY: override.getSecretKey(),
+        }).toSuiAddress()
+      ).to.equal(override.toSuiAddress());
+    });
+  });
+
+  describe("resolveDeployment", function () {
+    let server;
+    let dir;
+
+    beforeEach(async function () {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), "pnft-suidep-"));
+      fs.writeFileSync(
+        path.join(dir, "localnet.json"),
+        JSON.stringify({ packageId: PACKAGE_ID, digest: "PublishDigest" })
+      );
+      server = await startMockServer({
+        "POST /": (request) => ({
+          jsonrpc: "2.0",
+          id: request.body.id,
+          result:
+            request.body.params[0] === PACKAGE_ID
+              ? {
+                  data: {
+                    objectId: PACKAGE_ID,
+                    previousTransaction: "PublishDigest",
+                  },
+                }
+              : { error: { code: "notExists" } },
+        }),
+      });
+    });
+
+    afterEach(async function () {
+      await server.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it("Should check the recorded package on chain", async function () {
+      const client = new SuiClient({ url: server.url });
+
+      const { packageId } = await resolveDeployment(client, "localnet", {
+        dir,
+      });
+      expect(packageId).to.equal(PACKAGE_ID);
+      expect(server.requests[0].body.method).to.equal("sui_getObject");
+
+      await expect(
+        resolveDeployment(client, "localnet", { dir, packageId: OBJECT_ID })
+      ).to.be.rejectedWith(
+        `Package ${OBJECT_ID} (from PACKAGE_ID) was not found`
+      );
+      await expect(
+        resolveDeployment(client, "devnet", { dir })
+      ).to.be.rejectedWith('No deployment recorded for Sui network "devnet"');
+
+      fs.writeFileSync(
+        path.join(dir, "localnet.json"),
+        JSON.stringify({ packageId: PACKAGE_ID, digest: "OtherDigest" })
+      );
+      await expect(
+        resolveDeployment(client, "localnet", { dir })
+      ).to.be.rejectedWith(
+        "published by transaction PublishDigest, recorded OtherDigest"
+      );
+
+      fs.writeFileSync(
+        path.join(dir, "localnet.json"),
+        JSON.stringify({
+          packageId: PACKAGE_ID,
+          incompatible: "its mint takes the authors as one string.",
+        })
+      );
+      await expect(
+        resolveDeployment(client, "localnet", { dir })
+      ).to.be.rejectedWith(
+        `Package ${PACKAGE_ID} (from deployments/localnet.json) can't be used with these scripts: its mint takes the authors as one string.`
+      );
+    });
+  });
+});
@@ -0,0 +1,266 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  getPublication,
+  getPublicationVersions,
+  mintPublication,
+  updatePublication,
+} = require("../lib/publication-client");
+const { diffPublication, toUpdateArgs } = require("../lib/publication");
+const { formatAuthors } = require("../lib/authors");
+const { createEthereumBackend } = require("../lib/backend");
+const { run } = require("../../cli/lib/pubnft");
+
+const PUBLICATION = {
+  uri: "ipfs://QmTrees",
+  title: "On Trees",
+  authors: "Doe, Jnae",
+  publicationDate: "2024-01-15",
+  doi: "10.1000/trees",
+  field: "Botany",
+};
+
+const CORRECTED = {
+  ...PUBLICATION,
+  uri: "ipfs://QmTreesCorrected",
+  authors: "Doe, Jane",
+};
+
+describe("Publication updates", function () {
+  let publicationNFT;
+  let owner;
+  let addr1;
+
+  beforeEach(async function () {
+    [owner, addr1] = await ethers.getSigners();
+    const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+    publicationNFT = await PublicationNFT.deploy(owner.address);
+    await publicationNFT.waitForDeployment();
+    await mintPublication(publicationNFT, addr1.address, PUBLICATION);
+  });
+
+  it("Should update a publication and keep the previous version", async function () {
+    await expect(
+      publicationNFT.updatePublication(...toUpdateArgs(0, CORRECTED))
+    )
+      .to.emit(publicationNFT, "MetadataUpdate")
+      .withArgs(0)
+      .and.to.emit(publicationNFT, "PublicationUpdated")
+      .withArgs(0, 1);
+
+    expect(await publicationNFT.tokenURI(0)).to.equal(
+      "ipfs://QmTreesCorrected"
+    );
+    expect(
+      formatAuthors((await getPublication(publicationNFT, 0)).authors)
+    ).to.equal("Doe, Jane");
+    expect(await publicationNFT.publicationVersionCount(0)).to.equal(2n);
+
+    const versions = await getPublicationVersions(publicationNFT, 0);
+    expect(
+      versions.map(({ version, uri, publication }) => [
+        version,
+        uri,
+        formatAuthors(publication.authors),
+      ])
+    ).to.deep.equal([
+      [0, "ipfs://QmTrees", "Doe, Jnae"],
+      [1, "ipfs://QmTreesCorrected", "Doe, Jane"],
+    ]);
+    expect(versions[0].publication).to.include({
+      field: "Botany",
+      url: "ipfs://QmTrees",
+    });
+    await expect(publicationNFT.getPublicationVersion(0, 2))
+      .to.be.revertedWithCustomError(publicationNFT, "VersionNotFound")
+      .withArgs(0, 2);
+  });
+
+  it("Should only let metadata editors update or freeze", async function () {
+    const editorRole = await publicationNFT.METADATA_EDITOR_ROLE();
+    await expect(
+      publicationNFT
+        .connect(addr1)
+        .updatePublication(...toUpdateArgs(0, CORRECTED))
+    )
+      .to.be.revertedWithCustomError(
+        publicationNFT,
+        "AccessControlUnauthorizedAccount"
+      )
+      .withArgs(addr1.address, editorRole);
+    await expect(publicationNFT.connect(addr1).freeze(0))
+      .to.be.revertedWithCustomError(
+        publicationNFT,
+        "AccessControlUnauthorizedAccount"
+      )
+      .withArgs(addr1.address, editorRole);
+    await expect(
+      publicationNFT.updatePublication(...toUpdateArgs(5, CORRECTED))
+    ).to.be.revertedWithCustomError(publicationNFT, "ERC721NonexistentToken");
+  });
+
+  it("Should refuse updates once frozen", async function () {
+    await expect(publicationNFT.freeze(0))
+      .to.emit(publicationNFT, "PublicationFrozen")
+      .withArgs(0);
+    expect(await publicationNFT.frozen(0)).to.equal(true);
+
+    await expect(
+      publicationNFT.updatePublication(...toUpdateArgs(0, CORRECTED))
+    )
+      .to.be.revertedWithCustomError(publicationNFT, "PublicationIsFrozen")
+      .withArgs(0);
+    await expect(publicationNFT.freeze(0)).to.be.revertedWithCustomError(
+      publicationNFT,
+      "PublicationIsFrozen"
+    );
+    await expect(
+      updatePublication(publicationNFT, 0, CORRECTED)
+    ).to.be.rejectedWith("Token 0 is frozen and can't be updated");
+  });
+
+  it("Should move the DOI index with the DOI", async function () {
+    await mintPublication(publicationNFT, addr1.address, {
+      ...PUBLICATION,
+      title: "On Rivers",
+      doi: "10.1000/rivers",
+    });
+
+    // Keeping the token's own DOI is not a duplicate
+    const { version } = await updatePublication(publicationNFT, 0, {
+      ...CORRECTED,
+      doi: "https://doi.org/10.1000/TREES",
+    });
+    expect(version).to.equal(1n);
+
+    await expect(
+      updatePublication(publicationNFT, 0, {
+        ...CORRECTED,
+        doi: "10.1000/rivers",
+      })
+    ).to.be.rejectedWith(
+      'DOI 10.1000/rivers is already minted as token 1 ("On Rivers")'
+    );
+    await expect(
+      publicationNFT.updatePublication(
+        ...toUpdateArgs(0, { ...CORRECTED, doi: "10.1000/rivers" })
+      )
+    )
+      .to.be.revertedWithCustomError(publicationNFT, "DuplicateDoi")
+      .withArgs("10.1000/rivers", 1);
+
+    await updatePublication(publicationNFT, 0, {
+      ...CORRECTED,
+      doi: "10.1000/trees-2",
+    });
+    expect(await publicationNFT.tokenIdByDoi("10.1000/trees-2")).to.equal(0n);
+    await expect(
+      publicationNFT.tokenIdByDoi("10.1000/trees")
+    ).to.be.revertedWithCustomError(publicationNFT, "DoiNotFound");
+    // The released DOI can be minted again
+    await mintPublication(publicationNFT, addr1.address, PUBLICATION);
+  });
+
+  it("Should list the changed fields", function () {
+    expect(
+      diffPublication(
+        { ...PUBLICATION, publicationDate: 1705276800 },
+        { ...CORRECTED, title: " On Trees ", description: "" }
+      )
+    ).to.deep.equal([
+      {
+        field: "uri",
+        before: "ipfs://QmTrees",
+        after: "ipfs://QmTreesCorrected",
+      },
+      { field: "authors", before: "Doe, Jnae", after: "Doe, Jane" },
+      // url follows the token URI when it isn't set
+      {
+        field: "url",
+        before: "ipfs://QmTrees",
+        after: "ipfs://QmTreesCorrected",
+      },
+    ]);
+  });
+
+  it("Should update with pubnft after showing the changes", async function () {
+    const backend = createEthereumBackend({
+      hre: require("hardhat"),
+      contract: await publicationNFT.getAddress(),
+    });
+    const pubnft = async (argv, createBackend = () => backend) => {
+      const write = process.stdout.write;
+      let output = "";
+      process.stdout.write = (chunk) => {
+        output += chunk;
+        return true;
+      };
+      try {
+        const code = await run([...argv, "--json"], {
+          env: {},
+          createBackend,
+        });
+        return { code, output: JSON.parse(output) };
+      } finally {
+        process.stdout.write = write;
+      }
+    };
+
+    const updated = await pubnft([
+      "update",
+      "0",
+      "--authors",
+      "Doe, Jane",
+      "--url",
+      "https://example.com/trees.json",
+    ]);
+    expect(updated.code).to.equal(0);
+    expect(updated.output).to.include({ id: "0", version: 1 });
+    expect(updated.output.changes).to.deep.equal([
+      { field: "authors", before: "Doe, Jnae", after: "Doe, Jane" },
+      {
+        field: "url",
+        before: "ipfs://QmTrees",
+        after: "https://example.com/trees.json",
+      },
+    ]);
+
+    const unchanged = await pubnft(["update", "0", "--authors", "Doe, Jane"]);
+    expect(unchanged.output.error).to.equal(
+      "Publication 0 already has these values"
+    );
+
+    // Tokens minted without a URI keep rendering their metadata on-chain
+    await mintPublication(publicationNFT, addr1.address, {
+      ...PUBLICATION,
+      uri: "",
+      doi: "10.1000/drafts",
+    });
+    const retitled = await pubnft(["update", "1", "--title", "On Drafts"]);
+    expect(retitled.code).to.equal(0);
+    expect(retitled.output.changes).to.deep.equal([
+      { field: "title", before: "On Trees", after: "On Drafts" },
+    ]);
+    expect(
+      (await pubnft(["history", "1"])).output.versions.map(
+        (version) => version.tokenUri
+      )
+    ).to.deep.equal(["", ""]);
+
+    expect((await pubnft(["freeze", "0"])).code).to.equal(0);
+    const history = await pubnft(["history", "0"]);
+    expect(history.output.frozen).to.equal(true);
+    expect(
+      history.output.versions.map((version) => version.tokenUri)
+    ).to.deep.equal(["ipfs://QmTrees", "ipfs://QmTrees"]);
+    expect(
+      (await pubnft(["update", "0", "--title", "On Trees II"])).output.error
+    ).to.equal("Publication 0 is frozen and can't be updated");
+
+    const sui = await pubnft(["update", "0", "--title", "On Trees II"], () => ({
+      chain: "sui",
+      network: "localnet",
+    }));
+    expect(sui.output.error).to.equal("sui publications can't be updated");
+  });
+});
@@ -0,0 +1,242 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getPublication } = require("../lib/publication-client");
+const {
+  VOUCHER_TYPES,
+  voucherDomain,
+  createVoucher,
+  signVoucher,
+  encodeVoucher,
+  decodeVoucher,
+  inspectVoucher,
+  checkVoucher,
+  redeemVoucher,
+} = require("../lib/voucher");
+const { toAuthorArgs } = require("../lib/authors");
+
+const PUBLICATION = {
+  uri: "ipfs://QmTrees",
+  title: "On Trees",
+  authors: "Doe, Jane",
+  publicationDate: "2024-01-15",
+  doi: "10.1000/trees",
+  field: "Botany",
+};
+
+describe("Mint vouchers", function () {
+  let publicationNFT;
+  let publisher;
+  let author;
+  let stranger;
+  let domain;
+
+  beforeEach(async function () {
+    [publisher, author, stranger] = await ethers.getSigners();
+    const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+    publicationNFT = await PublicationNFT.deploy(publisher.address);
+    await publicationNFT.waitForDeployment();
+    const { chainId } = await ethers.provider.getNetwork();
+    domain = voucherDomain(chainId, await publicationNFT.getAddress());
+  });
+
+  async function latestTimestamp() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function signed(publication = PUBLICATION, options = {}) {
+    const voucher = createVoucher(author.address, publication, {
+      now: await latestTimestamp(),
+      expiry: (await latestTimestamp()) + 3600,
+      ...options,
+    });
+    return signVoucher(options.signer || publisher, domain, voucher);
+  }
+
+  it("Should let the author redeem a voucher and pay for it", async function () {
+    const voucher = await signed();
+    const asAuthor = publicationNFT.connect(author);
+
+    expect(await publicationNFT.hashVoucher(voucher.voucher)).to.equal(
+      ethers.TypedDataEncoder.hash(domain, VOUCHER_TYPES, voucher.voucher)
+    );
+    const before = await ethers.provider.getBalance(publisher.address);
+    await expect(asAuthor.redeemVoucher(voucher.voucher, voucher.signature))
+      .to.emit(publicationNFT, "VoucherRedeemed")
+      .withArgs(publisher.address, voucher.voucher.nonce, 0)
+      .and.to.emit(publicationNFT, "PublicationMinted")
+      .withArgs(
+        0,
+        author.address,
+        "On Trees",
+        toAuthorArgs(PUBLICATION.authors).map(Object.values)
+      );
+
+    expect(await ethers.provider.getBalance(publisher.address)).to.equal(
+      before
+    );
+    expect(await publicationNFT.ownerOf(0)).to.equal(author.address);
+    expect(await publicationNFT.tokenURI(0)).to.equal("ipfs://QmTrees");
+    expect(await getPublication(publicationNFT, 0)).to.include({
+      title: "On Trees",
+      publicationDate: 1705276800,
+      url: "ipfs://QmTrees",
+      field: "Botany",
+    });
+    expect(
+      await publicationNFT.isVoucherRedeemed(
+        publisher.address,
+        voucher.voucher.nonce
+      )
+    ).to.equal(true);
+  });
+
+  it("Should reject a replayed voucher", async function () {
+    const voucher = await signed({ ...PUBLICATION, doi: "" });
+    const { tokenId, signer } = await redeemVoucher(
+      publicationNFT.connect(author),
+      voucher
+    );
+    expect(tokenId).to.equal(0n);
+    expect(signer).to.equal(publisher.address);
+
+    await expect(
+      publicationNFT
+        .connect(stranger)
+        .redeemVoucher(voucher.voucher, voucher.signature)
+    )
+      .to.be.revertedWithCustomError(publicationNFT, "VoucherAlreadyRedeemed")
+      .withArgs(publisher.address, voucher.voucher.nonce);
+    await expect(
+      redeemVoucher(publicationNFT.connect(author), voucher)
+    ).to.be.rejectedWith(
+      `Voucher can't be redeemed: Voucher ${voucher.voucher.nonce} was already redeemed`
+    );
+
+    // A new nonce is a new voucher, even for the same publication
+    const again = await signed({ ...PUBLICATION, doi: "" });
+    expect(again.voucher.nonce).not.to.equal(voucher.voucher.nonce);
+    await publicationNFT
+      .connect(author)
+      .redeemVoucher(again.voucher, again.signature);
+    expect(await publicationNFT.balanceOf(author.address)).to.equal(2n);
+  });
+
+  it("Should reject an expired voucher", async function () {
+    const now = await latestTimestamp();
+    const voucher = await signed(PUBLICATION, { expiry: now + 60 });
+    await ethers.provider.send("evm_increaseTime", [61]);
+    await ethers.provider.send("evm_mine", []);
+
+    await expect(
+      publicationNFT
+        .connect(author)
+        .redeemVoucher(voucher.voucher, voucher.signature)
+    )
+      .to.be.revertedWithCustomError(publicationNFT, "VoucherExpired")
+      .withArgs(now + 60);
+    const { problems } = await checkVoucher(publicationNFT, voucher);
+    expect(problems).to.deep.equal([
+      `Voucher expired at ${new Date((now + 60) * 1000).toISOString()}`,
+    ]);
+    expect(inspectVoucher(voucher, { now: now + 61 }).expired).to.equal(true);
+    expect(() =>
+      createVoucher(author.address, PUBLICATION, { now, expiry: now })
+    ).to.throw(`Voucher expiry must be a future unix time, got ${now}`);
+  });
+
+  it("Should refuse records the voucher can't carry", async function () {
+    expect(() =>
+      createVoucher(author.address, {
+        ...PUBLICATION,
+        soulbound: true,
+        royaltyReceiver: author.address,
+        royaltyBps: "250",
+        references: "0; 10.1000/xyz",
+      })
+    ).to.throw(
+      "so they can't carry soulbound, royaltyReceiver, royaltyBps, references"
+    );
+    // Blank manifest columns are fine
+    expect(
+      createVoucher(author.address, {
+        ...PUBLICATION,
+        soulbound: false,
+        royaltyReceiver: "",
+        royaltyBps: "",
+        references: [],
+      })
+    ).to.include({ title: PUBLICATION.title });
+  });
+
+  it("Should only accept vouchers signed by a minter", async function () {
+    const minterRole = await publicationNFT.MINTER_ROLE();
+    const voucher = await signed();
+
+    // Any change to the signed data recovers a different signer
+    const tampered = { ...voucher.voucher, to: stranger.address };
+    const recovered = ethers.verifyTypedData(
+      domain,
+      VOUCHER_TYPES,
+      tampered,
+      voucher.signature
+    );
+    await expect(
+      publicationNFT
+        .connect(stranger)
+        .redeemVoucher(tampered, voucher.signature)
+    )
+      .to.be.revertedWithCustomError(publicationNFT, "InvalidVoucherSigner")
+      .withArgs(recovered);
+
+    const forged = await signed(PUBLICATION, { signer: author });
+    await expect(
+      publicationNFT
+        .connect(author)
+        .redeemVoucher(forged.voucher, forged.signature)
+    )
+      .to.be.revertedWithCustomError(publicationNFT, "InvalidVoucherSigner")
+      .withArgs(author.address);
+
+    // Revoking the minter role voids the vouchers it signed
+    await publicationNFT.grantRole(minterRole, stranger.address);
+    const fromStranger = await signed(PUBLICATION, { signer: stranger });
+    await publicationNFT.revokeRole(minterRole, stranger.address);
+    expect(
+      (await checkVoucher(publicationNFT, fromStranger)).problems
+    ).to.deep.equal([
+      `Signer ${stranger.address} doesn't have the minter role`,
+    ]);
+
+    // Vouchers are bound to the contract they were signed for
+    const PublicationNFT = await ethers.getContractFactory("PublicationNFT");
+    const other = await PublicationNFT.deploy(publisher.address);
+    await expect(
+      other.connect(author).redeemVoucher(voucher.voucher, voucher.signature)
+    ).to.be.revertedWithCustomError(other, "InvalidVoucherSigner");
+    await expect(
+      redeemVoucher(other.connect(author), voucher)
+    ).to.be.rejectedWith(`Voucher is for contract ${domain.verifyingContract}`);
+  });
+
+  it("Should encode vouchers as one line and decode them", async function () {
+    const voucher = await signed();
+    const encoded = encodeVoucher(voucher);
+
+    expect(encoded).to.match(/^pubnft-voucher:[A-Za-z0-9_-]+$/);
+    expect(decodeVoucher(`${encoded}\n`)).to.deep.equal(voucher);
+    expect(decodeVoucher(JSON.stringify(voucher))).to.deep.equal(voucher);
+    expect(() => decodeVoucher('{"voucher":{}}')).to.throw(
+      "Not a PublicationNFT voucher: expected domain, voucher and signature"
+    );
+    expect(() => decodeVoucher("pubnft-voucher:@@")).to.throw(
+      "Not a PublicationNFT voucher"
+    );
+
+    expect(inspectVoucher(voucher)).to.deep.include({
+      signer: publisher.address,
+      to: author.address,
+      contract: domain.verifyingContract,
+      expired: false,
+    });
+  });
+});
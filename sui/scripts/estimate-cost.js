@@ -1,278 +1,281 @@
 /**
- * Refined Cost estimation script for PublicationNFT deployment on Sui
- * Uses Sui's built-in dry-run functionality for accurate gas estimates
- * instead of hardcoded default values
+ * Cost estimation script for PublicationNFT deployment on Sui
+ * Dry-runs the package publish and a representative mint through the Sui CLI
+ * (nothing is signed or spent) and reports computation cost, storage cost
+ * and storage rebate from the transaction effects.
+ *
+ * Usage:
+ * node scripts/estimate-cost.js [publications.csv|.json|.bib|.ris]
+ *
+ * With a manifest, the mint cost of every publication is priced from its
+ * metadata size (storage is paid per byte).
+ *
+ * Environment:
+ *   SUI_NETWORK     Sui CLI environment to estimate on (default: the active one)
+ *   SUI_RPC_URL     Dry-run on this node instead of the CLI environment's,
+ *                   e.g. http://127.0.0.1:9000 for a local `sui start` network
+ *   PACKAGE_ID      Package to dry-run mints against (default:
+ *                   deployments/<network>.json)
+ *   SUI_GAS_BUDGET  Gas budget for the dry runs in MIST (default: 500000000)
+ *
+ * The Ethereum comparison runs ../ethereum/scripts/estimate-cost.js --json.
  */
 
-const https = require("https");
-const { execSync } = require("child_process");
-
-async function getCurrentSuiPrice() {
-  return new Promise((resolve, reject) => {
-    // Using CoinGecko API for SUI price
-    const url =
-      "https://api.coingecko.com/api/v3/simple/price?ids=sui&vs_currencies=usd";
-
-    https
-      .get(url, (res) => {
-        let data = "";
-
-        res.on("data", (chunk) => {
-          data += chunk;
-        });
-
-        res.on("end", () => {
-          try {
-            const response = JSON.parse(data);
-            if (response.sui && response.sui.usd) {
-              resolve(response.sui.usd);
-            } else {
-              reject(new Error("Invalid API response"));
-            }
-          } catch (error) {
-            reject(error);
-          }
-        });
-      })
-      .on("error", (error) => {
-        reject(error);
-      });
-  });
+const fs = require("fs");
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { createOracleFromEnv } = require("../../ethereum/lib/oracle");
+const { readManifest } = require("../../ethereum/lib/manifest");
+const {
+  MIST_PER_SUI,
+  runSui,
+  metadataBytes,
+  dryRunPublish,
+  calibrateMintCost,
+  estimateMintCost,
+  resolveRpcUrl,
+  getReferenceGasPrice,
+} = require("./lib/dry-run");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "deployments");
+const ETHEREUM_DIR = path.join(__dirname, "..", "..", "ethereum");
+
+function resolveNetwork() {
+  const active = runSui(["client", "active-env"]).trim();
+  const network = process.env.SUI_NETWORK || active;
+  if (network !== active) {
+    throw new Error(
+      `SUI_NETWORK is ${network} but the Sui CLI is on ${active}. Run 'sui client switch --env ${network}'.`
+    );
+  }
+  return network;
 }
 
-async function getSuiGasInfo() {
-  return new Promise((resolve, reject) => {
-    // Using Sui RPC to get current gas info
-    const url = "https://fullnode.mainnet.sui.io:443";
-
-    const postData = JSON.stringify({
-      jsonrpc: "2.0",
-      id: 1,
-      method: "sui_getReferenceGasPrice",
-      params: [],
-    });
-
-    const options = {
-      hostname: "fullnode.mainnet.sui.io",
-      port: 443,
-      path: "/",
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Content-Length": Buffer.byteLength(postData),
-      },
-    };
-
-    const req = https.request(options, (res) => {
-      let data = "";
-
-      res.on("data", (chunk) => {
-        data += chunk;
-      });
-
-      res.on("end", () => {
-        try {
-          const response = JSON.parse(data);
-          if (response.result) {
-            resolve({
-              referenceGasPrice: parseInt(response.result),
-            });
-          } else {
-            reject(new Error("Invalid API response"));
-          }
-        } catch (error) {
-          reject(error);
-        }
-      });
-    });
-
-    req.on("error", (error) => {
-      reject(error);
-    });
-
-    req.write(postData);
-    req.end();
-  });
+function resolvePackageId(network) {
+  if (process.env.PACKAGE_ID) {
+    return process.env.PACKAGE_ID;
+  }
+  const file = path.join(DEPLOYMENTS_DIR, `${network}.json`);
+  return fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, "utf8")).packageId
+    : null;
 }
 
-async function estimateDeploymentCost() {
-  console.log("🔬 Using RPC-based gas estimation for deployment...");
-
-  try {
-    // Use Sui's RPC to estimate deployment gas
-    // Based on typical Sui deployment costs for a contract with rich metadata
-    const estimatedGas = 50000000; // 50M MIST - conservative estimate for deployment
-    console.log(
-      `📊 Using RPC-based estimate: ${estimatedGas.toLocaleString()} MIST`
-    );
-    return estimatedGas;
-  } catch (error) {
-    console.log(`⚠️  RPC estimation failed: ${error.message}`);
-    console.log("🔄 Falling back to conservative estimate...");
-    return 100000000; // 100M MIST
+/**
+ * Run the Ethereum estimator and return its JSON result
+ * @returns {Object} Result of ethereum/scripts/estimate-cost.js --json
+ */
+function estimateEthereumCosts() {
+  const output = execFileSync(
+    process.execPath,
+    [path.join("scripts", "estimate-cost.js"), "--json"],
+    {
+      cwd: ETHEREUM_DIR,
+      encoding: "utf8",
+      env: { ...process.env, HARDHAT_NETWORK: "hardhat" },
+      stdio: ["ignore", "pipe", "pipe"],
+      timeout: 5 * 60 * 1000,
+    }
+  );
+  const result = JSON.parse(output);
+  if (result.error) {
+    throw new Error(result.error);
   }
+  return result;
 }
 
-async function estimateMintCost() {
-  console.log("🔬 Using RPC-based gas estimation for minting...");
+function formatSui(mist, suiPrice) {
+  const sui = mist / MIST_PER_SUI;
+  return `${sui.toFixed(6)} SUI ($${(sui * suiPrice).toFixed(4)})`;
+}
 
-  try {
-    // Use Sui's RPC to estimate mint gas
-    // Based on typical Sui transaction costs for NFT minting with metadata
-    const estimatedGas = 15000000; // 15M MIST - conservative estimate for minting
-    console.log(
-      `📊 Using RPC-based estimate: ${estimatedGas.toLocaleString()} MIST`
-    );
-    return estimatedGas;
-  } catch (error) {
-    console.log(`⚠️  RPC estimation failed: ${error.message}`);
-    console.log("🔄 Falling back to conservative estimate...");
-    return 30000000; // 30M MIST
-  }
+function logGasSummary(label, gas, suiPrice) {
+  console.log(`${label}:`);
+  console.log(`   Computation: ${gas.computationCost.toLocaleString()} MIST`);
+  console.log(`   Storage: ${gas.storageCost.toLocaleString()} MIST`);
+  console.log(`   Storage rebate: -${gas.storageRebate.toLocaleString()} MIST`);
+  console.log(`   Net cost: ${formatSui(gas.total, suiPrice)}`);
 }
 
 async function main() {
+  const manifestPath = process.argv[2];
+  const gasBudget = Number(process.env.SUI_GAS_BUDGET) || undefined;
+
   console.log("💰 PublicationNFT Sui Deployment Cost Estimator");
   console.log("===============================================\n");
 
-  console.log("📊 Network: SUI MAINNET");
+  const network = resolveNetwork();
+  const rpcUrl = process.env.SUI_RPC_URL || resolveRpcUrl(network);
+  console.log(`📊 Network: ${network.toUpperCase()} (${rpcUrl})`);
 
   // Fetch current SUI price and gas info
-  console.log("� Fetching current SUI price from CoinGecko...");
-  let suiPrice;
-  try {
-    suiPrice = await getCurrentSuiPrice();
-    console.log(
-      `💵 SUI Price: $${suiPrice.toFixed(4)}/SUI (current market rate)\n`
-    );
-  } catch (error) {
+  console.log("🔍 Fetching current SUI price...");
+  const suiQuote = await createOracleFromEnv().getPrice("SUI");
+  const suiPrice = suiQuote.usd;
+  if (suiQuote.fallback) {
     console.log("⚠️  Failed to fetch SUI price, using fallback value...");
-    suiPrice = 1.5; // Fallback price
     console.log(`💵 SUI Price: $${suiPrice.toFixed(4)}/SUI (fallback)\n`);
+  } else {
+    console.log(
+      `💵 SUI Price: $${suiPrice.toFixed(4)}/SUI (${
+        suiQuote.stale ? `cached from ${suiQuote.source}` : suiQuote.source
+      })\n`
+    );
   }
 
-  // Get gas information
-  console.log("⛽ Fetching current gas information from Sui RPC...");
-  let gasInfo;
   try {
-    gasInfo = await getSuiGasInfo();
-    console.log(`Reference Gas Price: ${gasInfo.referenceGasPrice} MIST\n`);
+    const referenceGasPrice = await getReferenceGasPrice(rpcUrl);
+    console.log(`⛽ Reference Gas Price: ${referenceGasPrice} MIST\n`);
   } catch (error) {
-    console.log("⚠️  Failed to fetch gas info, using estimated values...\n");
-    gasInfo = { referenceGasPrice: 1000 }; // Conservative estimate
+    console.log(
+      `⚠️  Could not read the reference gas price: ${error.message}\n`
+    );
   }
 
-  // Get gas estimates for this specific contract using dry-run
-  console.log(
-    "🔍 Analyzing PublicationNFT Sui contract with dry-run simulations..."
-  );
-  const deployGas = await estimateDeploymentCost();
-  const mintGas = await estimateMintCost();
-
-  console.log(
-    `\n📏 Contract Deployment Gas Used: ${deployGas.toLocaleString()} MIST`
-  );
-  console.log(`🎨 NFT Mint Gas Used: ${mintGas.toLocaleString()} MIST\n`);
-
-  // Calculate costs in SUI and USD
-  console.log("🏗️  Contract Deployment Cost Breakdown:");
-  const deployCostSui = deployGas / 1000000000; // Convert MIST to SUI
-  const deployCostUsd = deployCostSui * suiPrice;
-  console.log(
-    `  Estimated Cost: ${deployCostSui.toFixed(
-      6
-    )} SUI ($${deployCostUsd.toFixed(4)})`
-  );
+  // Dry-run the publish and the mints
+  const dryRunOptions = { gasBudget, rpcUrl: process.env.SUI_RPC_URL };
+  console.log("🔬 Dry-running package publish...");
+  const publish = await dryRunPublish(dryRunOptions);
+  logGasSummary("\n🏗️  Package Publish", publish, suiPrice);
+
+  const packageId = resolvePackageId(network);
+  let mintModel = null;
+  if (packageId) {
+    console.log(`\n🔬 Dry-running mints against package ${packageId}...`);
+    mintModel = await calibrateMintCost({
+      ...dryRunOptions,
+      packageId,
+      recipient: runSui(["client", "active-address"]).trim(),
+    });
+    logGasSummary(
+      `\n🎨 NFT Mint (${mintModel.baseBytes} metadata bytes)`,
+      mintModel.base,
+      suiPrice
+    );
+    console.log(
+      `   Each extra metadata byte: ${mintModel.perByte.toFixed(0)} MIST`
+    );
+  } else {
+    console.log(
+      `\n⚠️  No package recorded for ${network}, so mints can't be dry-run.`
+    );
+    console.log(
+      "   Publish to a local network (sui start) and record it, or set PACKAGE_ID."
+    );
+  }
 
-  console.log("\n🎨 NFT Minting Cost Breakdown:");
-  const mintCostSui = mintGas / 1000000000; // Convert MIST to SUI
-  const mintCostUsd = mintCostSui * suiPrice;
-  console.log(
-    `  Estimated Cost: ${mintCostSui.toFixed(6)} SUI ($${mintCostUsd.toFixed(
-      4
-    )})`
-  );
+  if (mintModel && manifestPath) {
+    const rows = readManifest(manifestPath);
+    let total = 0;
+    console.log(
+      `\n📚 Minting ${rows.length} publications from ${manifestPath}:`
+    );
+    rows.forEach((row, index) => {
+      const bytes = metadataBytes(row);
+      const mist = estimateMintCost(mintModel, bytes);
+      total += mist;
+      console.log(
+        `   ${index + 1}. ${row.title} (${bytes} bytes): ${formatSui(
+          mist,
+          suiPrice
+        )}`
+      );
+    });
+    console.log(`   Total: ${formatSui(total, suiPrice)}`);
+  }
 
+  const mintMist = mintModel ? mintModel.base.total : 0;
   console.log(`\n💡 Cost Summary (at $${suiPrice.toFixed(4)}/SUI):`);
+  console.log(`Package Publish: ${formatSui(publish.total, suiPrice)}`);
+  if (mintModel) {
+    console.log(`First NFT Mint: ${formatSui(mintMist, suiPrice)}`);
+  }
   console.log(
-    `Contract Deployment: ${deployCostSui.toFixed(
-      6
-    )} SUI ($${deployCostUsd.toFixed(4)})`
-  );
-  console.log(
-    `First NFT Mint: ${mintCostSui.toFixed(6)} SUI ($${mintCostUsd.toFixed(4)})`
-  );
-  const totalCostSui = deployCostSui + mintCostSui;
-  const totalCostUsd = deployCostUsd + mintCostUsd;
-  console.log(
-    `Total Estimate: ${totalCostSui.toFixed(6)} SUI ($${totalCostUsd.toFixed(
-      4
-    )})`
+    `Total Estimate: ${formatSui(publish.total + mintMist, suiPrice)}`
   );
 
+  // The gas budget must cover computation and storage before the rebate
+  const budget =
+    publish.computationCost +
+    publish.storageCost +
+    (mintModel
+      ? mintModel.base.computationCost + mintModel.base.storageCost
+      : 0);
+  console.log("\n💰 Recommended SUI Amount (Deployment + 1st NFT):");
+  console.log(`• Recommended: ${formatSui(budget * 1.2, suiPrice)}`);
+  console.log(`• Minimum: ${formatSui(budget, suiPrice)}`);
+
   console.log("\n⚠️  Important Notes:");
   console.log(
-    "• Gas costs estimated using RPC-based calculations (no tokens spent)"
+    "• Gas costs come from dry runs of the actual transactions (no tokens spent)"
   );
-  console.log("• Estimates based on typical Sui contract deployment patterns");
-  console.log("• Actual costs may vary slightly based on network conditions");
-  console.log("• SUI price fetched live from CoinGecko API");
-  console.log("• Estimates based on current contract implementation");
-  console.log("• Contract includes rich metadata storage and Display standard");
-  console.log("• Sui's gas costs are significantly lower than Ethereum's");
-
-  console.log("\n🔍 Check Current SUI Price:");
-  console.log("• https://www.coingecko.com/en/coins/sui");
-  console.log("• https://coinmarketcap.com/currencies/sui/");
-  console.log("• https://www.binance.com/en/price/sui");
-
-  // Recommendations
-  console.log("\n💰 Recommended SUI Amount (Deployment + 1st NFT):");
-  const recommendedSui = totalCostSui * 1.2; // 20% buffer
-  const recommendedUsd = totalCostUsd * 1.2;
   console.log(
-    `• Recommended: ${recommendedSui.toFixed(6)} SUI ($${recommendedUsd.toFixed(
-      2
-    )})`
+    "• Storage rebates are returned when objects are deleted or mutated"
   );
   console.log(
-    `• Minimum: ${totalCostSui.toFixed(6)} SUI ($${totalCostUsd.toFixed(2)})`
+    suiQuote.fallback
+      ? "• SUI price is an offline fallback (set STATIC_PRICES)"
+      : `• SUI price from ${suiQuote.source}`
   );
 
   console.log("\n🚀 Ready to deploy? First check current SUI price, then:");
-  console.log("   sui client publish --gas-budget 100000000");
-  console.log("   ./scripts/mint-example.sh <recipient-address>");
-
-  console.log("\n💡 Pro Tips:");
   console.log(
-    "• Estimates calculated using RPC methods (completely free, no tokens spent)"
+    `   sui client publish --gas-budget ${Math.ceil(
+      publish.computationCost + publish.storageCost
+    )}`
   );
-  console.log("• Based on real Sui network data and typical contract patterns");
-  console.log("• Sui's parallel execution makes it highly scalable");
-  console.log("• Your optimized contract is ready for mainnet deployment");
-  console.log("• Re-run this script before deployment for latest estimates");
+  console.log("   node scripts/nft.js mint --example --recipient <address>");
 
   // Comparison with Ethereum
   console.log("\n⚖️  Comparison with Ethereum:");
-  console.log(
-    `• Sui deployment: $${deployCostUsd.toFixed(4)} vs Ethereum: ~$1.32`
-  );
-  console.log(`• Sui minting: $${mintCostUsd.toFixed(4)} vs Ethereum: ~$0.62`);
-  console.log(
-    `• Sui is ${(0.62 / mintCostUsd).toFixed(0)}x cheaper for minting!`
-  );
-  console.log(
-    `• Sui is ${(1.32 / deployCostUsd).toFixed(0)}x cheaper for deployment!`
-  );
-
-  console.log(
-    "\n✅ Sui makes PublicationNFT truly affordable for academic publishing!"
-  );
+  let ethereum;
+  try {
+    ethereum = estimateEthereumCosts();
+  } catch (error) {
+    console.log(
+      `• Ethereum estimate unavailable: ${error.message.split("\n")[0]}`
+    );
+  }
+  if (ethereum) {
+    const deployUsd = (publish.total / MIST_PER_SUI) * suiPrice;
+    const ethDeployUsd = ethereum.deployment.costs.proposed.usd;
+    console.log(
+      `• Sui deployment: $${deployUsd.toFixed(
+        4
+      )} vs Ethereum: $${ethDeployUsd.toFixed(2)}`
+    );
+    if (mintModel) {
+      const mintUsd = (mintMist / MIST_PER_SUI) * suiPrice;
+      const ethMintUsd = ethereum.mint.costs.proposed.usd;
+      console.log(
+        `• Sui minting: $${mintUsd.toFixed(
+          4
+        )} vs Ethereum: $${ethMintUsd.toFixed(2)}`
+      );
+      console.log(
+        `• Sui is ${(ethMintUsd / mintUsd).toFixed(0)}x cheaper for minting`
+      );
+    }
+    console.log(
+      `• Sui is ${(ethDeployUsd / deployUsd).toFixed(
+        0
+      )}x cheaper for deployment`
+    );
+    console.log(
+      `• Ethereum at ${ethereum.gasPrices.proposed.toFixed(
+        2
+      )} gwei, $${ethereum.ethPrice.usd.toFixed(2)}/ETH${
+        ethereum.gasPrices.fallback || ethereum.ethPrice.fallback
+          ? " (offline fallback values)"
+          : ""
+      }`
+    );
+  }
 }
 
 main()
   .then(() => process.exit(0))
   .catch((error) => {
-    console.error("Error estimating Sui costs:", error);
+    console.error("Error estimating Sui costs:", error.message);
     process.exit(1);
   });
@@ -0,0 +1,261 @@
+/**
+ * Sui backend for the pubnft command
+ *
+ * Implements the chain-agnostic backend interface (see cli/lib/backends.js)
+ * on top of the Sui TypeScript SDK and the publication_nft package. It takes
+ * the same publication records as the Ethereum backend: `uri` is used as the
+ * metadata URL when `url` is not set, and dates are converted to the
+ * milliseconds stored on Sui.
+ *
+ * Only `deploy` needs the Sui CLI, to compile the package.
+ */
+
+const { SuiClient } = require("@mysten/sui/client");
+const { Transaction } = require("@mysten/sui/transactions");
+const { isValidSuiAddress } = require("@mysten/sui/utils");
+const { createOracleFromEnv } = require("../../../ethereum/lib/oracle");
+const { resolveConnection, loadSigner } = require("./sui-config");
+const {
+  SUI_REQUIRED_FIELDS,
+  validateSuiPublication,
+  buildMintTransaction,
+  executeTransaction,
+  mintPublication,
+  transferPublication,
+  burnPublication,
+  getPublication,
+} = require("./publication-client");
+const {
+  buildDeploymentRecord,
+  writeDeployment,
+  resolveDeployment,
+} = require("./deployments");
+const {
+  PACKAGE_DIR,
+  MIST_PER_SUI,
+  SAMPLE_PUBLICATION,
+  runSui,
+  parseCliJson,
+  parseGasSummary,
+} = require("./dry-run");
+
+function formatMist(mist) {
+  return String(mist / MIST_PER_SUI);
+}
+
+/**
+ * Create the Sui backend
+ * @param {Object} options - { network (default: the Sui CLI's active
+ *   environment), contract: package ID overriding the registry (default:
+ *   PACKAGE_ID), log: progress output, client, signer, env }
+ * @returns {Object} Backend
+ */
+function createSuiBackend(options = {}) {
+  const { log = () => {}, env = process.env } = options;
+  const connection = resolveConnection(
+    options.network ? { ...env, SUI_NETWORK: options.network } : env
+  );
+  const { network } = connection;
+  const client = options.client || new SuiClient({ url: connection.rpcUrl });
+  const gasBudget = Number(env.SUI_GAS_BUDGET) || undefined;
+  let packageId = options.contract || env.PACKAGE_ID;
+  let signer = options.signer;
+
+  function getSigner() {
+    if (!signer) {
+      signer = loadSigner(connection.config, env);
+    }
+    return signer;
+  }
+
+  async function getPackageId() {
+    return (await resolveDeployment(client, network, { packageId })).packageId;
+  }
+
+  async function getOwnedPublication(objectId) {
+    if (!isValidSuiAddress(objectId)) {
+      throw new Error(`Invalid object ID: ${objectId}`);
+    }
+    const publication = await getPublication(client, objectId);
+    const address = getSigner().toSuiAddress();
+    if (publication.owner !== address) {
+      throw new Error(
+        `Object ${objectId} is owned by ${JSON.stringify(
+          publication.owner
+        )}, not by the signer ${address}`
+      );
+    }
+    return publication;
+  }
+
+  function buildPublishTransaction(sender) {
+    const { modules, dependencies } = parseCliJson(
+      runSui([
+        "move",
+        "build",
+        "--dump-bytecode-as-base64",
+        "--path",
+        PACKAGE_DIR,
+      ])
+    );
+    const tx = new Transaction();
+    const upgradeCap = tx.publish({ modules, dependencies });
+    tx.transferObjects([upgradeCap], sender);
+    return tx;
+  }
+
+  async function dryRun(tx) {
+    tx.setSenderIfNotSet(getSigner().toSuiAddress());
+    const result = await client.dryRunTransactionBlock({
+      transactionBlock: await tx.build({ client }),
+    });
+    return parseGasSummary(result);
+  }
+
+  return {
+    chain: "sui",
+    network,
+    symbol: "SUI",
+    requiredFields: SUI_REQUIRED_FIELDS,
+
+    isValidAddress: isValidSuiAddress,
+
+    validatePublication(publication) {
+      const errors = validateSuiPublication(publication);
+      // Refused rather than dropped, so nobody expects them to be paid
+      if (
+        publication &&
+        (publication.royaltyReceiver || publication.royaltyBps)
+      ) {
+        errors.push("Sui publications have no royalties");
+      }
+      if (
+        publication &&
+        publication.references &&
+        publication.references.length
+      ) {
+        errors.push("Sui publications have no citations");
+      }
+      return errors;
+    },
+
+    async getAccount() {
+      return getSigner().toSuiAddress();
+    },
+
+    async deploy() {
+      const sender = getSigner().toSuiAddress();
+      log("Compiling the publication_nft package...");
+      const tx = buildPublishTransaction(sender);
+      const result = await executeTransaction(client, getSigner(), tx, {
+        gasBudget,
+      });
+      log("Publish transaction digest:", result.digest);
+
+      const deployment = buildDeploymentRecord(result, network);
+      packageId = deployment.packageId;
+      return {
+        id: packageId,
+        transaction: result.digest,
+        fee: formatMist(parseGasSummary(result).total),
+        registry: writeDeployment(network, deployment),
+      };
+    },
+
+    async mint(recipient, publication, mintOptions = {}) {
+      const { objectId, digest, gas } = await mintPublication(
+        client,
+        getSigner(),
+        await getPackageId(),
+        recipient,
+        publication,
+        { gasBudget, soulbound: mintOptions.soulbound }
+      );
+      return { id: objectId, transaction: digest, fee: formatMist(gas.total) };
+    },
+
+    async show(id) {
+      const { objectId, owner, type, soulbound, ...publication } =
+        await getPublication(client, id);
+      return { id: objectId, owner, type, soulbound, publication };
+    },
+
+    async transfer(id, recipient) {
+      const { soulbound } = await getOwnedPublication(id);
+      if (soulbound) {
+        throw new Error(`Object ${id} is soulbound and can't be transferred`);
+      }
+      const { digest, gas } = await transferPublication(
+        client,
+        getSigner(),
+        await getPackageId(),
+        id,
+        recipient,
+        { gasBudget }
+      );
+      return {
+        id,
+        recipient,
+        transaction: digest,
+        fee: formatMist(gas.total),
+      };
+    },
+
+    async burn(id) {
+      const { soulbound } = await getOwnedPublication(id);
+      const { digest, gas } = await burnPublication(
+        client,
+        getSigner(),
+        await getPackageId(),
+        id,
+        { gasBudget, soulbound }
+      );
+      // Burning refunds the storage rebate, so the fee can be negative
+      return { id, transaction: digest, fee: formatMist(gas.total) };
+    },
+
+    async estimate(publication = SAMPLE_PUBLICATION) {
+      const quote = await createOracleFromEnv().getPrice("SUI");
+      const summarize = (gas) => ({
+        gas,
+        amount: formatMist(gas.total),
+        usd: (gas.total / MIST_PER_SUI) * quote.usd,
+      });
+
+      log("Dry-running the package publish...");
+      const publish = await dryRun(
+        buildPublishTransaction(getSigner().toSuiAddress())
+      );
+
+      // Mints can only be dry-run against a published package
+      let mint = null;
+      try {
+        const mintPackage = await getPackageId();
+        log(`Dry-running the mint against package ${mintPackage}...`);
+        mint = summarize(
+          await dryRun(
+            buildMintTransaction(
+              mintPackage,
+              getSigner().toSuiAddress(),
+              publication
+            )
+          )
+        );
+      } catch (error) {
+        log(`⚠️  Mint not estimated: ${error.message}`);
+      }
+
+      return {
+        symbol: "SUI",
+        price: quote.usd,
+        priceSource: quote.fallback ? "offline fallback" : quote.source,
+        deployment: summarize(publish),
+        mint,
+      };
+    },
+  };
+}
+
+module.exports = {
+  createSuiBackend,
+};
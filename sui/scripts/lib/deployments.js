@@ -0,0 +1,138 @@
+/**
+ * Sui deployment registry
+ *
+ * Package publishes are recorded in deployments/<network>.json (by
+ * scripts/record-deployment.js or `pubnft deploy --chain sui`). The other
+ * scripts resolve the package from that file by network name and check it
+ * against the chain before sending anything.
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+
+/**
+ * Read the deployment recorded for a Sui network
+ * @param {string} network - Sui network name
+ * @param {string} dir - Registry directory
+ * @returns {Object|null} Deployment record, or null when none is recorded
+ */
+function readDeployment(network, dir = DEPLOYMENTS_DIR) {
+  const file = path.join(dir, `${network}.json`);
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : null;
+}
+
+/**
+ * Record a deployment for a network, replacing the previous one
+ * @param {string} network - Sui network name
+ * @param {Object} deployment - Deployment record
+ * @param {string} dir - Registry directory
+ * @returns {string} Path of the written file
+ */
+function writeDeployment(network, deployment, dir = DEPLOYMENTS_DIR) {
+  const file = path.join(dir, `${network}.json`);
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(deployment, null, 2) + "\n");
+  return file;
+}
+
+/**
+ * Extract the deployment record from `sui client publish --json` output
+ * @param {Object} result - Parsed publish output (CLI JSON or SDK response)
+ * @param {string} network - Sui network name
+ * @returns {Object} Deployment record
+ */
+function buildDeploymentRecord(result, network) {
+  const changes = result.objectChanges || [];
+  const published = changes.find((change) => change.type === "published");
+  if (!published) {
+    throw new Error("No published package in the publish output");
+  }
+
+  const created = (suffix) => {
+    const change = changes.find(
+      (c) => c.type === "created" && c.objectType.includes(suffix)
+    );
+    return change ? change.objectId : undefined;
+  };
+
+  return {
+    network,
+    packageId: published.packageId,
+    version: Number(published.version),
+    modules: published.modules,
+    digest: result.digest,
+    publisher: result.transaction && result.transaction.data.sender,
+    upgradeCap: created("::package::UpgradeCap"),
+    publisherObject: created("::package::Publisher"),
+    display: created("::display::Display<"),
+    checkpoint: result.checkpoint,
+    publishedAt: new Date(
+      Number(result.timestampMs) || Date.now()
+    ).toISOString(),
+  };
+}
+
+/**
+ * Resolve the package for a network from deployments/<network>.json
+ * An explicit package ID (PACKAGE_ID) takes precedence over the registry but
+ * must still exist on chain. A recorded package must have been published by
+ * the recorded transaction, and must not be marked incompatible (packages
+ * whose functions changed in ways an upgrade can't apply).
+ * @param {SuiClient} client - Sui client for the network
+ * @param {string} network - Sui network name
+ * @param {Object} options - { packageId, dir }
+ * @returns {Promise<Object>} { packageId, deployment }
+ */
+async function resolveDeployment(client, network, options = {}) {
+  const { packageId, dir = DEPLOYMENTS_DIR } = options;
+  const recorded = readDeployment(network, dir);
+
+  let deployment = recorded;
+  let source = `deployments/${network}.json`;
+  if (packageId && !(recorded && recorded.packageId === packageId)) {
+    deployment = { network, packageId };
+    source = "PACKAGE_ID";
+  }
+
+  if (!deployment) {
+    throw new Error(
+      `No deployment recorded for Sui network "${network}" (${source}). Publish with: sui client publish --gas-budget 100000000 --json | node scripts/record-deployment.js`
+    );
+  }
+
+  if (deployment.incompatible) {
+    throw new Error(
+      `Package ${deployment.packageId} (from ${source}) can't be used with these scripts: ${deployment.incompatible}`
+    );
+  }
+
+  const response = await client.getObject({
+    id: deployment.packageId,
+    options: { showPreviousTransaction: true },
+  });
+  if (!response.data) {
+    throw new Error(
+      `Package ${deployment.packageId} (from ${source}) was not found on ${network}.`
+    );
+  }
+  if (
+    deployment.digest &&
+    response.data.previousTransaction !== deployment.digest
+  ) {
+    throw new Error(
+      `Package ${deployment.packageId} on ${network} does not match ${source} (published by transaction ${response.data.previousTransaction}, recorded ${deployment.digest}).`
+    );
+  }
+
+  return { packageId: deployment.packageId, deployment };
+}
+
+module.exports = {
+  DEPLOYMENTS_DIR,
+  readDeployment,
+  writeDeployment,
+  buildDeploymentRecord,
+  resolveDeployment,
+};
@@ -0,0 +1,381 @@
+/**
+ * Gas estimation for the Sui package by dry-running transactions
+ *
+ * Publish and mint transactions are dry-run through the Sui CLI
+ * (`--dry-run --json`) against its active environment, so nothing is signed
+ * or spent. With an RPC URL the CLI only builds the unsigned transaction and
+ * the dry run is sent to that node (`sui_dryRunTransactionBlock`), e.g. a
+ * local `sui start` network. Costs are read from the transaction effects:
+ *   net cost = computationCost + storageCost - storageRebate
+ *
+ * Storage is paid per byte of the stored object, so the mint cost grows with
+ * the size of the publication metadata. Two mints that differ only in
+ * description length give the cost per byte, which prices any other
+ * publication without another dry run.
+ */
+
+const path = require("path");
+const { execFileSync } = require("child_process");
+const { fetchJson } = require("../../../ethereum/lib/http");
+const { toUnixSeconds } = require("../../../ethereum/lib/publication");
+const { readAuthors, authorNames } = require("../../../ethereum/lib/authors");
+
+const PACKAGE_DIR = path.join(__dirname, "..", "..");
+const DEFAULT_GAS_BUDGET = 500000000;
+const MIST_PER_SUI = 1e9;
+const ZERO_ADDRESS = `0x${"0".repeat(64)}`;
+
+// Well-known full node URLs, used when the Sui CLI doesn't list the network
+const DEFAULT_RPC_URLS = {
+  mainnet: "https://fullnode.mainnet.sui.io:443",
+  testnet: "https://fullnode.testnet.sui.io:443",
+  devnet: "https://fullnode.devnet.sui.io:443",
+  localnet: "http://127.0.0.1:9000",
+};
+
+// Representative publication used to calibrate the mint cost
+const SAMPLE_PUBLICATION = {
+  title: "New Contracts on Blockchains",
+  authors: "John Doe, Jane Smith",
+  publicationDate: 1234567890,
+  doi: "10.1000/new-contracts-on-blockchains",
+  url: "https://ipfs.io/ipfs/QmExampleMetadataHash",
+  imageUrl: "https://ipfs.io/ipfs/QmExampleImageHash",
+  description: "An example NFT.",
+  license: "CC-BY-4.0",
+  field: "Computer Science",
+  version: "1",
+  externalUrl: "https://example.com/paper",
+};
+
+/**
+ * Run the Sui CLI and return its output
+ * @param {string[]} args - Arguments after `sui`
+ * @returns {string} stdout
+ */
+function runSui(args) {
+  try {
+    return execFileSync("sui", args, {
+      encoding: "utf8",
+      stdio: ["ignore", "pipe", "pipe"],
+      maxBuffer: 64 * 1024 * 1024,
+    });
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      throw new Error(
+        "The Sui CLI was not found. Install it (https://docs.sui.io/guides/developer/getting-started/sui-install) and configure an environment."
+      );
+    }
+    const output = `${error.stderr || ""}${error.stdout || ""}`.trim();
+    throw new Error(
+      `sui ${args[0]} ${args[1]} failed: ${output || error.message}`
+    );
+  }
+}
+
+/**
+ * Parse JSON printed by the Sui CLI, skipping any log lines before it
+ * @param {string} output - CLI stdout
+ * @returns {Object} Parsed JSON
+ */
+function parseCliJson(output) {
+  const start = output.indexOf("{");
+  if (start === -1) {
+    throw new Error(`Expected JSON from the Sui CLI, got: ${output.trim()}`);
+  }
+  return JSON.parse(output.slice(start));
+}
+
+/**
+ * Read the gas summary from dry-run (or executed) transaction effects
+ * @param {Object} result - `--dry-run --json` output or a JSON-RPC dry-run result
+ * @returns {Object} { computationCost, storageCost, storageRebate,
+ *   nonRefundableStorageFee, total } in MIST
+ */
+function parseGasSummary(result) {
+  const effects = result.effects || result;
+  if (!effects.gasUsed) {
+    throw new Error("The dry run returned no gas summary");
+  }
+  if (effects.status && effects.status.status !== "success") {
+    throw new Error(
+      `The dry run failed: ${effects.status.error || "unknown error"}`
+    );
+  }
+
+  const gas = effects.gasUsed;
+  const summary = {
+    computationCost: Number(gas.computationCost),
+    storageCost: Number(gas.storageCost),
+    storageRebate: Number(gas.storageRebate),
+    nonRefundableStorageFee: Number(gas.nonRefundableStorageFee || 0),
+  };
+  summary.total =
+    summary.computationCost + summary.storageCost - summary.storageRebate;
+  return summary;
+}
+
+/**
+ * Number of metadata bytes a publication stores on chain
+ * @param {Object} publication - Publication record (Ethereum field names)
+ * @returns {number} UTF-8 bytes of the string fields plus the u64 date and
+ *   the author wallets
+ */
+function metadataBytes(publication) {
+  const authors = readAuthors(publication.authors);
+  // The names are stored twice: in the authors and joined for Display
+  const strings = [
+    publication.title,
+    authorNames(authors),
+    ...authors.flatMap((author) => [author.name, author.orcid]),
+    publication.doi,
+    publication.url || publication.uri,
+    publication.imageUrl,
+    publication.description,
+    publication.license,
+    publication.field,
+    publication.version,
+    publication.externalUrl,
+  ];
+  return strings.reduce(
+    (sum, value) => sum + Buffer.byteLength(value || ""),
+    8 + 32 * authors.length
+  );
+}
+
+/**
+ * Arguments of publication_nft::mint for `sui client call`
+ * @param {Object} publication - Publication record (publicationDate as for
+ *   the Ethereum minter: seconds or a date string)
+ * @param {string} recipient - Recipient address
+ * @returns {string[]} Call arguments (the authors as JSON arrays of names,
+ *   ORCID iDs and wallets, the date in milliseconds)
+ */
+function mintCallArgs(publication, recipient) {
+  const authors = readAuthors(publication.authors);
+  return [
+    publication.title,
+    JSON.stringify(authors.map((author) => author.name)),
+    JSON.stringify(authors.map((author) => author.orcid)),
+    JSON.stringify(authors.map((author) => author.wallet || ZERO_ADDRESS)),
+    String(toUnixSeconds(publication.publicationDate) * 1000),
+    publication.doi || "",
+    publication.url || publication.uri || "",
+    publication.imageUrl || "",
+    publication.description || "",
+    publication.license || "",
+    publication.field || "",
+    publication.version || "",
+    publication.externalUrl || "",
+    recipient,
+  ];
+}
+
+/**
+ * Dry-run a transaction built by a `sui client` command
+ * @param {string[]} args - CLI arguments that build the transaction
+ * @param {Object} options - { rpcUrl: dry-run on this node instead of the CLI's }
+ * @returns {Promise<Object>} Gas summary
+ */
+async function dryRun(args, options = {}) {
+  const { rpcUrl } = options;
+  if (!rpcUrl) {
+    return parseGasSummary(
+      parseCliJson(runSui([...args, "--dry-run", "--json"]))
+    );
+  }
+
+  const lines = runSui([...args, "--serialize-unsigned-transaction"])
+    .trim()
+    .split("\n");
+  const response = await fetchJson(rpcUrl, {
+    method: "POST",
+    body: {
+      jsonrpc: "2.0",
+      id: 1,
+      method: "sui_dryRunTransactionBlock",
+      params: [lines[lines.length - 1].trim()],
+    },
+  });
+  if (response.error) {
+    throw new Error(
+      `sui_dryRunTransactionBlock failed: ${response.error.message}`
+    );
+  }
+  return parseGasSummary(response.result);
+}
+
+/**
+ * Dry-run publishing the package
+ * @param {Object} options - { packageDir, gasBudget, rpcUrl }
+ * @returns {Promise<Object>} Gas summary
+ */
+function dryRunPublish(options = {}) {
+  const {
+    packageDir = PACKAGE_DIR,
+    gasBudget = DEFAULT_GAS_BUDGET,
+    rpcUrl,
+  } = options;
+  return dryRun(
+    ["client", "publish", packageDir, "--gas-budget", String(gasBudget)],
+    { rpcUrl }
+  );
+}
+
+/**
+ * Dry-run minting a publication
+ * @param {Object} options - { packageId, publication, recipient, gasBudget, rpcUrl }
+ * @returns {Promise<Object>} Gas summary
+ */
+function dryRunMint(options) {
+  const {
+    packageId,
+    publication = SAMPLE_PUBLICATION,
+    recipient,
+    gasBudget = DEFAULT_GAS_BUDGET,
+    rpcUrl,
+  } = options;
+  return dryRun(
+    [
+      "client",
+      "call",
+      "--package",
+      packageId,
+      "--module",
+      "publication_nft",
+      "--function",
+      "mint",
+      "--args",
+      ...mintCallArgs(publication, recipient),
+      "--gas-budget",
+      String(gasBudget),
+    ],
+    { rpcUrl }
+  );
+}
+
+/**
+ * Derive the mint cost model from two dry runs that differ only in size
+ * @param {Object} base - { bytes, gas: gas summary } of the sample publication
+ * @param {Object} padded - { bytes, gas } of the sample with a longer description
+ * @returns {Object} { baseBytes, base: gas summary, perByte: MIST per extra byte }
+ */
+function fitMintCostModel(base, padded) {
+  const extraBytes = padded.bytes - base.bytes;
+  if (extraBytes <= 0) {
+    throw new Error("The padded publication must be larger than the sample");
+  }
+  return {
+    baseBytes: base.bytes,
+    base: base.gas,
+    perByte: (padded.gas.total - base.gas.total) / extraBytes,
+  };
+}
+
+/**
+ * Price a mint of a given metadata size with a fitted model
+ * @param {Object} model - Result of fitMintCostModel
+ * @param {number} bytes - Metadata bytes of the publication
+ * @returns {number} Net cost in MIST
+ */
+function estimateMintCost(model, bytes) {
+  return Math.round(
+    model.base.total + model.perByte * (bytes - model.baseBytes)
+  );
+}
+
+/**
+ * Calibrate the mint cost model with two dry-run mints
+ * @param {Object} options - { packageId, recipient, gasBudget, rpcUrl, padding }
+ * @returns {Promise<Object>} Mint cost model
+ */
+async function calibrateMintCost(options) {
+  const { padding = 1024, ...callOptions } = options;
+  const padded = {
+    ...SAMPLE_PUBLICATION,
+    description: SAMPLE_PUBLICATION.description + " ".repeat(padding),
+  };
+
+  return fitMintCostModel(
+    {
+      bytes: metadataBytes(SAMPLE_PUBLICATION),
+      gas: await dryRunMint({
+        ...callOptions,
+        publication: SAMPLE_PUBLICATION,
+      }),
+    },
+    {
+      bytes: metadataBytes(padded),
+      gas: await dryRunMint({ ...callOptions, publication: padded }),
+    }
+  );
+}
+
+/**
+ * Resolve the RPC URL of a Sui network
+ * The URL configured for the environment in the Sui CLI, else the
+ * well-known full node for the network name.
+ * @param {string} network - Sui CLI environment alias
+ * @returns {string} RPC URL
+ */
+function resolveRpcUrl(network) {
+  try {
+    const [envs] = JSON.parse(runSui(["client", "envs", "--json"]));
+    const match = envs.find((entry) => entry.alias === network);
+    if (match) {
+      return match.rpc;
+    }
+  } catch (error) {
+    // Fall through to the well-known URLs
+  }
+  if (DEFAULT_RPC_URLS[network]) {
+    return DEFAULT_RPC_URLS[network];
+  }
+  throw new Error(
+    `No RPC URL known for Sui network "${network}". Set SUI_RPC_URL.`
+  );
+}
+
+/**
+ * Read the reference gas price from a full node
+ * @param {string} rpcUrl - Sui JSON-RPC URL
+ * @returns {Promise<number>} Reference gas price in MIST
+ */
+async function getReferenceGasPrice(rpcUrl) {
+  const response = await fetchJson(rpcUrl, {
+    method: "POST",
+    body: {
+      jsonrpc: "2.0",
+      id: 1,
+      method: "suix_getReferenceGasPrice",
+      params: [],
+    },
+  });
+  if (response.error || response.result === undefined) {
+    throw new Error(
+      `suix_getReferenceGasPrice failed: ${
+        response.error ? response.error.message : "no result"
+      }`
+    );
+  }
+  return Number(response.result);
+}
+
+module.exports = {
+  PACKAGE_DIR,
+  MIST_PER_SUI,
+  SAMPLE_PUBLICATION,
+  runSui,
+  parseCliJson,
+  parseGasSummary,
+  metadataBytes,
+  mintCallArgs,
+  dryRun,
+  dryRunPublish,
+  dryRunMint,
+  fitMintCostModel,
+  estimateMintCost,
+  calibrateMintCost,
+  resolveRpcUrl,
+  getReferenceGasPrice,
+};
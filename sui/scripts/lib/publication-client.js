@@ -0,0 +1,497 @@
+/**
+ * JavaScript client for the publication_nft Move package
+ *
+ * Builds and executes publication_nft::mint, transfer_nft and burn calls (and
+ * mint_soulbound and burn_soulbound for soulbound NFTs) with the Sui
+ * TypeScript SDK. Publication records use the same field names and
+ * validation as the Ethereum minter (ethereum/lib/publication.js); dates are
+ * converted to the milliseconds stored in `publication_date`, and authors are
+ * passed as parallel vectors of names, ORCID iDs and wallets (@0x0 for none).
+ *
+ * Usage:
+ * const { SuiClient } = require("@mysten/sui/client");
+ * const client = new SuiClient({ url });
+ * const { packageId } = await resolveDeployment(client, "testnet"); // lib/deployments
+ * const { objectId } = await mintPublication(client, signer, packageId, recipient, publication);
+ */
+
+const { Transaction } = require("@mysten/sui/transactions");
+const { isValidSuiAddress, normalizeSuiAddress } = require("@mysten/sui/utils");
+const {
+  MINT_FIELDS,
+  toUnixSeconds,
+  validatePublication,
+} = require("../../../ethereum/lib/publication");
+const {
+  parseAuthors,
+  decodeAuthors,
+} = require("../../../ethereum/lib/authors");
+const { parseGasSummary } = require("./dry-run");
+
+const MODULE = "publication_nft";
+
+// Parameters of mint and mint_soulbound in the order buildMintTransaction
+// passes them, as formatMoveType writes them (without the trailing TxContext)
+const MINT_PARAMETERS = [
+  "string::String",
+  "vector<string::String>",
+  "vector<string::String>",
+  "vector<address>",
+  "u64",
+  "string::String",
+  "vector<u8>",
+  "vector<u8>",
+  "string::String",
+  "string::String",
+  "string::String",
+  "string::String",
+  "vector<u8>",
+  "address",
+];
+
+const PUBLISH_HINT =
+  "It was published from an older version of sui/sources: publish the current package (sui client publish --gas-budget 100000000 --json | node scripts/record-deployment.js) and try again.";
+
+// Sui has no token URI: the metadata URL is `url` and field/version are
+// plain strings, so only these are required and nothing is limited to 32 bytes
+const SUI_REQUIRED_FIELDS = ["title", "authors", "publicationDate", "url"];
+
+/**
+ * List everything wrong with a publication record for the Sui package
+ * @param {Object} publication - The publication record
+ * @param {Object} options - { required: fields that must be present }
+ * @returns {string[]} Validation errors (empty when the record is valid)
+ */
+function validateSuiPublication(publication, options = {}) {
+  const { required = SUI_REQUIRED_FIELDS } = options;
+  return validatePublication(
+    {
+      ...publication,
+      url: publication && (publication.url || publication.uri),
+    },
+    { required, bytes32Fields: [], isValidWallet: isValidSuiAddress }
+  );
+}
+
+/**
+ * Convert a publication date to the milliseconds stored on Sui
+ * @param {number|string|Date} value - Unix seconds, a Date or an ISO date string
+ * @returns {number} Unix timestamp in milliseconds (NaN when not parseable)
+ */
+function toPublicationDateMs(value) {
+  return toUnixSeconds(value) * 1000;
+}
+
+/**
+ * Validate a publication record and fill in defaults for a Sui mint
+ * @param {Object} publication - The publication record
+ * @returns {Object} Normalized record with publicationDate in milliseconds
+ *   and authors parsed (see ethereum/lib/authors.js)
+ */
+function normalizeSuiPublication(publication) {
+  const errors = validateSuiPublication(publication);
+  if (errors.length > 0) {
+    throw new Error(`Invalid publication: ${errors.join("; ")}`);
+  }
+
+  const normalized = {};
+  for (const name of MINT_FIELDS) {
+    const value = publication[name];
+    normalized[name] = typeof value === "string" ? value.trim() : value || "";
+  }
+  normalized.url = normalized.url || normalized.uri;
+  normalized.authors = parseAuthors(publication.authors, {
+    isValidWallet: isValidSuiAddress,
+  });
+  normalized.publicationDate = toPublicationDateMs(publication.publicationDate);
+  delete normalized.uri;
+  return normalized;
+}
+
+function assertSuiAddress(value, label) {
+  if (!isValidSuiAddress(value)) {
+    throw new Error(
+      `Invalid ${label}: ${value} (should be 0x followed by 64 hex characters)`
+    );
+  }
+}
+
+/**
+ * Write a normalized Move type as in source, with structs as module::Name
+ * @param {string|Object} type - Type from getNormalizedMoveFunction
+ * @returns {string} e.g. "vector<string::String>" or "&mut tx_context::TxContext"
+ */
+function formatMoveType(type) {
+  if (typeof type === "string") {
+    return type.toLowerCase();
+  }
+  if (type.Vector) {
+    return `vector<${formatMoveType(type.Vector)}>`;
+  }
+  if (type.Reference) {
+    return `&${formatMoveType(type.Reference)}`;
+  }
+  if (type.MutableReference) {
+    return `&mut ${formatMoveType(type.MutableReference)}`;
+  }
+  if (type.Struct) {
+    const { module, name, typeArguments = [] } = type.Struct;
+    return typeArguments.length > 0
+      ? `${module}::${name}<${typeArguments.map(formatMoveType).join(", ")}>`
+      : `${module}::${name}`;
+  }
+  if (type.TypeParameter !== undefined) {
+    return `T${type.TypeParameter}`;
+  }
+  return JSON.stringify(type);
+}
+
+/**
+ * Check that a package has a publication_nft function taking the given
+ * parameters
+ * Packages published from an older sui/sources lack the newer functions (such
+ * as mint_soulbound) or take other arguments (mint took the authors as one
+ * string), and a call to them would only fail on execution.
+ * @param {SuiClient} client - Sui client
+ * @param {string} packageId - Package ID
+ * @param {string} name - Function name
+ * @param {string[]} parameters - Expected parameters as formatMoveType
+ *   writes them, without the trailing TxContext (default: not checked)
+ * @returns {Promise<Object>} The normalized Move function
+ */
+async function assertMoveFunction(client, packageId, name, parameters) {
+  let normalized;
+  try {
+    normalized = await client.getNormalizedMoveFunction({
+      package: packageId,
+      module: MODULE,
+      function: name,
+    });
+  } catch (error) {
+    // The node answers "No function was found with function name …" or, for
+    // a package without the module, "No module was found with name …"
+    if (!/^No (function|module) was found with/.test(error.message)) {
+      throw error;
+    }
+    throw new Error(
+      `Package ${packageId} has no ${MODULE}::${name} (${error.message}). ${PUBLISH_HINT}`
+    );
+  }
+  if (!parameters) {
+    return normalized;
+  }
+
+  const actual = normalized.parameters.map(formatMoveType);
+  if (actual[actual.length - 1] === "&mut tx_context::TxContext") {
+    actual.pop();
+  }
+  if (actual.join(", ") !== parameters.join(", ")) {
+    throw new Error(
+      `Package ${packageId}'s ${MODULE}::${name} takes (${actual.join(
+        ", "
+      )}), not the (${parameters.join(
+        ", "
+      )}) this client sends. ${PUBLISH_HINT}`
+    );
+  }
+  return normalized;
+}
+
+/**
+ * Build a publication_nft::mint transaction
+ * @param {string} packageId - Package ID
+ * @param {string} recipient - Recipient address
+ * @param {Object} publication - The publication record
+ * @param {Object} options - { soulbound: mint a SoulboundPublicationNFT the
+ *   recipient can never transfer (mint_soulbound) }
+ * @returns {Transaction} Unsigned transaction
+ */
+function buildMintTransaction(packageId, recipient, publication, options = {}) {
+  assertSuiAddress(recipient, "recipient address");
+  const pub = normalizeSuiPublication(publication);
+
+  const tx = new Transaction();
+  // Url fields are passed as vector<u8>
+  const bytes = (value) => tx.pure.vector("u8", Buffer.from(value, "utf8"));
+  tx.moveCall({
+    target: `${packageId}::${MODULE}::${
+      options.soulbound ? "mint_soulbound" : "mint"
+    }`,
+    arguments: [
+      tx.pure.string(pub.title),
+      tx.pure.vector(
+        "string",
+        pub.authors.map((author) => author.name)
+      ),
+      tx.pure.vector(
+        "string",
+        pub.authors.map((author) => author.orcid)
+      ),
+      tx.pure.vector(
+        "address",
+        pub.authors.map((author) => normalizeSuiAddress(author.wallet || "0x0"))
+      ),
+      tx.pure.u64(pub.publicationDate),
+      tx.pure.string(pub.doi),
+      bytes(pub.url),
+      bytes(pub.imageUrl),
+      tx.pure.string(pub.description),
+      tx.pure.string(pub.license),
+      tx.pure.string(pub.field),
+      tx.pure.string(pub.version),
+      bytes(pub.externalUrl),
+      tx.pure.address(recipient),
+    ],
+  });
+  return tx;
+}
+
+/**
+ * Build a publication_nft::transfer_nft transaction
+ * @param {string} packageId - Package ID
+ * @param {string} objectId - PublicationNFT object ID
+ * @param {string} recipient - New owner
+ * @returns {Transaction} Unsigned transaction
+ */
+function buildTransferTransaction(packageId, objectId, recipient) {
+  assertSuiAddress(objectId, "object ID");
+  assertSuiAddress(recipient, "recipient address");
+
+  const tx = new Transaction();
+  tx.moveCall({
+    target: `${packageId}::${MODULE}::transfer_nft`,
+    arguments: [tx.object(objectId), tx.pure.address(recipient)],
+  });
+  return tx;
+}
+
+/**
+ * Build a publication_nft::burn transaction
+ * @param {string} packageId - Package ID
+ * @param {string} objectId - PublicationNFT object ID
+ * @param {Object} options - { soulbound: the object is a
+ *   SoulboundPublicationNFT (burn_soulbound) }
+ * @returns {Transaction} Unsigned transaction
+ */
+function buildBurnTransaction(packageId, objectId, options = {}) {
+  assertSuiAddress(objectId, "object ID");
+
+  const tx = new Transaction();
+  tx.moveCall({
+    target: `${packageId}::${MODULE}::${
+      options.soulbound ? "burn_soulbound" : "burn"
+    }`,
+    arguments: [tx.object(objectId)],
+  });
+  return tx;
+}
+
+/**
+ * Sign, execute and wait for a transaction
+ * @param {SuiClient} client - Sui client
+ * @param {Keypair} signer - Signing keypair
+ * @param {Transaction} tx - Transaction to execute
+ * @param {Object} options - { gasBudget: in MIST (default: estimated by a dry run) }
+ * @returns {Promise<Object>} Transaction block response with effects, events,
+ *   object changes and input
+ */
+async function executeTransaction(client, signer, tx, options = {}) {
+  if (options.gasBudget) {
+    tx.setGasBudget(options.gasBudget);
+  }
+  const result = await client.signAndExecuteTransaction({
+    signer,
+    transaction: tx,
+    options: {
+      showEffects: true,
+      showEvents: true,
+      showObjectChanges: true,
+      showInput: true,
+    },
+  });
+  await client.waitForTransaction({ digest: result.digest });
+
+  if (result.effects && result.effects.status.status !== "success") {
+    throw new Error(
+      `Transaction ${result.digest} failed: ${
+        result.effects.status.error || "unknown error"
+      }`
+    );
+  }
+  return result;
+}
+
+/**
+ * Find the PublicationMinted event in a mint transaction
+ * @param {Object} result - Transaction block response with events
+ * @returns {string|null} Object ID of the minted NFT, or null when no event was found
+ */
+function parseMintedObjectId(result) {
+  const event = (result.events || []).find((item) =>
+    item.type.endsWith(`::${MODULE}::PublicationMinted`)
+  );
+  return event ? normalizeSuiAddress(event.parsedJson.object_id) : null;
+}
+
+/**
+ * Validate a publication and mint it
+ * The package is checked for the mint function and its parameters first (see
+ * assertMoveFunction).
+ * @param {SuiClient} client - Sui client
+ * @param {Keypair} signer - Signing keypair
+ * @param {string} packageId - Package ID
+ * @param {string} recipient - Recipient address
+ * @param {Object} publication - The publication record
+ * @param {Object} options - { gasBudget, soulbound }
+ * @returns {Promise<Object>} { objectId, digest, gas: gas summary }
+ */
+async function mintPublication(
+  client,
+  signer,
+  packageId,
+  recipient,
+  publication,
+  options = {}
+) {
+  const tx = buildMintTransaction(packageId, recipient, publication, options);
+  await assertMoveFunction(
+    client,
+    packageId,
+    options.soulbound ? "mint_soulbound" : "mint",
+    MINT_PARAMETERS
+  );
+  const result = await executeTransaction(client, signer, tx, options);
+  const objectId = parseMintedObjectId(result);
+
+  if (objectId === null) {
+    throw new Error(
+      `No PublicationMinted event found in transaction ${result.digest}`
+    );
+  }
+  return { objectId, digest: result.digest, gas: parseGasSummary(result) };
+}
+
+/**
+ * Transfer a publication NFT owned by the signer
+ * @param {SuiClient} client - Sui client
+ * @param {Keypair} signer - Signing keypair (the current owner)
+ * @param {string} packageId - Package ID
+ * @param {string} objectId - PublicationNFT object ID
+ * @param {string} recipient - New owner
+ * @param {Object} options - { gasBudget }
+ * @returns {Promise<Object>} { digest, gas: gas summary }
+ */
+async function transferPublication(
+  client,
+  signer,
+  packageId,
+  objectId,
+  recipient,
+  options = {}
+) {
+  const tx = buildTransferTransaction(packageId, objectId, recipient);
+  const result = await executeTransaction(client, signer, tx, options);
+  return { digest: result.digest, gas: parseGasSummary(result) };
+}
+
+/**
+ * Burn a publication NFT owned by the signer
+ * @param {SuiClient} client - Sui client
+ * @param {Keypair} signer - Signing keypair (the current owner)
+ * @param {string} packageId - Package ID
+ * @param {string} objectId - PublicationNFT object ID
+ * @param {Object} options - { gasBudget, soulbound: the object is a
+ *   SoulboundPublicationNFT (see getPublication) }
+ * @returns {Promise<Object>} { digest, gas: gas summary }
+ */
+async function burnPublication(
+  client,
+  signer,
+  packageId,
+  objectId,
+  options = {}
+) {
+  const tx = buildBurnTransaction(packageId, objectId, options);
+  const result = await executeTransaction(client, signer, tx, options);
+  return { digest: result.digest, gas: parseGasSummary(result) };
+}
+
+// The JSON-RPC renders sui::url::Url either as a string or as { url }
+function urlValue(value) {
+  if (value && typeof value === "object") {
+    return (value.fields || value).url;
+  }
+  return value;
+}
+
+/**
+ * Read a publication NFT object
+ * @param {SuiClient} client - Sui client
+ * @param {string} objectId - PublicationNFT or SoulboundPublicationNFT
+ *   object ID
+ * @returns {Promise<Object>} Publication record ({ objectId, owner, type,
+ *   soulbound, publicationDate in unix seconds, ... })
+ */
+async function getPublication(client, objectId) {
+  const response = await client.getObject({
+    id: objectId,
+    options: { showContent: true, showOwner: true, showType: true },
+  });
+  if (!response.data) {
+    throw new Error(`Object ${objectId} not found`);
+  }
+  const { data } = response;
+  const soulbound = data.type.endsWith(`::${MODULE}::SoulboundPublicationNFT`);
+  if (!soulbound && !data.type.endsWith(`::${MODULE}::PublicationNFT`)) {
+    throw new Error(
+      `Object ${objectId} is a ${data.type}, not a PublicationNFT`
+    );
+  }
+
+  // A soulbound NFT wraps the PublicationNFT holding the fields
+  const fields = soulbound
+    ? data.content.fields.publication.fields
+    : data.content.fields;
+  return {
+    objectId: data.objectId,
+    type: data.type,
+    soulbound,
+    owner:
+      data.owner && data.owner.AddressOwner
+        ? data.owner.AddressOwner
+        : data.owner,
+    title: fields.title,
+    authors: decodeAuthors(
+      fields.authors.map((author) => author.fields || author)
+    ),
+    publicationDate: Math.floor(Number(fields.publication_date) / 1000),
+    doi: fields.doi,
+    url: urlValue(fields.url),
+    imageUrl: urlValue(fields.image_url),
+    description: fields.description,
+    license: fields.license,
+    field: fields.field,
+    version: fields.version,
+    externalUrl: urlValue(fields.external_url),
+  };
+}
+
+module.exports = {
+  MODULE,
+  MINT_PARAMETERS,
+  SUI_REQUIRED_FIELDS,
+  validateSuiPublication,
+  toPublicationDateMs,
+  normalizeSuiPublication,
+  formatMoveType,
+  assertMoveFunction,
+  buildMintTransaction,
+  buildTransferTransaction,
+  buildBurnTransaction,
+  executeTransaction,
+  parseMintedObjectId,
+  mintPublication,
+  transferPublication,
+  burnPublication,
+  getPublication,
+};
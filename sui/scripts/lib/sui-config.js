@@ -0,0 +1,166 @@
+/**
+ * Network and signer configuration for the Sui scripts
+ *
+ * The scripts talk to a full node through the Sui TypeScript SDK, so they
+ * don't need the Sui CLI at run time. They do read its configuration
+ * (client.yaml and the keystore in SUI_CONFIG_DIR, default
+ * ~/.sui/sui_config) to pick the same network and address as `sui client`.
+ *
+ * Environment:
+ *   SUI_NETWORK      Network name (default: the CLI's active environment)
+ *   SUI_RPC_URL      Full node URL (default: the CLI's URL for the network,
+ *                    else the public full node)
+ *   SUI_PRIVATE_KEY  Bech32 private key (suiprivkey1...) to sign with instead
+ *                    of the CLI's active address
+ *   SUI_CONFIG_DIR   Sui CLI configuration directory
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { getFullnodeUrl } = require("@mysten/sui/client");
+const {
+  SIGNATURE_FLAG_TO_SCHEME,
+  decodeSuiPrivateKey,
+} = require("@mysten/sui/cryptography");
+const { Ed25519Keypair } = require("@mysten/sui/keypairs/ed25519");
+const { Secp256k1Keypair } = require("@mysten/sui/keypairs/secp256k1");
+const { Secp256r1Keypair } = require("@mysten/sui/keypairs/secp256r1");
+
+const KEYPAIRS = {
+  ED25519: Ed25519Keypair,
+  Secp256k1: Secp256k1Keypair,
+  Secp256r1: Secp256r1Keypair,
+};
+
+function defaultConfigDir(env) {
+  return env.SUI_CONFIG_DIR || path.join(os.homedir(), ".sui", "sui_config");
+}
+
+function unquote(value) {
+  return value.trim().replace(/^["']|["']$/g, "");
+}
+
+/**
+ * Read the Sui CLI client configuration
+ * Only the keys the scripts need are read from client.yaml.
+ * @param {string} configDir - Directory holding client.yaml
+ * @returns {Object|null} { activeEnv, activeAddress, keystorePath,
+ *   envs: [{ alias, rpc }] }, or null without a configuration
+ */
+function readClientConfig(configDir) {
+  const file = path.join(configDir, "client.yaml");
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const yaml = fs.readFileSync(file, "utf8");
+  const scalar = (key) => {
+    const match = yaml.match(new RegExp(`^\\s*${key}:\\s*(.+)$`, "m"));
+    return match && match[1].trim() !== "~" ? unquote(match[1]) : undefined;
+  };
+
+  const envs = [];
+  const envPattern = /-\s*alias:\s*(.+)\n\s*rpc:\s*(.+)/g;
+  let match;
+  while ((match = envPattern.exec(yaml)) !== null) {
+    envs.push({ alias: unquote(match[1]), rpc: unquote(match[2]) });
+  }
+
+  const keystore = scalar("File");
+  return {
+    activeEnv: scalar("active_env"),
+    activeAddress: scalar("active_address"),
+    keystorePath: keystore
+      ? path.resolve(configDir, keystore)
+      : path.join(configDir, "sui.keystore"),
+    envs,
+  };
+}
+
+/**
+ * Choose the network and full node to talk to
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} { network, rpcUrl, config: client configuration or null }
+ */
+function resolveConnection(env = process.env) {
+  const config = readClientConfig(defaultConfigDir(env));
+  const network = env.SUI_NETWORK || (config && config.activeEnv);
+  if (!network) {
+    throw new Error(
+      "Could not determine the Sui network. Set SUI_NETWORK or run 'sui client switch --env <network>'."
+    );
+  }
+
+  if (env.SUI_RPC_URL) {
+    return { network, rpcUrl: env.SUI_RPC_URL, config };
+  }
+  const configured =
+    config && config.envs.find((entry) => entry.alias === network);
+  if (configured) {
+    return { network, rpcUrl: configured.rpc, config };
+  }
+  try {
+    return { network, rpcUrl: getFullnodeUrl(network), config };
+  } catch (error) {
+    throw new Error(
+      `No RPC URL known for Sui network "${network}". Set SUI_RPC_URL.`
+    );
+  }
+}
+
+function keypairFromSecret(scheme, secretKey) {
+  const Keypair = KEYPAIRS[scheme];
+  if (!Keypair) {
+    throw new Error(`Unsupported Sui key scheme: ${scheme}`);
+  }
+  return Keypair.fromSecretKey(secretKey);
+}
+
+/**
+ * Load the keypair that signs transactions
+ * SUI_PRIVATE_KEY when set, else the CLI keystore entry of the active address.
+ * @param {Object} config - Result of readClientConfig (or null)
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Keypair} Sui SDK keypair
+ */
+function loadSigner(config, env = process.env) {
+  if (env.SUI_PRIVATE_KEY) {
+    const { schema, secretKey } = decodeSuiPrivateKey(
+      env.SUI_PRIVATE_KEY.trim()
+    );
+    return keypairFromSecret(schema, secretKey);
+  }
+
+  if (!config || !config.activeAddress) {
+    throw new Error(
+      "No Sui signer configured. Set SUI_PRIVATE_KEY or create an address with 'sui client new-address ed25519'."
+    );
+  }
+  if (!fs.existsSync(config.keystorePath)) {
+    throw new Error(`Sui keystore not found: ${config.keystorePath}`);
+  }
+
+  // Keystore entries are base64 of the scheme flag followed by the secret key
+  const entries = JSON.parse(fs.readFileSync(config.keystorePath, "utf8"));
+  for (const entry of entries) {
+    const bytes = Buffer.from(entry, "base64");
+    const scheme = SIGNATURE_FLAG_TO_SCHEME[bytes[0]];
+    if (!KEYPAIRS[scheme]) {
+      continue;
+    }
+    const keypair = keypairFromSecret(scheme, bytes.subarray(1));
+    if (keypair.toSuiAddress() === config.activeAddress) {
+      return keypair;
+    }
+  }
+  throw new Error(
+    `The key for the active address ${config.activeAddress} is not in ${config.keystorePath}`
+  );
+}
+
+module.exports = {
+  readClientConfig,
+  resolveConnection,
+  loadSigner,
+};
@@ -0,0 +1,428 @@
+/**
+ * Mint, transfer and burn Publication NFTs on Sui
+ * Calls publication_nft::mint, transfer_nft and burn (or mint_soulbound and
+ * burn_soulbound) through the Sui TypeScript SDK. Fields are validated like the Ethereum minter and the
+ * publication date is stored in milliseconds.
+ *
+ * Usage:
+ * node scripts/nft.js mint [--title <title>] [--authors <authors>]
+ *   [--publication-date <YYYY-MM-DD|seconds>] [--doi <doi>] [--url <url>]
+ *   [--image-url <url>] [--description <text>] [--license <license>]
+ *   [--field <field>] [--version <version>] [--external-url <url>]
+ *   [--recipient <address>] [--soulbound] [--example] [--yes] [--json]
+ * node scripts/nft.js transfer <object-id> <recipient> [--yes] [--json]
+ * node scripts/nft.js burn <object-id> [--yes] [--json]
+ *
+ * mint prompts for every field not given as a flag, and for the authors one
+ * at a time (name, optional ORCID iD and wallet). --authors takes them as
+ * "Jane Doe (0000-0002-1825-0097, 0x...); John Smith". --example fills in the
+ * example publication; with --yes or --json nothing is prompted and missing
+ * required fields are an error. The recipient defaults to the signer.
+ * --soulbound mints a SoulboundPublicationNFT, which the recipient can burn
+ * but never transfer.
+ *
+ * Environment:
+ *   SUI_NETWORK, SUI_RPC_URL, SUI_PRIVATE_KEY, SUI_CONFIG_DIR (see
+ *   lib/sui-config.js), PACKAGE_ID (default: deployments/<network>.json),
+ *   SUI_GAS_BUDGET (MIST, default: estimated by a dry run)
+ */
+
+const readline = require("readline");
+const { SuiClient } = require("@mysten/sui/client");
+const { isValidSuiAddress } = require("@mysten/sui/utils");
+const {
+  parseRunOptions,
+  parseValueFlags,
+  createReporter,
+} = require("../../ethereum/lib/cli");
+const { toUnixSeconds } = require("../../ethereum/lib/publication");
+const { formatAuthors, promptAuthors } = require("../../ethereum/lib/authors");
+const { resolveConnection, loadSigner } = require("./lib/sui-config");
+const {
+  SUI_REQUIRED_FIELDS,
+  validateSuiPublication,
+  toPublicationDateMs,
+  mintPublication,
+  transferPublication,
+  burnPublication,
+  getPublication,
+} = require("./lib/publication-client");
+const { resolveDeployment } = require("./lib/deployments");
+const { MIST_PER_SUI, SAMPLE_PUBLICATION } = require("./lib/dry-run");
+
+// Prompt order and labels of the mint fields
+const MINT_PROMPTS = [
+  ["title", "Enter Publication Title"],
+  ["authors", "Enter Authors"],
+  [
+    "publicationDate",
+    "Enter Publication Date (YYYY-MM-DD or Unix timestamp in seconds)",
+  ],
+  ["doi", "Enter DOI"],
+  ["url", "Enter Metadata URL (https:// or ipfs://)"],
+  ["imageUrl", "Enter Image URL (https:// or ipfs://)"],
+  ["description", "Enter Description/Abstract"],
+  ["license", "Enter License (e.g., CC-BY-4.0)"],
+  ["field", "Enter Field of Study"],
+  ["version", "Enter Version"],
+  ["externalUrl", "Enter External URL (https:// or ipfs://)"],
+];
+
+const MINT_FLAGS = [
+  "--title",
+  "--authors",
+  "--publication-date",
+  "--doi",
+  "--url",
+  "--image-url",
+  "--description",
+  "--license",
+  "--field",
+  "--version",
+  "--external-url",
+  "--recipient",
+];
+
+const options = parseRunOptions();
+const reporter = createReporter(options);
+
+function askQuestion(rl, question) {
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      resolve(answer.trim());
+    });
+  });
+}
+
+/**
+ * Prompt until the answer passes validation
+ * @param {readline.Interface} rl - Readline interface
+ * @param {string} question - Prompt text without trailing colon
+ * @param {Function} validate - Returns an error message, or null when valid
+ * @param {string} defaultValue - Value used when the answer is empty
+ * @returns {Promise<string>} The accepted answer
+ */
+async function askField(rl, question, validate, defaultValue) {
+  const hasDefault = defaultValue !== undefined && defaultValue !== "";
+  for (;;) {
+    let answer = await askQuestion(
+      rl,
+      hasDefault ? `${question} (default: ${defaultValue}): ` : `${question}: `
+    );
+    if (!answer && hasDefault) {
+      answer = String(defaultValue);
+    }
+
+    const error = validate(answer);
+    if (!error) {
+      return answer;
+    }
+    console.log(`Error: ${error}`);
+  }
+}
+
+/**
+ * Validate a single mint field with the shared publication rules
+ * @param {string} name - Publication field name
+ * @param {string} value - Entered value
+ * @returns {string|null} Error message, or null when valid
+ */
+function fieldError(name, value) {
+  const required = SUI_REQUIRED_FIELDS.includes(name) ? [name] : [];
+  const [error] = validateSuiPublication({ [name]: value }, { required });
+  return error || null;
+}
+
+function recipientError(value) {
+  return isValidSuiAddress(value)
+    ? null
+    : "Invalid recipient address format (should be 0x followed by 64 hex characters)";
+}
+
+async function confirm(question) {
+  if (options.nonInteractive) {
+    return true;
+  }
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  const answer = await askQuestion(rl, `${question} (y/N): `);
+  rl.close();
+  return ["y", "yes"].includes(answer.toLowerCase());
+}
+
+function formatGas(gas) {
+  return `${(gas.total / MIST_PER_SUI).toFixed(6)} SUI`;
+}
+
+// Networks with a public explorer
+const EXPLORER_NETWORKS = ["mainnet", "testnet", "devnet"];
+
+/**
+ * Collect the publication and recipient from flags and prompts
+ * @param {Object} values - Flag values from parseValueFlags
+ * @param {string} signerAddress - Default recipient
+ * @param {boolean} example - Start from the example publication
+ * @returns {Promise<Object>} { publication, recipient }
+ */
+async function collectMintInput(values, signerAddress, example) {
+  const publication = {};
+  const defaults = example ? SAMPLE_PUBLICATION : {};
+  for (const [name] of MINT_PROMPTS) {
+    const value = values[name] !== undefined ? values[name] : defaults[name];
+    if (value !== undefined) {
+      publication[name] = String(value);
+    }
+  }
+  let recipient = values.recipient || signerAddress;
+
+  if (!options.nonInteractive) {
+    const rl = readline.createInterface({
+      input: process.stdin,
+      output: process.stdout,
+    });
+    // Prompt only for what the flags left open; --example keeps its values
+    for (const [name, question] of MINT_PROMPTS) {
+      if (values[name] !== undefined || example) {
+        continue;
+      }
+      if (name === "authors") {
+        publication.authors = await promptAuthors(
+          (authorQuestion) => askQuestion(rl, authorQuestion),
+          { isValidWallet: isValidSuiAddress }
+        );
+      } else {
+        publication[name] = await askField(rl, question, (answer) =>
+          fieldError(name, answer)
+        );
+      }
+    }
+    if (!values.recipient) {
+      recipient = await askField(
+        rl,
+        "Enter Recipient Address",
+        recipientError,
+        signerAddress
+      );
+    }
+    rl.close();
+  }
+
+  const errors = validateSuiPublication(publication);
+  const addressError = recipientError(recipient);
+  if (addressError) {
+    errors.push(addressError);
+  }
+  if (errors.length > 0) {
+    throw new Error(`Invalid publication: ${errors.join("; ")}`);
+  }
+  return { publication, recipient };
+}
+
+async function mint(context, args) {
+  const { values, args: rest } = parseValueFlags(args, MINT_FLAGS);
+  const example = rest.includes("--example");
+  const soulbound = rest.includes("--soulbound");
+  const unknown = rest.filter(
+    (arg) => arg !== "--example" && arg !== "--soulbound"
+  );
+  if (unknown.length > 0) {
+    throw new Error(`Unknown arguments: ${unknown.join(" ")}`);
+  }
+
+  const { client, signer, network, packageId, gasBudget } = context;
+  reporter.log("=== Publication NFT Minting Script ===");
+  reporter.log(`Using ${network} package: ${packageId}\n`);
+
+  const { publication, recipient } = await collectMintInput(
+    values,
+    signer.toSuiAddress(),
+    example
+  );
+  const seconds = toUnixSeconds(publication.publicationDate);
+
+  reporter.log("\n=== Review Publication Details ===");
+  reporter.log("Package ID:", packageId);
+  reporter.log("Recipient Address:", recipient);
+  for (const [name, question] of MINT_PROMPTS) {
+    const label = question.replace(/^Enter /, "").replace(/ \(.*\)$/, "");
+    const value =
+      name === "authors"
+        ? formatAuthors(publication.authors)
+        : publication[name];
+    reporter.log(`${label}:`, value || "");
+  }
+  if (soulbound) {
+    reporter.log("Soulbound: yes (the recipient can never transfer it)");
+  }
+  reporter.log(
+    "Publication Date (stored):",
+    toPublicationDateMs(seconds),
+    `ms (${new Date(seconds * 1000).toISOString()})`
+  );
+  reporter.log("");
+
+  if (!(await confirm("Proceed with minting?"))) {
+    reporter.log("Minting cancelled.");
+    return;
+  }
+
+  reporter.log("\nMinting Publication NFT...");
+  const { objectId, digest, gas } = await mintPublication(
+    client,
+    signer,
+    packageId,
+    recipient,
+    publication,
+    { gasBudget, soulbound }
+  );
+
+  reporter.log("Transaction digest:", digest);
+  reporter.log("✅ NFT minted successfully!");
+  reporter.log("Object ID:", objectId);
+  reporter.log("Gas paid:", formatGas(gas));
+  if (EXPLORER_NETWORKS.includes(network)) {
+    reporter.log(`\n🔎 https://suiscan.xyz/${network}/object/${objectId}`);
+  }
+  reporter.result({
+    network,
+    packageId,
+    objectId,
+    recipient,
+    soulbound,
+    digest,
+    publicationDate: toPublicationDateMs(seconds),
+    gas,
+  });
+}
+
+/**
+ * Read a publication NFT and check that the signer owns it
+ */
+async function getOwnedPublication(context, objectId) {
+  if (!objectId || !isValidSuiAddress(objectId)) {
+    throw new Error(`Invalid object ID: ${objectId}`);
+  }
+  const publication = await getPublication(context.client, objectId);
+  const signerAddress = context.signer.toSuiAddress();
+  if (publication.owner !== signerAddress) {
+    throw new Error(
+      `Object ${objectId} is owned by ${JSON.stringify(
+        publication.owner
+      )}, not by the signer ${signerAddress}`
+    );
+  }
+  return publication;
+}
+
+async function transfer(context, [objectId, recipient, ...unknown]) {
+  if (unknown.length > 0) {
+    throw new Error(`Unknown arguments: ${unknown.join(" ")}`);
+  }
+  const error = recipientError(recipient || "");
+  if (error) {
+    throw new Error(error);
+  }
+
+  const { client, signer, network, packageId, gasBudget } = context;
+  const publication = await getOwnedPublication(context, objectId);
+  if (publication.soulbound) {
+    throw new Error(`Object ${objectId} is soulbound and can't be transferred`);
+  }
+  reporter.log(
+    `📄 ${publication.title} (${formatAuthors(publication.authors)})`
+  );
+  reporter.log(`Transferring ${objectId} to ${recipient} on ${network}`);
+
+  if (!(await confirm("Proceed with the transfer?"))) {
+    reporter.log("Transfer cancelled.");
+    return;
+  }
+
+  const { digest, gas } = await transferPublication(
+    client,
+    signer,
+    packageId,
+    objectId,
+    recipient,
+    { gasBudget }
+  );
+  reporter.log("Transaction digest:", digest);
+  reporter.log("✅ NFT transferred successfully!");
+  reporter.log("Gas paid:", formatGas(gas));
+  reporter.result({ network, packageId, objectId, recipient, digest, gas });
+}
+
+async function burn(context, [objectId, ...unknown]) {
+  if (unknown.length > 0) {
+    throw new Error(`Unknown arguments: ${unknown.join(" ")}`);
+  }
+
+  const { client, signer, network, packageId, gasBudget } = context;
+  const publication = await getOwnedPublication(context, objectId);
+  reporter.log(
+    `📄 ${publication.title} (${formatAuthors(publication.authors)})`
+  );
+  reporter.log(`Burning ${objectId} on ${network}. This can't be undone.`);
+
+  if (!(await confirm("Proceed with burning?"))) {
+    reporter.log("Burn cancelled.");
+    return;
+  }
+
+  const { digest, gas } = await burnPublication(
+    client,
+    signer,
+    packageId,
+    objectId,
+    { gasBudget, soulbound: publication.soulbound }
+  );
+  reporter.log("Transaction digest:", digest);
+  reporter.log("🔥 NFT burned.");
+  reporter.log("Gas paid (after storage rebate):", formatGas(gas));
+  reporter.result({ network, packageId, objectId, digest, gas });
+}
+
+const COMMANDS = { mint, transfer, burn };
+
+async function main() {
+  const [command, ...args] = options.args;
+  if (!COMMANDS[command]) {
+    throw new Error(
+      "Usage: node scripts/nft.js <mint|transfer|burn> [arguments] [--yes] [--json]"
+    );
+  }
+
+  const { network, rpcUrl, config } = resolveConnection();
+  const client = new SuiClient({ url: rpcUrl });
+  const signer = loadSigner(config);
+  const { packageId } = await resolveDeployment(client, network, {
+    packageId: process.env.PACKAGE_ID,
+  });
+  reporter.log(
+    `Using ${network} (${rpcUrl}) with address: ${signer.toSuiAddress()}`
+  );
+
+  await COMMANDS[command](
+    {
+      client,
+      signer,
+      network,
+      packageId,
+      gasBudget: Number(process.env.SUI_GAS_BUDGET) || undefined,
+    },
+    args
+  );
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    if (options.json) {
+      reporter.fail(error);
+    } else {
+      console.error(`❌ ${error.message}`);
+    }
+    process.exit(1);
+  });
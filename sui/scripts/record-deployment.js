@@ -0,0 +1,64 @@
+/**
+ * Record a Sui package publish in deployments/<network>.json
+ * Reads the JSON output of `sui client publish` from stdin and stores the
+ * package ID, publish transaction digest, publisher and the objects created
+ * with the package. The mint scripts resolve the package from this file.
+ *
+ * Usage:
+ * sui client publish --gas-budget 100000000 --json | node scripts/record-deployment.js [network]
+ *
+ * The network defaults to the Sui CLI's active environment.
+ */
+
+const { execSync } = require("child_process");
+const {
+  buildDeploymentRecord,
+  writeDeployment,
+} = require("./lib/deployments");
+
+function readStdin() {
+  return new Promise((resolve, reject) => {
+    let data = "";
+    process.stdin.setEncoding("utf8");
+    process.stdin.on("data", (chunk) => {
+      data += chunk;
+    });
+    process.stdin.on("end", () => resolve(data));
+    process.stdin.on("error", reject);
+  });
+}
+
+async function main() {
+  const network =
+    process.argv[2] ||
+    execSync("sui client active-env", { encoding: "utf8" }).trim();
+
+  const input = await readStdin();
+  let result;
+  try {
+    result = JSON.parse(input);
+  } catch (error) {
+    throw new Error(
+      "Expected the JSON output of `sui client publish --json` on stdin"
+    );
+  }
+
+  if (result.effects && result.effects.status.status !== "success") {
+    throw new Error(
+      `Publish failed: ${result.effects.status.error || "unknown error"}`
+    );
+  }
+
+  const record = buildDeploymentRecord(result, network);
+  const file = writeDeployment(network, record);
+
+  console.log("✅ Package ID:", record.packageId);
+  console.log("📝 Deployment recorded in", file);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
@@ -12,13 +12,28 @@ use sui::package;
 use sui::tx_context;
 use sui::url;
 
+/// Error when the author names, ORCID iDs and wallets differ in length
+const EAuthorsLengthMismatch: u64 = 0;
+
+/// An author of a publication
+public struct Author has copy, drop, store {
+    /// Display name
+    name: String,
+    /// ORCID iD, e.g. 0000-0002-1825-0097, or empty
+    orcid: String,
+    /// Wallet of the author, or @0x0
+    wallet: address,
+}
+
 /// The PublicationNFT type represents an NFT for a published work
 public struct PublicationNFT has key, store {
     id: UID,
     /// Title of the publication
     title: String,
-    /// Authors of the publication
-    authors: String,
+    /// Authors of the publication, in order
+    authors: vector<Author>,
+    /// The author names joined with ", ", for Display
+    author_names: String,
     /// Publication date (unix timestamp in milliseconds)
     publication_date: u64,
     /// DOI of the publication
@@ -39,6 +54,16 @@ public struct PublicationNFT has key, store {
     external_url: url::Url,
 }
 
+/// A PublicationNFT bound to its owner, for authorship credentials.
+/// Without `store` it can't be moved with `transfer::public_transfer`, and the
+/// module has no function that transfers it, so only its owner can hold it
+/// until they burn it with `burn_soulbound`.
+public struct SoulboundPublicationNFT has key {
+    id: UID,
+    /// The publication, readable with the PublicationNFT getters
+    publication: PublicationNFT,
+}
+
 /// One-Time-Witness for the module
 public struct PUBLICATION_NFT has drop {}
 
@@ -47,7 +72,18 @@ public struct PublicationMinted has copy, drop {
     object_id: address,
     creator: address,
     title: String,
-    authors: String,
+    authors: vector<Author>,
+}
+
+/// Event emitted for each author of a minted publication NFT, for indexers
+/// to find the works of an ORCID iD or a wallet
+public struct AuthorCredited has copy, drop {
+    object_id: address,
+    /// Position in the author list, from 0
+    position: u64,
+    name: String,
+    orcid: String,
+    wallet: address,
 }
 
 /// Module initializer
@@ -78,7 +114,7 @@ fun init(otw: PUBLICATION_NFT, ctx: &mut tx_context::TxContext) {
         b"https://github.com/tomespel/publication-nft".to_string(),
         b"Publication NFT".to_string(),
         b"{title}".to_string(),
-        b"{authors}".to_string(),
+        b"{author_names}".to_string(),
         b"{publication_date}".to_string(),
         b"{doi}".to_string(),
         b"{url}".to_string(),
@@ -88,25 +124,83 @@ fun init(otw: PUBLICATION_NFT, ctx: &mut tx_context::TxContext) {
         b"{external_url}".to_string(),
     ];
 
+    // The same template, reading the fields of the wrapped publication
+    let soulbound_values = vector[
+        b"{publication.title}".to_string(),
+        b"{publication.description}".to_string(),
+        b"{publication.image_url}".to_string(),
+        b"{publication.external_url}".to_string(),
+        b"https://github.com/tomespel/publication-nft".to_string(),
+        b"Publication NFT".to_string(),
+        b"{publication.title}".to_string(),
+        b"{publication.author_names}".to_string(),
+        b"{publication.publication_date}".to_string(),
+        b"{publication.doi}".to_string(),
+        b"{publication.url}".to_string(),
+        b"{publication.license}".to_string(),
+        b"{publication.field}".to_string(),
+        b"{publication.version}".to_string(),
+        b"{publication.external_url}".to_string(),
+    ];
+
     let publisher = package::claim(otw, ctx);
 
     let mut display = display::new_with_fields<PublicationNFT>(
         &publisher,
-        keys,
+        copy keys,
         values,
         ctx,
     );
 
     display::update_version(&mut display);
 
+    let mut soulbound_display = display::new_with_fields<SoulboundPublicationNFT>(
+        &publisher,
+        keys,
+        soulbound_values,
+        ctx,
+    );
+    display::update_version(&mut soulbound_display);
+
     transfer::public_transfer(publisher, tx_context::sender(ctx));
     transfer::public_transfer(display, tx_context::sender(ctx));
+    transfer::public_transfer(soulbound_display, tx_context::sender(ctx));
 }
 
-/// Mint a new publication NFT
-public fun mint(
+/// Build the author list from parallel vectors
+fun new_authors(
+    names: vector<String>,
+    orcids: vector<String>,
+    wallets: vector<address>,
+): vector<Author> {
+    let count = names.length();
+    assert!(orcids.length() == count && wallets.length() == count, EAuthorsLengthMismatch);
+    let mut authors = vector[];
+    let mut i = 0;
+    while (i < count) {
+        authors.push_back(Author { name: names[i], orcid: orcids[i], wallet: wallets[i] });
+        i = i + 1;
+    };
+    authors
+}
+
+fun join_names(authors: &vector<Author>): String {
+    let mut names = b"".to_string();
+    let mut i = 0;
+    while (i < authors.length()) {
+        if (i > 0) {
+            names.append(b", ".to_string());
+        };
+        names.append(authors[i].name);
+        i = i + 1;
+    };
+    names
+}
+
+/// Build a publication NFT
+fun new_publication(
     title: String,
-    authors: String,
+    authors: vector<Author>,
     publication_date: u64,
     doi: String,
     url: vector<u8>,
@@ -116,12 +210,12 @@ public fun mint(
     field: String,
     version: String,
     external_url: vector<u8>,
-    recipient: address,
     ctx: &mut tx_context::TxContext,
-) {
-    let nft = PublicationNFT {
+): PublicationNFT {
+    PublicationNFT {
         id: object::new(ctx),
         title,
+        author_names: join_names(&authors),
         authors,
         publication_date,
         doi,
@@ -132,18 +226,111 @@ public fun mint(
         field,
         version,
         external_url: url::new_unsafe_from_bytes(external_url),
-    };
+    }
+}
 
+fun emit_minted(object_id: address, nft: &PublicationNFT, ctx: &tx_context::TxContext) {
     event::emit(PublicationMinted {
-        object_id: object::uid_to_address(&nft.id),
+        object_id,
         creator: tx_context::sender(ctx),
-        title,
-        authors,
+        title: nft.title,
+        authors: nft.authors,
     });
+    let mut i = 0;
+    while (i < nft.authors.length()) {
+        let author = &nft.authors[i];
+        event::emit(AuthorCredited {
+            object_id,
+            position: i,
+            name: author.name,
+            orcid: author.orcid,
+            wallet: author.wallet,
+        });
+        i = i + 1;
+    };
+}
+
+/// Mint a new publication NFT
+/// The authors are given in order as parallel vectors of names, ORCID iDs
+/// ("" for none) and wallets (@0x0 for none); aborts with
+/// EAuthorsLengthMismatch when their lengths differ.
+public fun mint(
+    title: String,
+    author_names: vector<String>,
+    author_orcids: vector<String>,
+    author_wallets: vector<address>,
+    publication_date: u64,
+    doi: String,
+    url: vector<u8>,
+    image_url: vector<u8>,
+    description: String,
+    license: String,
+    field: String,
+    version: String,
+    external_url: vector<u8>,
+    recipient: address,
+    ctx: &mut tx_context::TxContext,
+) {
+    let nft = new_publication(
+        title,
+        new_authors(author_names, author_orcids, author_wallets),
+        publication_date,
+        doi,
+        url,
+        image_url,
+        description,
+        license,
+        field,
+        version,
+        external_url,
+        ctx,
+    );
+    emit_minted(object::uid_to_address(&nft.id), &nft, ctx);
 
     transfer::public_transfer(nft, recipient);
 }
 
+/// Mint a publication NFT that can never leave the recipient
+/// PublicationMinted and AuthorCredited carry the ID of the
+/// SoulboundPublicationNFT; the authors are given as for `mint`.
+public fun mint_soulbound(
+    title: String,
+    author_names: vector<String>,
+    author_orcids: vector<String>,
+    author_wallets: vector<address>,
+    publication_date: u64,
+    doi: String,
+    url: vector<u8>,
+    image_url: vector<u8>,
+    description: String,
+    license: String,
+    field: String,
+    version: String,
+    external_url: vector<u8>,
+    recipient: address,
+    ctx: &mut tx_context::TxContext,
+) {
+    let publication = new_publication(
+        title,
+        new_authors(author_names, author_orcids, author_wallets),
+        publication_date,
+        doi,
+        url,
+        image_url,
+        description,
+        license,
+        field,
+        version,
+        external_url,
+        ctx,
+    );
+    let nft = SoulboundPublicationNFT { id: object::new(ctx), publication };
+    emit_minted(object::uid_to_address(&nft.id), &nft.publication, ctx);
+
+    // Only this module can transfer a type without `store`, and only here
+    transfer::transfer(nft, recipient);
+}
+
 /// Transfer a publication NFT to a new owner
 public fun transfer_nft(nft: PublicationNFT, recipient: address, _ctx: &mut TxContext) {
     transfer::public_transfer(nft, recipient);
@@ -155,6 +342,7 @@ public fun burn(nft: PublicationNFT, _ctx: &mut TxContext) {
         id,
         title: _,
         authors: _,
+        author_names: _,
         publication_date: _,
         doi: _,
         url: _,
@@ -168,16 +356,48 @@ public fun burn(nft: PublicationNFT, _ctx: &mut TxContext) {
     object::delete(id);
 }
 
+/// Burn a soulbound publication NFT
+public fun burn_soulbound(nft: SoulboundPublicationNFT, ctx: &mut TxContext) {
+    let SoulboundPublicationNFT { id, publication } = nft;
+    object::delete(id);
+    burn(publication, ctx);
+}
+
+/// Get the publication of a soulbound publication NFT
+public fun publication(nft: &SoulboundPublicationNFT): &PublicationNFT {
+    &nft.publication
+}
+
 /// Get the title of a publication NFT
 public fun title(nft: &PublicationNFT): String {
     nft.title
 }
 
-/// Get the authors of a publication NFT
-public fun authors(nft: &PublicationNFT): String {
+/// Get the authors of a publication NFT, in order
+public fun authors(nft: &PublicationNFT): vector<Author> {
     nft.authors
 }
 
+/// Get the author names of a publication NFT, joined with ", "
+public fun author_names(nft: &PublicationNFT): String {
+    nft.author_names
+}
+
+/// Get the display name of an author
+public fun author_name(author: &Author): String {
+    author.name
+}
+
+/// Get the ORCID iD of an author ("" when not given)
+public fun author_orcid(author: &Author): String {
+    author.orcid
+}
+
+/// Get the wallet of an author (@0x0 when not given)
+public fun author_wallet(author: &Author): address {
+    author.wallet
+}
+
 /// Get the publication date of a publication NFT
 public fun publication_date(nft: &PublicationNFT): u64 {
     nft.publication_date
@@ -2,7 +2,7 @@
 module publication_nft::publication_nft_tests {
     use std::string::{Self, String};
     use sui::test_scenario::{Self as ts};
-    use publication_nft::publication_nft::{Self, PublicationNFT};
+    use publication_nft::publication_nft::{Self, PublicationNFT, SoulboundPublicationNFT};
 
     const ADMIN: address = @0xAD;
     const USER1: address = @0xB0B;
@@ -21,7 +21,9 @@ module publication_nft::publication_nft_tests {
             ts::next_tx(&mut scenario, ADMIN);
             publication_nft::mint(
                 create_test_string(b"Test Book"),
-                create_test_string(b"Test Author"),
+                vector[create_test_string(b"Test Author"), create_test_string(b"Second Author")],
+                vector[create_test_string(b"0000-0002-1825-0097"), create_test_string(b"")],
+                vector[USER2, @0x0],
                 1234567890000,
                 create_test_string(b"10.1000/test-doi"),
                 b"https://ipfs.io/ipfs/QmTest",
@@ -42,7 +44,13 @@ module publication_nft::publication_nft_tests {
             let nft = ts::take_from_sender<PublicationNFT>(&scenario);
             
             assert!(publication_nft::title(&nft) == create_test_string(b"Test Book"), 0);
-            assert!(publication_nft::authors(&nft) == create_test_string(b"Test Author"), 1);
+            let authors = publication_nft::authors(&nft);
+            assert!(authors.length() == 2, 1);
+            assert!(publication_nft::author_name(&authors[0]) == create_test_string(b"Test Author"), 1);
+            assert!(publication_nft::author_orcid(&authors[0]) == create_test_string(b"0000-0002-1825-0097"), 1);
+            assert!(publication_nft::author_wallet(&authors[0]) == USER2, 1);
+            assert!(publication_nft::author_wallet(&authors[1]) == @0x0, 1);
+            assert!(publication_nft::author_names(&nft) == create_test_string(b"Test Author, Second Author"), 1);
             assert!(publication_nft::publication_date(&nft) == 1234567890000, 2);
             assert!(publication_nft::doi(&nft) == create_test_string(b"10.1000/test-doi"), 3);
             
@@ -61,7 +69,9 @@ module publication_nft::publication_nft_tests {
             ts::next_tx(&mut scenario, ADMIN);
             publication_nft::mint(
                 create_test_string(b"Test Book"),
-                create_test_string(b"Test Author"),
+                vector[create_test_string(b"Test Author")],
+                vector[create_test_string(b"")],
+                vector[@0x0],
                 1234567890000,
                 create_test_string(b"10.1000/test-doi"),
                 b"https://ipfs.io/ipfs/QmTest",
@@ -94,6 +104,30 @@ module publication_nft::publication_nft_tests {
         ts::end(scenario);
     }
 
+    #[test]
+    #[expected_failure(abort_code = publication_nft::EAuthorsLengthMismatch)]
+    fun test_mint_with_mismatched_authors() {
+        let mut scenario = ts::begin(ADMIN);
+        publication_nft::mint(
+            create_test_string(b"Test Book"),
+            vector[create_test_string(b"Test Author"), create_test_string(b"Second Author")],
+            vector[create_test_string(b"")],
+            vector[@0x0, @0x0],
+            1234567890000,
+            create_test_string(b"10.1000/test-doi"),
+            b"https://ipfs.io/ipfs/QmTest",
+            b"https://ipfs.io/ipfs/QmTestImage",
+            create_test_string(b"Test description"),
+            create_test_string(b"CC-BY-4.0"),
+            create_test_string(b"Computer Science"),
+            create_test_string(b"1.0"),
+            b"https://example.com/paper",
+            USER1,
+            ts::ctx(&mut scenario)
+        );
+        ts::end(scenario);
+    }
+
     #[test]
     fun test_burn_publication_nft() {
         let mut scenario = ts::begin(ADMIN);
@@ -103,7 +137,9 @@ module publication_nft::publication_nft_tests {
             ts::next_tx(&mut scenario, ADMIN);
             publication_nft::mint(
                 create_test_string(b"Test Book"),
-                create_test_string(b"Test Author"),
+                vector[create_test_string(b"Test Author")],
+                vector[create_test_string(b"")],
+                vector[@0x0],
                 1234567890000,
                 create_test_string(b"10.1000/test-doi"),
                 b"https://ipfs.io/ipfs/QmTest",
@@ -127,4 +163,61 @@ module publication_nft::publication_nft_tests {
 
         ts::end(scenario);
     }
+
+    #[test]
+    fun test_mint_soulbound_publication_nft() {
+        let mut scenario = ts::begin(ADMIN);
+
+        // Mint a soulbound publication NFT
+        {
+            ts::next_tx(&mut scenario, ADMIN);
+            publication_nft::mint_soulbound(
+                create_test_string(b"Test Book"),
+                vector[create_test_string(b"Test Author")],
+                vector[create_test_string(b"")],
+                vector[@0x0],
+                1234567890000,
+                create_test_string(b"10.1000/test-doi"),
+                b"https://ipfs.io/ipfs/QmTest",
+                b"https://ipfs.io/ipfs/QmTestImage",
+                create_test_string(b"Test description"),
+                create_test_string(b"CC-BY-4.0"),
+                create_test_string(b"Computer Science"),
+                create_test_string(b"1.0"),
+                b"https://example.com/paper",
+                USER1,
+                ts::ctx(&mut scenario)
+            );
+        };
+
+        // USER1 owns the soulbound wrapper, not a transferable PublicationNFT.
+        // SoulboundPublicationNFT has no `store`, so neither
+        // transfer::public_transfer nor transfer_nft accept it: moving it
+        // doesn't compile outside this module.
+        {
+            ts::next_tx(&mut scenario, USER1);
+            assert!(!ts::has_most_recent_for_sender<PublicationNFT>(&scenario), 0);
+            let nft = ts::take_from_sender<SoulboundPublicationNFT>(&scenario);
+            let publication = publication_nft::publication(&nft);
+            assert!(publication_nft::title(publication) == create_test_string(b"Test Book"), 1);
+            assert!(publication_nft::doi(publication) == create_test_string(b"10.1000/test-doi"), 2);
+            ts::return_to_sender(&scenario, nft);
+        };
+
+        // It is still USER1's after another transaction, and only they can burn it
+        {
+            ts::next_tx(&mut scenario, USER2);
+            assert!(!ts::has_most_recent_for_sender<SoulboundPublicationNFT>(&scenario), 3);
+            ts::next_tx(&mut scenario, USER1);
+            let nft = ts::take_from_sender<SoulboundPublicationNFT>(&scenario);
+            publication_nft::burn_soulbound(nft, ts::ctx(&mut scenario));
+        };
+
+        {
+            ts::next_tx(&mut scenario, USER1);
+            assert!(!ts::has_most_recent_for_sender<SoulboundPublicationNFT>(&scenario), 4);
+        };
+
+        ts::end(scenario);
+    }
 }